@@ -2,12 +2,54 @@
 let teamMembers = [];
 let roadmapItems = [];
 let optimizationResults = null;
+let selectedQuarter = 0; // Index into optimizationResults.rollingPlan.quarters
+let weightProfiles = [];
+let skillTaxonomy = [];
+let disciplines = []; // Disciplines effort is broken down by (GET /api/disciplines)
+let careerLadder = []; // Levels, lowest first (GET /api/career-ladder)
+let cycles = []; // Planning cycles (GET /api/cycles)
+let optimizationRuns = []; // Saved runs of the cycle, newest first (GET /api/runs)
+let scenarios = []; // What-if scenarios of the cycle (GET /api/scenarios)
+let editingScenarioId = null;
+let scenarioDraft = []; // Changes of the scenario being created or edited
+let currentCycleId = localStorage.getItem('cycleId') || 'default';
+
+const DIFF_METRIC_LABELS = {
+    utilizationRate: 'Utilization (%)',
+    totalTeamCapacity: 'Team capacity (FTE)',
+    totalAllocatedCapacity: 'Allocated capacity (FTE)',
+    itemsCount: 'Roadmap items',
+    fullyStaffedCount: 'Fully staffed items',
+    totalAssignments: 'Assignments',
+    objective: 'Objective',
+    crossTeamLoanCount: 'Cross-team loans'
+};
+
+const WEIGHT_LABELS = {
+    skillMatch: 'Skill match',
+    platformFit: 'Platform fit',
+    fullStack: 'Full-stack bonus',
+    interest: 'Interest',
+    careerGoal: 'Career goal',
+    levelMatch: 'Level match',
+    seniorOnComplex: 'Senior on complex',
+    underLevelPenalty: 'Under-level penalty',
+    priority: 'Priority',
+    efficiency: 'Efficiency'
+};
+
+// API helpers. Endpoints are served for the selected planning cycle, apart
+// from the cycles themselves.
+function apiUrl(endpoint) {
+    return endpoint.startsWith('/cycles')
+        ? `/api${endpoint}`
+        : `/api/cycles/${encodeURIComponent(currentCycleId)}${endpoint}`;
+}
 
-// API helpers
 const API = {
     async get(endpoint) {
         try {
-            const response = await fetch(`/api${endpoint}`);
+            const response = await fetch(apiUrl(endpoint));
             
             // Check if response is HTML (authentication page)
             const contentType = response.headers.get('content-type');
@@ -29,7 +71,7 @@ const API = {
 
     async post(endpoint, data) {
         try {
-            const response = await fetch(`/api${endpoint}`, {
+            const response = await fetch(apiUrl(endpoint), {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(data)
@@ -54,9 +96,44 @@ const API = {
         }
     },
 
+    async put(endpoint, data) {
+        return this.send('PUT', endpoint, data);
+    },
+
+    async patch(endpoint, data) {
+        return this.send('PATCH', endpoint, data);
+    },
+
+    async send(method, endpoint, data) {
+        try {
+            const response = await fetch(apiUrl(endpoint), {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(data)
+            });
+            
+            // Check if response is HTML (authentication page)
+            const contentType = response.headers.get('content-type');
+            if (contentType && contentType.includes('text/html')) {
+                throw new Error('Authentication required - please disable deployment protection in Vercel dashboard');
+            }
+            
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || `HTTP error! status: ${response.status}`);
+            }
+            return response.json();
+        } catch (error) {
+            if (error.message.includes('Authentication required')) {
+                throw error;
+            }
+            throw new Error(`Failed to connect to server: ${error.message}`);
+        }
+    },
+
     async delete(endpoint) {
         try {
-            const response = await fetch(`/api${endpoint}`, { method: 'DELETE' });
+            const response = await fetch(apiUrl(endpoint), { method: 'DELETE' });
             
             // Check if response is HTML (authentication page)
             const contentType = response.headers.get('content-type');
@@ -147,6 +224,34 @@ function parseCommaSeparated(str) {
     return str ? str.split(',').map(s => s.trim()).filter(s => s) : [];
 }
 
+// "📱 iOS" for a discipline id; ids that are no longer configured show as is
+function platformLabel(id) {
+    const discipline = disciplines.find(d => d.id === id);
+    return discipline ? `${discipline.icon ? `${discipline.icon} ` : ''}${discipline.name}` : id;
+}
+
+// [{ id, weeks }] for the disciplines an item has effort for
+function effortEntries(item) {
+    const effort = item.effortBreakdown || {};
+    return Object.keys(effort)
+        .filter(id => id !== 'total' && effort[id] > 0)
+        .map(id => ({ id, weeks: effort[id] }));
+}
+
+// "Swift:4" as typed in the skills inputs (minimum 1 is left out for items)
+function skillInputValue(skill) {
+    if (typeof skill === 'string') return skill;
+    const level = skill.proficiency ?? (skill.minProficiency > 1 ? skill.minProficiency : null);
+    return level ? `${skill.name}:${level}` : skill.name;
+}
+
+// Skills are { name, proficiency } objects; older data has plain strings
+function formatSkill(skill) {
+    if (typeof skill === 'string') return skill;
+    const level = skill.proficiency ?? (skill.minProficiency > 1 ? `${skill.minProficiency}+` : null);
+    return level ? `${skill.name} (${level})` : skill.name;
+}
+
 // Team color utility
 function getTeamColor(teamName) {
     if (!teamName) return '#4c9aff';
@@ -234,6 +339,8 @@ function initializeTabs() {
             if (tabId === 'team-members') loadTeamMembers();
             if (tabId === 'roadmap-items') loadRoadmapItems();
             if (tabId === 'dashboard') updateDashboard();
+            if (tabId === 'skills') loadSkills();
+            if (tabId === 'scenarios') loadScenarios();
         });
     });
 }
@@ -266,6 +373,81 @@ async function updateDashboard() {
     }
 }
 
+// Planning cycles
+async function loadCycles() {
+    try {
+        cycles = await API.get('/cycles');
+        if (!cycles.some(cycle => cycle.id === currentCycleId)) currentCycleId = 'default';
+        renderCycles();
+    } catch (error) {
+        showError('Failed to load planning cycles: ' + error.message);
+    }
+}
+
+function cycleLabel(cycle) {
+    if (!cycle.startDate && !cycle.endDate) return cycle.name;
+    return `${cycle.name} (${cycle.startDate || '…'} – ${cycle.endDate || '…'})`;
+}
+
+function renderCycles() {
+    document.getElementById('cycle-select').innerHTML = cycles.map(cycle =>
+        `<option value="${cycle.id}" ${cycle.id === currentCycleId ? 'selected' : ''}>${cycleLabel(cycle)}</option>`
+    ).join('');
+    document.getElementById('cycle-clone-from').innerHTML = '<option value="">Start empty</option>' + cycles.map(cycle =>
+        `<option value="${cycle.id}" ${cycle.id === currentCycleId ? 'selected' : ''}>${cycle.name}</option>`
+    ).join('');
+    document.getElementById('delete-cycle-btn').disabled = currentCycleId === 'default';
+}
+
+async function switchCycle(cycleId) {
+    currentCycleId = cycleId;
+    localStorage.setItem('cycleId', cycleId);
+    renderCycles();
+    await loadCycleData();
+}
+
+// Roster, roadmap and latest optimization run of the selected cycle
+async function loadCycleData() {
+    optimizationResults = null;
+    selectedQuarter = 0;
+    renderOptimizationResults();
+    document.getElementById('run-diff').innerHTML = '';
+    document.getElementById('scenario-results').innerHTML = '';
+    document.getElementById('hiring-plan').innerHTML = '';
+    document.getElementById('simulation-results').innerHTML = '';
+    document.getElementById('sensitivity-results').innerHTML = '';
+    loadScenarios();
+    await loadRuns();
+    if (optimizationRuns.length > 0) await loadRun(optimizationRuns[0].id);
+    await updateDashboard();
+}
+
+async function createCycle(formData) {
+    try {
+        const cycle = await API.post('/cycles', formData);
+        await loadCycles();
+        await switchCycle(cycle.id);
+        showSuccess(`Planning cycle ${cycle.name} created`);
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+async function deleteCycle() {
+    const cycle = cycles.find(c => c.id === currentCycleId);
+    if (!cycle || cycle.id === 'default') return;
+    if (!confirm(`Delete the planning cycle ${cycle.name} with its roster, roadmap and results?`)) return;
+
+    try {
+        await API.delete(`/cycles/${encodeURIComponent(cycle.id)}`);
+        await loadCycles();
+        await switchCycle('default');
+        showSuccess('Planning cycle deleted successfully');
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
 // Team Members functions
 async function loadTeamMembers() {
     try {
@@ -307,12 +489,16 @@ function renderTeamMemberCards() {
                         <h4>${member.name}</h4>
                         ${member.teamName ? `<span class="team-badge" style="background-color: ${teamColor}">${member.teamName}</span>` : ''}
                     </div>
+                    <button class="edit-btn" onclick="showEditMemberModal('${member.id}')" title="Edit member">✏️</button>
                     <button class="delete-btn" onclick="deleteTeamMember('${member.id}')" title="Delete member">×</button>
                 </div>
                 <div class="member-info">
                     <span class="member-level">${member.level}</span>
                     ${member.location ? `<span class="member-location">📍 ${member.location}</span>` : ''}
                     <span class="member-capacity">${member.capacity || 1.0} FTE</span>
+                    <button class="availability-btn" onclick="showAvailabilityModal('${member.id}')" title="Edit availability">
+                        📅 ${(member.availability || []).length || ''}
+                    </button>
                 </div>
                 ${member.careerGoals.length > 0 ? `
                     <div class="member-goals">
@@ -343,17 +529,34 @@ function renderTeamMemberTable() {
             <td><span class="team-cell" style="background-color: ${getTeamColor(member.teamName)}">${member.teamName || 'Unassigned'}</span></td>
             <td>${member.level}</td>
             <td>${member.location || 'N/A'}</td>
-            <td class="skills-cell">${member.skills ? member.skills.join(', ') : 'N/A'}</td>
+            <td class="skills-cell">${member.skills ? member.skills.map(formatSkill).join(', ') : 'N/A'}</td>
             <td class="capacity-cell">${member.capacity || 1.0} FTE</td>
             <td class="interests-cell">${member.interests ? member.interests.join(', ') : 'N/A'}</td>
             <td class="goals-cell">${member.careerGoals ? member.careerGoals.join(', ') : 'N/A'}</td>
             <td class="actions-cell">
+                <button class="availability-btn" onclick="showEditMemberModal('${member.id}')" title="Edit member">✏️</button>
+                <button class="availability-btn" onclick="showAvailabilityModal('${member.id}')" title="Edit availability">📅</button>
                 <button class="table-delete-btn" onclick="deleteTeamMember('${member.id}')" title="Delete member">Delete</button>
             </td>
         </tr>
     `).join('');
 }
 
+async function updateTeamMember(id, formData) {
+    try {
+        showLoading();
+        const updated = await API.patch(`/team-members/${id}`, formData);
+        teamMembers = teamMembers.map(member => member.id === id ? updated : member);
+        renderTeamMembers();
+        updateDashboard();
+        showSuccess(`Updated ${updated.name}`);
+    } catch (error) {
+        showError(error.message);
+    } finally {
+        hideLoading();
+    }
+}
+
 async function addTeamMember(formData) {
     try {
         showLoading();
@@ -383,6 +586,67 @@ async function deleteTeamMember(id) {
     }
 }
 
+// Availability windows (PTO, leave, onboarding, on-call) of one member
+let availabilityMemberId = null;
+
+const AVAILABILITY_LABELS = {
+    pto: '🏖️ PTO',
+    leave: '👶 Leave',
+    onboarding: '🌱 Onboarding',
+    'on-call': '📟 On-call'
+};
+
+function showAvailabilityModal(memberId) {
+    availabilityMemberId = memberId;
+    document.getElementById('availability-form').reset();
+    renderAvailabilityList();
+    showModal('availability-modal');
+}
+
+function renderAvailabilityList() {
+    const member = teamMembers.find(m => m.id === availabilityMemberId);
+    if (!member) return;
+
+    const windows = [...(member.availability || [])].sort((a, b) => a.startDate.localeCompare(b.startDate));
+    document.getElementById('availability-member-name').textContent = member.name;
+    document.getElementById('availability-list').innerHTML = windows.length === 0
+        ? '<p class="placeholder">Available all quarter</p>'
+        : windows.map(w => `
+            <div class="availability-window">
+                <span>${AVAILABILITY_LABELS[w.type] || w.type}</span>
+                <span>${w.startDate} → ${w.endDate}</span>
+                <span>${Math.round(w.capacity * 100)}%${w.type === 'onboarding' ? ' → 100%' : ''}</span>
+                <small>${w.note || ''}</small>
+                <button class="delete-btn" onclick="deleteAvailabilityWindow('${w.id}')" title="Remove window">×</button>
+            </div>
+        `).join('');
+}
+
+async function addAvailabilityWindow(data) {
+    try {
+        const created = await API.post(`/team-members/${availabilityMemberId}/availability`, data);
+        const member = teamMembers.find(m => m.id === availabilityMemberId);
+        member.availability = [...(member.availability || []), created];
+        renderAvailabilityList();
+        renderTeamMembers();
+        document.getElementById('availability-form').reset();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+async function deleteAvailabilityWindow(windowId) {
+    try {
+        await API.delete(`/team-members/${availabilityMemberId}/availability/${windowId}`);
+        const member = teamMembers.find(m => m.id === availabilityMemberId);
+        member.availability = member.availability.filter(w => w.id !== windowId);
+        renderAvailabilityList();
+        renderTeamMembers();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
 // Roadmap Items functions
 async function loadRoadmapItems() {
     try {
@@ -420,6 +684,7 @@ function renderRoadmapItemCards() {
             <div class="roadmap-header">
                 <h3>
                     ${item.name}
+                    <button class="edit-btn" onclick="showEditItemModal('${item.id}')" title="Edit item">✏️</button>
                     <button class="delete-btn" onclick="deleteRoadmapItem('${item.id}')" title="Delete item">×</button>
                 </h3>
                 ${item.assignedTeam ? `
@@ -427,45 +692,55 @@ function renderRoadmapItemCards() {
                 ` : ''}
             </div>
             ${item.description ? `<p class="compact-description">${item.description}</p>` : ''}
+            ${renderDependsOn(item)}
             
             ${item.effortBreakdown ? `
                 <div class="effort-breakdown compact">
                     <div class="effort-grid compact">
-                        ${item.effortBreakdown.ios > 0 ? `
-                            <div class="effort-item compact">
-                                <span class="effort-platform">📱 ${item.effortBreakdown.ios}w</span>
-                            </div>
-                        ` : ''}
-                        ${item.effortBreakdown.android > 0 ? `
-                            <div class="effort-item compact">
-                                <span class="effort-platform">🤖 ${item.effortBreakdown.android}w</span>
-                            </div>
-                        ` : ''}
-                        ${item.effortBreakdown.web > 0 ? `
-                            <div class="effort-item compact">
-                                <span class="effort-platform">🌐 ${item.effortBreakdown.web}w</span>
-                            </div>
-                        ` : ''}
-                        ${item.effortBreakdown.backend > 0 ? `
+                        ${effortEntries(item).map(({ id, weeks }) => `
                             <div class="effort-item compact">
-                                <span class="effort-platform">⚙️ ${item.effortBreakdown.backend}w</span>
+                                <span class="effort-platform" title="${platformLabel(id)}">${platformLabel(id)} ${weeks}w</span>
                             </div>
-                        ` : ''}
+                        `).join('')}
                         <div class="effort-total compact">
                             <strong>Total: ${item.effortBreakdown.total}w</strong>
                         </div>
                     </div>
                 </div>
             ` : ''}
+            ${item.effortEstimate ? `
+                <p class="compact-description" title="Low / likely / high weeks">🎲 ${item.effortEstimate.low}–${item.effortEstimate.likely}–${item.effortEstimate.high}w</p>
+            ` : ''}
         </div>
     `).join('');
 }
 
+// Names of an item's prerequisites (stored as ids)
+function renderDependsOn(item) {
+    const names = (item.dependsOn || [])
+        .map(id => roadmapItems.find(other => other.id === id))
+        .filter(Boolean)
+        .map(other => other.name);
+
+    return names.length > 0 ? `<p class="depends-on">🔗 Depends on ${names.join(', ')}</p>` : '';
+}
+
 function renderRoadmapItemTable() {
     const tbody = document.getElementById('roadmap-items-table-body');
+
+    // One effort column per configured discipline, plus any other discipline items have effort for
+    const columns = [...new Set([...disciplines.map(d => d.id), ...roadmapItems.flatMap(item => effortEntries(item).map(e => e.id))])];
+    document.getElementById('roadmap-items-table-head').innerHTML = `
+        <th>Name</th>
+        <th>Team</th>
+        <th>Description</th>
+        ${columns.map(id => `<th>${platformLabel(id)} (weeks)</th>`).join('')}
+        <th>Total (weeks)</th>
+        <th>Actions</th>
+    `;
     
     if (roadmapItems.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="9" style="text-align: center; color: #666;">No roadmap items added yet</td></tr>';
+        tbody.innerHTML = `<tr><td colspan="${columns.length + 5}" style="text-align: center; color: #666;">No roadmap items added yet</td></tr>`;
         return;
     }
 
@@ -474,18 +749,31 @@ function renderRoadmapItemTable() {
             <td><strong>${item.name}</strong></td>
             <td><span class="team-cell" style="background-color: ${getTeamColor(item.assignedTeam)}">${item.assignedTeam || 'Unassigned'}</span></td>
             <td class="description-cell">${item.description || 'N/A'}</td>
-            <td class="effort-cell">${item.effortBreakdown ? item.effortBreakdown.ios || 0 : 0}</td>
-            <td class="effort-cell">${item.effortBreakdown ? item.effortBreakdown.android || 0 : 0}</td>
-            <td class="effort-cell">${item.effortBreakdown ? item.effortBreakdown.web || 0 : 0}</td>
-            <td class="effort-cell">${item.effortBreakdown ? item.effortBreakdown.backend || 0 : 0}</td>
+            ${columns.map(id => `<td class="effort-cell">${item.effortBreakdown ? item.effortBreakdown[id] || 0 : 0}</td>`).join('')}
             <td class="effort-cell"><strong>${item.effortBreakdown ? item.effortBreakdown.total || 0 : 0}</strong></td>
             <td class="actions-cell">
+                <button class="availability-btn" onclick="showEditItemModal('${item.id}')" title="Edit item">✏️</button>
                 <button class="table-delete-btn" onclick="deleteRoadmapItem('${item.id}')" title="Delete item">Delete</button>
             </td>
         </tr>
     `).join('');
 }
 
+async function updateRoadmapItem(id, formData) {
+    try {
+        showLoading();
+        const updated = await API.patch(`/roadmap-items/${id}`, formData);
+        roadmapItems = roadmapItems.map(item => item.id === id ? updated : item);
+        renderRoadmapItems();
+        updateDashboard();
+        showSuccess(`Updated "${updated.name}"`);
+    } catch (error) {
+        showError(error.message);
+    } finally {
+        hideLoading();
+    }
+}
+
 async function addRoadmapItem(formData) {
     try {
         showLoading();
@@ -519,9 +807,19 @@ async function deleteRoadmapItem(id) {
 async function runOptimization() {
     try {
         showLoading();
-        optimizationResults = await API.post('/optimize', {});
+        const solver = document.getElementById('optimization-solver').value;
+        const teamPolicy = document.getElementById('optimization-team-policy').value;
+        const weightsProfile = document.getElementById('weights-profile').value || undefined;
+        const weights = readWeightInputs();
+        const quarters = parseInt(document.getElementById('optimization-quarters').value, 10);
+        // Stability mode: keep people on the items they have in the chosen run
+        const baselineRunId = document.getElementById('optimization-baseline').value || undefined;
+        const churnPenalty = baselineRunId ? parseFloat(document.getElementById('churn-penalty').value) : undefined;
+        optimizationResults = await API.post('/optimize', { solver, teamPolicy, weightsProfile, weights, quarters, baselineRunId, churnPenalty });
+        selectedQuarter = 0;
         renderOptimizationResults();
         updateDashboard();
+        loadRuns();
         
         // Switch to optimization tab
         document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
@@ -537,107 +835,1330 @@ async function runOptimization() {
     }
 }
 
-function renderOptimizationResults() {
-    const container = document.getElementById('optimization-results');
-    
-    if (!optimizationResults) {
-        container.innerHTML = '<p class="placeholder">Run people allocation to see quarterly results here</p>';
-        return;
+// Saved optimization runs
+async function loadRuns() {
+    try {
+        optimizationRuns = await API.get('/runs');
+        renderRunHistory();
+    } catch (error) {
+        showError('Failed to load optimization runs: ' + error.message);
     }
+}
 
-    const { summary, allocations, teamMembers: resultMembers, roadmapItems: resultItems, recommendations, itemsByStatus } = optimizationResults;
+// Show a past run as it was reported, without recomputing it
+async function loadRun(id) {
+    try {
+        const run = await API.get(`/runs/${id}`);
+        optimizationResults = { ...run.report, runId: run.id, createdAt: run.createdAt };
+        selectedQuarter = 0;
+        renderOptimizationResults();
+        renderRunHistory();
+        updateDashboard();
+    } catch (error) {
+        showError(error.message);
+    }
+}
 
-    // Get unstaffed and under-staffed items
-    const unstaffedItems = itemsByStatus ? itemsByStatus['not-staffed'] || [] : [];
-    const underStaffedItems = itemsByStatus ? itemsByStatus['under-staffed'] || [] : [];
+async function deleteRun(id) {
+    if (!confirm('Delete this optimization run from the history?')) return;
 
-    container.innerHTML = `
-        ${recommendations.length > 0 ? `
-            <div class="section-header">
-                <h3>💡 Recommendations & Issues</h3>
-            </div>
-            <div class="card recommendations-card">
-                <ul>
-                    ${recommendations.map(rec => `<li>${rec}</li>`).join('')}
-                </ul>
+    try {
+        await API.delete(`/runs/${id}`);
+        if (optimizationResults && optimizationResults.runId === id) {
+            optimizationResults = null;
+            renderOptimizationResults();
+        }
+        await loadRuns();
+        showSuccess('Optimization run deleted successfully');
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+function runLabel(run) {
+    return `${new Date(run.createdAt).toLocaleString()} · ${run.solver} · ${run.weightsProfile}`;
+}
+
+function renderRunHistory() {
+    const container = document.getElementById('run-history');
+    const shownId = optimizationResults ? optimizationResults.runId : null;
+
+    document.getElementById('run-compare').style.display = optimizationRuns.length > 0 ? '' : 'none';
+    document.getElementById('compare-from').innerHTML = optimizationRuns.map(run =>
+        `<option value="${run.id}">${runLabel(run)}</option>`
+    ).join('');
+    document.getElementById('compare-to').innerHTML = '<option value="current">Current data</option>' + optimizationRuns.map(run =>
+        `<option value="${run.id}">${runLabel(run)}</option>`
+    ).join('');
+
+    // Keep the replan baseline picked so far while it is still in the history
+    const baselineSelect = document.getElementById('optimization-baseline');
+    const baselineRunId = baselineSelect.value;
+    baselineSelect.innerHTML = '<option value="">Plan from scratch</option>' + optimizationRuns.map(run =>
+        `<option value="${run.id}">Keep stable: ${runLabel(run)}</option>`
+    ).join('');
+    baselineSelect.value = optimizationRuns.some(run => run.id === baselineRunId) ? baselineRunId : '';
+    selectBaselineRun(baselineSelect.value);
+
+    container.innerHTML = optimizationRuns.length === 0
+        ? '<p class="placeholder">No runs in this planning cycle yet</p>'
+        : optimizationRuns.map(run => `
+            <div class="run-entry ${run.id === shownId ? 'current' : ''}">
+                <span>${new Date(run.createdAt).toLocaleString()}</span>
+                <span>${run.solver} · ${run.teamPolicy} · ${run.weightsProfile}${run.quarters > 1 ? ` · ${run.quarters} quarters` : ''}${run.baselineRunId ? ' · replan' : ''}</span>
+                <span>${run.teamMembersCount} members · ${run.roadmapItemsCount} items</span>
+                <span>${run.summary.utilizationRate}% utilized · ${run.summary.fullyStaffedCount}/${run.summary.itemsCount} fully staffed</span>
+                ${run.id === shownId
+                    ? '<span class="run-shown">Showing</span>'
+                    : `<button class="btn btn-secondary" onclick="loadRun('${run.id}')">Load</button>`}
+                <button class="delete-btn" onclick="deleteRun('${run.id}')" title="Delete run">×</button>
             </div>
+        `).join('');
+}
+
+// The churn penalty only applies to replans
+function selectBaselineRun(runId) {
+    document.getElementById('churn-penalty').style.display = runId ? '' : 'none';
+}
+
+// Compare two saved runs, or a run with the current data
+async function compareRuns() {
+    const from = document.getElementById('compare-from').value;
+    const to = document.getElementById('compare-to').value;
+
+    try {
+        showLoading();
+        const diff = await API.get(`/runs/compare?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`);
+        document.getElementById('run-diff').innerHTML = renderRunDiff(diff);
+    } catch (error) {
+        showError(error.message);
+    } finally {
+        hideLoading();
+    }
+}
+
+function renderDelta(delta, suffix = '') {
+    if (!delta) return `<span>0${suffix}</span>`;
+    return `<span class="${delta > 0 ? 'positive' : 'negative'}">${delta > 0 ? '+' : ''}${delta}${suffix}</span>`;
+}
+
+function renderRunDiff(diff) {
+    if (diff.unchanged) {
+        return '<p class="placeholder">No differences between these runs</p>';
+    }
+
+    const percent = fraction => `${Math.round(fraction * 100)}%`;
+
+    return `
+        <table class="breakdown-table">
+            ${Object.entries(diff.summary).map(([metric, value]) => `
+                <tr>
+                    <td>${DIFF_METRIC_LABELS[metric] || metric}</td>
+                    <td>${value.before ?? '—'} → ${value.after ?? '—'}</td>
+                    <td>${value.delta === null ? '' : renderDelta(value.delta)}</td>
+                </tr>
+            `).join('')}
+        </table>
+
+        ${diff.members.length > 0 ? `
+            <h4>👥 Members who changed items</h4>
+            <ul>
+                ${diff.members.map(change => `
+                    <li><strong>${change.member}</strong>
+                        ${change.joined.length > 0 ? ` joined ${change.joined.join(', ')}` : ''}
+                        ${change.joined.length > 0 && change.left.length > 0 ? ';' : ''}
+                        ${change.left.length > 0 ? ` left ${change.left.join(', ')}` : ''}
+                    </li>
+                `).join('')}
+            </ul>
         ` : ''}
 
-        ${unstaffedItems.length > 0 ? `
-            <div class="section-header" style="margin-top: 1.5rem;">
-                <h3>❌ Unstaffed Items (${unstaffedItems.length})</h3>
-            </div>
-            <div class="unstaffed-items">
-                ${unstaffedItems.map(item => `
-                    <div class="unstaffed-item-card">
-                        <div class="item-header">
-                            <h4>📋 ${item.name}</h4>
-                            ${item.team ? `<span class="team-badge" style="background-color: ${getTeamColor(item.team)}">${item.team}</span>` : ''}
-                        </div>
-                        <div class="item-details">
-                            ${item.effortBreakdown ? `
-                                <div class="effort-summary">
-                                    <div class="platform-requirements">
-                                        ${item.effortBreakdown.ios > 0 ? `<span class="platform-req">📱 iOS: ${item.effortBreakdown.ios}w</span>` : ''}
-                                        ${item.effortBreakdown.android > 0 ? `<span class="platform-req">🤖 Android: ${item.effortBreakdown.android}w</span>` : ''}
-                                        ${item.effortBreakdown.web > 0 ? `<span class="platform-req">🌐 Web: ${item.effortBreakdown.web}w</span>` : ''}
-                                        ${item.effortBreakdown.backend > 0 ? `<span class="platform-req">⚙️ Backend: ${item.effortBreakdown.backend}w</span>` : ''}
-                                    </div>
-                                    <div class="total-effort">Total: ${item.effortBreakdown.total} weeks</div>
-                                </div>
-                            ` : ''}
-                            <div class="required-capacity">
-                                <div class="capacity-breakdown">
-                                    <span class="capacity-total">Required: ${item.requiredCapacity ? item.requiredCapacity.toFixed(2) : 'N/A'} FTE</span>
-                                    ${item.effortBreakdown ? `
-                                        <div class="fte-types">
-                                            ${item.effortBreakdown.ios > 0 ? `<span class="fte-type ios">📱 iOS Dev: ${(item.effortBreakdown.ios / 12).toFixed(1)} FTE</span>` : ''}
-                                            ${item.effortBreakdown.android > 0 ? `<span class="fte-type android">🤖 Android Dev: ${(item.effortBreakdown.android / 12).toFixed(1)} FTE</span>` : ''}
-                                            ${item.effortBreakdown.web > 0 ? `<span class="fte-type web">🌐 Web Dev: ${(item.effortBreakdown.web / 12).toFixed(1)} FTE</span>` : ''}
-                                            ${item.effortBreakdown.backend > 0 ? `<span class="fte-type backend">⚙️ Backend Dev: ${(item.effortBreakdown.backend / 12).toFixed(1)} FTE</span>` : ''}
-                                        </div>
-                                        <div class="missing-skills">
-                                            <small style="color: #ff6b6b; font-weight: bold;">⚠️ Missing skills needed for this project</small>
-                                        </div>
-                                    ` : ''}
-                                </div>
-                            </div>
-                        </div>
-                    </div>
+        ${diff.allocations.length > 0 ? `
+            <h4>📊 Allocation changes</h4>
+            <table class="breakdown-table">
+                ${diff.allocations.map(change => `
+                    <tr>
+                        <td>${change.member}</td>
+                        <td>${change.item}</td>
+                        <td>${percent(change.before)} → ${percent(change.after)}</td>
+                        <td>${renderDelta(Math.round(change.delta * 100), '%')}</td>
+                    </tr>
                 `).join('')}
-            </div>
+            </table>
         ` : ''}
 
-        ${underStaffedItems.length > 0 ? `
-            <div class="section-header" style="margin-top: 1.5rem;">
-                <h3>⚠️ Under-staffed Items (${underStaffedItems.length})</h3>
-            </div>
-            <div class="under-staffed-items">
-                ${underStaffedItems.map(item => `
-                    <div class="under-staffed-item-card">
-                        <div class="item-header">
-                            <h4>📋 ${item.name}</h4>
-                            ${item.team ? `<span class="team-badge" style="background-color: ${getTeamColor(item.team)}">${item.team}</span>` : ''}
-                        </div>
-                        <div class="allocation-progress">
-                            <div class="progress-bar">
-                                <div class="progress-fill" style="width: ${item.requiredCapacity && item.totalAllocation ? (item.totalAllocation / item.requiredCapacity) * 100 : 0}%"></div>
-                            </div>
-                            <small>${item.totalAllocation ? item.totalAllocation.toFixed(2) : 0} / ${item.requiredCapacity ? item.requiredCapacity.toFixed(2) : 'N/A'} FTE (${item.requiredCapacity && item.totalAllocation ? Math.round((item.totalAllocation / item.requiredCapacity) * 100) : 0}%)</small>
-                        </div>
-                    </div>
+        ${diff.items.length > 0 ? `
+            <h4>📋 Items whose status changed</h4>
+            <table class="breakdown-table">
+                ${diff.items.map(change => `
+                    <tr>
+                        <td>${change.item}</td>
+                        <td>${change.before || 'not in run'} → ${change.after || 'not in run'}</td>
+                        <td>${change.allocatedBefore ?? 0} → ${change.allocatedAfter ?? 0} FTE</td>
+                    </tr>
                 `).join('')}
-            </div>
+            </table>
         ` : ''}
+    `;
+}
 
-        <div class="results-summary">
-            <h3>📊 Allocation Summary</h3>
-            <div class="results-grid">
-                <div class="result-stat">
-                    <div class="number">${summary.totalTeamCapacity.toFixed(1)}</div>
-                    <div class="label">Total Capacity</div>
-                </div>
-                <div class="result-stat">
+// Hiring plan: the fewest hypothetical hires that bring every item to at
+// least adequately staffed, with the Optimization tab's options (not saved)
+async function planHiring() {
+    try {
+        showLoading();
+        const plan = await API.post('/hiring-plan', {
+            solver: document.getElementById('optimization-solver').value,
+            teamPolicy: document.getElementById('optimization-team-policy').value,
+            weightsProfile: document.getElementById('weights-profile').value || undefined,
+            weights: readWeightInputs(),
+            maxHires: parseInt(document.getElementById('hiring-max-hires').value, 10)
+        });
+        document.getElementById('hiring-plan').innerHTML = renderHiringPlan(plan);
+    } catch (error) {
+        showError(error.message);
+    } finally {
+        hideLoading();
+    }
+}
+
+function renderHiringPlan(plan) {
+    const { baseline, result } = plan;
+    const staffed = summary => `${summary.staffedCount}/${summary.itemsCount}`;
+
+    return `
+        <p>Items at least adequately staffed: <strong>${staffed(baseline)}</strong> now, <strong>${staffed(result)}</strong> with ${plan.hires.length} hire(s)</p>
+        ${plan.hires.length === 0 ? `<p class="placeholder">${plan.complete
+            ? '✅ Every item is already at least adequately staffed'
+            : '⚠️ No hire would staff more items'}</p>` : `
+            <p>${plan.byRole.map(entry => `<span class="tag skill">${entry.count} × ${entry.role} (${entry.level})</span>`).join(' ')}</p>
+            <div class="table-container">
+                <table class="breakdown-table">
+                    <tr>
+                        <th>Hire</th>
+                        <th>Level</th>
+                        <th>Skills</th>
+                        <th>Team</th>
+                        <th>Items it staffs</th>
+                        <th>Coverage</th>
+                    </tr>
+                    ${plan.hires.map(hire => `
+                        <tr>
+                            <td>${hire.name}</td>
+                            <td>${hire.level}</td>
+                            <td>${hire.skills.map(formatSkill).join(', ')}</td>
+                            <td>${hire.teamName || '—'}</td>
+                            <td>${hire.marginalValue.itemsStaffed.join(', ') || '—'}</td>
+                            <td>${renderDelta(hire.marginalValue.coverage)}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            </div>
+        `}
+        ${plan.complete ? '' : `
+            <p class="carry-over-note">⚠️ Still short: ${result.shortItems.map(short => `${short.item} (${short.status})`).join(', ')}</p>
+        `}
+    `;
+}
+
+// Monte Carlo simulation of effort uncertainty with the Optimization tab's
+// options (not saved)
+async function runSimulation() {
+    try {
+        showLoading();
+        const simulation = await API.post('/optimize/simulate', {
+            solver: document.getElementById('optimization-solver').value,
+            teamPolicy: document.getElementById('optimization-team-policy').value,
+            weightsProfile: document.getElementById('weights-profile').value || undefined,
+            weights: readWeightInputs(),
+            iterations: parseInt(document.getElementById('simulation-iterations').value, 10)
+        });
+        document.getElementById('simulation-results').innerHTML = renderSimulation(simulation);
+    } catch (error) {
+        showError(error.message);
+    } finally {
+        hideLoading();
+    }
+}
+
+function renderSimulation(simulation) {
+    const percent = probability => `${Math.round(probability * 100)}%`;
+    const range = interval => `${interval.p5} – ${interval.p95}`;
+
+    return `
+        ${simulation.estimatedItemsCount === 0
+            ? '<p class="carry-over-note">⚠️ No item has an effort estimate, so every iteration plans the same effort. Add low / likely / high weeks to items to simulate.</p>'
+            : ''}
+        <p>${simulation.iterations} iterations (seed ${simulation.seed}) · utilization ${simulation.utilizationRate.mean}% (90% interval ${range(simulation.utilizationRate)}%) · fully staffed items ${simulation.fullyStaffedCount.mean} (${range(simulation.fullyStaffedCount)})</p>
+        <div class="table-container">
+            <table class="breakdown-table">
+                <tr>
+                    <th>Item</th>
+                    <th>Estimate (weeks)</th>
+                    <th>Sampled effort (90%)</th>
+                    <th>Fully staffed</th>
+                    <th>At least adequately staffed</th>
+                </tr>
+                ${simulation.items.map(item => `
+                    <tr>
+                        <td>${item.item}</td>
+                        <td>${item.estimate ? `${item.estimate.low} / ${item.estimate.likely} / ${item.estimate.high}` : '—'}</td>
+                        <td>${item.effortWeeks ? `${range(item.effortWeeks)}w` : '—'}</td>
+                        <td>${percent(item.probabilityFullyStaffed)}</td>
+                        <td>${percent(item.probabilityStaffed)}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        </div>
+    `;
+}
+
+// Sensitivity of the plan to its scoring weights, with the Optimization
+// tab's options (not saved)
+async function runSensitivity() {
+    try {
+        showLoading();
+        const sensitivity = await API.post('/optimize/sensitivity', {
+            solver: document.getElementById('optimization-solver').value,
+            teamPolicy: document.getElementById('optimization-team-policy').value,
+            weightsProfile: document.getElementById('weights-profile').value || undefined,
+            weights: readWeightInputs(),
+            perturbation: parseFloat(document.getElementById('sensitivity-perturbation').value) / 100
+        });
+        document.getElementById('sensitivity-results').innerHTML = renderSensitivity(sensitivity);
+    } catch (error) {
+        showError(error.message);
+    } finally {
+        hideLoading();
+    }
+}
+
+function renderSensitivity(sensitivity) {
+    const { summary } = sensitivity;
+    const percent = Math.round(sensitivity.perturbation * 100);
+    const runCell = (weight, direction) => {
+        const run = weight.runs.find(r => r.direction === direction);
+        if (!run) return '<td>—</td>';
+        const changes = run.flipped + run.added;
+        return `<td class="${changes > 0 ? 'negative' : ''}" title="Weight ${run.value}">${changes > 0 ? `${run.flipped} dropped, ${run.added} new` : 'no change'}</td>`;
+    };
+    const flipped = sensitivity.assignments.filter(assignment => !assignment.stable);
+
+    return `
+        <p>${summary.stableCount} of ${summary.assignmentsCount} assignment(s) hold when any single weight moves ±${percent}%${summary.mostSensitive.length > 0
+            ? ` · most sensitive to ${summary.mostSensitive.join(', ')}`
+            : ' · the plan does not depend on the exact weights'}</p>
+        <div class="table-container">
+            <table class="breakdown-table">
+                <tr>
+                    <th>Weight</th>
+                    <th>Value</th>
+                    <th>−${percent}%</th>
+                    <th>+${percent}%</th>
+                </tr>
+                ${sensitivity.weights.map(weight => `
+                    <tr>
+                        <td>${weight.weight}</td>
+                        <td>${weight.value}</td>
+                        ${runCell(weight, 'down')}
+                        ${runCell(weight, 'up')}
+                    </tr>
+                `).join('')}
+            </table>
+        </div>
+        ${flipped.length > 0 ? `
+            <h4>Assignments that flip</h4>
+            <div class="table-container">
+                <table class="breakdown-table">
+                    <tr><th>Member</th><th>Item</th><th>Allocation</th><th>Dropped when</th></tr>
+                    ${flipped.map(assignment => `
+                        <tr>
+                            <td>${assignment.member}</td>
+                            <td>${assignment.item}</td>
+                            <td>${Math.round(assignment.allocation * 100)}%</td>
+                            <td>${assignment.flippedBy.join(', ')}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            </div>
+        ` : ''}
+        ${sensitivity.newAssignments.length > 0 ? `
+            <h4>Assignments only a changed weight makes</h4>
+            <div class="table-container">
+                <table class="breakdown-table">
+                    <tr><th>Member</th><th>Item</th><th>Appears when</th></tr>
+                    ${sensitivity.newAssignments.map(assignment => `
+                        <tr>
+                            <td>${assignment.member}</td>
+                            <td>${assignment.item}</td>
+                            <td>${assignment.appearsWith.join(', ')}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            </div>
+        ` : ''}
+    `;
+}
+
+// What-if scenarios
+async function loadScenarios() {
+    try {
+        scenarios = await API.get('/scenarios');
+        renderScenarios();
+    } catch (error) {
+        showError('Failed to load scenarios: ' + error.message);
+    }
+}
+
+function describeChange(change) {
+    switch (change.type) {
+        case 'add-member':
+            return `➕ Hire ${change.count} × ${change.member.name} (${change.member.level}${change.member.skills.length > 0 ? `, ${change.member.skills.map(formatSkill).join(', ')}` : ''})`;
+        case 'remove-member':
+            return `➖ Remove ${change.memberName}`;
+        case 'set-capacity':
+            return `⚖️ ${change.memberName} at ${Math.round(change.capacity * 100)}% capacity`;
+        case 'add-item':
+            return `➕ Add ${change.item.name} (size ${change.item.size ?? 1}, complexity ${change.item.complexity ?? 1})`;
+        case 'remove-item':
+            return `🗑️ Drop ${change.itemName}`;
+        case 'resize-item':
+            return `📏 Resize ${change.itemName} to ${[
+                change.size !== undefined ? `size ${change.size}` : '',
+                change.complexity !== undefined ? `complexity ${change.complexity}` : '',
+                change.effortWeeks !== undefined ? `${change.effortWeeks} weeks` : ''
+            ].filter(Boolean).join(', ')}`;
+        default:
+            return change.type;
+    }
+}
+
+function renderScenarios() {
+    const container = document.getElementById('scenario-list');
+
+    container.innerHTML = scenarios.length === 0
+        ? '<p class="placeholder">No scenarios yet. Add one to see what a hire or a dropped item would change.</p>'
+        : scenarios.map(scenario => `
+            <div class="card scenario-card">
+                <div class="item-header">
+                    <label class="scenario-select">
+                        <input type="checkbox" value="${scenario.id}" checked>
+                        <h4>${scenario.name}</h4>
+                    </label>
+                    <div>
+                        <button class="edit-btn" onclick="showScenarioModal('${scenario.id}')" title="Edit scenario">✏️</button>
+                        <button class="delete-btn" onclick="deleteScenario('${scenario.id}')" title="Delete scenario">×</button>
+                    </div>
+                </div>
+                ${scenario.description ? `<p>${scenario.description}</p>` : ''}
+                <ul>
+                    ${scenario.changes.map(change => `<li>${describeChange(change)}</li>`).join('') || '<li>No changes (same as the current data)</li>'}
+                </ul>
+            </div>
+        `).join('');
+}
+
+function showScenarioModal(id = null) {
+    const scenario = scenarios.find(s => s.id === id);
+
+    editingScenarioId = scenario ? scenario.id : null;
+    scenarioDraft = scenario ? scenario.changes.map(change => ({ ...change })) : [];
+    document.getElementById('scenario-modal-title').textContent = scenario ? `✏️ Edit ${scenario.name}` : '🧪 New Scenario';
+    document.getElementById('scenario-submit-btn').textContent = scenario ? 'Save Changes' : 'Save Scenario';
+    document.getElementById('scenario-name').value = scenario ? scenario.name : '';
+    document.getElementById('scenario-description').value = scenario ? scenario.description : '';
+
+    renderScenarioDraft();
+    renderChangeFields();
+    showModal('scenario-modal');
+}
+
+function renderScenarioDraft() {
+    document.getElementById('scenario-changes').innerHTML = scenarioDraft.length === 0
+        ? '<p class="placeholder">No changes yet</p>'
+        : scenarioDraft.map((change, index) => `
+            <div class="scenario-change">
+                <span>${describeChange(change)}</span>
+                <button type="button" class="delete-btn" onclick="removeScenarioChange(${index})" title="Remove change">×</button>
+            </div>
+        `).join('');
+}
+
+// Inputs for the change type picked in the scenario modal
+function renderChangeFields() {
+    const type = document.getElementById('change-type').value;
+    const memberSelect = `
+        <div class="form-group">
+            <label for="change-member">Member</label>
+            <select id="change-member">${teamMembers.map(m => `<option value="${m.id}">${m.name}</option>`).join('')}</select>
+        </div>`;
+    const itemSelect = `
+        <div class="form-group">
+            <label for="change-item">Roadmap item</label>
+            <select id="change-item">${roadmapItems.map(i => `<option value="${i.id}">${i.name}</option>`).join('')}</select>
+        </div>`;
+    const scaleInput = (id, label, value = '') => `
+        <div class="form-group">
+            <label for="${id}">${label}</label>
+            <input type="number" id="${id}" min="1" max="5" step="1" value="${value}">
+        </div>`;
+
+    const fields = {
+        'add-member': `
+            <div class="form-group">
+                <label for="change-count">How many</label>
+                <input type="number" id="change-count" min="1" max="20" step="1" value="1">
+            </div>
+            <div class="form-group">
+                <label for="change-name">Role</label>
+                <input type="text" id="change-name" placeholder="e.g., Android developer">
+            </div>
+            <div class="form-group">
+                <label for="change-level">Level</label>
+                <select id="change-level">${careerLadder.map(level => `<option value="${level.name}" ${level === defaultLevel() ? 'selected' : ''}>${level.name}</option>`).join('')}</select>
+            </div>
+            <div class="form-group">
+                <label for="change-skills">Skills</label>
+                <input type="text" id="change-skills" placeholder="Android, Kotlin:4">
+            </div>`,
+        'remove-member': memberSelect,
+        'set-capacity': `${memberSelect}
+            <div class="form-group">
+                <label for="change-capacity">Capacity</label>
+                <input type="number" id="change-capacity" min="0" max="1" step="0.1" value="0.5">
+            </div>`,
+        'add-item': `
+            <div class="form-group">
+                <label for="change-name">Name</label>
+                <input type="text" id="change-name" placeholder="e.g., Offline mode">
+            </div>
+            ${scaleInput('change-size', 'Size', 3)}
+            ${scaleInput('change-complexity', 'Complexity', 3)}
+            <div class="form-group">
+                <label for="change-skills">Required skills</label>
+                <input type="text" id="change-skills" placeholder="iOS, Android">
+            </div>`,
+        'remove-item': itemSelect,
+        'resize-item': `${itemSelect}${scaleInput('change-size', 'Size')}${scaleInput('change-complexity', 'Complexity')}
+            <div class="form-group">
+                <label for="change-effort">Total effort (weeks)</label>
+                <input type="number" id="change-effort" min="0.5" step="0.5" placeholder="Scaled with the size">
+            </div>`
+    };
+
+    document.getElementById('change-fields').innerHTML = fields[type];
+}
+
+// Read the change inputs; names are kept for display (the server checks them)
+function readScenarioChange() {
+    const type = document.getElementById('change-type').value;
+    const value = id => document.getElementById(id).value;
+    const scale = id => value(id) === '' ? undefined : parseInt(value(id), 10);
+    const member = () => teamMembers.find(m => m.id === value('change-member'));
+    const item = () => roadmapItems.find(i => i.id === value('change-item'));
+
+    switch (type) {
+        case 'add-member':
+            return {
+                type,
+                count: parseInt(value('change-count'), 10),
+                member: { name: value('change-name'), level: value('change-level'), skills: parseCommaSeparated(value('change-skills')) }
+            };
+        case 'remove-member':
+            return member() && { type, memberId: member().id, memberName: member().name };
+        case 'set-capacity':
+            return member() && { type, memberId: member().id, memberName: member().name, capacity: parseFloat(value('change-capacity')) };
+        case 'add-item':
+            return {
+                type,
+                item: { name: value('change-name'), size: scale('change-size'), complexity: scale('change-complexity'), requiredSkills: parseCommaSeparated(value('change-skills')) }
+            };
+        case 'remove-item':
+            return item() && { type, itemId: item().id, itemName: item().name };
+        case 'resize-item':
+            return item() && {
+                type,
+                itemId: item().id,
+                itemName: item().name,
+                size: scale('change-size'),
+                complexity: scale('change-complexity'),
+                effortWeeks: value('change-effort') === '' ? undefined : parseFloat(value('change-effort'))
+            };
+    }
+}
+
+function addScenarioChange() {
+    const change = readScenarioChange();
+    if (!change) {
+        showError('Pick a member or item first');
+        return;
+    }
+    if (change.type === 'add-member' && !change.member.name.trim()) {
+        showError('Give the new hires a role name');
+        return;
+    }
+
+    scenarioDraft.push(change);
+    renderScenarioDraft();
+}
+
+function removeScenarioChange(index) {
+    scenarioDraft.splice(index, 1);
+    renderScenarioDraft();
+}
+
+async function saveScenario() {
+    const data = {
+        name: document.getElementById('scenario-name').value,
+        description: document.getElementById('scenario-description').value,
+        changes: scenarioDraft
+    };
+
+    try {
+        if (editingScenarioId) {
+            await API.put(`/scenarios/${editingScenarioId}`, data);
+        } else {
+            await API.post('/scenarios', data);
+        }
+        closeModal('scenario-modal');
+        await loadScenarios();
+        showSuccess('Scenario saved successfully');
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+async function deleteScenario(id) {
+    if (!confirm('Are you sure you want to delete this scenario?')) return;
+
+    try {
+        await API.delete(`/scenarios/${id}`);
+        await loadScenarios();
+        showSuccess('Scenario deleted successfully');
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Optimize the current data and the checked scenarios with the Optimization tab's options
+async function runScenarios() {
+    const scenarioIds = [...document.querySelectorAll('.scenario-select input:checked')].map(input => input.value);
+    if (scenarioIds.length === 0) {
+        showError('Select at least one scenario to run');
+        return;
+    }
+
+    try {
+        showLoading();
+        const result = await API.post('/scenarios/run', {
+            scenarioIds,
+            solver: document.getElementById('optimization-solver').value,
+            teamPolicy: document.getElementById('optimization-team-policy').value,
+            weightsProfile: document.getElementById('weights-profile').value || undefined,
+            weights: readWeightInputs(),
+            quarters: parseInt(document.getElementById('optimization-quarters').value, 10)
+        });
+        document.getElementById('scenario-results').innerHTML = renderScenarioResults(result);
+    } catch (error) {
+        showError(error.message);
+    } finally {
+        hideLoading();
+    }
+}
+
+// Summary metrics of the current data and every scenario side by side, then what changes in each
+function renderScenarioResults(result) {
+    const baseline = result.baseline.report.summary;
+
+    return `
+        <div class="section-header">
+            <h3>📊 Side by Side</h3>
+        </div>
+        <div class="table-container">
+            <table class="breakdown-table scenario-table">
+                <tr>
+                    <th></th>
+                    <th>Current data</th>
+                    ${result.scenarios.map(scenario => `<th>${scenario.name}</th>`).join('')}
+                </tr>
+                ${Object.entries(DIFF_METRIC_LABELS).map(([metric, label]) => `
+                    <tr>
+                        <td>${label}</td>
+                        <td>${baseline[metric] ?? '—'}</td>
+                        ${result.scenarios.map(scenario => scenario.error ? '<td>—</td>' : `
+                            <td>${scenario.report.summary[metric] ?? '—'} ${scenario.diff.summary[metric] && scenario.diff.summary[metric].delta !== null ? renderDelta(scenario.diff.summary[metric].delta) : ''}</td>
+                        `).join('')}
+                    </tr>
+                `).join('')}
+            </table>
+        </div>
+
+        ${result.scenarios.map(scenario => `
+            <details class="card run-diff scenario-diff">
+                <summary>What changes in ${scenario.name}</summary>
+                ${scenario.warnings.map(warning => `<p class="carry-over-note">⚠️ ${warning}</p>`).join('')}
+                ${scenario.error ? `<p class="placeholder">❌ ${scenario.error}</p>` : renderRunDiff(scenario.diff)}
+            </details>
+        `).join('')}
+    `;
+}
+
+// Skills taxonomy
+async function loadSkills() {
+    try {
+        const [skills, duplicates] = await Promise.all([API.get('/skills'), API.get('/skills/duplicates')]);
+        skillTaxonomy = skills;
+        renderSkills();
+        renderSkillDuplicates(duplicates);
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+function renderSkills() {
+    const sorted = [...skillTaxonomy].sort((a, b) => a.name.localeCompare(b.name));
+    document.getElementById('skill-names').innerHTML = sorted.map(skill => `<option value="${skill.name}">`).join('');
+    document.getElementById('skills-table-body').innerHTML = sorted.map(skill => `
+        <tr>
+            <td><strong>${skill.name}</strong></td>
+            <td>${skill.aliases.join(', ')}</td>
+            <td>${skill.parent || ''}</td>
+            <td>${skill.platforms.map(platformLabel).join(', ')}</td>
+            <td class="actions-cell">
+                <button class="availability-btn" onclick="editSkill('${encodeURIComponent(skill.name)}')" title="Edit skill">✏️</button>
+                <button class="table-delete-btn" onclick="deleteSkill('${encodeURIComponent(skill.name)}')" title="Delete skill">Delete</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+function renderSkillDuplicates(duplicates) {
+    const container = document.getElementById('skill-duplicates');
+    if (duplicates.length === 0) {
+        container.innerHTML = '<p class="placeholder">No duplicate skills found</p>';
+        return;
+    }
+
+    container.innerHTML = duplicates.map((group, index) => `
+        <div class="skill-duplicate" data-variants="${encodeURIComponent(JSON.stringify(group.variants))}">
+            <span>${group.variants.join(', ')}</span>
+            <span>→</span>
+            <input type="text" value="${group.canonical}" list="skill-names" id="skill-merge-${index}">
+            <button class="btn btn-secondary" onclick="mergeSkillGroup(${index})">🔀 Merge</button>
+        </div>
+    `).join('');
+}
+
+async function mergeSkillGroup(index) {
+    const row = document.querySelectorAll('.skill-duplicate')[index];
+    const from = JSON.parse(decodeURIComponent(row.dataset.variants));
+    const into = document.getElementById(`skill-merge-${index}`).value.trim();
+    if (!into) {
+        showError('Please enter the skill to merge into');
+        return;
+    }
+
+    try {
+        await API.post('/skills/merge', { from, into });
+        showSuccess(`Merged ${from.join(', ')} into ${into}`);
+        await Promise.all([loadSkills(), loadTeamMembers(), loadRoadmapItems()]);
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+function editSkill(encodedName) {
+    const skill = skillTaxonomy.find(s => s.name === decodeURIComponent(encodedName));
+    if (!skill) return;
+
+    document.getElementById('skill-name').value = skill.name;
+    document.getElementById('skill-aliases').value = skill.aliases.join(', ');
+    document.getElementById('skill-parent').value = skill.parent || '';
+    document.getElementById('skill-platforms').value = skill.platforms.join(', ');
+}
+
+async function saveSkill() {
+    const parent = document.getElementById('skill-parent').value.trim();
+    const data = {
+        name: document.getElementById('skill-name').value,
+        aliases: parseCommaSeparated(document.getElementById('skill-aliases').value),
+        platforms: parseCommaSeparated(document.getElementById('skill-platforms').value.toLowerCase()),
+        parent: parent || null
+    };
+
+    try {
+        const skill = await API.post('/skills', data);
+        document.getElementById('skill-form').reset();
+        showSuccess(`Skill "${skill.name}" saved`);
+        await loadSkills();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+async function deleteSkill(encodedName) {
+    const name = decodeURIComponent(encodedName);
+    if (!confirm(`Delete skill "${name}" from the taxonomy?`)) return;
+
+    try {
+        await API.delete(`/skills/${encodeURIComponent(name)}`);
+        await loadSkills();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Disciplines (iOS, Android, Web, Backend, QA, ...)
+async function loadDisciplines() {
+    try {
+        disciplines = await API.get('/disciplines');
+        renderDisciplines();
+        renderRoadmapItems();
+    } catch (error) {
+        console.error('Failed to load disciplines:', error);
+    }
+}
+
+function renderDisciplines() {
+    document.getElementById('disciplines-table-body').innerHTML = disciplines.map(discipline => `
+        <tr>
+            <td><strong>${platformLabel(discipline.id)}</strong> <small>(${discipline.id})</small></td>
+            <td>${discipline.role}</td>
+            <td>${discipline.category || ''}</td>
+            <td>${discipline.columns.join(', ')}</td>
+            <td class="actions-cell">
+                <button class="availability-btn" onclick="editDiscipline('${discipline.id}')" title="Edit discipline">✏️</button>
+                <button class="table-delete-btn" onclick="deleteDiscipline('${discipline.id}')" title="Delete discipline">Delete</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+function editDiscipline(id) {
+    const discipline = disciplines.find(d => d.id === id);
+    if (!discipline) return;
+
+    document.getElementById('discipline-id').value = discipline.id;
+    document.getElementById('discipline-name').value = discipline.name;
+    document.getElementById('discipline-icon').value = discipline.icon || '';
+    document.getElementById('discipline-role').value = discipline.role;
+    document.getElementById('discipline-category').value = discipline.category || '';
+    document.getElementById('discipline-columns').value = discipline.columns.join(', ');
+}
+
+async function saveDiscipline() {
+    const data = {
+        id: document.getElementById('discipline-id').value.trim(),
+        name: document.getElementById('discipline-name').value,
+        icon: document.getElementById('discipline-icon').value,
+        role: document.getElementById('discipline-role').value,
+        category: document.getElementById('discipline-category').value.trim() || null,
+        columns: parseCommaSeparated(document.getElementById('discipline-columns').value)
+    };
+
+    try {
+        const discipline = await API.post('/disciplines', data);
+        document.getElementById('discipline-form').reset();
+        showSuccess(`Discipline "${discipline.name}" saved`);
+        await loadDisciplines();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+async function deleteDiscipline(id) {
+    if (!confirm(`Delete discipline "${platformLabel(id)}"? Items keep their effort for it.`)) return;
+
+    try {
+        await API.delete(`/disciplines/${id}`);
+        await loadDisciplines();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Career ladder
+async function loadCareerLadder() {
+    try {
+        careerLadder = await API.get('/career-ladder');
+        renderLevelOptions();
+        renderCareerLadder();
+    } catch (error) {
+        console.error('Failed to load career ladder:', error);
+    }
+}
+
+// Level new members get: the IC level closest to Mid (weight 1.0)
+function defaultLevel() {
+    const ic = careerLadder.filter(level => level.track === 'ic');
+    const pool = ic.length > 0 ? ic : careerLadder;
+    return pool.reduce((best, level) =>
+        !best || Math.abs(level.weight - 1) < Math.abs(best.weight - 1) ? level : best, null);
+}
+
+function renderLevelOptions() {
+    const options = careerLadder.map(level =>
+        `<option value="${level.name}">${level.name}${level.track === 'manager' ? ' (manager)' : ''}</option>`).join('');
+    document.getElementById('member-level').innerHTML = options;
+    document.getElementById('item-min-level').innerHTML = options;
+}
+
+function renderCareerLadder() {
+    document.getElementById('career-ladder-body').innerHTML = careerLadder.map((level, index) => `
+        <tr data-index="${index}">
+            <td><input type="text" class="ladder-name" value="${level.name}" required></td>
+            <td><input type="number" class="ladder-weight" min="0.1" step="0.1" value="${level.weight}"></td>
+            <td>
+                <select class="ladder-track">
+                    <option value="ic" ${level.track === 'ic' ? 'selected' : ''}>IC</option>
+                    <option value="manager" ${level.track === 'manager' ? 'selected' : ''}>Manager</option>
+                </select>
+            </td>
+            <td><input type="number" class="ladder-overhead" min="0" max="95" step="5" value="${Math.round(level.capacityOverhead * 100)}"></td>
+            <td class="actions-cell">
+                <button type="button" class="table-delete-btn" onclick="removeLadderLevel(${index})" title="Remove level">Remove</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Levels as currently entered in the ladder table
+function readCareerLadder() {
+    return Array.from(document.querySelectorAll('#career-ladder-body tr'), row => ({
+        name: row.querySelector('.ladder-name').value.trim(),
+        weight: parseFloat(row.querySelector('.ladder-weight').value),
+        track: row.querySelector('.ladder-track').value,
+        capacityOverhead: (parseFloat(row.querySelector('.ladder-overhead').value) || 0) / 100
+    }));
+}
+
+function addLadderLevel() {
+    const levels = readCareerLadder();
+    const top = levels[levels.length - 1];
+    careerLadder = [...levels, { name: '', weight: top ? top.weight + 0.2 : 1, track: 'ic', capacityOverhead: 0 }];
+    renderCareerLadder();
+}
+
+function removeLadderLevel(index) {
+    careerLadder = readCareerLadder().filter((_, i) => i !== index);
+    renderCareerLadder();
+}
+
+async function saveCareerLadder() {
+    try {
+        careerLadder = await API.put('/career-ladder', { levels: readCareerLadder() });
+        renderLevelOptions();
+        renderCareerLadder();
+        showSuccess('Career ladder saved');
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Scoring weights profiles
+async function loadWeightProfiles(selectedId) {
+    try {
+        weightProfiles = await API.get('/weight-profiles');
+        const select = document.getElementById('weights-profile');
+        const current = selectedId || select.value || 'default';
+        select.innerHTML = weightProfiles.map(profile =>
+            `<option value="${profile.id}">${profile.name}${profile.builtIn ? ' (built-in)' : ''}</option>`
+        ).join('');
+        select.value = weightProfiles.some(p => p.id === current) ? current : 'default';
+        selectWeightsProfile(select.value);
+    } catch (error) {
+        console.error('Failed to load weight profiles:', error);
+    }
+}
+
+function selectWeightsProfile(profileId) {
+    const profile = weightProfiles.find(p => p.id === profileId);
+    if (!profile) return;
+
+    document.getElementById('weights-profile-name').value = profile.builtIn ? '' : profile.name;
+    document.getElementById('weights-inputs').innerHTML = Object.entries(WEIGHT_LABELS).map(([key, label]) => `
+        <label class="weight-input">
+            <span>${label}</span>
+            <input type="number" min="0" step="1" data-weight="${key}" value="${profile.weights[key]}">
+        </label>
+    `).join('');
+}
+
+function readWeightInputs() {
+    const weights = {};
+    document.querySelectorAll('#weights-inputs input[data-weight]').forEach(input => {
+        weights[input.dataset.weight] = parseFloat(input.value) || 0;
+    });
+    return weights;
+}
+
+async function saveWeightsProfile() {
+    const name = document.getElementById('weights-profile-name').value.trim();
+    if (!name) {
+        showError('Please enter a profile name');
+        return;
+    }
+
+    try {
+        const profile = await API.post('/weight-profiles', { name, weights: readWeightInputs() });
+        await loadWeightProfiles(profile.id);
+        showSuccess(`Weights profile "${profile.name}" saved`);
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+async function deleteWeightsProfile() {
+    const select = document.getElementById('weights-profile');
+    const profile = weightProfiles.find(p => p.id === select.value);
+    if (!profile || profile.builtIn) {
+        showError('The default profile cannot be deleted');
+        return;
+    }
+    if (!confirm(`Delete weights profile "${profile.name}"?`)) return;
+
+    try {
+        await API.delete(`/weight-profiles/${profile.id}`);
+        await loadWeightProfiles('default');
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Quarter selector and item-by-quarter progress of a multi-quarter plan
+function renderRollingPlan(rollingPlan) {
+    const statusIcons = {
+        'fully-staffed': '✅',
+        'adequately-staffed': '🔵',
+        'under-staffed': '⚠️',
+        'not-staffed': '❌'
+    };
+    const selected = rollingPlan.quarters[selectedQuarter];
+
+    return `
+        <div class="section-header">
+            <h3>🗓️ Rolling Plan (${rollingPlan.quarterCount} quarters)</h3>
+            <div class="quarter-tabs">
+                ${rollingPlan.quarters.map((q, index) => `
+                    <button class="btn ${index === selectedQuarter ? 'btn-primary' : 'btn-secondary'}" onclick="selectQuarter(${index})">${q.label}</button>
+                `).join('')}
+            </div>
+        </div>
+        <div class="card">
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Item</th>
+                        ${rollingPlan.quarters.map(q => `<th>${q.label}</th>`).join('')}
+                        <th>Done</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rollingPlan.items.map(item => `
+                        <tr>
+                            <td><strong>${item.name}</strong></td>
+                            ${rollingPlan.quarters.map(q => {
+                                const entry = item.quarters.find(iq => iq.quarter === q.quarter);
+                                return entry
+                                    ? `<td>${statusIcons[entry.status] || ''} ${entry.allocatedFTE.toFixed(2)} FTE <small>(${Math.round((1 - entry.remainingShareAfter) * 100)}% done)</small></td>`
+                                    : '<td>—</td>';
+                            }).join('')}
+                            <td>${item.completedIn ? rollingPlan.quarters[item.completedIn - 1].label : '<span style="color: #dc3545;">Open</span>'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${selected.carryOver.length > 0 ? `
+                <p class="carry-over-note">↪️ Carried over after ${selected.label}: ${selected.carryOver.map(c => `${c.item} (${Math.round(c.remainingShare * 100)}% left)`).join(', ')}</p>
+            ` : ''}
+        </div>
+    `;
+}
+
+function selectQuarter(index) {
+    selectedQuarter = index;
+    renderOptimizationResults();
+}
+
+// Per-platform fill ratios of an item; the weakest platform sets its status
+function renderPlatformStaffing(item) {
+    if (!item.platformStaffing || item.platformStaffing.length === 0) return '';
+
+    return `
+        <div class="platform-staffing">
+            ${item.platformStaffing.map(p => `
+                <div class="platform-fill">
+                    <span class="platform-fill-label">${platformLabel(p.platform)}</span>
+                    <div class="progress-bar">
+                        <div class="progress-fill" style="width: ${Math.min(100, p.fillRatio * 100)}%"></div>
+                    </div>
+                    <small>${p.allocated.toFixed(2)} / ${p.required.toFixed(2)} FTE (${Math.round(p.fillRatio * 100)}%)</small>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// What a replan changed against its baseline run
+function renderStability(stability) {
+    if (!stability) return '';
+
+    return `
+        <div class="section-header" style="margin-top: 1.5rem;">
+            <h3>♻️ Replan Stability</h3>
+        </div>
+        <div class="card">
+            <p>Kept <strong>${stability.keptCount}</strong> of ${stability.baselineCount} baseline assignment(s) (churn penalty ${stability.churnPenalty})</p>
+            ${stability.moved.length > 0 ? `
+                <h4>Moved off an item</h4>
+                <table class="data-table">
+                    <thead>
+                        <tr><th>Member</th><th>Item</th><th>Before</th><th>After</th></tr>
+                    </thead>
+                    <tbody>
+                        ${stability.moved.map(move => `
+                            <tr>
+                                <td><strong>${move.member}</strong></td>
+                                <td>${move.item}</td>
+                                <td>${Math.round(move.before * 100)}%</td>
+                                <td>${Math.round(move.after * 100)}%</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+            ${stability.added.length > 0 ? `
+                <h4>New assignments</h4>
+                <p>${stability.added.map(add => `${add.member} → ${add.item} (${Math.round(add.allocation * 100)}%)`).join(', ')}</p>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Week-by-week Gantt timeline: one bar per scheduled item, then each member's weekly load
+function renderSchedule(schedule) {
+    if (!schedule || schedule.items.length === 0) return '';
+
+    const weekCount = schedule.weeks.length;
+    const barCells = entry => schedule.weeks.map(({ week }) => {
+        const classes = ['gantt-cell'];
+        if (entry.startWeek !== null && week >= entry.startWeek && week <= entry.endWeek) classes.push('gantt-bar');
+        if (entry.targetWeek === week) classes.push('gantt-target');
+        return `<td class="${classes.join(' ')}"></td>`;
+    }).join('');
+    const loadCell = ({ fte, capacity, items }) => `
+        <td class="gantt-cell gantt-load${fte > 1 ? ' over' : ''}${capacity === 0 ? ' away' : ''}" title="${[`Available: ${Math.round(capacity * 100)}%`, ...items.map(i => `${i.item}: ${Math.round(i.fte * 100)}%`)].join('\n')}">
+            ${fte > 0 ? Math.round(fte * 100) : ''}
+        </td>
+    `;
+
+    return `
+        <div class="section-header" style="margin-top: 1.5rem;">
+            <h3>📅 Timeline (from ${schedule.startDate})</h3>
+        </div>
+        <div class="card gantt">
+            <table class="gantt-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        ${schedule.weeks.map(w => `<th title="${w.startDate}">W${w.week}</th>`).join('')}
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${schedule.items.map(entry => `
+                        <tr>
+                            <td class="gantt-label"><strong>${entry.item}</strong>${entry.startWeek !== null ? ` <small>${entry.startDate} → ${entry.endDate}</small>` : ' <small>unscheduled</small>'}</td>
+                            ${barCells(entry)}
+                            <td>${entry.endWeek > weekCount ? `<span class="gantt-overflow" title="Runs until week ${entry.endWeek}">▶ W${entry.endWeek}</span>` : ''}</td>
+                        </tr>
+                    `).join('')}
+                    <tr class="gantt-divider"><td colspan="${weekCount + 2}">Weekly load (% FTE)</td></tr>
+                    ${schedule.members.map(member => `
+                        <tr>
+                            <td class="gantt-label">${member.member}</td>
+                            ${member.weeks.map(loadCell).join('')}
+                            <td></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${schedule.warnings.length > 0 ? `
+                <ul class="gantt-warnings">
+                    ${schedule.warnings.map(w => `<li>${w.message}</li>`).join('')}
+                </ul>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Itemized explanation of an allocation score
+function renderScoreBreakdown(breakdown) {
+    const { skills, platforms, interest, careerGoal, level, priority, efficiency } = breakdown;
+    const rows = [
+        ['Skills', skills.points, skills.matched.length > 0 ? `Matched ${skills.matched.join(', ')}` : 'No required skills matched',
+            [skills.belowMinimum && skills.belowMinimum.length > 0 ? `Below minimum ${skills.belowMinimum.join(', ')}` : '',
+                skills.missing.length > 0 ? `Missing ${skills.missing.join(', ')}` : ''].filter(Boolean).join('; ')],
+        ...platforms.perPlatform.map(p => [`Platform: ${p.platform}`, p.points,
+            `${Math.round(p.effortShare * 100)}% of effort`, p.matched ? '' : 'No matching skill']),
+        ...(platforms.fullStackPoints > 0 ? [['Full-stack', platforms.fullStackPoints, 'Multi-platform project', '']] : []),
+        ['Interest', interest.points, interest.matched ? `Interested in ${interest.domain}` : 'No interest match', ''],
+        ['Career goal', careerGoal.points, careerGoal.matched.length > 0 ? careerGoal.matched.join(', ') : 'No career goal match', ''],
+        ['Level', level.points, `${level.memberLevel} vs minimum ${level.minLevel}`, level.meetsMinimum ? '' : 'Under-leveled'],
+        ...(level.seniorOnComplexPoints > 0 ? [['Senior on complex', level.seniorOnComplexPoints, 'Complexity 4+', '']] : []),
+        ['Priority', priority.points, `Priority ${priority.value}`, ''],
+        ['Efficiency', efficiency.points, `${Math.round(efficiency.allocation * 100)}% allocation`, '']
+    ];
+
+    return `
+        <table class="breakdown-table">
+            ${rows.map(([factor, points, detail, note]) => `
+                <tr>
+                    <td>${factor}</td>
+                    <td class="${points < 0 ? 'negative' : points > 0 ? 'positive' : ''}">${points >= 0 ? '+' : ''}${points.toFixed(1)}</td>
+                    <td>${detail}${note ? ` <small>(${note})</small>` : ''}</td>
+                </tr>
+            `).join('')}
+            <tr class="breakdown-total">
+                <td>Total</td>
+                <td>${breakdown.total.toFixed(1)}</td>
+                <td></td>
+            </tr>
+        </table>
+    `;
+}
+
+function renderOptimizationResults() {
+    const container = document.getElementById('optimization-results');
+    
+    if (!optimizationResults) {
+        container.innerHTML = '<p class="placeholder">Run people allocation to see quarterly results here</p>';
+        return;
+    }
+
+    // Multi-quarter plans show one quarter's report at a time
+    const rollingPlan = optimizationResults.rollingPlan;
+    const report = rollingPlan ? rollingPlan.quarters[selectedQuarter].report : optimizationResults;
+    const { summary, allocations, teamMembers: resultMembers, roadmapItems: resultItems, recommendations, itemsByStatus, crossTeamLoans = [] } = report;
+
+    // Get unstaffed and under-staffed items
+    const unstaffedItems = itemsByStatus ? itemsByStatus['not-staffed'] || [] : [];
+    const underStaffedItems = itemsByStatus ? itemsByStatus['under-staffed'] || [] : [];
+
+    container.innerHTML = `
+        ${optimizationResults.createdAt ? `<p class="carry-over-note">Run of ${new Date(optimizationResults.createdAt).toLocaleString()}</p>` : ''}
+        ${rollingPlan ? renderRollingPlan(rollingPlan) : ''}
+
+        ${recommendations.length > 0 ? `
+            <div class="section-header">
+                <h3>💡 Recommendations & Issues</h3>
+            </div>
+            <div class="card recommendations-card">
+                <ul>
+                    ${recommendations.map(rec => `<li>${rec}</li>`).join('')}
+                </ul>
+            </div>
+        ` : ''}
+
+        ${unstaffedItems.length > 0 ? `
+            <div class="section-header" style="margin-top: 1.5rem;">
+                <h3>❌ Unstaffed Items (${unstaffedItems.length})</h3>
+            </div>
+            <div class="unstaffed-items">
+                ${unstaffedItems.map(item => `
+                    <div class="unstaffed-item-card">
+                        <div class="item-header">
+                            <h4>📋 ${item.name}</h4>
+                            ${item.assignedTeam ? `<span class="team-badge" style="background-color: ${getTeamColor(item.assignedTeam)}">${item.assignedTeam}</span>` : ''}
+                        </div>
+                        <div class="item-details">
+                            ${item.effortBreakdown ? `
+                                <div class="effort-summary">
+                                    <div class="platform-requirements">
+                                        ${effortEntries(item).map(({ id, weeks }) => `<span class="platform-req">${platformLabel(id)}: ${weeks}w</span>`).join('')}
+                                    </div>
+                                    <div class="total-effort">Total: ${item.effortBreakdown.total} weeks</div>
+                                </div>
+                            ` : ''}
+                            <div class="required-capacity">
+                                <div class="capacity-breakdown">
+                                    <span class="capacity-total">Required: ${item.requiredCapacity ? item.requiredCapacity.toFixed(2) : 'N/A'} FTE</span>
+                                    ${item.effortBreakdown ? `
+                                        <div class="fte-types">
+                                            ${effortEntries(item).map(({ id, weeks }) => `<span class="fte-type ${id}">${platformLabel(id)}: ${(weeks / 12).toFixed(1)} FTE</span>`).join('')}
+                                        </div>
+                                        <div class="missing-skills">
+                                            <small style="color: #ff6b6b; font-weight: bold;">⚠️ Missing skills needed for this project</small>
+                                        </div>
+                                    ` : ''}
+                                </div>
+                            </div>
+                            ${renderPlatformStaffing(item)}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        ` : ''}
+
+        ${underStaffedItems.length > 0 ? `
+            <div class="section-header" style="margin-top: 1.5rem;">
+                <h3>⚠️ Under-staffed Items (${underStaffedItems.length})</h3>
+            </div>
+            <div class="under-staffed-items">
+                ${underStaffedItems.map(item => `
+                    <div class="under-staffed-item-card">
+                        <div class="item-header">
+                            <h4>📋 ${item.name}</h4>
+                            ${item.assignedTeam ? `<span class="team-badge" style="background-color: ${getTeamColor(item.assignedTeam)}">${item.assignedTeam}</span>` : ''}
+                        </div>
+                        <div class="allocation-progress">
+                            <div class="progress-bar">
+                                <div class="progress-fill" style="width: ${item.requiredCapacity && item.totalAllocation ? (item.totalAllocation / item.requiredCapacity) * 100 : 0}%"></div>
+                            </div>
+                            <small>${item.totalAllocation ? item.totalAllocation.toFixed(2) : 0} / ${item.requiredCapacity ? item.requiredCapacity.toFixed(2) : 'N/A'} FTE (${item.requiredCapacity && item.totalAllocation ? Math.round((item.totalAllocation / item.requiredCapacity) * 100) : 0}%)</small>
+                        </div>
+                        ${renderPlatformStaffing(item)}
+                    </div>
+                `).join('')}
+            </div>
+        ` : ''}
+
+        ${crossTeamLoans.length > 0 ? `
+            <div class="section-header" style="margin-top: 1.5rem;">
+                <h3>🔁 Cross-team Loans (${crossTeamLoans.length})</h3>
+            </div>
+            <div class="card">
+                <table class="data-table">
+                    <thead>
+                        <tr><th>Member</th><th>From Team</th><th>To Team</th><th>Item</th><th>Allocation</th></tr>
+                    </thead>
+                    <tbody>
+                        ${crossTeamLoans.map(loan => `
+                            <tr>
+                                <td><strong>${loan.member}</strong></td>
+                                <td><span class="team-cell" style="background-color: ${getTeamColor(loan.fromTeam)}">${loan.fromTeam}</span></td>
+                                <td><span class="team-cell" style="background-color: ${getTeamColor(loan.toTeam)}">${loan.toTeam}</span></td>
+                                <td>${loan.item}</td>
+                                <td>${Math.round(loan.allocation * 100)}%</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        ` : ''}
+
+        ${renderStability(report.stability)}
+
+        ${renderSchedule(report.schedule)}
+
+        <div class="results-summary">
+            <h3>📊 Allocation Summary</h3>
+            <div class="results-grid">
+                <div class="result-stat">
+                    <div class="number">${summary.totalTeamCapacity.toFixed(1)}</div>
+                    <div class="label">Total Capacity</div>
+                </div>
+                <div class="result-stat">
                     <div class="number">${summary.totalAllocatedCapacity.toFixed(1)}</div>
                     <div class="label">Allocated</div>
                 </div>
@@ -649,6 +2170,16 @@ function renderOptimizationResults() {
                     <div class="number">${Math.round((summary.totalAllocatedCapacity / summary.totalTeamCapacity) * 100)}%</div>
                     <div class="label">Utilization</div>
                 </div>
+                <div class="result-stat">
+                    <div class="number">${summary.objective !== undefined ? summary.objective.toFixed(1) : 'N/A'}</div>
+                    <div class="label">Objective (${summary.solver || 'greedy'})</div>
+                </div>
+                ${report.weights ? `
+                    <div class="result-stat">
+                        <div class="number">⚖️</div>
+                        <div class="label">Weights: ${report.weights.profile}</div>
+                    </div>
+                ` : ''}
             </div>
         </div>
 
@@ -660,8 +2191,8 @@ function renderOptimizationResults() {
             ${allocations.map(allocation => `
                 <div class="assignment-card">
                     <div class="member-info">
-                        <h4>👤 ${allocation.member}</h4>
-                        <p>Allocation: ${Math.round(allocation.allocation * 100)}%</p>
+                        <h4>👤 ${allocation.member}${allocation.pinned ? ' <span class="pinned-badge" title="Pinned assignment">📌 Pinned</span>' : ''}</h4>
+                        <p>Allocation: ${Math.round(allocation.allocation * 100)}%${allocation.platforms && Object.keys(allocation.platforms).length > 0 ? ` (${Object.entries(allocation.platforms).map(([platform, fte]) => `${platformLabel(platform)} ${Math.round(fte * 100)}%`).join(', ')})` : ''}</p>
                         <div class="allocation-bar">
                             <div class="allocation-fill" style="width: ${allocation.allocation * 100}%"></div>
                         </div>
@@ -670,6 +2201,12 @@ function renderOptimizationResults() {
                         <h4>📋 ${allocation.item}</h4>
                         <p>Score: ${allocation.score.toFixed(1)}</p>
                         <small style="color: #6c757d;">Match quality: ${allocation.score > 70 ? 'Excellent' : allocation.score > 50 ? 'Good' : 'Fair'}</small>
+                        ${allocation.breakdown ? `
+                            <details class="score-breakdown">
+                                <summary>why?</summary>
+                                ${renderScoreBreakdown(allocation.breakdown)}
+                            </details>
+                        ` : ''}
                     </div>
                 </div>
             `).join('')}
@@ -686,16 +2223,122 @@ function closeModal(modalId) {
     document.getElementById(modalId).style.display = 'none';
 }
 
+// The add member and add item modals double as edit modals; these hold the
+// id of the record being edited (null when adding)
+let editingMemberId = null;
+let editingItemId = null;
+
 function showAddMemberModal() {
+    editingMemberId = null;
     document.getElementById('add-member-form').reset();
+    document.getElementById('member-modal-title').textContent = '➕ Add Team Member';
+    document.getElementById('member-submit-btn').textContent = 'Add Member';
+    const level = defaultLevel();
+    if (level) {
+        document.getElementById('member-level').value = level.name;
+        document.getElementById('member-capacity').value = (1 - level.capacityOverhead).toFixed(1);
+    }
     showModal('add-member-modal');
 }
 
-function showAddItemModal() {
+function showEditMemberModal(id) {
+    const member = teamMembers.find(m => m.id === id);
+    if (!member) return;
+
+    showAddMemberModal();
+    editingMemberId = id;
+    document.getElementById('member-modal-title').textContent = `✏️ Edit ${member.name}`;
+    document.getElementById('member-submit-btn').textContent = 'Save Changes';
+
+    // Levels no longer on the ladder stay selectable for this member
+    const levelSelect = document.getElementById('member-level');
+    if (!careerLadder.some(level => level.name === member.level)) {
+        levelSelect.insertAdjacentHTML('beforeend', `<option value="${member.level}">${member.level}</option>`);
+    }
+    levelSelect.value = member.level;
+    document.getElementById('member-name').value = member.name;
+    document.getElementById('member-skills').value = (member.skills || []).map(skillInputValue).join(', ');
+    document.getElementById('member-capacity').value = member.capacity ?? 1.0;
+    document.getElementById('member-interests').value = (member.interests || []).join(', ');
+    document.getElementById('member-career-goals').value = (member.careerGoals || []).join(', ');
+}
+
+function showAddItemModal(editing = null) {
+    editingItemId = null;
     document.getElementById('add-item-form').reset();
+    document.getElementById('item-modal-title').textContent = '➕ Add Roadmap Item';
+    document.getElementById('item-submit-btn').textContent = 'Add Item';
+    document.getElementById('item-depends-on').innerHTML = roadmapItems
+        .filter(item => !editing || item.id !== editing.id)
+        .map(item => `<option value="${item.id}">${item.name}</option>`)
+        .join('');
+    document.getElementById('item-effort').innerHTML = disciplines.map(discipline => `
+        <label class="weight-input">
+            <span>${platformLabel(discipline.id)}</span>
+            <input type="number" min="0" step="0.5" data-discipline="${discipline.id}" placeholder="0">
+        </label>
+    `).join('');
     showModal('add-item-modal');
 }
 
+function showEditItemModal(id) {
+    const item = roadmapItems.find(i => i.id === id);
+    if (!item) return;
+
+    showAddItemModal(item);
+    editingItemId = id;
+    document.getElementById('item-modal-title').textContent = `✏️ Edit ${item.name}`;
+    document.getElementById('item-submit-btn').textContent = 'Save Changes';
+
+    const minLevelSelect = document.getElementById('item-min-level');
+    if (!careerLadder.some(level => level.name === item.minLevel)) {
+        minLevelSelect.insertAdjacentHTML('beforeend', `<option value="${item.minLevel}">${item.minLevel}</option>`);
+    }
+    minLevelSelect.value = item.minLevel;
+    document.getElementById('item-name').value = item.name;
+    document.getElementById('item-description').value = item.description || '';
+    document.getElementById('item-size').value = item.size;
+    document.getElementById('item-complexity').value = item.complexity;
+    document.getElementById('item-skills').value = (item.requiredSkills || []).map(skillInputValue).join(', ');
+    document.getElementById('item-domain').value = item.domain || '';
+    document.getElementById('item-career-opportunities').value = (item.careerOpportunities || []).join(', ');
+    document.getElementById('item-earliest-start').value = item.earliestStart || '';
+    document.getElementById('item-target-date').value = item.targetDate || '';
+    document.getElementById('item-sequence').value = item.sequence ?? '';
+
+    const dependsOn = item.dependsOn || [];
+    Array.from(document.getElementById('item-depends-on').options).forEach(option => {
+        option.selected = dependsOn.includes(option.value);
+    });
+    document.querySelectorAll('#item-effort input[data-discipline]').forEach(input => {
+        const weeks = item.effortBreakdown ? item.effortBreakdown[input.dataset.discipline] : 0;
+        input.value = weeks > 0 ? weeks : '';
+    });
+    for (const key of ['low', 'likely', 'high']) {
+        document.getElementById(`item-estimate-${key}`).value = item.effortEstimate ? item.effortEstimate[key] : '';
+    }
+}
+
+// Weeks per discipline entered in the add item form (undefined when empty)
+function readEffortInputs() {
+    const effort = {};
+    document.querySelectorAll('#item-effort input[data-discipline]').forEach(input => {
+        const weeks = parseFloat(input.value);
+        if (weeks > 0) effort[input.dataset.discipline] = weeks;
+    });
+    return Object.keys(effort).length > 0 ? effort : undefined;
+}
+
+// Low / likely / high weeks entered in the add item form (undefined when
+// empty; a partly filled estimate is sent as is for the server to reject)
+function readEstimateInputs() {
+    const values = ['low', 'likely', 'high'].map(key => document.getElementById(`item-estimate-${key}`).value);
+    if (values.every(value => value === '')) return undefined;
+
+    const [low, likely, high] = values.map(value => value === '' ? null : parseFloat(value));
+    return { low, likely, high };
+}
+
 async function showGoogleSheetsModal() {
     // Reset wizard to step 1
     goToSheetsStep(1);
@@ -738,6 +2381,26 @@ function updateAuthUI(authStatus) {
 
 // Form handlers
 function initializeForms() {
+    // Scenario form
+    document.getElementById('scenario-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveScenario();
+    });
+
+    // Planning cycle form
+    document.getElementById('cycle-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        await createCycle({
+            name: document.getElementById('cycle-name').value,
+            startDate: document.getElementById('cycle-start').value || null,
+            endDate: document.getElementById('cycle-end').value || null,
+            cloneFrom: document.getElementById('cycle-clone-from').value || null
+        });
+        closeModal('cycle-modal');
+        document.getElementById('cycle-form').reset();
+    });
+
     // Team member form
     document.getElementById('add-member-form').addEventListener('submit', async (e) => {
         e.preventDefault();
@@ -751,10 +2414,54 @@ function initializeForms() {
             careerGoals: parseCommaSeparated(document.getElementById('member-career-goals').value)
         };
         
-        await addTeamMember(formData);
+        if (editingMemberId) {
+            await updateTeamMember(editingMemberId, formData);
+        } else {
+            await addTeamMember(formData);
+        }
         closeModal('add-member-modal');
     });
 
+    // Managers default to the capacity their level leaves for project work
+    document.getElementById('member-level').addEventListener('change', (e) => {
+        const level = careerLadder.find(l => l.name === e.target.value);
+        if (level) document.getElementById('member-capacity').value = (1 - level.capacityOverhead).toFixed(1);
+    });
+
+    // Career ladder form
+    document.getElementById('career-ladder-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveCareerLadder();
+    });
+
+    // Discipline form
+    document.getElementById('discipline-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveDiscipline();
+    });
+
+    // Skills taxonomy form
+    document.getElementById('skill-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveSkill();
+    });
+
+    // Availability window form
+    document.getElementById('availability-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const capacity = document.getElementById('availability-capacity').value;
+        const data = {
+            type: document.getElementById('availability-type').value,
+            startDate: document.getElementById('availability-start').value,
+            endDate: document.getElementById('availability-end').value,
+            note: document.getElementById('availability-note').value
+        };
+        if (capacity !== '') data.capacity = parseFloat(capacity) / 100;
+
+        await addAvailabilityWindow(data);
+    });
+
     // Roadmap item form
     document.getElementById('add-item-form').addEventListener('submit', async (e) => {
         e.preventDefault();
@@ -769,8 +2476,29 @@ function initializeForms() {
             minLevel: document.getElementById('item-min-level').value,
             careerOpportunities: parseCommaSeparated(document.getElementById('item-career-opportunities').value)
         };
+
+        // Scheduling fields are optional; leave them out when empty (and clear
+        // them when editing)
+        const earliestStart = document.getElementById('item-earliest-start').value;
+        const targetDate = document.getElementById('item-target-date').value;
+        const sequence = document.getElementById('item-sequence').value;
+        if (earliestStart || editingItemId) formData.earliestStart = earliestStart || null;
+        if (targetDate || editingItemId) formData.targetDate = targetDate || null;
+        if (sequence !== '' || editingItemId) formData.sequence = sequence !== '' ? parseInt(sequence) : null;
+
+        formData.dependsOn = Array.from(document.getElementById('item-depends-on').selectedOptions, option => option.value);
+
+        const effortBreakdown = readEffortInputs();
+        if (effortBreakdown || editingItemId) formData.effortBreakdown = effortBreakdown || null;
+
+        const effortEstimate = readEstimateInputs();
+        if (effortEstimate || editingItemId) formData.effortEstimate = effortEstimate || null;
         
-        await addRoadmapItem(formData);
+        if (editingItemId) {
+            await updateRoadmapItem(editingItemId, formData);
+        } else {
+            await addRoadmapItem(formData);
+        }
         closeModal('add-item-modal');
     });
 }
@@ -1304,7 +3032,7 @@ function selectRoadmapSheet(element) {
 
 async function validateRoadmapGoogleSheet() {
     const activeMethod = document.querySelector('#roadmap-sheets-modal .connection-method.active').id;
-    const range = document.getElementById('roadmap-sheets-range').value.trim() || 'A1:H100';
+    const range = document.getElementById('roadmap-sheets-range').value.trim() || 'A1:Z100';
     let sheetUrl = '';
 
     // Get sheet URL based on active method
@@ -1365,7 +3093,7 @@ function displayRoadmapValidationResults(validationData) {
 
 async function importRoadmapFromGoogleSheets() {
     const activeMethod = document.querySelector('#roadmap-sheets-modal .connection-method.active').id;
-    const range = document.getElementById('roadmap-sheets-range').value.trim() || 'A1:H100';
+    const range = document.getElementById('roadmap-sheets-range').value.trim() || 'A1:Z100';
     const replaceExisting = document.getElementById('replace-existing-roadmap').checked;
     let sheetUrl = '';
 
@@ -1447,5 +3175,8 @@ function displayRoadmapImportResults(importData) {
 document.addEventListener('DOMContentLoaded', () => {
     initializeTabs();
     initializeForms();
-    updateDashboard();
+    loadCycles().then(loadCycleData);
+    loadWeightProfiles();
+    loadDisciplines();
+    loadCareerLadder();
 });
\ No newline at end of file
@@ -0,0 +1,100 @@
+// Career ladder: the levels members hold and items require, lowest first.
+// A level's weight is its seniority (Mid = 1.0): members meet an item's
+// minimum level when their weight is at least the minimum's, and from
+// SENIOR_LEVEL_WEIGHT up they count as senior on complex items. Levels sit on
+// the ic or manager track; managers spend capacityOverhead of their time on
+// management, so new members at that level default to less capacity.
+
+export const LEVEL_TRACKS = ['ic', 'manager'];
+export const SENIOR_LEVEL_WEIGHT = 1.3;
+const DEFAULT_WEIGHT = 1.0; // Weight of levels that are not on the ladder
+
+export const DEFAULT_LEVELS = [
+  { name: 'Intern', weight: 0.5, track: 'ic', capacityOverhead: 0 },
+  { name: 'Junior', weight: 0.7, track: 'ic', capacityOverhead: 0 },
+  { name: 'Mid', weight: 1.0, track: 'ic', capacityOverhead: 0 },
+  { name: 'Senior', weight: 1.3, track: 'ic', capacityOverhead: 0 },
+  { name: 'Staff', weight: 1.5, track: 'ic', capacityOverhead: 0 },
+  { name: 'Principal', weight: 1.7, track: 'ic', capacityOverhead: 0 },
+  { name: 'Architect', weight: 1.8, track: 'ic', capacityOverhead: 0 }
+];
+
+function levelKey(name) {
+  return String(name).trim().toLowerCase();
+}
+
+export class CareerLadder {
+  constructor(levels = DEFAULT_LEVELS) {
+    this.levels = levels.map(level => ({
+      name: level.name,
+      weight: level.weight ?? DEFAULT_WEIGHT,
+      track: level.track || 'ic',
+      capacityOverhead: level.capacityOverhead || 0
+    }));
+  }
+
+  // Ladder entry of a level name, ignoring case (null for unknown levels)
+  find(name) {
+    if (name === undefined || name === null) return null;
+    return this.levels.find(level => levelKey(level.name) === levelKey(name)) || null;
+  }
+
+  names() {
+    return this.levels.map(level => level.name);
+  }
+
+  weight(name) {
+    const level = this.find(name);
+    return level ? level.weight : DEFAULT_WEIGHT;
+  }
+
+  isSenior(name) {
+    return this.weight(name) >= SENIOR_LEVEL_WEIGHT;
+  }
+
+  // Capacity a member at this level has by default
+  defaultCapacity(name) {
+    const level = this.find(name);
+    return level ? Math.max(0, 1 - level.capacityOverhead) : 1.0;
+  }
+
+  // Level new members and items get when none is given: the ic level
+  // closest to Mid
+  defaultLevel() {
+    const candidates = this.levels.filter(level => level.track === 'ic');
+    const pool = candidates.length > 0 ? candidates : this.levels;
+    if (pool.length === 0) return 'Mid';
+    return pool.reduce((best, level) =>
+      Math.abs(level.weight - DEFAULT_WEIGHT) < Math.abs(best.weight - DEFAULT_WEIGHT) ? level : best).name;
+  }
+
+  // Lowest level on the ladder, the default minimum level of items
+  lowestLevel() {
+    if (this.levels.length === 0) return 'Junior';
+    return this.levels.reduce((lowest, level) => level.weight < lowest.weight ? level : lowest).name;
+  }
+
+  // Level named in free text such as a sheet's level or title column: an
+  // exact match, else a level name appearing as a word in it ("Senior
+  // Engineer", "Engineering Manager M1"). Unknown text is kept as is.
+  parse(text) {
+    if (text === undefined || text === null || !String(text).trim()) return null;
+
+    const exact = this.find(text);
+    if (exact) return exact.name;
+
+    const words = levelKey(text).split(/[^a-z0-9+]+/);
+    const byLength = [...this.levels].sort((a, b) => b.name.length - a.name.length);
+    const named = byLength.find(level => {
+      const levelWords = levelKey(level.name).split(/[^a-z0-9+]+/);
+      return words.some((_, index) => levelWords.every((word, offset) => words[index + offset] === word));
+    });
+    return named ? named.name : String(text).trim();
+  }
+
+  toJSON() {
+    return this.levels;
+  }
+}
+
+export const DEFAULT_CAREER_LADDER = new CareerLadder();
@@ -0,0 +1,35 @@
+export const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Dates are plain YYYY-MM-DD strings, handled in UTC so week boundaries do
+// not shift with the server's timezone. Days a month does not have (which
+// Date would roll over into the next month) are rejected.
+export function parseDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && formatDate(date) === value ? date : null;
+}
+
+export function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+// Monday of the week containing the date
+export function startOfWeek(date) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const offset = (day.getUTCDay() + 6) % 7;
+  return new Date(day.getTime() - offset * MS_PER_DAY);
+}
+
+export function addDays(date, days) {
+  return new Date(date.getTime() + days * MS_PER_DAY);
+}
+
+export function addWeeks(date, weeks) {
+  return addDays(date, weeks * 7);
+}
+
+// Monday the plan starts on: the week of startDate (YYYY-MM-DD), or this week
+export function planStart(startDate) {
+  return startOfWeek(parseDate(startDate) || new Date());
+}
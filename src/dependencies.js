@@ -0,0 +1,78 @@
+// Roadmap items list the items they build on in `dependsOn`. The web server
+// stores item ids there; the CLI uses names, so a reference matches an item
+// by id first and then by name.
+
+export function findDependency(items, ref) {
+  return items.find(item => item.id !== undefined && item.id === ref) ||
+    items.find(item => item.name === ref);
+}
+
+// Prerequisites of an item that are part of `items`. References to items that
+// are not (e.g. finished in an earlier quarter) are ignored.
+export function getPrerequisites(item, items) {
+  return (item.dependsOn || [])
+    .map(ref => findDependency(items, ref))
+    .filter(prerequisite => prerequisite && prerequisite !== item);
+}
+
+// Names along the first dependency cycle found, starting and ending with the
+// same item, or null when the graph is acyclic
+export function findDependencyCycle(items) {
+  const state = new Map();
+  const path = [];
+
+  const visit = item => {
+    if (state.get(item) === 'done') return null;
+    if (state.get(item) === 'visiting') {
+      return [...path.slice(path.indexOf(item)), item].map(i => i.name);
+    }
+
+    state.set(item, 'visiting');
+    path.push(item);
+    for (const prerequisite of getPrerequisites(item, items)) {
+      const cycle = visit(prerequisite);
+      if (cycle) return cycle;
+    }
+    path.pop();
+    state.set(item, 'done');
+    return null;
+  };
+
+  for (const item of items) {
+    const cycle = visit(item);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+// Error message for the first unknown reference, self-reference or cycle, or
+// null when the dependencies are valid
+export function validateDependencies(items) {
+  for (const item of items) {
+    for (const ref of item.dependsOn || []) {
+      const prerequisite = findDependency(items, ref);
+      if (!prerequisite) return `${item.name} depends on an unknown item "${ref}"`;
+      if (prerequisite === item) return `${item.name} cannot depend on itself`;
+    }
+  }
+
+  const cycle = findDependencyCycle(items);
+  return cycle ? `Dependency cycle: ${cycle.join(' → ')}` : null;
+}
+
+// Same items with every prerequisite moved ahead of the items that depend on
+// it; the relative order is kept otherwise. Cycles are cut where found.
+export function orderByDependencies(items) {
+  const ordered = [];
+  const visited = new Set();
+
+  const visit = item => {
+    if (visited.has(item)) return;
+    visited.add(item);
+    getPrerequisites(item, items).forEach(visit);
+    ordered.push(item);
+  };
+
+  items.forEach(visit);
+  return ordered;
+}
@@ -0,0 +1,92 @@
+// Disciplines an item's effort is broken down by (effortBreakdown keys).
+// Each one names the skills taxonomy category that qualifies a member for
+// it, the role reported when it is short of people and the sheet columns
+// its level of effort is read from.
+export const DEFAULT_DISCIPLINES = [
+  {
+    id: 'ios',
+    name: 'iOS',
+    icon: '📱',
+    role: 'iOS Developer',
+    category: 'iOS',
+    columns: ['loe ios engineer (weeks)', 'loe ios', 'ios weeks', 'ios effort']
+  },
+  {
+    id: 'android',
+    name: 'Android',
+    icon: '🤖',
+    role: 'Android Developer',
+    category: 'Android',
+    columns: ['loe android (weeks)', 'loe android', 'android weeks', 'android effort']
+  },
+  {
+    id: 'web',
+    name: 'Web',
+    icon: '🌐',
+    role: 'Web Developer',
+    category: 'Frontend',
+    columns: ['loe web (weeks)', 'loe web', 'web weeks', 'web effort', 'frontend weeks']
+  },
+  {
+    id: 'backend',
+    name: 'Backend',
+    icon: '⚙️',
+    role: 'Backend Developer',
+    category: 'Backend',
+    columns: ['loe backend (weeks)', 'loe backend', 'backend weeks', 'backend effort']
+  },
+  {
+    id: 'qa',
+    name: 'QA',
+    icon: '🧪',
+    role: 'QA Engineer',
+    category: 'QA',
+    columns: ['loe qa (weeks)', 'loe qa', 'qa weeks', 'qa effort']
+  },
+  {
+    id: 'design',
+    name: 'Design',
+    icon: '🎨',
+    role: 'Designer',
+    category: 'Design',
+    columns: ['loe design (weeks)', 'loe design', 'design weeks', 'design effort']
+  },
+  {
+    id: 'data',
+    name: 'Data/ML',
+    icon: '📊',
+    role: 'Data/ML Engineer',
+    category: 'Data/ML',
+    columns: ['loe data/ml (weeks)', 'loe data (weeks)', 'loe data/ml', 'loe data', 'loe ml', 'data weeks', 'ml weeks']
+  },
+  {
+    id: 'sre',
+    name: 'SRE',
+    icon: '🛠️',
+    role: 'SRE',
+    category: 'SRE',
+    columns: ['loe sre (weeks)', 'loe sre', 'sre weeks', 'sre effort', 'loe devops']
+  }
+];
+
+export const DEFAULT_DISCIPLINE_IDS = DEFAULT_DISCIPLINES.map(discipline => discipline.id);
+
+// Disciplines with effort in an effort breakdown, in breakdown order
+export function effortDisciplines(effort) {
+  if (!effort) return [];
+  return Object.keys(effort).filter(key => key !== 'total' && effort[key] > 0);
+}
+
+// Sum of the per-discipline weeks of an effort breakdown
+export function effortTotal(effort) {
+  return Object.keys(effort || {})
+    .filter(key => key !== 'total')
+    .reduce((sum, key) => sum + (Number(effort[key]) || 0), 0);
+}
+
+// Discipline by id; ids that are not configured (e.g. left in old data)
+// get a generic entry so they can still be labelled
+export function findDiscipline(disciplines, id) {
+  return disciplines.find(discipline => discipline.id === id) ||
+    { id, name: id, icon: '', role: `${id} engineer`, category: null, columns: [] };
+}
@@ -1,5 +1,6 @@
 import chalk from 'chalk';
 import { table } from 'table';
+import { formatSkill } from './models.js';
 
 export class ResultsDisplay {
   constructor() {}
@@ -10,6 +11,7 @@ export class ResultsDisplay {
     
     this.displaySummary(report.summary);
     this.displayTeamAllocation(report.teamMembers);
+    this.displayScoreBreakdowns(report.allocations);
     this.displayProjectStatus(report.itemsByStatus);
     this.displayRecommendations(report.recommendations);
   }
@@ -57,7 +59,7 @@ export class ResultsDisplay {
     const rows = [headers];
 
     for (const member of teamMembers) {
-      const utilization = Math.round((member.allocatedCapacity / member.capacity) * 100);
+      const utilization = Math.round(member.getUtilization() * 100);
       const utilizationColor = this.getUtilizationColor(utilization);
       const projects = member.assignments ? 
         member.assignments.map(a => `${a.item} (${a.percentage}%)`).join(', ') : 
@@ -65,7 +67,7 @@ export class ResultsDisplay {
 
       rows.push([
         member.name,
-        `${Math.round(member.capacity * 100)}%`,
+        `${Math.round(member.getEffectiveCapacity() * 100)}%`,
         `${Math.round(member.allocatedCapacity * 100)}%`,
         utilizationColor(`${utilization}%`),
         projects || 'None'
@@ -90,6 +92,69 @@ export class ResultsDisplay {
     console.log(table(rows, config));
   }
 
+  displayScoreBreakdowns(allocations = []) {
+    if (allocations.length === 0) return;
+
+    console.log(chalk.bold.yellow('🔍 WHY THESE ASSIGNMENTS'));
+    console.log('─'.repeat(50));
+
+    const headers = ['Member', 'Project', 'Score', 'Breakdown'].map(header => chalk.bold(header));
+    const rows = [headers];
+
+    for (const allocation of allocations) {
+      rows.push([
+        allocation.member,
+        allocation.item,
+        allocation.score.toFixed(1),
+        allocation.breakdown ? this.formatBreakdown(allocation.breakdown).join('\n') : 'N/A'
+      ]);
+    }
+
+    const config = {
+      columnDefault: {
+        paddingLeft: 1,
+        paddingRight: 1,
+        wrapWord: true
+      },
+      columns: {
+        0: { width: 15 },
+        1: { width: 20 },
+        3: { width: 45 }
+      }
+    };
+
+    console.log(table(rows, config));
+  }
+
+  formatBreakdown(breakdown) {
+    const points = value => `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+    const lines = [];
+
+    const { skills, platforms, interest, careerGoal, level, priority, efficiency } = breakdown;
+    lines.push(`Skills ${points(skills.points)}: ${skills.matched.join(', ') || 'no matches'}` +
+      (skills.belowMinimum.length > 0 ? ` (below required level: ${skills.belowMinimum.join(', ')})` : '') +
+      (skills.missing.length > 0 ? ` (missing ${skills.missing.join(', ')})` : ''));
+
+    for (const platform of platforms.perPlatform) {
+      lines.push(`Platform ${platform.platform} ${points(platform.points)}` +
+        ` (${Math.round(platform.effortShare * 100)}% of effort${platform.matched ? '' : ', no matching skill'})`);
+    }
+    if (platforms.fullStackPoints > 0) {
+      lines.push(`Full-stack ${points(platforms.fullStackPoints)}`);
+    }
+
+    lines.push(`Interest ${points(interest.points)}: ${interest.matched ? interest.domain : 'no match'}`);
+    lines.push(`Career goal ${points(careerGoal.points)}: ${careerGoal.matched.join(', ') || 'no match'}`);
+    lines.push(`Level ${points(level.points)}: ${level.memberLevel} vs min ${level.minLevel}`);
+    if (level.seniorOnComplexPoints > 0) {
+      lines.push(`Senior on complex ${points(level.seniorOnComplexPoints)}`);
+    }
+    lines.push(`Priority ${points(priority.points)}`);
+    lines.push(`Efficiency ${points(efficiency.points)}`);
+
+    return lines;
+  }
+
   displayProjectStatus(itemsByStatus) {
     console.log(chalk.bold.yellow('📋 PROJECT STATUS BREAKDOWN'));
     console.log('─'.repeat(50));
@@ -107,7 +172,7 @@ export class ResultsDisplay {
       const config = statusConfig[status];
       console.log(chalk[config.color].bold(`\n${config.icon} ${config.label.toUpperCase()} (${items.length})`));
       
-      const headers = ['Project', 'Size', 'Complexity', 'Required Skills', 'Team'];
+      const headers = ['Project', 'Size', 'Complexity', 'Required Skills', 'Team', 'Platform Fill'];
       const rows = [headers];
 
       for (const item of items) {
@@ -119,8 +184,9 @@ export class ResultsDisplay {
           item.name,
           this.getSizeLabel(item.size),
           this.getComplexityLabel(item.complexity),
-          item.requiredSkills.join(', ') || 'None specified',
-          team
+          item.requiredSkills.map(formatSkill).join(', ') || 'None specified',
+          team,
+          this.formatPlatformStaffing(item.platformStaffing)
         ]);
       }
 
@@ -133,7 +199,8 @@ export class ResultsDisplay {
         columns: {
           0: { width: 20 },
           3: { width: 25 },
-          4: { width: 30 }
+          4: { width: 30 },
+          5: { width: 18 }
         }
       };
 
@@ -141,6 +208,13 @@ export class ResultsDisplay {
     }
   }
 
+  formatPlatformStaffing(platformStaffing = []) {
+    if (platformStaffing.length === 0) return '—';
+    return platformStaffing
+      .map(p => `${p.platform}: ${Math.round(p.fillRatio * 100)}%`)
+      .join('\n');
+  }
+
   displayRecommendations(recommendations) {
     console.log(chalk.bold.yellow('\n💡 RECOMMENDATIONS'));
     console.log('─'.repeat(50));
@@ -161,6 +235,105 @@ export class ResultsDisplay {
     console.log('\n');
   }
 
+  // Differences between two allocation runs (see run-diff.js)
+  displayRunDiff(diff) {
+    console.log(chalk.bold.cyan('\n🔍 RUN COMPARISON\n'));
+
+    if (diff.unchanged) {
+      console.log(chalk.green('✅ No differences between these runs\n'));
+      return;
+    }
+
+    const formatDelta = (delta, suffix = '') => {
+      if (!delta) return `0${suffix}`;
+      return (delta > 0 ? chalk.green : chalk.red)(`${delta > 0 ? '+' : ''}${delta}${suffix}`);
+    };
+    const percent = fraction => `${Math.round(fraction * 100)}%`;
+    const tableConfig = {
+      columnDefault: {
+        paddingLeft: 1,
+        paddingRight: 1
+      }
+    };
+
+    console.log(chalk.bold.yellow('📊 SUMMARY'));
+    const metrics = [['Metric', 'Before', 'After', 'Change']];
+    for (const [metric, value] of Object.entries(diff.summary)) {
+      metrics.push([metric, value.before ?? '—', value.after ?? '—', value.delta === null ? '' : formatDelta(value.delta)]);
+    }
+    console.log(table(metrics, tableConfig));
+
+    if (diff.members.length > 0) {
+      console.log(chalk.bold.yellow('👥 MEMBERS WHO CHANGED ITEMS'));
+      for (const change of diff.members) {
+        const moves = [
+          change.joined.length > 0 ? `joined ${change.joined.join(', ')}` : '',
+          change.left.length > 0 ? `left ${change.left.join(', ')}` : ''
+        ].filter(Boolean);
+        console.log(`• ${change.member}: ${moves.join('; ')}`);
+      }
+      console.log();
+    }
+
+    if (diff.allocations.length > 0) {
+      console.log(chalk.bold.yellow('📈 ALLOCATION CHANGES'));
+      const rows = [['Member', 'Item', 'Before', 'After', 'Change']];
+      for (const change of diff.allocations) {
+        rows.push([change.member, change.item, percent(change.before), percent(change.after), formatDelta(Math.round(change.delta * 100), '%')]);
+      }
+      console.log(table(rows, tableConfig));
+    }
+
+    if (diff.items.length > 0) {
+      console.log(chalk.bold.yellow('📋 ITEMS WHOSE STATUS CHANGED'));
+      const rows = [['Item', 'Before', 'After', 'Allocated (FTE)']];
+      for (const change of diff.items) {
+        rows.push([change.item, change.before || 'not in run', change.after || 'not in run', `${change.allocatedBefore ?? 0} → ${change.allocatedAfter ?? 0}`]);
+      }
+      console.log(table(rows, tableConfig));
+    }
+  }
+
+  displayHiringPlan(plan) {
+    console.log(chalk.bold.cyan('\n🧑‍💼 HIRING PLAN\n'));
+
+    const { baseline, result } = plan;
+    console.log(`Items at least adequately staffed: ${baseline.staffedCount}/${baseline.itemsCount} now, ${result.staffedCount}/${result.itemsCount} with the hires below\n`);
+
+    if (plan.hires.length === 0) {
+      console.log(plan.complete
+        ? chalk.green('✅ Every item is already at least adequately staffed\n')
+        : chalk.yellow('⚠️  No hire would staff more items\n'));
+    } else {
+      const rows = [['Hire', 'Level', 'Skills', 'Team', 'Items it staffs', 'Coverage']];
+      for (const hire of plan.hires) {
+        rows.push([
+          hire.name,
+          hire.level,
+          hire.skills.map(formatSkill).join(', '),
+          hire.teamName || '—',
+          hire.marginalValue.itemsStaffed.join(', ') || '—',
+          `+${hire.marginalValue.coverage}`
+        ]);
+      }
+      console.log(table(rows, { columnDefault: { paddingLeft: 1, paddingRight: 1 } }));
+
+      console.log(chalk.bold.yellow('📋 BY ROLE'));
+      for (const entry of plan.byRole) {
+        console.log(`• ${entry.count} × ${entry.role} (${entry.level})`);
+      }
+      console.log();
+    }
+
+    if (!plan.complete) {
+      console.log(chalk.bold.yellow('⚠️  STILL SHORT'));
+      for (const short of result.shortItems) {
+        console.log(`• ${short.item}: ${short.status}`);
+      }
+      console.log();
+    }
+  }
+
   getUtilizationColor(utilization) {
     if (utilization < 50) return chalk.blue;
     if (utilization < 80) return chalk.green;
@@ -0,0 +1,129 @@
+import { TeamMember, RoadmapItem } from './models.js';
+import { AllocationOptimizer } from './optimizer.js';
+import { round } from './numbers.js';
+
+export const DEFAULT_ITERATIONS = 200;
+export const MAX_ITERATIONS = 500;
+
+// Seeded pseudo-random numbers in [0, 1) (mulberry32), so a simulation can
+// be repeated with the seed it reports
+function randomGenerator(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Sample of a triangular distribution from low to high peaking at likely
+export function sampleTriangular({ low, likely, high }, random) {
+  if (high <= low) return likely;
+
+  const u = random();
+  const split = (likely - low) / (high - low);
+  return u < split
+    ? low + Math.sqrt(u * (high - low) * (likely - low))
+    : high - Math.sqrt((1 - u) * (high - low) * (high - likely));
+}
+
+// Nearest-rank percentile of sorted values
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+  return sorted[index];
+}
+
+function interval(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    p5: round(percentile(sorted, 5)),
+    p50: round(percentile(sorted, 50)),
+    p95: round(percentile(sorted, 95))
+  };
+}
+
+// Monte Carlo analysis of effort uncertainty. Each iteration samples the
+// total effort of every item with an effortEstimate (low / likely / high
+// weeks) from a triangular distribution, scales its effortBreakdown to it
+// (items without one are planned as a single pool of that many weeks) and
+// re-runs the optimizer. Items without an estimate keep their effort.
+export class EffortSimulator {
+  constructor(teamMembers, roadmapItems, options = {}) {
+    this.teamMembers = teamMembers;
+    this.roadmapItems = roadmapItems;
+    this.iterations = options.iterations ?? DEFAULT_ITERATIONS;
+
+    if (!Number.isInteger(this.iterations) || this.iterations < 1 || this.iterations > MAX_ITERATIONS) {
+      throw new Error(`iterations must be a whole number between 1 and ${MAX_ITERATIONS}`);
+    }
+
+    this.seed = options.seed ?? Math.floor(Math.random() * 2 ** 31);
+
+    const { iterations, seed, ...optimizerOptions } = options;
+    this.optimizerOptions = optimizerOptions;
+  }
+
+  simulate() {
+    const random = randomGenerator(this.seed);
+    const outcomes = new Map(this.roadmapItems.map(item => [item.name, { fullyStaffed: 0, staffed: 0, weeks: [] }]));
+    const utilization = [];
+    const fullyStaffedCounts = [];
+
+    for (let iteration = 0; iteration < this.iterations; iteration++) {
+      const members = this.teamMembers.map(member => TeamMember.fromJSON(member));
+      const items = this.roadmapItems.map(item => this.sampleItem(item, random));
+      const report = new AllocationOptimizer(members, items, this.optimizerOptions).optimize();
+
+      for (const item of items) {
+        const outcome = outcomes.get(item.name);
+        if (item.allocationStatus === 'fully-staffed') outcome.fullyStaffed++;
+        if (item.allocationStatus === 'fully-staffed' || item.allocationStatus === 'adequately-staffed') outcome.staffed++;
+        if (item.effortEstimate) outcome.weeks.push(item.effortBreakdown.total);
+      }
+      utilization.push(report.summary.utilizationRate);
+      fullyStaffedCounts.push(report.summary.fullyStaffedCount);
+    }
+
+    const items = this.roadmapItems.map(item => {
+      const outcome = outcomes.get(item.name);
+      return {
+        item: item.name,
+        itemId: item.id || null,
+        estimate: item.effortEstimate || null,
+        probabilityFullyStaffed: round(outcome.fullyStaffed / this.iterations),
+        probabilityStaffed: round(outcome.staffed / this.iterations),
+        effortWeeks: outcome.weeks.length > 0 ? interval(outcome.weeks) : null
+      };
+    }).sort((a, b) => a.probabilityFullyStaffed - b.probabilityFullyStaffed || a.item.localeCompare(b.item));
+
+    return {
+      iterations: this.iterations,
+      seed: this.seed,
+      estimatedItemsCount: this.roadmapItems.filter(item => item.effortEstimate).length,
+      utilizationRate: interval(utilization),
+      fullyStaffedCount: interval(fullyStaffedCounts),
+      items
+    };
+  }
+
+  // A copy of the item with its effort drawn from its estimate
+  sampleItem(item, random) {
+    const sampled = RoadmapItem.fromJSON(item);
+    if (!item.effortEstimate) return sampled;
+
+    const weeks = sampleTriangular(item.effortEstimate, random);
+    const effort = item.effortBreakdown;
+    if (effort && effort.total > 0) {
+      const scale = weeks / effort.total;
+      sampled.effortBreakdown = Object.fromEntries(Object.entries(effort)
+        .map(([key, value]) => [key, key === 'total' ? weeks : value * scale]));
+    } else {
+      sampled.effortBreakdown = { total: weeks };
+    }
+    return sampled;
+  }
+}
@@ -0,0 +1,217 @@
+import { TeamMember, RoadmapItem, DEFAULT_PROFICIENCY } from './models.js';
+import { AllocationOptimizer } from './optimizer.js';
+import { round } from './numbers.js';
+import { findDiscipline, DEFAULT_DISCIPLINES } from './disciplines.js';
+import { DEFAULT_SKILL_TAXONOMY } from './skills.js';
+import { DEFAULT_CAREER_LADDER } from './career-ladder.js';
+
+export const DEFAULT_MAX_HIRES = 10;
+export const MAX_PLANNED_HIRES = 20;
+
+const STAFFED = ['fully-staffed', 'adequately-staffed'];
+
+// Fill ratio a bucket needs for its item to count as adequately staffed
+const ADEQUATE_RATIO = 0.6;
+
+// Smallest coverage gain (sum of item fill ratios) worth a hire
+const MIN_COVERAGE_GAIN = 0.01;
+
+// Recommends hires by adding hypothetical members one at a time: each round
+// tries a hire for every platform (at the level its items need) that keeps
+// an item below adequately staffed, re-optimizes and keeps the hire that
+// staffs the most items. Hires the final set no longer needs are dropped,
+// and each remaining hire is valued by what the plan loses without it.
+// Hires are planned for one quarter (callers reject multi-quarter options).
+export class HiringPlanner {
+  constructor(teamMembers, roadmapItems, options = {}) {
+    this.teamMembers = teamMembers;
+    this.roadmapItems = roadmapItems;
+    this.maxHires = options.maxHires ?? DEFAULT_MAX_HIRES;
+
+    if (!Number.isInteger(this.maxHires) || this.maxHires < 1 || this.maxHires > MAX_PLANNED_HIRES) {
+      throw new Error(`maxHires must be a whole number between 1 and ${MAX_PLANNED_HIRES}`);
+    }
+
+    // Each attempt re-optimizes with the caller's solver, weights and constraints
+    const { maxHires, ...optimizerOptions } = options;
+    this.optimizerOptions = optimizerOptions;
+    this.skillTaxonomy = options.skillTaxonomy || DEFAULT_SKILL_TAXONOMY;
+    this.disciplines = options.disciplines || DEFAULT_DISCIPLINES;
+    this.careerLadder = options.careerLadder || DEFAULT_CAREER_LADDER;
+  }
+
+  plan() {
+    const baseline = this.evaluate([]);
+    let hires = [];
+    let current = baseline;
+
+    while (current.shortItems.length > 0 && hires.length < this.maxHires) {
+      let best = null;
+      for (const profile of this.hireProfiles(current)) {
+        const hire = this.buildHire(profile, hires.length + 1);
+        const result = this.evaluate([...hires, hire]);
+        if (!best || this.isBetter(result, best.result)) best = { hire, result };
+      }
+
+      if (!best || !this.isBetter(best.result, current)) break;
+      hires.push(best.hire);
+      current = best.result;
+    }
+
+    // Greedy picks can be made redundant by later ones
+    for (let index = hires.length - 1; index >= 0; index--) {
+      const without = hires.filter((_, i) => i !== index);
+      const result = this.evaluate(without);
+      if (result.staffedCount >= current.staffedCount) {
+        hires = without;
+        current = result;
+      }
+    }
+
+    // Number the hires of each role in the order they were picked
+    const perRole = new Map();
+    hires = hires.map(hire => {
+      const number = (perRole.get(hire.role) || 0) + 1;
+      perRole.set(hire.role, number);
+      return { ...hire, name: `New ${hire.role} ${number}` };
+    });
+    if (hires.length > 0) current = this.evaluate(hires);
+
+    const recommended = hires
+      .map(hire => ({ ...this.describeHire(hire), marginalValue: this.marginalValue(hire, hires, current) }))
+      .sort((a, b) => b.marginalValue.itemsStaffed.length - a.marginalValue.itemsStaffed.length ||
+        b.marginalValue.coverage - a.marginalValue.coverage);
+
+    return {
+      hires: recommended,
+      byRole: this.countByRole(recommended),
+      baseline: this.summarize(baseline),
+      result: this.summarize(current),
+      complete: current.shortItems.length === 0,
+      report: current.report
+    };
+  }
+
+  // Optimize the roster plus the given hires on fresh copies of the data
+  evaluate(hires) {
+    const members = [...this.teamMembers, ...hires].map(member => TeamMember.fromJSON(member));
+    const items = this.roadmapItems.map(item => RoadmapItem.fromJSON(item));
+    const optimizer = new AllocationOptimizer(members, items, this.optimizerOptions);
+    const report = optimizer.optimize();
+
+    const shortItems = items.filter(item => !STAFFED.includes(item.allocationStatus));
+    return {
+      optimizer,
+      report,
+      items,
+      shortItems,
+      staffedCount: items.length - shortItems.length,
+      coverage: items.reduce((sum, item) => sum + Math.min(1, optimizer.getStaffingRatio(item)), 0)
+    };
+  }
+
+  isBetter(result, other) {
+    return result.staffedCount > other.staffedCount ||
+      (result.staffedCount === other.staffedCount && result.coverage > other.coverage + MIN_COVERAGE_GAIN);
+  }
+
+  // One hire per short bucket of a short item: its platform, the level the
+  // item asks for (at least the ladder's default) and the item's team
+  hireProfiles(result) {
+    const profiles = new Map();
+
+    for (const item of result.shortItems) {
+      const level = this.hireLevel(item.minLevel);
+      const teamName = item.assignedTeam || '';
+      const shortBuckets = result.optimizer.getBuckets(item).filter(bucket =>
+        bucket.required > 0 && result.optimizer.getBucketAllocation(item, bucket.platform) / bucket.required < ADEQUATE_RATIO);
+
+      for (const { platform } of shortBuckets) {
+        const skills = this.hireSkills(item, platform);
+        if (skills.length === 0) continue;
+
+        const profile = { platform, level, teamName, skills };
+        profiles.set(JSON.stringify(profile), profile);
+      }
+    }
+
+    return [...profiles.values()];
+  }
+
+  hireLevel(minLevel) {
+    const level = this.careerLadder.defaultLevel();
+    return this.careerLadder.weight(minLevel) > this.careerLadder.weight(level) ? minLevel : level;
+  }
+
+  // The platform's category skill plus the item's required skills on that
+  // platform (all of them for single-pool items)
+  hireSkills(item, platform) {
+    const required = item.requiredSkills.filter(skill =>
+      platform === null || this.skillTaxonomy.platformsOf(skill.name).includes(platform));
+    const skills = required.map(skill => ({ name: skill.name, proficiency: Math.max(skill.minProficiency, DEFAULT_PROFICIENCY) }));
+
+    if (platform !== null && required.length === 0) {
+      const { category } = findDiscipline(this.disciplines, platform);
+      const name = category && this.skillTaxonomy.platformsOf(category).includes(platform)
+        ? category
+        : this.skillTaxonomy.platformSkills(platform)[0];
+      if (name) skills.push({ name, proficiency: DEFAULT_PROFICIENCY });
+    }
+
+    return skills;
+  }
+
+  buildHire(profile, number) {
+    const role = profile.platform ? findDiscipline(this.disciplines, profile.platform).role : 'Engineer';
+    return {
+      id: `hire-${number}`,
+      name: `New ${role} ${number}`, // Renumbered per role once the plan is final
+      role,
+      platform: profile.platform,
+      level: profile.level,
+      skills: profile.skills,
+      capacity: this.careerLadder.defaultCapacity(profile.level),
+      teamName: profile.teamName,
+      hypothetical: true
+    };
+  }
+
+  describeHire(hire) {
+    const { id, hypothetical, ...fields } = hire;
+    return fields;
+  }
+
+  // What the plan loses without this hire: the items it keeps staffed and
+  // the coverage (sum of item fill ratios) it adds
+  marginalValue(hire, hires, current) {
+    const without = this.evaluate(hires.filter(other => other !== hire));
+    const staffed = new Set(without.items.filter(item => STAFFED.includes(item.allocationStatus)).map(item => item.name));
+
+    return {
+      itemsStaffed: current.items
+        .filter(item => STAFFED.includes(item.allocationStatus) && !staffed.has(item.name))
+        .map(item => item.name),
+      coverage: round(current.coverage - without.coverage)
+    };
+  }
+
+  countByRole(hires) {
+    const counts = new Map();
+    for (const hire of hires) {
+      const key = `${hire.role}|${hire.level}`;
+      const entry = counts.get(key) || { role: hire.role, level: hire.level, count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    }
+    return [...counts.values()];
+  }
+
+  summarize(result) {
+    return {
+      staffedCount: result.staffedCount,
+      itemsCount: result.items.length,
+      coverage: round(result.coverage),
+      shortItems: result.shortItems.map(item => ({ item: item.name, status: item.allocationStatus }))
+    };
+  }
+}
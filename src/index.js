@@ -1,11 +1,22 @@
 #!/usr/bin/env node
 
+import 'dotenv/config';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { InputCollector } from './input.js';
 import { AllocationOptimizer } from './optimizer.js';
 import { ResultsDisplay } from './display.js';
-import { TeamMember } from './models.js';
+import { TeamMember, parseSkills, formatSkill } from './models.js';
+import { CareerLadder } from './career-ladder.js';
+import { diffReports } from './run-diff.js';
+import { optimizeData, planHiringData } from './web/optimization.js';
+import { findBaselineRun, baselineAllocations } from './web/runs.js';
+import { createStore, parseStorageConfig, StorageError } from './web/storage.js';
+import { DEFAULT_MAX_HIRES, MAX_PLANNED_HIRES } from './hiring-planner.js';
 import inquirer from 'inquirer';
 
+const projectRoot = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
 class TeamAllocationApp {
   constructor() {
     this.display = new ResultsDisplay();
@@ -25,6 +36,8 @@ class TeamAllocationApp {
           choices: [
             { name: '🚀 Run Full Allocation Optimization', value: 'optimize' },
             { name: '👥 Manage Team Members', value: 'manage-team' },
+            { name: '🔍 Compare Allocation Runs', value: 'compare' },
+            { name: '🧑‍💼 Plan Hiring', value: 'hiring' },
             { name: '❌ Exit', value: 'exit' }
           ]
         }
@@ -37,6 +50,12 @@ class TeamAllocationApp {
         case 'manage-team':
           await this.manageTeamMembers();
           break;
+        case 'compare':
+          await this.compareRuns();
+          break;
+        case 'hiring':
+          await this.planHiring();
+          break;
         case 'exit':
           console.log('\n👋 Thank you for using Team Allocation Optimizer!');
           break;
@@ -68,7 +87,9 @@ class TeamAllocationApp {
 
     // Optimize allocation
     console.log('\n🔄 Optimizing allocation...\n');
-    const optimizer = new AllocationOptimizer(teamMembers, roadmapItems);
+    const optimizer = new AllocationOptimizer(teamMembers, roadmapItems, {
+      careerLadder: await this.loadCareerLadder()
+    });
     const report = optimizer.optimize();
 
     // Display results
@@ -111,8 +132,146 @@ class TeamAllocationApp {
     }
   }
 
+  // The web server's store (STORAGE_BACKEND / STORAGE_PATH), opened once.
+  // Like the server, a store that cannot be opened or read throws a
+  // StorageError, which stops the CLI rather than planning on other data.
+  async openStore() {
+    if (!this.store) {
+      const { config, error } = parseStorageConfig(process.env, projectRoot);
+      if (error) throw new StorageError(error);
+      this.store = await createStore(config);
+    }
+    return this.store;
+  }
+
+  // Records of a default cycle collection ([] when it was never written)
+  async readCollection(collection) {
+    const store = await this.openStore();
+    return store.read(collection) || [];
+  }
+
+  // Runs saved by the web server and reports exported from here
+  // (allocation-report-*.json), newest first
+  async loadComparableRuns() {
+    const fs = await import('fs');
+
+    const savedRuns = (await this.readCollection('runs')).reverse().map(run => ({
+      name: `Run of ${new Date(run.createdAt).toLocaleString()} (${run.options.solver}, ${run.weightsProfile})`,
+      run
+    }));
+
+    const exports = fs.readdirSync('.')
+      .filter(file => /^allocation-report-.*\.json$/.test(file))
+      .sort()
+      .reverse()
+      .flatMap(file => {
+        try {
+          const report = JSON.parse(fs.readFileSync(file, 'utf8'));
+          const options = { solver: report.summary.solver || 'greedy', teamPolicy: report.summary.teamPolicy || 'ignore', quarters: 1 };
+          return [{ name: `Exported report ${file}`, run: { createdAt: report.timestamp, options, report } }];
+        } catch (error) {
+          console.warn(`⚠️  Could not read ${file}: ${error.message}`);
+          return [];
+        }
+      });
+
+    return [...savedRuns, ...exports];
+  }
+
+  async compareRuns() {
+    const runs = await this.loadComparableRuns();
+
+    if (runs.length === 0) {
+      console.log('❌ No saved runs found. Run an optimization in the web UI or export a report first.');
+      return;
+    }
+
+    const choices = runs.map(({ name, run }) => ({ name, value: run }));
+    const { from, to } = await inquirer.prompt([
+      { type: 'list', name: 'from', message: 'Compare from:', choices },
+      {
+        type: 'list',
+        name: 'to',
+        message: 'Compare to:',
+        choices: [{ name: 'Current data (re-optimized with the same options)', value: 'current' }, ...choices]
+      }
+    ]);
+
+    let after = to;
+    if (to === 'current') {
+      // A replan is redone against its baseline run while that run is kept
+      const { data, config } = await this.readCurrentData();
+      const baselineRun = from.options.baselineRunId
+        ? findBaselineRun(await this.readCollection('runs'), from.options.baselineRunId)
+        : null;
+      const result = optimizeData(data, config, {
+        ...from.options,
+        weightsProfile: undefined,
+        weights: from.weights,
+        baseline: baselineRun ? baselineAllocations(baselineRun, data.teamMembers, data.roadmapItems) : undefined
+      });
+
+      if (result.error) {
+        console.log(`❌ ${result.error}`);
+        return;
+      }
+      after = { report: result.report };
+    }
+
+    this.display.displayRunDiff(diffReports(from.report, after.report));
+  }
+
+  // The web server's default cycle data and optimizer settings, so plans
+  // made here match the ones it makes
+  async readCurrentData() {
+    return {
+      data: {
+        teamMembers: await this.readCollection('team-members'),
+        roadmapItems: await this.readCollection('roadmap-items'),
+        constraints: await this.readCollection('constraints')
+      },
+      config: {
+        weightProfiles: await this.readCollection('weight-profiles'),
+        skills: await this.readCollection('skills'),
+        disciplines: await this.readCollection('disciplines'),
+        careerLevels: await this.readCollection('career-ladder')
+      }
+    };
+  }
+
+  async planHiring() {
+    const { maxHires } = await inquirer.prompt([
+      {
+        type: 'number',
+        name: 'maxHires',
+        message: 'Most hires to recommend:',
+        default: DEFAULT_MAX_HIRES,
+        validate: input => Number.isInteger(input) && input >= 1 && input <= MAX_PLANNED_HIRES
+          ? true
+          : `Please enter a whole number between 1 and ${MAX_PLANNED_HIRES}`
+      }
+    ]);
+
+    const { data, config } = await this.readCurrentData();
+    const result = planHiringData(data, config, { solver: 'greedy', teamPolicy: 'ignore', maxHires });
+
+    if (result.error) {
+      console.log(`❌ ${result.error}`);
+      return;
+    }
+
+    this.display.displayHiringPlan(result.plan);
+  }
+
+  // Career ladder saved by the web server, or the built-in one
+  async loadCareerLadder() {
+    const levels = await this.readCollection('career-ladder');
+    return levels.length > 0 ? new CareerLadder(levels) : new CareerLadder();
+  }
+
   async addSingleTeamMember() {
     console.log('\n➕ Adding New Team Member\n');
+    const ladder = await this.loadCareerLadder();
 
     const memberData = await inquirer.prompt([
       {
@@ -125,28 +284,24 @@ class TeamAllocationApp {
         type: 'list',
         name: 'level',
         message: 'Experience level:',
-        choices: [
-          { name: 'Intern', value: 'Intern' },
-          { name: 'Junior', value: 'Junior' },
-          { name: 'Mid', value: 'Mid' },
-          { name: 'Senior', value: 'Senior' },
-          { name: 'Staff', value: 'Staff' },
-          { name: 'Principal', value: 'Principal' },
-          { name: 'Architect', value: 'Architect' }
-        ],
-        default: 'Mid'
+        choices: ladder.levels.map(level => ({
+          name: level.track === 'manager' ? `${level.name} (manager)` : level.name,
+          value: level.name
+        })),
+        default: ladder.defaultLevel()
       },
       {
         type: 'input',
         name: 'skills',
-        message: 'Skills (comma-separated):',
+        message: 'Skills (comma-separated, optionally with a 1-5 proficiency, e.g. Swift:4):',
         filter: input => input.split(',').map(s => s.trim()).filter(s => s)
       },
       {
         type: 'number',
         name: 'capacity',
         message: 'Capacity for this quarter (0.0 to 1.0):',
-        default: 1.0,
+        // Managers default to the share of time their level leaves for project work
+        default: answers => ladder.defaultCapacity(answers.level),
         validate: input => (input >= 0 && input <= 1) ? true : 'Capacity must be between 0.0 and 1.0'
       },
       {
@@ -163,21 +318,14 @@ class TeamAllocationApp {
       }
     ]);
 
-    const member = new TeamMember(
-      memberData.name,
-      memberData.level,
-      memberData.skills,
-      memberData.capacity,
-      memberData.interests,
-      memberData.careerGoals
-    );
+    const member = TeamMember.fromJSON(memberData);
 
     // Save to a simple JSON file for persistence
     await this.saveTeamMember(member);
     
     console.log(`\n✅ Successfully added ${member.name} to the team!`);
     console.log(`   Level: ${member.level}`);
-    console.log(`   Skills: ${member.skills.join(', ')}`);
+    console.log(`   Skills: ${member.skills.map(formatSkill).join(', ')}`);
     console.log(`   Capacity: ${member.capacity}`);
     console.log(`   Interests: ${member.interests.join(', ')}`);
     console.log(`   Career Goals: ${member.careerGoals.join(', ')}\n`);
@@ -197,48 +345,31 @@ class TeamAllocationApp {
   }
 
   async saveTeamMember(member) {
-    const fs = await import('fs');
-    const path = await import('path');
-    
-    const dataFile = 'team-members.json';
-    let teamMembers = [];
-
-    try {
-      if (fs.existsSync(dataFile)) {
-        const data = fs.readFileSync(dataFile, 'utf8');
-        teamMembers = JSON.parse(data);
-      }
-    } catch (error) {
-      console.log('Creating new team members file...');
-    }
+    const teamMembers = await this.readCollection('team-members');
 
+    // Ids and fields as the server's POST /api/team-members gives them, so
+    // the web app can edit and delete members added here
     teamMembers.push({
+      id: Date.now().toString(),
       name: member.name,
       level: member.level,
       skills: member.skills,
       capacity: member.capacity,
       interests: member.interests,
       careerGoals: member.careerGoals,
+      availability: [],
       dateAdded: new Date().toISOString()
     });
 
-    fs.writeFileSync(dataFile, JSON.stringify(teamMembers, null, 2));
+    const store = await this.openStore();
+    store.write('team-members', teamMembers);
   }
 
   async viewTeamMembers() {
     console.log('\n📋 CURRENT TEAM MEMBERS\n');
-    
-    const fs = await import('fs');
-    const dataFile = 'team-members.json';
 
     try {
-      if (!fs.existsSync(dataFile)) {
-        console.log('❌ No team members found. Add some team members first.');
-        return;
-      }
-
-      const data = fs.readFileSync(dataFile, 'utf8');
-      const teamMembers = JSON.parse(data);
+      const teamMembers = await this.readCollection('team-members');
 
       if (teamMembers.length === 0) {
         console.log('❌ No team members found. Add some team members first.');
@@ -248,7 +379,7 @@ class TeamAllocationApp {
       teamMembers.forEach((member, index) => {
         console.log(`${index + 1}. ${member.name}`);
         console.log(`   Level: ${member.level}`);
-        console.log(`   Skills: ${member.skills.join(', ') || 'None specified'}`);
+        console.log(`   Skills: ${parseSkills(member.skills).map(formatSkill).join(', ') || 'None specified'}`);
         console.log(`   Capacity: ${member.capacity}`);
         console.log(`   Interests: ${member.interests.join(', ') || 'None specified'}`);
         console.log(`   Career Goals: ${member.careerGoals.join(', ') || 'None specified'}`);
@@ -309,7 +440,7 @@ class TeamAllocationApp {
     if (report.underUtilized.length > 0) {
       console.log('\n⬇️  UNDER-UTILIZED TEAM MEMBERS:');
       report.underUtilized.forEach(member => {
-        const utilization = Math.round((member.allocatedCapacity / member.capacity) * 100);
+        const utilization = Math.round(member.getUtilization() * 100);
         console.log(`• ${member.name}: ${utilization}% utilized`);
       });
     }
@@ -317,7 +448,7 @@ class TeamAllocationApp {
     if (report.overUtilized.length > 0) {
       console.log('\n⬆️  OVER-UTILIZED TEAM MEMBERS:');
       report.overUtilized.forEach(member => {
-        const utilization = Math.round((member.allocatedCapacity / member.capacity) * 100);
+        const utilization = Math.round(member.getUtilization() * 100);
         console.log(`• ${member.name}: ${utilization}% utilized`);
       });
     }
@@ -339,25 +470,41 @@ class TeamAllocationApp {
       timestamp: new Date().toISOString(),
       summary: report.summary,
       teamMembers: report.teamMembers.map(member => ({
+        id: member.id,
         name: member.name,
+        level: member.level,
+        teamName: member.teamName,
+        location: member.location,
         skills: member.skills,
         interests: member.interests,
         capacity: member.capacity,
+        effectiveCapacity: member.getEffectiveCapacity(),
+        availability: member.availability,
         allocatedCapacity: member.allocatedCapacity,
-        utilization: Math.round((member.allocatedCapacity / member.capacity) * 100),
+        utilization: Math.round(member.getUtilization() * 100),
         assignments: member.assignments || []
       })),
       roadmapItems: report.roadmapItems.map(item => ({
+        id: item.id,
         name: item.name,
         description: item.description,
         size: item.size,
         complexity: item.complexity,
         requiredSkills: item.requiredSkills,
         domain: item.domain,
+        assignedTeam: item.assignedTeam,
+        effortBreakdown: item.effortBreakdown,
+        earliestStart: item.earliestStart,
+        targetDate: item.targetDate,
+        sequence: item.sequence,
+        dependsOn: item.dependsOn,
         priority: item.priority,
         allocationStatus: item.allocationStatus,
         assignedMembers: item.assignedMembers || []
       })),
+      allocations: report.allocations,
+      schedule: report.schedule,
+      dependencyWarnings: report.dependencyWarnings,
       recommendations: report.recommendations
     };
 
@@ -1,6 +1,10 @@
+import fs from 'fs';
 import inquirer from 'inquirer';
 import { TeamMember, RoadmapItem } from './models.js';
 
+const TEAM_MEMBERS_FILE = 'team-members.json';
+const ROADMAP_ITEMS_FILE = 'roadmap-items.json';
+
 export class InputCollector {
   constructor() {
     this.teamMembers = [];
@@ -22,7 +26,7 @@ export class InputCollector {
         {
           type: 'input',
           name: 'skills',
-          message: 'Skills (comma-separated):',
+          message: 'Skills (comma-separated, optionally with a 1-5 proficiency, e.g. Swift:4):',
           filter: input => input.split(',').map(s => s.trim()).filter(s => s)
         },
         {
@@ -40,12 +44,7 @@ export class InputCollector {
         }
       ]);
 
-      const member = new TeamMember(
-        memberData.name,
-        memberData.skills,
-        memberData.capacity,
-        memberData.interests
-      );
+      const member = TeamMember.fromJSON(memberData);
       
       this.teamMembers.push(member);
       console.log(`✅ Added ${member.name} to the team\n`);
@@ -109,24 +108,24 @@ export class InputCollector {
         {
           type: 'input',
           name: 'requiredSkills',
-          message: 'Required skills (comma-separated):',
+          message: 'Required skills (comma-separated, optionally with a minimum proficiency, e.g. Swift:3):',
           filter: input => input.split(',').map(s => s.trim()).filter(s => s)
         },
         {
           type: 'input',
           name: 'domain',
           message: 'Domain/area (e.g., frontend, backend, data, mobile):',
+        },
+        {
+          type: 'checkbox',
+          name: 'dependsOn',
+          message: 'Depends on (must be done first):',
+          choices: () => this.roadmapItems.map(item => item.name),
+          when: () => this.roadmapItems.length > 0
         }
       ]);
 
-      const item = new RoadmapItem(
-        itemData.name,
-        itemData.description,
-        itemData.size,
-        itemData.complexity,
-        itemData.requiredSkills,
-        itemData.domain
-      );
+      const item = RoadmapItem.fromJSON(itemData);
       
       this.roadmapItems.push(item);
       console.log(`✅ Added "${item.name}" to the roadmap\n`);
@@ -146,9 +145,49 @@ export class InputCollector {
     return this.roadmapItems;
   }
 
+  // Read previously saved records (e.g. written by the web server or the
+  // "Manage Team Members" menu). Returns [] when the file is missing or invalid.
+  readSavedData(file) {
+    try {
+      if (!fs.existsSync(file)) return [];
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return Array.isArray(data) ? data : [];
+    } catch (error) {
+      console.warn(`⚠️  Could not read ${file}: ${error.message}`);
+      return [];
+    }
+  }
+
+  async loadSaved(file, label, fromJSON) {
+    const saved = this.readSavedData(file);
+    if (saved.length === 0) return null;
+
+    const { useSaved } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'useSaved',
+        message: `Use the ${saved.length} saved ${label} from ${file}?`,
+        default: true
+      }
+    ]);
+
+    return useSaved ? saved.map(fromJSON) : null;
+  }
+
   async collectAllData() {
-    await this.collectTeamMembers();
-    await this.collectRoadmapItems();
+    const savedMembers = await this.loadSaved(TEAM_MEMBERS_FILE, 'team members', TeamMember.fromJSON);
+    if (savedMembers) {
+      this.teamMembers = savedMembers;
+    } else {
+      await this.collectTeamMembers();
+    }
+
+    const savedItems = await this.loadSaved(ROADMAP_ITEMS_FILE, 'roadmap items', RoadmapItem.fromJSON);
+    if (savedItems) {
+      this.roadmapItems = savedItems;
+    } else {
+      await this.collectRoadmapItems();
+    }
     
     return {
       teamMembers: this.teamMembers,
@@ -0,0 +1,81 @@
+// Small min-cost flow solver used by the optimal allocation mode.
+// Capacities are integers; costs may be negative (we minimize -score).
+export class MinCostFlow {
+  constructor(nodeCount) {
+    this.nodeCount = nodeCount;
+    this.graph = Array.from({ length: nodeCount }, () => []);
+    this.edges = [];
+  }
+
+  addEdge(from, to, capacity, cost) {
+    const index = this.edges.length;
+    this.edges.push({ from, to, capacity, cost, flow: 0 });
+    this.edges.push({ from: to, to: from, capacity: 0, cost: -cost, flow: 0 });
+    this.graph[from].push(index);
+    this.graph[to].push(index + 1);
+    return index;
+  }
+
+  getFlow(edgeIndex) {
+    return this.edges[edgeIndex].flow;
+  }
+
+  // Successive shortest paths (Bellman-Ford, since costs can be negative).
+  // When stopAtNonNegative is set, stop as soon as pushing more flow would no
+  // longer lower the total cost, i.e. we maximize the total score rather than
+  // forcing the maximum amount of flow through.
+  solve(source, sink, { stopAtNonNegative = true } = {}) {
+    let totalFlow = 0;
+    let totalCost = 0;
+
+    while (true) {
+      const distance = new Array(this.nodeCount).fill(Infinity);
+      const previousEdge = new Array(this.nodeCount).fill(-1);
+      const inQueue = new Array(this.nodeCount).fill(false);
+      const queue = [source];
+      distance[source] = 0;
+      inQueue[source] = true;
+
+      while (queue.length > 0) {
+        const node = queue.shift();
+        inQueue[node] = false;
+
+        for (const edgeIndex of this.graph[node]) {
+          const edge = this.edges[edgeIndex];
+          if (edge.capacity - edge.flow <= 0) continue;
+
+          const candidate = distance[node] + edge.cost;
+          if (candidate < distance[edge.to] - 1e-9) {
+            distance[edge.to] = candidate;
+            previousEdge[edge.to] = edgeIndex;
+            if (!inQueue[edge.to]) {
+              queue.push(edge.to);
+              inQueue[edge.to] = true;
+            }
+          }
+        }
+      }
+
+      if (distance[sink] === Infinity) break;
+      if (stopAtNonNegative && distance[sink] >= 0) break;
+
+      // Find the bottleneck along the path
+      let pathFlow = Infinity;
+      for (let node = sink; node !== source; node = this.edges[previousEdge[node]].from) {
+        const edge = this.edges[previousEdge[node]];
+        pathFlow = Math.min(pathFlow, edge.capacity - edge.flow);
+      }
+
+      for (let node = sink; node !== source; node = this.edges[previousEdge[node]].from) {
+        const edgeIndex = previousEdge[node];
+        this.edges[edgeIndex].flow += pathFlow;
+        this.edges[edgeIndex ^ 1].flow -= pathFlow;
+      }
+
+      totalFlow += pathFlow;
+      totalCost += pathFlow * distance[sink];
+    }
+
+    return { flow: totalFlow, cost: totalCost };
+  }
+}
@@ -1,21 +1,225 @@
+import { parseDate, formatDate, addDays, addWeeks, MS_PER_DAY } from './dates.js';
+import { DEFAULT_SKILL_TAXONOMY } from './skills.js';
+import { effortDisciplines } from './disciplines.js';
+import { DEFAULT_CAREER_LADDER } from './career-ladder.js';
+
+// Points awarded by Allocation.calculateScore for each factor. A weights
+// profile overrides any subset of these.
+export const DEFAULT_WEIGHTS = {
+  skillMatch: 35, // Scaled by the required skills the member has and their proficiency
+  platformFit: 30, // Scaled by the share of effort on platforms the member covers
+  fullStack: 15, // Full-stack member on a project spanning 3+ platforms
+  interest: 25, // Member is interested in the item's domain
+  careerGoal: 20, // Item offers an opportunity matching a career goal
+  levelMatch: 10, // Member meets the item's minimum level
+  seniorOnComplex: 10, // Senior+ member on a complexity 4+ item
+  underLevelPenalty: 20, // Subtracted when the member is below the minimum level
+  priority: 5, // Multiplied by the item's priority
+  efficiency: 15 // Multiplied by the allocation fraction
+};
+
+// Merge a (partial) weights object over the defaults, rejecting unknown keys
+// and anything that is not a non-negative number
+export function normalizeWeights(weights = {}) {
+  const normalized = { ...DEFAULT_WEIGHTS };
+
+  for (const [key, value] of Object.entries(weights || {})) {
+    if (!(key in DEFAULT_WEIGHTS)) {
+      throw new Error(`Unknown scoring weight "${key}". Expected one of: ${Object.keys(DEFAULT_WEIGHTS).join(', ')}`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Scoring weight "${key}" must be a non-negative number`);
+    }
+    normalized[key] = value;
+  }
+
+  return normalized;
+}
+
+// Skills are { name, proficiency } on members and { name, minProficiency } on
+// roadmap items, on a 1-5 scale. Plain strings (the older format, still used
+// by Sheets imports and the CLI) are accepted too: "Swift" or "Swift:4".
+export const MIN_PROFICIENCY = 1;
+export const MAX_PROFICIENCY = 5;
+export const DEFAULT_PROFICIENCY = 3; // Assumed for member skills listed without a level
+
+function toProficiency(value, fallback) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) return fallback;
+  return Math.min(MAX_PROFICIENCY, Math.max(MIN_PROFICIENCY, Math.round(number)));
+}
+
+// Name and level of a skill in any accepted format ({ name, level } or null)
+function readSkill(value, levelKey) {
+  if (typeof value === 'string') {
+    const match = value.match(/^(.*\S)\s*:\s*(\d+)\s*$/);
+    const name = (match ? match[1] : value).trim();
+    return name ? { name, level: match ? match[2] : undefined } : null;
+  }
+  if (value && typeof value.name === 'string' && value.name.trim()) {
+    return { name: value.name.trim(), level: value[levelKey] ?? value.proficiency };
+  }
+  return null;
+}
+
+export function parseSkills(values) {
+  return (Array.isArray(values) ? values : [])
+    .map(value => readSkill(value, 'proficiency'))
+    .filter(Boolean)
+    .map(({ name, level }) => ({ name, proficiency: toProficiency(level, DEFAULT_PROFICIENCY) }));
+}
+
+export function parseRequiredSkills(values) {
+  return (Array.isArray(values) ? values : [])
+    .map(value => readSkill(value, 'minProficiency'))
+    .filter(Boolean)
+    .map(({ name, level }) => ({ name, minProficiency: toProficiency(level, MIN_PROFICIENCY) }));
+}
+
+// "Swift (4)" for display; minimum proficiency 1 is left out for requirements
+export function formatSkill(skill) {
+  const level = skill.proficiency ?? (skill.minProficiency > MIN_PROFICIENCY ? `${skill.minProficiency}+` : null);
+  return level ? `${skill.name} (${level})` : skill.name;
+}
+
+// An item's platforms are the disciplines its effortBreakdown has weeks for
+// (see disciplines.js); which skills qualify a member for each of them comes
+// from the skills taxonomy (see skills.js)
+
+// Skills (by canonical name, not category) that make a member count as
+// full-stack on cross-platform items
+const FULL_STACK_SKILLS = ['Full-stack', 'Frontend', 'Backend'];
+
+// Planning horizon of a single optimization run; LoE weeks are converted to
+// FTE against it
+export const WEEKS_PER_QUARTER = 13;
+
+// Kinds of availability window, with the share of a member's capacity left
+// during one when the window does not set its own. Onboarding ramps up from
+// that share to full capacity by the end of the window.
+export const AVAILABILITY_TYPES = {
+  pto: 0,
+  leave: 0,
+  onboarding: 0.3,
+  'on-call': 0.5
+};
+
+const WORKDAYS_PER_WEEK = 5;
+
+// Share of capacity an availability window leaves on a given day (YYYY-MM-DD)
+function availabilityShare(window, date) {
+  const share = window.capacity ?? AVAILABILITY_TYPES[window.type] ?? 0;
+  if (window.type !== 'onboarding') return share;
+
+  const start = parseDate(window.startDate);
+  const days = (parseDate(window.endDate) - start) / MS_PER_DAY + 1;
+  const elapsed = (parseDate(date) - start) / MS_PER_DAY;
+  return share + (1 - share) * (elapsed / days);
+}
+
+// Persisted fields that are not constructor arguments. fromJSON copies them
+// onto the instance so they survive into the optimizer and the report.
+const TEAM_MEMBER_FIELDS = ['id', 'teamName', 'location', 'notes', 'dateAdded', 'importedFrom'];
+const ROADMAP_ITEM_FIELDS = [
+  'id', 'assignedTeam', 'platformCount', 'remainingShare', 'earliestStart', 'targetDate', 'sequence', 'effortEstimate',
+  'dateAdded', 'importedFrom'
+];
+
+function copyFields(target, data, fields) {
+  for (const field of fields) {
+    if (data[field] !== undefined && data[field] !== null) {
+      target[field] = data[field];
+    }
+  }
+  return target;
+}
+
 export class TeamMember {
   constructor(name, level = 'Mid', skills = [], capacity = 1.0, interests = [], careerGoals = []) {
     this.name = name;
-    this.level = level; // Junior, Mid, Senior, Staff, Principal, etc.
-    this.skills = skills; // Array of skill strings
+    this.level = level; // A level of the career ladder (Junior, Mid, Senior, ... by default)
+    this.skills = parseSkills(skills); // Array of { name, proficiency }
     this.capacity = capacity; // 0.0 to 1.0 (percentage of time available)
     this.interests = interests; // Array of interest areas
     this.careerGoals = careerGoals; // What they are looking for in their career
+    this.teamName = ''; // Team the member reports into (used by team boundary policies)
+    this.availability = []; // PTO, leave, onboarding and on-call windows: { type, startDate, endDate, capacity }
+    this.effectiveCapacity = null; // Capacity over the planned quarter once availability is applied
     this.allocatedCapacity = 0.0; // Track how much capacity is already allocated
   }
 
+  // Build a member from its persisted JSON (team-members.json, Sheets import)
+  static fromJSON(data) {
+    const member = new TeamMember(
+      data.name,
+      data.level || 'Mid',
+      data.skills,
+      typeof data.capacity === 'number' ? data.capacity : 1.0,
+      Array.isArray(data.interests) ? data.interests : [],
+      Array.isArray(data.careerGoals) ? data.careerGoals : []
+    );
+    if (Array.isArray(data.availability)) {
+      member.availability = data.availability.map(window => ({ ...window }));
+    }
+    return copyFields(member, data, TEAM_MEMBER_FIELDS);
+  }
+
+  // Capacity over the workdays of the week starting on weekStart (a Monday).
+  // Each day is scaled by the most restrictive availability window covering it.
+  getWeeklyCapacity(weekStart) {
+    if (this.availability.length === 0) return this.capacity;
+
+    let share = 0;
+    for (let day = 0; day < WORKDAYS_PER_WEEK; day++) {
+      const date = formatDate(addDays(weekStart, day));
+      const covering = this.availability.filter(window => window.startDate <= date && date <= window.endDate);
+      share += Math.min(1, ...covering.map(window => availabilityShare(window, date)));
+    }
+    return this.capacity * share / WORKDAYS_PER_WEEK;
+  }
+
+  // Average weekly capacity over a plan of `weeks` weeks from planStart
+  calculateEffectiveCapacity(planStart, weeks = WEEKS_PER_QUARTER) {
+    let total = 0;
+    for (let week = 0; week < weeks; week++) {
+      total += this.getWeeklyCapacity(addWeeks(planStart, week));
+    }
+    return total / weeks;
+  }
+
+  // Capacity the optimizer plans with: the effective capacity once it has
+  // been calculated for a quarter, the flat capacity otherwise
+  getEffectiveCapacity() {
+    return this.effectiveCapacity ?? this.capacity;
+  }
+
   getAvailableCapacity() {
-    return Math.max(0, this.capacity - this.allocatedCapacity);
+    return Math.max(0, this.getEffectiveCapacity() - this.allocatedCapacity);
+  }
+
+  // Allocated share of the effective capacity (0 for members away all quarter)
+  getUtilization() {
+    const capacity = this.getEffectiveCapacity();
+    return capacity > 0 ? this.allocatedCapacity / capacity : 0;
+  }
+
+  // Proficiency in a skill (0 when the member does not have it). Aliases
+  // count as the skill, and a category is met at the member's best
+  // proficiency in any skill under it.
+  getProficiency(name, taxonomy = DEFAULT_SKILL_TAXONOMY) {
+    return Math.max(0, ...this.skills
+      .filter(skill => taxonomy.satisfies(skill.name, name))
+      .map(skill => skill.proficiency));
+  }
+
+  // Accepts a skill name or a required skill ({ name, minProficiency })
+  hasSkill(skill, minProficiency = MIN_PROFICIENCY, taxonomy = DEFAULT_SKILL_TAXONOMY) {
+    if (typeof skill === 'string') return this.getProficiency(skill, taxonomy) >= minProficiency;
+    return this.getProficiency(skill.name, taxonomy) >= (skill.minProficiency ?? minProficiency);
   }
 
-  hasSkill(skill) {
-    return this.skills.some(s => s.toLowerCase().includes(skill.toLowerCase()) || 
-                              skill.toLowerCase().includes(s.toLowerCase()));
+  hasPlatformSkill(platform, taxonomy = DEFAULT_SKILL_TAXONOMY) {
+    return this.skills.some(skill => taxonomy.platformsOf(skill.name).includes(platform));
   }
 
   hasInterest(area) {
@@ -28,18 +232,9 @@ export class TeamMember {
                                      goal.toLowerCase().includes(g.toLowerCase()));
   }
 
-  getLevelWeight() {
-    // Higher weight for more senior levels (for complex projects)
-    const levelWeights = {
-      'intern': 0.5,
-      'junior': 0.7,
-      'mid': 1.0,
-      'senior': 1.3,
-      'staff': 1.5,
-      'principal': 1.7,
-      'architect': 1.8
-    };
-    return levelWeights[this.level.toLowerCase()] || 1.0;
+  // Higher weight for more senior levels (for complex projects)
+  getLevelWeight(ladder = DEFAULT_CAREER_LADDER) {
+    return ladder.weight(this.level);
   }
 }
 
@@ -49,14 +244,42 @@ export class RoadmapItem {
     this.description = description;
     this.size = size; // 1-5 scale (1=small, 5=large)
     this.complexity = complexity; // 1-5 scale (1=simple, 5=complex)
-    this.requiredSkills = requiredSkills; // Array of required skill strings
+    this.requiredSkills = parseRequiredSkills(requiredSkills); // Array of { name, minProficiency }
     this.domain = domain; // Domain/area of interest
     this.minLevel = minLevel; // Minimum level required for this project
     this.careerOpportunities = careerOpportunities; // Career growth opportunities this project provides
+    this.assignedTeam = null; // Owning team, if any (used by team boundary policies)
     this.assignedMembers = []; // Array of {member, allocation} objects
+    this.remainingShare = 1.0; // Share of a non-LoE item still to staff (rolling plans carry the rest over)
+    this.earliestStart = null; // YYYY-MM-DD the work can start on, if constrained
+    this.targetDate = null; // YYYY-MM-DD the work should be done by
+    this.sequence = null; // Members finish lower-sequence items first
+    this.dependsOn = []; // Ids (or names) of items that must be done first
+    this.effortEstimate = null; // { low, likely, high } weeks of total effort, sampled by effort simulations
     this.priority = this.calculatePriority();
   }
 
+  // Build an item from its persisted JSON (roadmap-items.json, Sheets import)
+  static fromJSON(data) {
+    const item = new RoadmapItem(
+      data.name,
+      data.description || '',
+      typeof data.size === 'number' ? data.size : 1,
+      typeof data.complexity === 'number' ? data.complexity : 1,
+      data.requiredSkills,
+      data.domain || '',
+      data.minLevel || 'Junior',
+      Array.isArray(data.careerOpportunities) ? data.careerOpportunities : []
+    );
+    if (data.effortBreakdown) {
+      item.effortBreakdown = { ...data.effortBreakdown };
+    }
+    if (Array.isArray(data.dependsOn)) {
+      item.dependsOn = [...data.dependsOn];
+    }
+    return copyFields(item, data, ROADMAP_ITEM_FIELDS);
+  }
+
   calculatePriority() {
     // Higher priority for larger, more complex projects
     return (this.size * 0.6) + (this.complexity * 0.4);
@@ -73,12 +296,35 @@ export class RoadmapItem {
       // Assuming 1 FTE can handle 1 week of work per week
       // Scale based on complexity (complex work needs more senior/focused people)
       const complexityMultiplier = 1 + ((this.complexity - 1) * 0.1); // 1.0 to 1.4x
-      const baseCapacity = this.effortBreakdown.total / 13; // Quarter = 13 weeks (3 months)
+      const baseCapacity = this.effortBreakdown.total / WEEKS_PER_QUARTER; // Quarter = 13 weeks (3 months)
       return baseCapacity * complexityMultiplier;
     }
     
     // Fallback to original heuristic for items without LoE data
-    return (this.size / 5) * (this.complexity / 5) * 2; // Max 2.0 capacity units
+    return (this.size / 5) * (this.complexity / 5) * 2 * this.remainingShare; // Max 2.0 capacity units
+  }
+
+  // Required FTE per platform, split in proportion to the LoE breakdown.
+  // Returns null for items without platform effort (staffed as one pool).
+  getCapacityBuckets() {
+    const effort = this.effortBreakdown;
+    if (!effort) return null;
+
+    const platforms = effortDisciplines(effort);
+    const platformEffort = platforms.reduce((sum, platform) => sum + effort[platform], 0);
+    if (platformEffort <= 0) return null;
+
+    const requiredCapacity = this.getRequiredCapacity();
+    const buckets = {};
+    for (const platform of platforms) {
+      buckets[platform] = requiredCapacity * (effort[platform] / platformEffort);
+    }
+    return buckets;
+  }
+
+  getPlatformAllocation(platform) {
+    return this.assignedMembers.reduce((sum, assignment) =>
+      sum + ((assignment.platforms && assignment.platforms[platform]) || 0), 0);
   }
 
   isFullyStaffed() {
@@ -87,114 +333,139 @@ export class RoadmapItem {
 }
 
 export class Allocation {
-  constructor(member, item, allocation) {
+  constructor(member, item, allocation, weights = DEFAULT_WEIGHTS, taxonomy = DEFAULT_SKILL_TAXONOMY, ladder = DEFAULT_CAREER_LADDER) {
     this.member = member; // TeamMember instance
     this.item = item; // RoadmapItem instance
     this.allocation = allocation; // Percentage of member's capacity (0.0 to 1.0)
+    this.weights = weights; // Scoring weights (see DEFAULT_WEIGHTS)
+    this.taxonomy = taxonomy; // Skills taxonomy skills are matched against
+    this.ladder = ladder; // Career ladder levels are weighed on
     this.score = this.calculateScore();
   }
 
   calculateScore() {
-    let score = 0;
+    return this.calculateBreakdown().total;
+  }
 
-    // Skill match bonus
-    const skillMatches = this.item.requiredSkills.filter(skill => 
-      this.member.hasSkill(skill)).length;
-    const skillScore = skillMatches / Math.max(1, this.item.requiredSkills.length);
-    score += skillScore * 35;
+  // Itemized score so a result can explain itself: every factor lists the
+  // points it contributed and what matched.
+  calculateBreakdown() {
+    const weights = this.weights;
+
+    // Skill match bonus: each required skill the member meets the minimum
+    // proficiency for earns credit in proportion to their proficiency
+    const skillDetails = this.item.requiredSkills.map(required => {
+      const proficiency = this.member.getProficiency(required.name, this.taxonomy);
+      const meetsMinimum = proficiency >= required.minProficiency;
+      return {
+        skill: required.name,
+        minProficiency: required.minProficiency,
+        proficiency,
+        credit: meetsMinimum ? proficiency / MAX_PROFICIENCY : 0
+      };
+    });
+    const skillScore = skillDetails.reduce((sum, detail) => sum + detail.credit, 0) /
+      Math.max(1, this.item.requiredSkills.length);
+    const skills = {
+      matched: skillDetails.filter(d => d.credit > 0).map(d => d.skill),
+      belowMinimum: skillDetails.filter(d => d.proficiency > 0 && d.credit === 0).map(d => d.skill),
+      missing: skillDetails.filter(d => d.proficiency === 0).map(d => d.skill),
+      details: skillDetails,
+      points: skillScore * weights.skillMatch
+    };
 
     // Platform specialization bonus (based on LoE breakdown)
-    if (this.item.effortBreakdown) {
-      const platformBonuses = this.calculatePlatformBonus();
-      score += platformBonuses;
-    }
+    const platforms = this.calculatePlatformBreakdown();
 
     // Interest match bonus
-    if (this.member.hasInterest(this.item.domain)) {
-      score += 25;
-    }
+    const interestHit = this.member.hasInterest(this.item.domain);
+    const interest = {
+      domain: this.item.domain,
+      matched: interestHit,
+      points: interestHit ? weights.interest : 0
+    };
 
     // Career goal alignment bonus
     const careerMatches = this.item.careerOpportunities.filter(opp => 
-      this.member.hasCareerGoal(opp)).length;
-    if (careerMatches > 0) {
-      score += 20;
-    }
+      this.member.hasCareerGoal(opp));
+    const careerGoal = {
+      matched: careerMatches,
+      points: careerMatches.length > 0 ? weights.careerGoal : 0
+    };
 
     // Level appropriateness
-    const memberLevelWeight = this.member.getLevelWeight();
-    const levelWeights = {
-      'intern': 0.5, 'junior': 0.7, 'mid': 1.0, 'senior': 1.3, 
-      'staff': 1.5, 'principal': 1.7, 'architect': 1.8
+    const memberLevelWeight = this.member.getLevelWeight(this.ladder);
+    const minLevelWeight = this.ladder.weight(this.item.minLevel);
+    const level = {
+      memberLevel: this.member.level,
+      minLevel: this.item.minLevel,
+      meetsMinimum: memberLevelWeight >= minLevelWeight,
+      points: 0,
+      seniorOnComplexPoints: 0
     };
-    const minLevelWeight = levelWeights[this.item.minLevel.toLowerCase()] || 1.0;
     
-    if (memberLevelWeight >= minLevelWeight) {
+    if (level.meetsMinimum) {
       // Bonus for appropriate level match
-      score += 10;
+      level.points = weights.levelMatch;
       // Additional bonus for complex projects with senior people
-      if (this.item.complexity >= 4 && memberLevelWeight >= 1.3) {
-        score += 10;
+      if (this.item.complexity >= 4 && this.ladder.isSenior(this.member.level)) {
+        level.seniorOnComplexPoints = weights.seniorOnComplex;
       }
     } else {
       // Penalty for under-leveled assignment
-      score -= 20;
+      level.points = -weights.underLevelPenalty;
     }
 
     // Project priority bonus
-    score += this.item.priority * 5;
+    const priority = {
+      value: this.item.priority,
+      points: this.item.priority * weights.priority
+    };
 
     // Efficiency bonus (higher allocation is more efficient)
-    score += this.allocation * 15;
+    const efficiency = {
+      allocation: this.allocation,
+      points: this.allocation * weights.efficiency
+    };
 
-    return score;
+    const total = skills.points + platforms.points + interest.points + careerGoal.points +
+      level.points + level.seniorOnComplexPoints + priority.points + efficiency.points;
+
+    return { skills, platforms, interest, careerGoal, level, priority, efficiency, total };
   }
 
   calculatePlatformBonus() {
-    let bonus = 0;
+    return this.calculatePlatformBreakdown().points;
+  }
+
+  calculatePlatformBreakdown() {
+    const breakdown = { perPlatform: [], fullStackPoints: 0, points: 0 };
     const effort = this.item.effortBreakdown;
-    if (!effort) return bonus;
-
-    // Define platform skill mappings
-    const platformSkills = {
-      ios: ['ios', 'swift', 'objective-c', 'mobile development', 'mobile', 'app development'],
-      android: ['android', 'kotlin', 'java', 'mobile development', 'mobile', 'app development'], 
-      web: ['frontend', 'javascript', 'react', 'vue', 'angular', 'html', 'css', 'web development'],
-      backend: ['backend', 'api', 'node.js', 'python', 'java', 'database', 'sql', 'server']
-    };
+    if (!effort) return breakdown;
 
     // Calculate bonus based on member's skills matching platform requirements
-    ['ios', 'android', 'web', 'backend'].forEach(platform => {
-      const platformEffort = effort[platform];
-      if (platformEffort > 0) {
-        const relevantSkills = platformSkills[platform];
-        const memberSkillsLower = this.member.skills.map(s => s.toLowerCase());
-        const hasRelevantSkill = relevantSkills.some(skill => 
-          memberSkillsLower.some(memberSkill => memberSkill.includes(skill))
-        );
-        
-        if (hasRelevantSkill) {
-          // Bonus scaled by the effort needed for this platform
-          const platformWeight = platformEffort / effort.total;
-          bonus += platformWeight * 30; // Up to 30 points for perfect match
-        }
-      }
+    const platforms = effortDisciplines(effort);
+    platforms.forEach(platform => {
+      const hasRelevantSkill = this.member.hasPlatformSkill(platform, this.taxonomy);
+
+      // Bonus scaled by the effort needed for this platform
+      const platformWeight = effort[platform] / effort.total;
+      const points = hasRelevantSkill ? platformWeight * this.weights.platformFit : 0; // Up to platformFit points for perfect match
+      breakdown.perPlatform.push({ platform, effortShare: platformWeight, matched: hasRelevantSkill, points });
+      breakdown.points += points;
     });
 
     // Additional bonus for full-stack developers on multi-platform projects
     if (effort.total > 0) {
-      const platformCount = [effort.ios, effort.android, effort.web, effort.backend].filter(e => e > 0).length;
-      if (platformCount > 2) {
-        const memberSkillsLower = this.member.skills.map(s => s.toLowerCase());
-        const isFullStack = ['frontend', 'backend', 'full-stack', 'fullstack'].some(skill => 
-          memberSkillsLower.some(memberSkill => memberSkill.includes(skill))
-        );
+      if (platforms.length > 2) {
+        const isFullStack = this.member.skills.some(skill => FULL_STACK_SKILLS.includes(this.taxonomy.canonicalName(skill.name)));
         if (isFullStack) {
-          bonus += 15; // Bonus for full-stack on complex cross-platform projects
+          breakdown.fullStackPoints = this.weights.fullStack; // Bonus for full-stack on complex cross-platform projects
+          breakdown.points += breakdown.fullStackPoints;
         }
       }
     }
 
-    return bonus;
+    return breakdown;
   }
 }
\ No newline at end of file
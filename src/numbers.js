@@ -0,0 +1,4 @@
+// Rounds to two decimals, the precision reports show FTE, weeks and ratios in
+export function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -1,17 +1,96 @@
-import { Allocation } from './models.js';
+import { Allocation, normalizeWeights, WEEKS_PER_QUARTER } from './models.js';
+import { DEFAULT_SKILL_TAXONOMY } from './skills.js';
+import { DEFAULT_DISCIPLINES, effortDisciplines, findDiscipline } from './disciplines.js';
+import { DEFAULT_CAREER_LADDER } from './career-ladder.js';
+import { MinCostFlow } from './min-cost-flow.js';
+import { round } from './numbers.js';
+import { Scheduler } from './scheduler.js';
+import { planStart } from './dates.js';
+import { getPrerequisites, findDependencyCycle, orderByDependencies } from './dependencies.js';
+
+// Available solver modes:
+// - greedy: walk items by priority and hand out capacity to the best matches
+// - optimal: solve all items at once as a min-cost flow problem
+export const SOLVERS = ['greedy', 'optimal'];
+
+// Team boundary policies:
+// - ignore: assign people across any team (default)
+// - prefer: allow cross-team loans but subtract crossTeamPenalty from their score
+// - strict: only assign members to items owned by their own team
+export const TEAM_POLICIES = ['ignore', 'prefer', 'strict'];
+
+const DEFAULT_CROSS_TEAM_PENALTY = 15;
+
+// Stability mode: score bonus for keeping a member on a baseline item, and
+// the drop in allocation that still counts as keeping them there
+const DEFAULT_CHURN_PENALTY = 20;
+const CHURN_TOLERANCE = 0.05;
+
+// Flow capacities are integers, so FTE is expressed in hundredths
+const FLOW_UNITS_PER_FTE = 100;
+
+// Smallest share of a member worth assigning to an item (more than 10%)
+const MIN_ITEM_SHARE = 0.1;
+
+// Max share of a person's capacity on any single project
+const MAX_ITEM_SHARE = 0.5;
 
 export class AllocationOptimizer {
-  constructor(teamMembers, roadmapItems) {
+  constructor(teamMembers, roadmapItems, options = {}) {
     this.teamMembers = teamMembers;
     this.roadmapItems = roadmapItems;
     this.allocations = [];
+    this.solver = options.solver || 'greedy';
+
+    if (!SOLVERS.includes(this.solver)) {
+      throw new Error(`Unknown solver "${this.solver}". Expected one of: ${SOLVERS.join(', ')}`);
+    }
+
+    // Scoring weights (partial objects are merged over the defaults)
+    this.weights = normalizeWeights(options.weights);
+    this.weightsProfile = options.weightsProfile || 'Default';
+
+    // Skills taxonomy used to match skills, aliases and platforms
+    this.skillTaxonomy = options.skillTaxonomy || DEFAULT_SKILL_TAXONOMY;
+
+    // Configured disciplines, used to name the roles items are short of
+    this.disciplines = options.disciplines || DEFAULT_DISCIPLINES;
+
+    // Career ladder member and minimum levels are weighed on
+    this.careerLadder = options.careerLadder || DEFAULT_CAREER_LADDER;
+
+    this.teamPolicy = options.teamPolicy || 'ignore';
+    this.crossTeamPenalty = options.crossTeamPenalty ?? DEFAULT_CROSS_TEAM_PENALTY;
+
+    if (!TEAM_POLICIES.includes(this.teamPolicy)) {
+      throw new Error(`Unknown team policy "${this.teamPolicy}". Expected one of: ${TEAM_POLICIES.join(', ')}`);
+    }
+
+    // Constraints reference members and items by name:
+    // pinned: [{ member, item, fraction }], forbidden: [{ member, item }]
+    const constraints = options.constraints || {};
+    this.pinned = constraints.pinned || [];
+    this.forbidden = constraints.forbidden || [];
+    this.constraintIssues = [];
+
+    // First day of the planned quarter (YYYY-MM-DD); defaults to this week
+    this.startDate = options.startDate;
+
+    // Stability mode: allocations of a previous plan ({ member, item,
+    // allocation } by name). Moving a member off an item they are on costs
+    // churnPenalty score points, so replans only move people when it pays.
+    this.baseline = options.baseline || null;
+    this.churnPenalty = options.churnPenalty ?? DEFAULT_CHURN_PENALTY;
   }
 
   optimize() {
     // Reset all allocations
+    // Availability windows reduce what each member can take on this quarter
+    const start = planStart(this.startDate);
     this.teamMembers.forEach(member => {
       member.allocatedCapacity = 0.0;
       member.assignments = [];
+      member.effectiveCapacity = member.calculateEffectiveCapacity(start, WEEKS_PER_QUARTER);
     });
     
     this.roadmapItems.forEach(item => {
@@ -19,82 +98,479 @@ export class AllocationOptimizer {
     });
     
     this.allocations = [];
-
-    // Sort roadmap items by priority (size + complexity)
-    const sortedItems = [...this.roadmapItems].sort((a, b) => b.priority - a.priority);
-
-    // Allocate each item using a greedy approach with optimization
-    for (const item of sortedItems) {
-      this.allocateItem(item);
+    this.constraintIssues = [];
+    this.effectivePriorities = this.calculateEffectivePriorities();
+
+    // Pinned assignments are honored before either solver runs
+    this.applyPinnedAssignments();
+
+    if (this.solver === 'optimal') {
+      this.allocateOptimally();
+    } else {
+      // Sort roadmap items by priority (size + complexity), staffing
+      // prerequisites before the items that depend on them
+      const sortedItems = orderByDependencies([...this.roadmapItems]
+        .sort((a, b) => this.effectivePriorities.get(b) - this.effectivePriorities.get(a)));
+
+      // Allocate each item using a greedy approach with optimization
+      for (const item of sortedItems) {
+        this.allocateItem(item);
+      }
     }
 
     return this.generateReport();
   }
 
   allocateItem(item) {
-    const requiredCapacity = item.getRequiredCapacity();
-    let remainingCapacity = requiredCapacity;
-
     // Find potential allocations for this item
     const potentialAllocations = this.findPotentialAllocations(item);
     
     // Sort by score (best matches first)
     potentialAllocations.sort((a, b) => b.score - a.score);
 
-    // Allocate capacity starting with best matches
+    const buckets = this.getBuckets(item);
+
+    // Allocate capacity starting with best matches. Each member only fills
+    // the platform buckets they can work on, so backend engineers cannot
+    // staff an item's iOS share.
     for (const potential of potentialAllocations) {
-      if (remainingCapacity <= 0) break;
+      // Pinned members already count towards the requirement
+      const openBuckets = buckets
+        .map(bucket => ({ platform: bucket.platform, remaining: bucket.required - this.getBucketAllocation(item, bucket.platform) }))
+        .filter(bucket => bucket.remaining > 1e-9);
+      if (openBuckets.length === 0) break;
 
       const member = potential.member;
+      const memberBuckets = openBuckets
+        .filter(bucket => this.canFillBucket(member, bucket.platform))
+        .sort((a, b) => b.remaining - a.remaining);
+      const remainingCapacity = memberBuckets.reduce((sum, bucket) => sum + bucket.remaining, 0);
+
       const availableCapacity = member.getAvailableCapacity();
-      
-      if (availableCapacity <= 0) continue;
+      if (availableCapacity <= 0 || remainingCapacity <= 0) continue;
 
       // Determine how much capacity to allocate
       const allocationAmount = Math.min(
         remainingCapacity,
         availableCapacity,
-        0.5 // Max 50% of a person's capacity to any single project
+        MAX_ITEM_SHARE
       );
 
-      if (allocationAmount > 0.1) { // Only allocate if meaningful (>10%)
-        const allocation = new Allocation(member, item, allocationAmount);
-        
-        // Update member's allocated capacity
-        member.allocatedCapacity += allocationAmount;
-        if (!member.assignments) member.assignments = [];
-        member.assignments.push({
-          item: item.name,
-          allocation: allocationAmount,
-          percentage: Math.round(allocationAmount * 100)
+      if (allocationAmount > MIN_ITEM_SHARE) {
+        // Fill the member's neediest platforms first
+        let unassigned = allocationAmount;
+        for (const bucket of memberBuckets) {
+          const share = Math.min(unassigned, bucket.remaining);
+          if (share <= 0) break;
+          this.recordAllocation(member, item, share, potential.score, false, bucket.platform);
+          unassigned -= share;
+        }
+      }
+    }
+
+    // Mark item status based on allocation
+    item.allocationStatus = this.getItemStatus(item);
+  }
+
+  allocateOptimally() {
+    const itemBuckets = this.roadmapItems.map(item => this.getBuckets(item));
+    const itemPotentials = this.roadmapItems.map(item => this.findPotentialAllocations(item));
+
+    // Shares of 10% or less are not worth assigning, so a pair the flow gives
+    // one is left out and the network solved again: the capacity it held goes
+    // to other pairs instead of staying unused. Every round leaves out at
+    // least one more pair, so this ends.
+    const excluded = new Set();
+    let solution;
+    for (;;) {
+      solution = this.solveAllocationFlow(itemBuckets, itemPotentials, excluded);
+      const smallShares = solution.pairs.filter(pair => {
+        const allocationAmount = solution.network.getFlow(pair.edge) / FLOW_UNITS_PER_FTE;
+        return allocationAmount > 0 && allocationAmount <= MIN_ITEM_SHARE;
+      });
+      if (smallShares.length === 0) break;
+      smallShares.forEach(pair => excluded.add(pair.potential));
+    }
+
+    const { network, pairs } = solution;
+
+    // Record allocations item by item (highest priority first) for a stable report order
+    const sortedItems = [...this.roadmapItems].sort((a, b) => b.priority - a.priority);
+    for (const item of sortedItems) {
+      const itemPairs = pairs
+        .filter(pair => pair.item === item)
+        .sort((a, b) => b.score - a.score);
+
+      for (const pair of itemPairs) {
+        if (network.getFlow(pair.edge) === 0) continue;
+
+        for (const bucketEdge of pair.bucketEdges) {
+          const platformAmount = network.getFlow(bucketEdge.edge) / FLOW_UNITS_PER_FTE;
+          if (platformAmount > 0) {
+            this.recordAllocation(pair.member, item, platformAmount, pair.score, false, bucketEdge.platform);
+          }
+        }
+      }
+
+      item.allocationStatus = this.getItemStatus(item);
+    }
+  }
+
+  // Network: source -> member (available capacity) -> member/item pair (max
+  // 50% per member) -> item platform bucket -> sink (required capacity).
+  // Each member -> pair edge costs -score, so the cheapest flow is the
+  // assignment with the highest total score-weighted FTE across all items at
+  // once, instead of item by item. Pairs only connect to the buckets of
+  // platforms the member can work on; excluded potentials get no pair.
+  solveAllocationFlow(itemBuckets, itemPotentials, excluded) {
+    const toUnits = fte => Math.round(fte * FLOW_UNITS_PER_FTE);
+
+    const source = 0;
+    const sink = 1;
+    let nodeCount = 2;
+    const memberNodes = this.teamMembers.map(() => nodeCount++);
+    const bucketNodes = itemBuckets.map(buckets => buckets.map(() => nodeCount++));
+    const pairNodes = itemPotentials.map(potentials => potentials.map(() => nodeCount++));
+    const network = new MinCostFlow(nodeCount);
+
+    this.teamMembers.forEach((member, memberIndex) => {
+      network.addEdge(source, memberNodes[memberIndex], toUnits(member.getAvailableCapacity()), 0);
+    });
+
+    const pairs = [];
+
+    this.roadmapItems.forEach((item, itemIndex) => {
+      itemBuckets[itemIndex].forEach((bucket, bucketIndex) => {
+        const remainingCapacity = Math.max(0, bucket.required - this.getBucketAllocation(item, bucket.platform));
+        network.addEdge(bucketNodes[itemIndex][bucketIndex], sink, toUnits(remainingCapacity), 0);
+      });
+
+      // Same candidate filter and baseline scoring as the greedy solver
+      itemPotentials[itemIndex].forEach((potential, potentialIndex) => {
+        if (excluded.has(potential)) return;
+
+        const memberIndex = this.teamMembers.indexOf(potential.member);
+        const pairNode = pairNodes[itemIndex][potentialIndex];
+        // Upstream items are costed at the priority they inherit from their dependents
+        const upstreamBonus = (this.effectivePriorities.get(item) - item.priority) * this.weights.priority;
+        const edge = network.addEdge(memberNodes[memberIndex], pairNode, toUnits(MAX_ITEM_SHARE), -(potential.score + upstreamBonus));
+
+        const bucketEdges = [];
+        itemBuckets[itemIndex].forEach((bucket, bucketIndex) => {
+          if (!this.canFillBucket(potential.member, bucket.platform)) return;
+          const bucketEdge = network.addEdge(pairNode, bucketNodes[itemIndex][bucketIndex], toUnits(MAX_ITEM_SHARE), 0);
+          bucketEdges.push({ edge: bucketEdge, platform: bucket.platform });
         });
 
-        // Update item's assigned members
-        item.assignedMembers.push({
-          member: member.name,
-          allocation: allocationAmount,
-          percentage: Math.round(allocationAmount * 100)
+        pairs.push({ edge, bucketEdges, potential, member: potential.member, item, score: potential.score });
+      });
+    });
+
+    network.solve(source, sink);
+    return { network, pairs };
+  }
+
+  // Record an assignment of part of a member's capacity to one of an item's
+  // platform buckets (platform null for single-pool items). A member who works
+  // on several platforms of the same item gets one allocation covering all.
+  recordAllocation(member, item, allocationAmount, matchScore, pinned = false, platform = null) {
+    const existing = this.allocations.find(a => a.member === member && a.item === item);
+    if (existing) {
+      existing.allocation += allocationAmount;
+      if (platform) {
+        existing.platforms[platform] = (existing.platforms[platform] || 0) + allocationAmount;
+      }
+      existing.score = existing.calculateScore();
+      member.allocatedCapacity += allocationAmount;
+
+      const memberEntry = member.assignments.find(a => a.item === item.name);
+      const itemEntry = item.assignedMembers.find(a => a.member === member.name);
+      for (const entry of [memberEntry, itemEntry]) {
+        entry.allocation = existing.allocation;
+        entry.percentage = Math.round(existing.allocation * 100);
+      }
+      return existing;
+    }
+
+    const allocation = new Allocation(member, item, allocationAmount, this.weights, this.skillTaxonomy, this.careerLadder);
+    // Baseline (30%) score the solver ranked this pair with, used for the objective
+    allocation.matchScore = matchScore;
+    allocation.pinned = pinned;
+    // FTE per platform bucket (shared with the assignment entries below)
+    allocation.platforms = platform ? { [platform]: allocationAmount } : {};
+
+    // Update member's allocated capacity
+    member.allocatedCapacity += allocationAmount;
+    if (!member.assignments) member.assignments = [];
+    member.assignments.push({
+      item: item.name,
+      allocation: allocationAmount,
+      percentage: Math.round(allocationAmount * 100),
+      platforms: allocation.platforms,
+      pinned: pinned
+    });
+
+    // Update item's assigned members
+    item.assignedMembers.push({
+      member: member.name,
+      allocation: allocationAmount,
+      percentage: Math.round(allocationAmount * 100),
+      platforms: allocation.platforms,
+      pinned: pinned
+    });
+
+    this.allocations.push(allocation);
+    return allocation;
+  }
+
+  // Items inherit the highest priority among the items (transitively) waiting
+  // on them, so upstream work is not staffed after the work it unblocks
+  calculateEffectivePriorities() {
+    const priorities = new Map(this.roadmapItems.map(item => [item, item.priority]));
+
+    for (const item of this.roadmapItems) {
+      const stack = [item];
+      const seen = new Set(stack);
+      while (stack.length > 0) {
+        for (const prerequisite of getPrerequisites(stack.pop(), this.roadmapItems)) {
+          if (seen.has(prerequisite)) continue;
+          seen.add(prerequisite);
+          priorities.set(prerequisite, Math.max(priorities.get(prerequisite), item.priority));
+          stack.push(prerequisite);
+        }
+      }
+    }
+
+    return priorities;
+  }
+
+  // Dependent items that got people while a prerequisite is still short, and
+  // dependency cycles (which the web server rejects, but CLI data may contain)
+  findDependencyWarnings() {
+    const warnings = [];
+
+    const cycle = findDependencyCycle(this.roadmapItems);
+    if (cycle) {
+      warnings.push({ type: 'cycle', items: cycle, message: `Dependency cycle: ${cycle.join(' → ')}` });
+    }
+
+    for (const item of this.roadmapItems) {
+      if (item.getTotalAllocation() <= 0) continue;
+
+      for (const prerequisite of getPrerequisites(item, this.roadmapItems)) {
+        if (prerequisite.allocationStatus !== 'under-staffed' && prerequisite.allocationStatus !== 'not-staffed') continue;
+        warnings.push({
+          type: 'prerequisite-unstaffed',
+          item: item.name,
+          prerequisite: prerequisite.name,
+          message: `${item.name} is staffed but its prerequisite ${prerequisite.name} is ${prerequisite.allocationStatus}`
         });
+      }
+    }
+
+    return warnings;
+  }
+
+  // Capacity buckets an item is staffed in: one per platform with effort, or
+  // a single pool (platform null) for items without an effort breakdown
+  getBuckets(item) {
+    const buckets = item.getCapacityBuckets();
+    if (!buckets) return [{ platform: null, required: item.getRequiredCapacity() }];
+    return Object.entries(buckets).map(([platform, required]) => ({ platform, required }));
+  }
+
+  getBucketAllocation(item, platform) {
+    return platform ? item.getPlatformAllocation(platform) : item.getTotalAllocation();
+  }
+
+  canFillBucket(member, platform) {
+    return platform === null || member.hasPlatformSkill(platform, this.skillTaxonomy);
+  }
+
+  // Pins count towards the platform bucket the member can work on with the
+  // most unmet need; members who fit none of the item's platforms still
+  // count towards its total
+  choosePinnedPlatform(member, item) {
+    const candidates = this.getBuckets(item)
+      .filter(bucket => bucket.platform && member.hasPlatformSkill(bucket.platform, this.skillTaxonomy))
+      .map(bucket => ({ ...bucket, remaining: bucket.required - item.getPlatformAllocation(bucket.platform) }))
+      .sort((a, b) => b.remaining - a.remaining);
+    return candidates.length > 0 ? candidates[0].platform : null;
+  }
+
+  // Fill ratio per platform bucket; empty for single-pool items
+  getPlatformStaffing(item) {
+    const buckets = item.getCapacityBuckets();
+    if (!buckets) return [];
+
+    return Object.entries(buckets).map(([platform, required]) => {
+      const allocated = item.getPlatformAllocation(platform);
+      return {
+        platform,
+        required: round(required),
+        allocated: round(allocated),
+        fillRatio: required > 0 ? round(allocated / required) : 1
+      };
+    });
+  }
+
+  applyPinnedAssignments() {
+    for (const pin of this.pinned) {
+      const member = this.teamMembers.find(m => m.name === pin.member);
+      const item = this.roadmapItems.find(i => i.name === pin.item);
+
+      if (!member || !item) {
+        this.addConstraintIssue('unknown-reference', pin, `Pin ${pin.member} → ${pin.item} references a member or item that no longer exists`);
+        continue;
+      }
+
+      if (this.isForbidden(member, item)) {
+        this.addConstraintIssue('conflict', pin, `${pin.member} is both pinned to and forbidden from ${pin.item}; pin ignored`);
+        continue;
+      }
+
+      if (item.assignedMembers.some(a => a.member === member.name)) {
+        this.addConstraintIssue('duplicate', pin, `${pin.member} is pinned to ${pin.item} more than once; only the first pin is used`);
+        continue;
+      }
 
-        this.allocations.push(allocation);
-        remainingCapacity -= allocationAmount;
+      const availableCapacity = member.getAvailableCapacity();
+      const fraction = Math.min(pin.fraction, availableCapacity);
+
+      if (fraction < pin.fraction) {
+        this.addConstraintIssue('over-capacity', pin,
+          `${pin.member} only has ${Math.round(availableCapacity * 100)}% capacity left for the ${Math.round(pin.fraction * 100)}% pin on ${pin.item}`);
+      }
+
+      if (fraction > 0) {
+        const baselineScore = new Allocation(member, item, 0.3, this.weights, this.skillTaxonomy, this.careerLadder).score;
+        this.recordAllocation(member, item, fraction, baselineScore, true, this.choosePinnedPlatform(member, item));
       }
     }
+  }
 
-    // Mark item status based on allocation
-    item.allocationStatus = this.getItemStatus(item, requiredCapacity - remainingCapacity);
+  // A loan is an assignment to an item owned by a different team. Members or
+  // items without a team are never treated as loans.
+  isCrossTeam(member, item) {
+    if (!member.teamName || !item.assignedTeam) return false;
+    return member.teamName.trim().toLowerCase() !== item.assignedTeam.trim().toLowerCase();
+  }
+
+  findCrossTeamLoans() {
+    return this.allocations
+      .filter(allocation => this.isCrossTeam(allocation.member, allocation.item))
+      .map(allocation => ({
+        member: allocation.member.name,
+        fromTeam: allocation.member.teamName,
+        toTeam: allocation.item.assignedTeam,
+        item: allocation.item.name,
+        allocation: allocation.allocation
+      }));
+  }
+
+  isForbidden(member, item) {
+    return this.forbidden.some(f => f.member === member.name && f.item === item.name);
+  }
+
+  isPinned(member, item) {
+    return this.pinned.some(p => p.member === member.name && p.item === item.name);
+  }
+
+  isBaselinePair(member, item) {
+    return Boolean(this.baseline) && this.baseline.some(b => b.member === member.name && b.item === item.name);
+  }
+
+  // How the plan differs from the stability baseline: assignments kept,
+  // members moved off (or down on) an item they were on, and new assignments.
+  // Baseline pairs whose member or item is gone are left out.
+  findChurn() {
+    const baseline = this.baseline.filter(previous =>
+      this.teamMembers.some(m => m.name === previous.member) && this.roadmapItems.some(i => i.name === previous.item));
+
+    const moved = [];
+    for (const previous of baseline) {
+      const current = this.allocations.find(a => a.member.name === previous.member && a.item.name === previous.item);
+      const allocation = current ? current.allocation : 0;
+      if (allocation < previous.allocation - CHURN_TOLERANCE) {
+        moved.push({ member: previous.member, item: previous.item, before: round(previous.allocation), after: round(allocation) });
+      }
+    }
+
+    const added = this.allocations
+      .filter(a => !this.isBaselinePair(a.member, a.item))
+      .map(a => ({ member: a.member.name, item: a.item.name, allocation: round(a.allocation) }));
+
+    return {
+      churnPenalty: this.churnPenalty,
+      baselineCount: baseline.length,
+      keptCount: baseline.length - moved.length,
+      moved,
+      added
+    };
+  }
+
+  addConstraintIssue(type, constraint, message) {
+    this.constraintIssues.push({ type, member: constraint.member, item: constraint.item, message });
+  }
+
+  // Items that ended up short while members who could have helped are fully
+  // booked by pins on other items
+  findItemsBlockedByPins() {
+    const blocked = [];
+
+    for (const item of this.roadmapItems) {
+      if (item.allocationStatus === 'fully-staffed') continue;
+
+      const blockingPins = this.pinned.filter(pin => {
+        if (pin.item === item.name) return false;
+        const member = this.teamMembers.find(m => m.name === pin.member);
+        return member && member.getAvailableCapacity() <= 0.1 && !this.isForbidden(member, item);
+      });
+
+      if (blockingPins.length > 0) {
+        blocked.push({
+          item: item.name,
+          status: item.allocationStatus,
+          blockingPins: blockingPins.map(pin => ({ member: pin.member, item: pin.item, fraction: pin.fraction }))
+        });
+      }
+    }
+
+    return blocked;
+  }
+
+  // Total score-weighted FTE of the current allocations. Both solvers report
+  // it so their results can be compared directly. It uses the baseline match
+  // score rather than the final one so the efficiency bonus does not make the
+  // objective depend on how an FTE happens to be split.
+  calculateObjective() {
+    return this.allocations.reduce((sum, allocation) => sum + allocation.matchScore * allocation.allocation, 0);
   }
 
   findPotentialAllocations(item) {
     const potentials = [];
 
     for (const member of this.teamMembers) {
+      // Forbidden pairs are never candidates, pinned pairs are already staffed
+      if (this.isForbidden(member, item) || this.isPinned(member, item)) continue;
+
+      const crossTeam = this.isCrossTeam(member, item);
+      if (crossTeam && this.teamPolicy === 'strict') continue;
+
       if (member.getAvailableCapacity() > 0.1) { // Only consider if >10% capacity available
         // Create a mock allocation to calculate score
-        const mockAllocation = new Allocation(member, item, 0.3); // Use 30% as baseline for scoring
+        const mockAllocation = new Allocation(member, item, 0.3, this.weights, this.skillTaxonomy, this.careerLadder); // Use 30% as baseline for scoring
+        let score = mockAllocation.calculateScore();
+        if (crossTeam && this.teamPolicy === 'prefer') {
+          score -= this.crossTeamPenalty;
+        }
+        if (this.isBaselinePair(member, item)) {
+          score += this.churnPenalty;
+        }
+
         potentials.push({
           member: member,
-          score: mockAllocation.calculateScore()
+          score: score
         });
       }
     }
@@ -102,9 +578,18 @@ export class AllocationOptimizer {
     return potentials;
   }
 
-  getItemStatus(item, allocatedCapacity) {
-    const requiredCapacity = item.getRequiredCapacity();
-    const ratio = allocatedCapacity / requiredCapacity;
+  // Fill ratio of the item's weakest platform bucket (of its whole
+  // requirement for single-pool items)
+  getStaffingRatio(item) {
+    return Math.min(...this.getBuckets(item).map(bucket => bucket.required > 0
+      ? this.getBucketAllocation(item, bucket.platform) / bucket.required
+      : 1));
+  }
+
+  // Status follows the weakest platform bucket, so an item is only as
+  // staffed as its least covered platform
+  getItemStatus(item) {
+    const ratio = this.getStaffingRatio(item);
 
     if (ratio >= 0.9) return 'fully-staffed';
     if (ratio >= 0.6) return 'adequately-staffed';
@@ -114,7 +599,7 @@ export class AllocationOptimizer {
 
   generateReport() {
     // Calculate overall statistics
-    const totalTeamCapacity = this.teamMembers.reduce((sum, member) => sum + member.capacity, 0);
+    const totalTeamCapacity = this.teamMembers.reduce((sum, member) => sum + member.getEffectiveCapacity(), 0);
     const totalAllocatedCapacity = this.teamMembers.reduce((sum, member) => sum + member.allocatedCapacity, 0);
     const utilizationRate = (totalAllocatedCapacity / totalTeamCapacity) * 100;
 
@@ -128,9 +613,21 @@ export class AllocationOptimizer {
 
     // Identify over/under-utilized team members
     const underUtilized = this.teamMembers.filter(member => 
-      (member.allocatedCapacity / member.capacity) < 0.7);
+      (member.allocatedCapacity / member.getEffectiveCapacity()) < 0.7);
     const overUtilized = this.teamMembers.filter(member => 
-      (member.allocatedCapacity / member.capacity) > 0.95);
+      (member.allocatedCapacity / member.getEffectiveCapacity()) > 0.95);
+
+    const crossTeamLoans = this.findCrossTeamLoans();
+    const dependencyWarnings = this.findDependencyWarnings();
+    const schedule = new Scheduler(this.teamMembers, this.roadmapItems, { startDate: this.startDate }).schedule();
+    const stability = this.baseline ? this.findChurn() : null;
+
+    const constraints = {
+      pinned: this.allocations.filter(a => a.pinned).map(a => ({ member: a.member.name, item: a.item.name, fraction: a.allocation })),
+      forbidden: this.forbidden.map(f => ({ member: f.member, item: f.item })),
+      issues: this.constraintIssues,
+      infeasibleItems: this.findItemsBlockedByPins()
+    };
 
     // Add calculated values to items for display
     const enhancedItemsByStatus = {};
@@ -138,37 +635,69 @@ export class AllocationOptimizer {
       enhancedItemsByStatus[status] = items.map(item => ({
         ...item,
         requiredCapacity: item.getRequiredCapacity(),
-        totalAllocation: item.getTotalAllocation()
+        totalAllocation: item.getTotalAllocation(),
+        platformStaffing: this.getPlatformStaffing(item)
       }));
     }
 
     return {
       summary: {
-        totalTeamCapacity: Math.round(totalTeamCapacity * 100) / 100,
-        totalAllocatedCapacity: Math.round(totalAllocatedCapacity * 100) / 100,
+        totalTeamCapacity: round(totalTeamCapacity),
+        totalAllocatedCapacity: round(totalAllocatedCapacity),
         utilizationRate: Math.round(utilizationRate),
         itemsCount: this.roadmapItems.length,
         fullyStaffedCount: itemsByStatus['fully-staffed'].length,
-        totalAssignments: this.allocations.length
+        totalAssignments: this.allocations.length,
+        solver: this.solver,
+        objective: round(this.calculateObjective()),
+        teamPolicy: this.teamPolicy,
+        crossTeamLoanCount: crossTeamLoans.length
       },
       allocations: this.allocations.map(allocation => ({
         member: allocation.member.name,
+        memberId: allocation.member.id,
         item: allocation.item.name,
+        itemId: allocation.item.id,
         allocation: allocation.allocation,
-        score: allocation.score
+        platforms: allocation.platforms,
+        score: allocation.score,
+        breakdown: allocation.calculateBreakdown(),
+        pinned: allocation.pinned
       })),
       teamMembers: this.teamMembers,
       roadmapItems: this.roadmapItems,
       itemsByStatus: enhancedItemsByStatus,
       underUtilized: underUtilized,
       overUtilized: overUtilized,
-      recommendations: this.generateRecommendations(itemsByStatus, underUtilized, overUtilized)
+      weights: {
+        profile: this.weightsProfile,
+        values: this.weights
+      },
+      constraints: constraints,
+      crossTeamLoans: crossTeamLoans,
+      schedule: schedule,
+      dependencyWarnings: dependencyWarnings,
+      stability: stability,
+      recommendations: this.generateRecommendations(itemsByStatus, underUtilized, overUtilized, constraints, crossTeamLoans, schedule.warnings, dependencyWarnings, stability)
     };
   }
 
-  generateRecommendations(itemsByStatus, underUtilized, overUtilized) {
+  generateRecommendations(itemsByStatus, underUtilized, overUtilized, constraints = { issues: [], infeasibleItems: [] }, crossTeamLoans = [], scheduleWarnings = [], dependencyWarnings = [], stability = null) {
     const recommendations = [];
 
+    for (const blocked of constraints.infeasibleItems) {
+      const pins = blocked.blockingPins.map(pin => `${pin.member} → ${pin.item}`).join(', ');
+      recommendations.push(`📌 ${blocked.item} is ${blocked.status} while capacity is held by pins: ${pins}`);
+    }
+
+    for (const issue of constraints.issues) {
+      recommendations.push(`📌 ${issue.message}`);
+    }
+
+    for (const warning of dependencyWarnings) {
+      recommendations.push(`🔗 ${warning.message}`);
+    }
+
     if (itemsByStatus['not-staffed'].length > 0) {
       recommendations.push(`❌ ${itemsByStatus['not-staffed'].length} item(s) have no staffing. Consider hiring or deprioritizing.`);
       
@@ -186,6 +715,15 @@ export class AllocationOptimizer {
       recommendations.push(`⚠️ ${itemsByStatus['under-staffed'].length} item(s) are under-staffed. May need timeline adjustments.`);
     }
 
+    // Items with enough people overall but a platform left short
+    const platformGaps = this.findPlatformGaps();
+    if (platformGaps.length > 0) {
+      const gapsText = platformGaps
+        .map(gap => `${gap.item} (${gap.platform} ${Math.round(gap.fillRatio * 100)}%)`)
+        .join(', ');
+      recommendations.push(`🧩 ${platformGaps.length} item(s) are held back by a single platform: ${gapsText}`);
+    }
+
     if (underUtilized.length > 0) {
       recommendations.push(`💡 ${underUtilized.length} team member(s) have available capacity for additional work.`);
     }
@@ -194,6 +732,20 @@ export class AllocationOptimizer {
       recommendations.push(`⚡ ${overUtilized.length} team member(s) may be over-allocated. Consider load balancing.`);
     }
 
+    for (const warning of scheduleWarnings.filter(w => w.type !== 'past-horizon')) {
+      recommendations.push(`📅 ${warning.message}`);
+    }
+
+    if (stability && stability.moved.length > 0) {
+      const movedMembers = new Set(stability.moved.map(move => move.member));
+      recommendations.push(`♻️ Replan kept ${stability.keptCount} of ${stability.baselineCount} baseline assignment(s); ${movedMembers.size} team member(s) moved off an item. Let them know.`);
+    }
+
+    if (crossTeamLoans.length > 0) {
+      const loanedMembers = new Set(crossTeamLoans.map(loan => loan.member));
+      recommendations.push(`🔁 ${crossTeamLoans.length} cross-team loan(s) involving ${loanedMembers.size} team member(s). Confirm with the owning managers.`);
+    }
+
     if (recommendations.length === 0) {
       recommendations.push('✅ Allocation looks well balanced! Good distribution across team and projects.');
     }
@@ -201,54 +753,35 @@ export class AllocationOptimizer {
     return recommendations;
   }
 
+  // Items whose total allocation would count as adequately staffed, but
+  // whose weakest platform bucket keeps the status lower
+  findPlatformGaps() {
+    const gaps = [];
+
+    for (const item of this.roadmapItems) {
+      if (item.allocationStatus === 'fully-staffed' || item.allocationStatus === 'adequately-staffed') continue;
+      if (item.getTotalAllocation() / item.getRequiredCapacity() < 0.6) continue;
+
+      const weakest = this.getPlatformStaffing(item).sort((a, b) => a.fillRatio - b.fillRatio)[0];
+      if (weakest) {
+        gaps.push({ item: item.name, platform: weakest.platform, fillRatio: weakest.fillRatio });
+      }
+    }
+
+    return gaps;
+  }
+
   analyzeMissingFTETypes(unstaffedItems) {
     const missingTypes = {};
-    
-    // Define platform skill mappings
-    const platformSkills = {
-      'iOS Developer': ['ios', 'swift', 'objective-c', 'mobile development', 'mobile', 'app development'],
-      'Android Developer': ['android', 'kotlin', 'java', 'mobile development', 'mobile', 'app development'], 
-      'Web Developer': ['frontend', 'javascript', 'react', 'vue', 'angular', 'html', 'css', 'web development'],
-      'Backend Developer': ['backend', 'api', 'node.js', 'python', 'java', 'database', 'sql', 'server']
-    };
 
     for (const item of unstaffedItems) {
-      if (item.effortBreakdown) {
-        // Check each platform requirement
-        if (item.effortBreakdown.ios > 0) {
-          const neededFTE = item.effortBreakdown.ios / 13; // Convert weeks to FTE (13 weeks per quarter)
-          const availableCapacity = this.getAvailableCapacityForSkills(platformSkills['iOS Developer']);
-          const shortage = Math.max(0, neededFTE - availableCapacity);
-          if (shortage > 0) {
-            missingTypes['iOS Developer'] = (missingTypes['iOS Developer'] || 0) + shortage;
-          }
-        }
-        
-        if (item.effortBreakdown.android > 0) {
-          const neededFTE = item.effortBreakdown.android / 13; // Convert weeks to FTE (13 weeks per quarter)
-          const availableCapacity = this.getAvailableCapacityForSkills(platformSkills['Android Developer']);
-          const shortage = Math.max(0, neededFTE - availableCapacity);
-          if (shortage > 0) {
-            missingTypes['Android Developer'] = (missingTypes['Android Developer'] || 0) + shortage;
-          }
-        }
-        
-        if (item.effortBreakdown.web > 0) {
-          const neededFTE = item.effortBreakdown.web / 13; // Convert weeks to FTE (13 weeks per quarter)
-          const availableCapacity = this.getAvailableCapacityForSkills(platformSkills['Web Developer']);
-          const shortage = Math.max(0, neededFTE - availableCapacity);
-          if (shortage > 0) {
-            missingTypes['Web Developer'] = (missingTypes['Web Developer'] || 0) + shortage;
-          }
-        }
-        
-        if (item.effortBreakdown.backend > 0) {
-          const neededFTE = item.effortBreakdown.backend / 13; // Convert weeks to FTE (13 weeks per quarter)
-          const availableCapacity = this.getAvailableCapacityForSkills(platformSkills['Backend Developer']);
-          const shortage = Math.max(0, neededFTE - availableCapacity);
-          if (shortage > 0) {
-            missingTypes['Backend Developer'] = (missingTypes['Backend Developer'] || 0) + shortage;
-          }
+      // Check each platform requirement
+      for (const platform of effortDisciplines(item.effortBreakdown)) {
+        const neededFTE = item.effortBreakdown[platform] / WEEKS_PER_QUARTER; // Convert weeks to FTE
+        const shortage = Math.max(0, neededFTE - this.getAvailableCapacityForPlatform(platform));
+        if (shortage > 0) {
+          const role = findDiscipline(this.disciplines, platform).role;
+          missingTypes[role] = (missingTypes[role] || 0) + shortage;
         }
       }
     }
@@ -256,22 +789,15 @@ export class AllocationOptimizer {
     return missingTypes;
   }
 
-  getAvailableCapacityForSkills(skills) {
+  getAvailableCapacityForPlatform(platform) {
     let totalCapacity = 0;
-    
+
     for (const member of this.teamMembers) {
-      const hasRelevantSkill = skills.some(skill => 
-        member.skills.some(memberSkill => 
-          memberSkill.toLowerCase().includes(skill.toLowerCase()) || 
-          skill.toLowerCase().includes(memberSkill.toLowerCase())
-        )
-      );
-      
-      if (hasRelevantSkill) {
+      if (member.hasPlatformSkill(platform, this.skillTaxonomy)) {
         totalCapacity += member.getAvailableCapacity();
       }
     }
-    
+
     return totalCapacity;
   }
 }
\ No newline at end of file
@@ -0,0 +1,139 @@
+import { TeamMember, RoadmapItem, WEEKS_PER_QUARTER } from './models.js';
+import { effortTotal } from './disciplines.js';
+import { AllocationOptimizer } from './optimizer.js';
+import { formatDate, planStart, addWeeks } from './dates.js';
+import { round } from './numbers.js';
+
+export const MAX_QUARTERS = 4;
+
+// Items with less than this share of their effort left are treated as done
+const COMPLETION_THRESHOLD = 0.05;
+
+// Plans several quarters ahead by running the optimizer once per quarter.
+// Every quarter starts with each member's full capacity; effort an item could
+// not be staffed for carries over into the next quarter.
+export class RollingPlanner {
+  constructor(teamMembers, roadmapItems, options = {}) {
+    this.teamMembers = teamMembers;
+    this.roadmapItems = roadmapItems;
+    this.quarters = options.quarters ?? 1;
+
+    if (!Number.isInteger(this.quarters) || this.quarters < 1 || this.quarters > MAX_QUARTERS) {
+      throw new Error(`quarters must be a whole number between 1 and ${MAX_QUARTERS}`);
+    }
+
+    // Everything else is passed through to the optimizer of each quarter
+    const { quarters, ...optimizerOptions } = options;
+    this.optimizerOptions = optimizerOptions;
+  }
+
+  plan() {
+    const originalRequirement = new Map(this.roadmapItems.map(item => [item.name, item.getRequiredCapacity()]));
+    const progress = new Map(this.roadmapItems.map(item => [item.name, { name: item.name, quarters: [], completedIn: null }]));
+
+    const start = planStart(this.optimizerOptions.startDate);
+    const quarterResults = [];
+    let openItems = this.roadmapItems.map(item => RoadmapItem.fromJSON(item));
+
+    for (let quarter = 1; quarter <= this.quarters && openItems.length > 0; quarter++) {
+      const members = this.teamMembers.map(member => TeamMember.fromJSON(member));
+      const startDate = formatDate(addWeeks(start, (quarter - 1) * WEEKS_PER_QUARTER));
+      const optimizer = new AllocationOptimizer(members, openItems, {
+        ...this.optimizerOptions,
+        startDate,
+        constraints: this.constraintsFor(openItems),
+        // A stability baseline describes the current quarter only
+        baseline: quarter === 1 ? this.optimizerOptions.baseline : undefined
+      });
+      const report = optimizer.optimize();
+
+      const carryOver = [];
+      const nextItems = [];
+
+      for (const item of openItems) {
+        const remainingBefore = this.getRemainingShare(item, originalRequirement);
+        // Fully staffed items can still be short of some effort; only the
+        // completion threshold decides when an item is done
+        const next = this.carryOverItem(item);
+        let remainingAfter = this.getRemainingShare(next, originalRequirement);
+        if (remainingAfter < COMPLETION_THRESHOLD) remainingAfter = 0;
+
+        progress.get(item.name).quarters.push({
+          quarter,
+          status: item.allocationStatus,
+          allocatedFTE: round(item.getTotalAllocation()),
+          remainingShareBefore: round(remainingBefore),
+          remainingShareAfter: round(remainingAfter)
+        });
+
+        if (remainingAfter === 0) {
+          progress.get(item.name).completedIn = quarter;
+        } else {
+          nextItems.push(next);
+          carryOver.push({
+            item: item.name,
+            remainingShare: round(remainingAfter),
+            remainingEffortWeeks: next.effortBreakdown ? Math.round(next.effortBreakdown.total * 10) / 10 : null
+          });
+        }
+      }
+
+      quarterResults.push({ quarter, label: `Quarter ${quarter}`, startDate, report, carryOver });
+      openItems = nextItems;
+    }
+
+    const items = [...progress.values()];
+
+    return {
+      quarterCount: this.quarters,
+      quarters: quarterResults,
+      items,
+      unfinished: items.filter(item => item.completedIn === null).map(item => item.name)
+    };
+  }
+
+  // Next quarter's copy of an item, holding only the effort that was not
+  // staffed. LoE items keep their remainingShare in step with the weeks left,
+  // so an item with no weeks left needs no capacity (rather than falling back
+  // to its size).
+  carryOverItem(item) {
+    const next = RoadmapItem.fromJSON(item);
+    const buckets = item.getCapacityBuckets();
+
+    if (buckets) {
+      // Each platform carries over its own unstaffed effort
+      const effort = { ...item.effortBreakdown };
+      for (const platform of Object.keys(buckets)) {
+        const fill = Math.min(1, item.getPlatformAllocation(platform) / buckets[platform]);
+        effort[platform] = item.effortBreakdown[platform] * (1 - fill);
+      }
+      effort.total = effortTotal(effort);
+      next.effortBreakdown = effort;
+      next.remainingShare = item.remainingShare * (effort.total / item.effortBreakdown.total);
+      return next;
+    }
+
+    const fill = Math.min(1, item.getTotalAllocation() / item.getRequiredCapacity());
+    if (item.effortBreakdown && item.effortBreakdown.total > 0) {
+      next.effortBreakdown = { ...item.effortBreakdown, total: item.effortBreakdown.total * (1 - fill) };
+    }
+    next.remainingShare = item.remainingShare * (1 - fill);
+    return next;
+  }
+
+  getRemainingShare(item, originalRequirement) {
+    const original = originalRequirement.get(item.name);
+    return original > 0 ? item.getRequiredCapacity() / original : 0;
+  }
+
+  // Only pass constraints for items still being planned this quarter, so
+  // finished items do not show up as unknown references
+  constraintsFor(items) {
+    const constraints = this.optimizerOptions.constraints || {};
+    const names = new Set(items.map(item => item.name));
+    return {
+      pinned: (constraints.pinned || []).filter(pin => names.has(pin.item)),
+      forbidden: (constraints.forbidden || []).filter(forbid => names.has(forbid.item))
+    };
+  }
+}
@@ -0,0 +1,131 @@
+// Comparison of two allocation reports: saved runs, or a run and the current
+// data. Members and items are matched by id, falling back to their name for
+// reports without ids (such as older CLI exports).
+import { round } from './numbers.js';
+
+export const DIFF_METRICS = [
+  'utilizationRate',
+  'totalTeamCapacity',
+  'totalAllocatedCapacity',
+  'itemsCount',
+  'fullyStaffedCount',
+  'totalAssignments',
+  'objective',
+  'crossTeamLoanCount'
+];
+
+// Allocation fraction of every member / item pair
+function allocationsByPair(report) {
+  const pairs = new Map();
+  for (const allocation of report.allocations || []) {
+    const memberKey = allocation.memberId || allocation.member;
+    const itemKey = allocation.itemId || allocation.item;
+    const pair = pairs.get(`${memberKey}|${itemKey}`);
+
+    if (pair) {
+      pair.allocation += allocation.allocation;
+    } else {
+      pairs.set(`${memberKey}|${itemKey}`, {
+        memberKey,
+        memberId: allocation.memberId || null,
+        member: allocation.member,
+        itemKey,
+        itemId: allocation.itemId || null,
+        item: allocation.item,
+        allocation: allocation.allocation
+      });
+    }
+  }
+  return pairs;
+}
+
+// Staffing status and allocated capacity of every item
+function itemStatuses(report, pairs) {
+  const items = new Map();
+  for (const item of report.roadmapItems || []) {
+    const itemKey = item.id || item.name;
+    const allocated = [...pairs.values()]
+      .filter(pair => pair.itemKey === itemKey)
+      .reduce((sum, pair) => sum + pair.allocation, 0);
+    items.set(itemKey, { itemId: item.id || null, item: item.name, status: item.allocationStatus, allocated: round(allocated) });
+  }
+  return items;
+}
+
+// What moved between two reports: summary metric deltas, members who
+// joined or left items, allocation changes and item status changes
+export function diffReports(before, after) {
+  const summary = {};
+  for (const metric of DIFF_METRICS) {
+    const from = before.summary ? before.summary[metric] : undefined;
+    const to = after.summary ? after.summary[metric] : undefined;
+    if (from === undefined && to === undefined) continue;
+
+    summary[metric] = {
+      before: from ?? null,
+      after: to ?? null,
+      delta: typeof from === 'number' && typeof to === 'number' ? round(to - from) : null
+    };
+  }
+
+  const pairsBefore = allocationsByPair(before);
+  const pairsAfter = allocationsByPair(after);
+
+  const allocations = [];
+  const itemsByMember = new Map();
+  for (const key of new Set([...pairsBefore.keys(), ...pairsAfter.keys()])) {
+    const from = pairsBefore.get(key);
+    const to = pairsAfter.get(key);
+    const pair = to || from;
+    const fractionBefore = from ? round(from.allocation) : 0;
+    const fractionAfter = to ? round(to.allocation) : 0;
+
+    if (fractionBefore !== fractionAfter) {
+      allocations.push({
+        memberId: pair.memberId,
+        member: pair.member,
+        itemId: pair.itemId,
+        item: pair.item,
+        before: fractionBefore,
+        after: fractionAfter,
+        delta: round(fractionAfter - fractionBefore)
+      });
+    }
+
+    if (!from || !to) {
+      const entry = itemsByMember.get(pair.memberKey) || { memberId: pair.memberId, member: pair.member, joined: [], left: [] };
+      (to ? entry.joined : entry.left).push(pair.item);
+      itemsByMember.set(pair.memberKey, entry);
+    }
+  }
+  allocations.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.member.localeCompare(b.member));
+
+  const statusesBefore = itemStatuses(before, pairsBefore);
+  const statusesAfter = itemStatuses(after, pairsAfter);
+  const items = [];
+  for (const key of new Set([...statusesBefore.keys(), ...statusesAfter.keys()])) {
+    const from = statusesBefore.get(key);
+    const to = statusesAfter.get(key);
+    if (from && to && from.status === to.status) continue;
+
+    items.push({
+      itemId: (to || from).itemId,
+      item: (to || from).item,
+      before: from ? from.status : null,
+      after: to ? to.status : null,
+      allocatedBefore: from ? from.allocated : null,
+      allocatedAfter: to ? to.allocated : null
+    });
+  }
+
+  const members = [...itemsByMember.values()].sort((a, b) => a.member.localeCompare(b.member));
+
+  return {
+    summary,
+    members,
+    allocations,
+    items,
+    unchanged: members.length === 0 && allocations.length === 0 && items.length === 0 &&
+      Object.values(summary).every(metric => !metric.delta)
+  };
+}
@@ -0,0 +1,214 @@
+import { WEEKS_PER_QUARTER } from './models.js';
+import { getPrerequisites, orderByDependencies } from './dependencies.js';
+import { parseDate, formatDate, planStart, addDays, addWeeks, MS_PER_DAY } from './dates.js';
+import { round } from './numbers.js';
+
+// Items that have not finished after this many weeks are cut off there
+const MAX_SCHEDULE_WEEKS = 8 * WEEKS_PER_QUARTER;
+
+// Turns the quarter's allocations into a week-by-week timeline. Each item
+// needs its required capacity for a full quarter (required FTE x 13 weeks)
+// and works it off week by week at the FTE its members have that week,
+// starting no earlier than the item's earliestStart, after its prerequisites
+// and after lower-sequence items that share one of its members.
+export class Scheduler {
+  constructor(teamMembers, roadmapItems, options = {}) {
+    this.teamMembers = teamMembers;
+    this.roadmapItems = roadmapItems;
+    this.startDate = planStart(options.startDate);
+    this.weeks = options.weeks ?? WEEKS_PER_QUARTER;
+    this.availabilityFactors = new Map();
+  }
+
+  // How much of a member's allocations they can work in a given week: their
+  // capacity that week relative to the quarter average they were allocated
+  // against (0 while on leave, 1 without availability windows)
+  availabilityFactor(member, week) {
+    if (!member) return 1;
+
+    const key = `${member.name}:${week}`;
+    if (!this.availabilityFactors.has(key)) {
+      const average = member.getEffectiveCapacity();
+      this.availabilityFactors.set(key, average > 0 ? member.getWeeklyCapacity(this.weekStart(week)) / average : 0);
+    }
+    return this.availabilityFactors.get(key);
+  }
+
+  weekStart(week) {
+    return addWeeks(this.startDate, week - 1);
+  }
+
+  // 1-based week of the plan a date falls in (may be <= 0 or past the horizon)
+  weekOf(date) {
+    return Math.floor((date.getTime() - this.startDate.getTime()) / (7 * MS_PER_DAY)) + 1;
+  }
+
+  schedule() {
+    const warnings = [];
+    const scheduled = [];
+
+    // Sequenced items first (lowest sequence first), then by priority, with
+    // prerequisites ahead of the items that depend on them
+    const sortedItems = orderByDependencies([...this.roadmapItems].sort((a, b) =>
+      (a.sequence ?? Infinity) - (b.sequence ?? Infinity) || b.priority - a.priority));
+
+    for (const item of sortedItems) {
+      const entry = this.scheduleItem(item, scheduled);
+      scheduled.push(entry);
+
+      if (entry.startWeek === null) {
+        if (entry.targetWeek !== null) {
+          warnings.push({
+            type: 'unstaffed',
+            item: item.name,
+            message: `${item.name} has no one allocated, so its target date ${item.targetDate} cannot be met`
+          });
+        }
+        continue;
+      }
+
+      if (entry.targetWeek !== null && entry.endWeek > entry.targetWeek) {
+        const availableWeeks = Math.max(1, entry.targetWeek - entry.startWeek + 1);
+        const neededFTE = entry.workWeeks / availableWeeks;
+        warnings.push({
+          type: 'target-missed',
+          item: item.name,
+          message: `${item.name} finishes in week ${entry.endWeek} (${entry.endDate}) at ${entry.allocatedFTE.toFixed(2)} FTE, ` +
+            `after its target ${item.targetDate}; it needs ${neededFTE.toFixed(2)} FTE to make it`
+        });
+      } else if (entry.endWeek > this.weeks) {
+        warnings.push({
+          type: 'past-horizon',
+          item: item.name,
+          message: `${item.name} runs until week ${entry.endWeek} at ${entry.allocatedFTE.toFixed(2)} FTE, past the ${this.weeks}-week plan`
+        });
+      }
+    }
+
+    const itemOrder = new Map(this.roadmapItems.map((item, index) => [item.name, index]));
+    scheduled.sort((a, b) => itemOrder.get(a.item) - itemOrder.get(b.item));
+
+    return {
+      startDate: formatDate(this.startDate),
+      weeks: Array.from({ length: this.weeks }, (_, index) => ({
+        week: index + 1,
+        startDate: formatDate(this.weekStart(index + 1))
+      })),
+      items: scheduled.map(({ members, assignments, workWeeks, weekShares, ...entry }) => entry),
+      members: this.scheduleMembers(scheduled),
+      warnings
+    };
+  }
+
+  scheduleItem(item, scheduled) {
+    const workWeeks = item.getRequiredCapacity() * WEEKS_PER_QUARTER;
+    const allocatedFTE = item.getTotalAllocation();
+    const members = item.assignedMembers.map(assignment => assignment.member);
+    const assignments = item.assignedMembers.map(assignment => ({
+      member: this.teamMembers.find(member => member.name === assignment.member),
+      allocation: assignment.allocation
+    }));
+    const targetDate = parseDate(item.targetDate);
+
+    const entry = {
+      item: item.name,
+      sequence: item.sequence ?? null,
+      dependsOn: getPrerequisites(item, this.roadmapItems).map(prerequisite => prerequisite.name),
+      allocatedFTE: round(allocatedFTE),
+      startWeek: null,
+      endWeek: null,
+      durationWeeks: null,
+      startDate: null,
+      endDate: null,
+      targetDate: targetDate ? item.targetDate : null,
+      targetWeek: targetDate ? this.weekOf(targetDate) : null,
+      members,
+      assignments,
+      workWeeks,
+      weekShares: new Map()
+    };
+
+    if (allocatedFTE <= 0) return entry;
+
+    const earliestStart = parseDate(item.earliestStart);
+    let startWeek = earliestStart ? Math.max(1, this.weekOf(earliestStart)) : 1;
+
+    // Work starts once every scheduled prerequisite has finished
+    for (const previous of scheduled) {
+      if (previous.endWeek !== null && entry.dependsOn.includes(previous.item)) {
+        startWeek = Math.max(startWeek, previous.endWeek + 1);
+      }
+    }
+
+    // Members finish lower-sequence items before starting this one
+    if (item.sequence !== undefined && item.sequence !== null) {
+      for (const previous of scheduled) {
+        if (previous.sequence === null || previous.sequence >= item.sequence || previous.endWeek === null) continue;
+        if (previous.members.some(member => members.includes(member))) {
+          startWeek = Math.max(startWeek, previous.endWeek + 1);
+        }
+      }
+    }
+
+    // Share of each week's FTE the item still needs; the last week is usually
+    // partial and weeks where every member is away are skipped
+    const weekShares = new Map();
+    let remaining = workWeeks;
+    let week = startWeek;
+    while (remaining > 1e-9 && week < startWeek + MAX_SCHEDULE_WEEKS) {
+      const fte = assignments.reduce((sum, a) => sum + a.allocation * this.availabilityFactor(a.member, week), 0);
+      if (fte > 0) {
+        const done = Math.min(fte, remaining);
+        weekShares.set(week, done / fte);
+        remaining -= done;
+      }
+      week++;
+    }
+
+    // Work starts in the first week anyone on it is available
+    const firstWeek = weekShares.size > 0 ? weekShares.keys().next().value : startWeek;
+    const endWeek = Math.max(firstWeek, week - 1);
+    const durationWeeks = endWeek - firstWeek + (weekShares.get(endWeek) ?? 1);
+
+    return {
+      ...entry,
+      startWeek: firstWeek,
+      endWeek,
+      durationWeeks: Math.round(durationWeeks * 10) / 10,
+      startDate: formatDate(this.weekStart(firstWeek)),
+      endDate: formatDate(addDays(this.weekStart(endWeek), 4)), // Friday of the last week
+      members,
+      weekShares
+    };
+  }
+
+  // FTE each member spends per week, per item, next to the capacity they
+  // have that week. Items only take the share of a week they still need.
+  scheduleMembers(scheduled) {
+    const entries = new Map(scheduled.map(entry => [entry.item, entry]));
+
+    return this.teamMembers.map(member => ({
+      member: member.name,
+      weeks: Array.from({ length: this.weeks }, (_, index) => {
+        const week = index + 1;
+        const items = [];
+
+        for (const assignment of member.assignments || []) {
+          const entry = entries.get(assignment.item);
+          if (!entry || !entry.weekShares.has(week)) continue;
+
+          const fte = assignment.allocation * this.availabilityFactor(member, week) * entry.weekShares.get(week);
+          const rounded = round(fte);
+          if (rounded > 0) items.push({ item: assignment.item, fte: rounded });
+        }
+
+        return {
+          week,
+          capacity: round(member.getWeeklyCapacity(this.weekStart(week))),
+          fte: round(items.reduce((sum, i) => sum + i.fte, 0)),
+          items
+        };
+      })
+    }));
+  }
+}
@@ -0,0 +1,122 @@
+import { TeamMember, RoadmapItem, DEFAULT_WEIGHTS, normalizeWeights } from './models.js';
+import { AllocationOptimizer } from './optimizer.js';
+import { round } from './numbers.js';
+
+export const DEFAULT_PERTURBATION = 0.25;
+export const MAX_PERTURBATION = 1;
+
+const pairKey = (member, item) => `${member}|${item}`;
+
+// How robust a plan is to its scoring weights. Each weight is lowered and
+// raised by the perturbation (a fraction of its value; a zero weight is
+// raised to that fraction of its default) with the other weights unchanged,
+// and the plan is re-optimized. An assignment (member on item) flips when a
+// perturbed plan drops it; a new assignment is one only a perturbed plan
+// makes. A change in the share of a kept assignment is not a flip.
+export class SensitivityAnalyzer {
+  constructor(teamMembers, roadmapItems, options = {}) {
+    this.teamMembers = teamMembers;
+    this.roadmapItems = roadmapItems;
+    this.perturbation = options.perturbation ?? DEFAULT_PERTURBATION;
+
+    if (typeof this.perturbation !== 'number' || !(this.perturbation > 0) || this.perturbation > MAX_PERTURBATION) {
+      throw new Error(`perturbation must be a number above 0 and up to ${MAX_PERTURBATION}`);
+    }
+
+    const { perturbation, ...optimizerOptions } = options;
+    this.optimizerOptions = optimizerOptions;
+    this.weights = normalizeWeights(options.weights);
+  }
+
+  analyze() {
+    const base = this.evaluate(this.weights);
+    const flippedBy = new Map([...base.pairs.keys()].map(key => [key, []]));
+    const newAssignments = new Map();
+
+    const weights = Object.entries(this.weights).map(([weight, value]) => {
+      const runs = this.perturbedValues(weight, value).map(({ direction, value: perturbed }) => {
+        const label = `${weight} ${direction === 'down' ? '-' : '+'}${Math.round(this.perturbation * 100)}%`;
+        const result = this.evaluate({ ...this.weights, [weight]: perturbed });
+
+        const lost = [...base.pairs.keys()].filter(key => !result.pairs.has(key));
+        const gained = [...result.pairs.keys()].filter(key => !base.pairs.has(key));
+        for (const key of lost) flippedBy.get(key).push(label);
+        for (const key of gained) {
+          const entry = newAssignments.get(key) || { ...result.pairs.get(key), appearsWith: [] };
+          entry.appearsWith.push(label);
+          newAssignments.set(key, entry);
+        }
+
+        return {
+          direction,
+          value: round(perturbed),
+          flipped: lost.length,
+          added: gained.length,
+          fullyStaffedCount: result.summary.fullyStaffedCount,
+          utilizationRate: result.summary.utilizationRate
+        };
+      });
+
+      return {
+        weight,
+        value,
+        runs,
+        flips: runs.reduce((sum, run) => sum + run.flipped + run.added, 0)
+      };
+    }).sort((a, b) => b.flips - a.flips || a.weight.localeCompare(b.weight));
+
+    const assignments = [...base.pairs.entries()].map(([key, pair]) => ({
+      ...pair,
+      stable: flippedBy.get(key).length === 0,
+      flippedBy: flippedBy.get(key)
+    })).sort((a, b) => b.flippedBy.length - a.flippedBy.length ||
+      a.item.localeCompare(b.item) || a.member.localeCompare(b.member));
+
+    const stableCount = assignments.filter(assignment => assignment.stable).length;
+    return {
+      perturbation: this.perturbation,
+      summary: {
+        assignmentsCount: assignments.length,
+        stableCount,
+        flippedCount: assignments.length - stableCount,
+        newAssignmentsCount: newAssignments.size,
+        mostSensitive: weights.filter(weight => weight.flips > 0).slice(0, 3).map(weight => weight.weight),
+        fullyStaffedCount: base.summary.fullyStaffedCount,
+        utilizationRate: base.summary.utilizationRate
+      },
+      weights,
+      assignments,
+      newAssignments: [...newAssignments.values()]
+        .sort((a, b) => b.appearsWith.length - a.appearsWith.length || a.item.localeCompare(b.item))
+    };
+  }
+
+  // The lowered and raised values of a weight (only raised when it is zero)
+  perturbedValues(weight, value) {
+    if (value === 0) {
+      return [{ direction: 'up', value: (DEFAULT_WEIGHTS[weight] || 1) * this.perturbation }];
+    }
+    return [
+      { direction: 'down', value: value * (1 - this.perturbation) },
+      { direction: 'up', value: value * (1 + this.perturbation) }
+    ];
+  }
+
+  // Optimize fresh copies of the data with the given weights; pairs holds the
+  // member / item assignments with their total share of the member
+  evaluate(weights) {
+    const members = this.teamMembers.map(member => TeamMember.fromJSON(member));
+    const items = this.roadmapItems.map(item => RoadmapItem.fromJSON(item));
+    const report = new AllocationOptimizer(members, items, { ...this.optimizerOptions, weights }).optimize();
+
+    const pairs = new Map();
+    for (const { member, item, allocation } of report.allocations) {
+      const key = pairKey(member, item);
+      const pair = pairs.get(key) || { member, item, allocation: 0 };
+      pair.allocation = round(pair.allocation + allocation);
+      pairs.set(key, pair);
+    }
+
+    return { pairs, summary: report.summary };
+  }
+}
@@ -0,0 +1,140 @@
+// Skills taxonomy: canonical skill names with their aliases, the platforms
+// (discipline ids, see disciplines.js) they qualify a member for and their
+// parent category. All skill matching goes through it, so "ReactJS",
+// "react.js" and "React" are the same skill.
+
+// Skills without platforms of their own take those of their closest category
+export const DEFAULT_SKILLS = [
+  { name: 'Mobile Development', aliases: ['Mobile', 'App Development'], platforms: ['ios', 'android'], parent: null },
+  { name: 'iOS', aliases: ['iOS Development'], platforms: ['ios'], parent: 'Mobile Development' },
+  { name: 'Swift', aliases: [], platforms: [], parent: 'iOS' },
+  { name: 'SwiftUI', aliases: [], platforms: [], parent: 'iOS' },
+  { name: 'Objective-C', aliases: ['ObjC', 'Obj-C'], platforms: [], parent: 'iOS' },
+  { name: 'UIKit', aliases: [], platforms: [], parent: 'iOS' },
+  { name: 'Android', aliases: ['Android Development'], platforms: ['android'], parent: 'Mobile Development' },
+  { name: 'Kotlin', aliases: [], platforms: [], parent: 'Android' },
+  { name: 'Java', aliases: [], platforms: ['android', 'backend'], parent: null },
+  { name: 'Frontend', aliases: ['Front-end', 'Frontend Development', 'Web Development'], platforms: ['web'], parent: null },
+  { name: 'JavaScript', aliases: ['JS'], platforms: [], parent: 'Frontend' },
+  { name: 'TypeScript', aliases: ['TS'], platforms: [], parent: 'Frontend' },
+  { name: 'React', aliases: ['ReactJS', 'React.js'], platforms: [], parent: 'Frontend' },
+  { name: 'Vue', aliases: ['Vue.js', 'VueJS'], platforms: [], parent: 'Frontend' },
+  { name: 'Angular', aliases: ['AngularJS'], platforms: [], parent: 'Frontend' },
+  { name: 'HTML', aliases: ['HTML5'], platforms: [], parent: 'Frontend' },
+  { name: 'CSS', aliases: ['CSS3'], platforms: [], parent: 'Frontend' },
+  { name: 'Backend', aliases: ['Back-end', 'Backend Development', 'Server', 'Server-side'], platforms: ['backend'], parent: null },
+  { name: 'API', aliases: ['APIs', 'API Development', 'REST'], platforms: [], parent: 'Backend' },
+  { name: 'GraphQL', aliases: [], platforms: [], parent: 'API' },
+  { name: 'Node.js', aliases: ['Node', 'NodeJS'], platforms: [], parent: 'Backend' },
+  { name: 'Python', aliases: [], platforms: [], parent: 'Backend' },
+  { name: 'Go', aliases: ['Golang'], platforms: [], parent: 'Backend' },
+  { name: 'Database', aliases: ['Databases', 'Database Design'], platforms: [], parent: 'Backend' },
+  { name: 'SQL', aliases: [], platforms: [], parent: 'Database' },
+  { name: 'PostgreSQL', aliases: ['Postgres'], platforms: [], parent: 'Database' },
+  { name: 'Full-stack', aliases: ['Fullstack', 'Full Stack Development'], platforms: ['web', 'backend'], parent: null },
+  { name: 'QA', aliases: ['Quality Assurance', 'Testing', 'QA Engineering'], platforms: ['qa'], parent: null },
+  { name: 'Test Automation', aliases: ['Automated Testing'], platforms: [], parent: 'QA' },
+  { name: 'Cypress', aliases: [], platforms: [], parent: 'Test Automation' },
+  { name: 'Selenium', aliases: [], platforms: [], parent: 'Test Automation' },
+  { name: 'Design', aliases: ['UI/UX', 'UX', 'UI Design', 'UX Design', 'Product Design'], platforms: ['design'], parent: null },
+  { name: 'Figma', aliases: [], platforms: [], parent: 'Design' },
+  { name: 'User Research', aliases: ['UX Research'], platforms: [], parent: 'Design' },
+  { name: 'Data/ML', aliases: ['Data Science', 'Machine Learning', 'ML'], platforms: ['data'], parent: null },
+  { name: 'Data Engineering', aliases: [], platforms: [], parent: 'Data/ML' },
+  { name: 'TensorFlow', aliases: [], platforms: [], parent: 'Data/ML' },
+  { name: 'PyTorch', aliases: [], platforms: [], parent: 'Data/ML' },
+  { name: 'SRE', aliases: ['Site Reliability', 'Site Reliability Engineering', 'DevOps', 'Infrastructure'], platforms: ['sre'], parent: null },
+  { name: 'Kubernetes', aliases: ['K8s'], platforms: [], parent: 'SRE' },
+  { name: 'Docker', aliases: [], platforms: [], parent: 'SRE' },
+  { name: 'Terraform', aliases: [], platforms: [], parent: 'SRE' },
+  { name: 'AWS', aliases: ['Amazon Web Services'], platforms: [], parent: 'SRE' },
+  { name: 'Cloud Architecture', aliases: [], platforms: [], parent: 'SRE' }
+];
+
+// Lookup key of a skill name: case, spacing and punctuation are ignored, so
+// "React.js" and "reactjs" share a key ("C++" and "C#" keep their symbols)
+export function skillLookupKey(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9+#]/g, '');
+}
+
+export class SkillTaxonomy {
+  constructor(skills = DEFAULT_SKILLS) {
+    this.skills = skills.map(skill => ({
+      name: skill.name,
+      aliases: skill.aliases || [],
+      platforms: skill.platforms || [],
+      parent: skill.parent || null
+    }));
+
+    this.byKey = new Map();
+    for (const skill of this.skills) {
+      for (const name of [skill.name, ...skill.aliases]) {
+        if (!this.byKey.has(skillLookupKey(name))) this.byKey.set(skillLookupKey(name), skill);
+      }
+    }
+  }
+
+  // Taxonomy entry of a skill name or alias (null for unknown skills)
+  find(name) {
+    return this.byKey.get(skillLookupKey(name)) || null;
+  }
+
+  // Canonical spelling of a skill; unknown skills keep their own name
+  canonicalName(name) {
+    const skill = this.find(name);
+    return skill ? skill.name : String(name).trim();
+  }
+
+  // The skill followed by its parent categories, closest first
+  lineage(name) {
+    const lineage = [];
+    let skill = this.find(name);
+    while (skill && !lineage.includes(skill)) {
+      lineage.push(skill);
+      skill = skill.parent ? this.find(skill.parent) : null;
+    }
+    return lineage;
+  }
+
+  // Whether a skill is the required skill, or falls under it as a category
+  // ("React" satisfies "Frontend"). Unknown skills only match themselves.
+  satisfies(name, required) {
+    const key = skillLookupKey(this.canonicalName(required));
+    if (skillLookupKey(this.canonicalName(name)) === key) return true;
+    return this.lineage(name).some(skill => skillLookupKey(skill.name) === key);
+  }
+
+  platformsOf(name) {
+    const skill = this.lineage(name).find(s => s.platforms.length > 0);
+    return skill ? [...skill.platforms] : [];
+  }
+
+  // Canonical skills that qualify a member for a platform
+  platformSkills(platform) {
+    return this.skills.filter(skill => this.platformsOf(skill.name).includes(platform)).map(skill => skill.name);
+  }
+
+  toJSON() {
+    return this.skills;
+  }
+}
+
+export const DEFAULT_SKILL_TAXONOMY = new SkillTaxonomy();
+
+// Groups of differently spelled names in `names` that are the same skill:
+// either aliases of one taxonomy entry or names that only differ in case,
+// spacing or punctuation. Returns [{ canonical, variants: [names] }].
+export function findDuplicateSkills(names, taxonomy = DEFAULT_SKILL_TAXONOMY) {
+  const groups = new Map();
+
+  for (const name of new Set(names.map(n => String(n).trim()).filter(Boolean))) {
+    const skill = taxonomy.find(name);
+    const key = skill ? `skill:${skill.name}` : `key:${skillLookupKey(name)}`;
+    if (!groups.has(key)) groups.set(key, { canonical: skill ? skill.name : name, variants: [] });
+    groups.get(key).variants.push(name);
+  }
+
+  return [...groups.values()]
+    .filter(group => group.variants.length > 1 || group.variants[0] !== group.canonical)
+    .sort((a, b) => a.canonical.localeCompare(b.canonical));
+}
@@ -0,0 +1,16 @@
+// Worker thread of the analyses that run many optimizations (effort
+// simulations, sensitivity analyses, hiring plans and scenario runs): the
+// server hands one the cycle data and keeps answering other requests. Posts
+// back what the analysis function of optimization.js returns.
+import { parentPort, workerData } from 'worker_threads';
+import { simulateData, analyzeSensitivityData, planHiringData, runScenariosData } from './optimization.js';
+
+const ANALYSES = {
+  simulate: simulateData,
+  sensitivity: analyzeSensitivityData,
+  'hiring-plan': planHiringData,
+  scenarios: runScenariosData
+};
+
+const { analysis, data, config, options } = workerData;
+parentPort.postMessage(ANALYSES[analysis](data, config, options));
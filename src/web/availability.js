@@ -0,0 +1,40 @@
+// Availability windows (PTO, leave, onboarding, on-call) are stored on each
+// team member in team-members.json and applied by the optimizer and
+// scheduler when they work out weekly capacity.
+import { AVAILABILITY_TYPES } from '../models.js';
+import { parseDate } from '../dates.js';
+
+// Validate an availability window request.
+// Returns { window } on success or { error } on failure.
+export function buildAvailabilityWindow(data) {
+  const { type, startDate, endDate, capacity, note } = data || {};
+
+  if (!Object.hasOwn(AVAILABILITY_TYPES, type)) {
+    return { error: `Availability type must be one of: ${Object.keys(AVAILABILITY_TYPES).join(', ')}` };
+  }
+
+  if (!parseDate(startDate) || !parseDate(endDate)) {
+    return { error: 'startDate and endDate must be dates in YYYY-MM-DD format' };
+  }
+
+  if (endDate < startDate) {
+    return { error: 'endDate cannot be before startDate' };
+  }
+
+  if (capacity !== undefined && capacity !== null && (typeof capacity !== 'number' || capacity < 0 || capacity > 1)) {
+    return { error: 'capacity must be a number between 0 and 1' };
+  }
+
+  return {
+    window: {
+      id: Date.now().toString(),
+      type,
+      startDate,
+      endDate,
+      // Share of the member's capacity left during the window
+      capacity: capacity ?? AVAILABILITY_TYPES[type],
+      note: note || '',
+      dateAdded: new Date().toISOString()
+    }
+  };
+}
@@ -0,0 +1,47 @@
+// Career ladder persisted by the web server. Until it is first saved the
+// built-in ladder is used; after that career-ladder.json holds the levels.
+import { DEFAULT_LEVELS, LEVEL_TRACKS } from '../career-ladder.js';
+
+export function listLevels(storedLevels) {
+  return storedLevels.length > 0 ? storedLevels : DEFAULT_LEVELS.map(level => ({ ...level }));
+}
+
+// Validate a whole ladder from a request body ({ levels: [...] }, lowest
+// level first). Returns { levels } on success or { error } on failure.
+export function parseCareerLadder(data) {
+  const { levels } = data || {};
+
+  if (!Array.isArray(levels) || levels.length === 0) {
+    return { error: 'levels must be a non-empty list of levels, lowest first' };
+  }
+
+  const parsed = [];
+  for (const level of levels) {
+    const { name, weight, track = 'ic', capacityOverhead = 0 } = level || {};
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return { error: 'Every level needs a name' };
+    }
+
+    const label = name.trim();
+    if (parsed.some(other => other.name.toLowerCase() === label.toLowerCase())) {
+      return { error: `Level "${label}" is listed more than once` };
+    }
+
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0) {
+      return { error: `Weight of ${label} must be a positive number (Mid is 1.0)` };
+    }
+
+    if (!LEVEL_TRACKS.includes(track)) {
+      return { error: `Track of ${label} must be one of: ${LEVEL_TRACKS.join(', ')}` };
+    }
+
+    if (typeof capacityOverhead !== 'number' || !(capacityOverhead >= 0 && capacityOverhead < 1)) {
+      return { error: `capacityOverhead of ${label} must be a share of time from 0 up to 1` };
+    }
+
+    parsed.push({ name: label, weight, track, capacityOverhead });
+  }
+
+  return { levels: parsed };
+}
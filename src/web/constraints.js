@@ -0,0 +1,77 @@
+// Pinned / forbidden assignment constraints as persisted by the web server.
+// Stored constraints reference members and items by id (names are kept for
+// display) and are resolved to names before being handed to the optimizer.
+
+export const CONSTRAINT_TYPES = ['pin', 'forbid'];
+
+// Validate a constraint request against the current data.
+// Returns { constraint } on success or { error, status } on failure.
+export function buildConstraint(data, teamMembers, roadmapItems, existingConstraints) {
+  const { type, memberId, itemId, fraction } = data || {};
+
+  if (!CONSTRAINT_TYPES.includes(type)) {
+    return { status: 400, error: `Constraint type must be one of: ${CONSTRAINT_TYPES.join(', ')}` };
+  }
+
+  const member = teamMembers.find(m => m.id === memberId);
+  if (!member) {
+    return { status: 400, error: 'Team member not found' };
+  }
+
+  const item = roadmapItems.find(i => i.id === itemId);
+  if (!item) {
+    return { status: 400, error: 'Roadmap item not found' };
+  }
+
+  if (type === 'pin' && (typeof fraction !== 'number' || fraction <= 0 || fraction > 1)) {
+    return { status: 400, error: 'Pinned fraction must be a number between 0 and 1' };
+  }
+
+  const existing = existingConstraints.find(c => c.memberId === memberId && c.itemId === itemId);
+  if (existing) {
+    return {
+      status: 409,
+      error: `${member.name} already has a ${existing.type} constraint on ${item.name}. Delete it first.`
+    };
+  }
+
+  const constraint = {
+    id: Date.now().toString(),
+    type,
+    memberId,
+    memberName: member.name,
+    itemId,
+    itemName: item.name,
+    dateAdded: new Date().toISOString()
+  };
+
+  if (type === 'pin') {
+    constraint.fraction = fraction;
+  }
+
+  return { constraint };
+}
+
+// Convert stored constraints into the optimizer's name-based format, using the
+// current names so renamed members or items keep their constraints
+export function resolveConstraints(constraints, teamMembers, roadmapItems) {
+  const resolveName = (records, id, fallback) => {
+    const record = records.find(r => r.id === id);
+    return record ? record.name : fallback;
+  };
+
+  const resolved = { pinned: [], forbidden: [] };
+
+  for (const constraint of constraints) {
+    const member = resolveName(teamMembers, constraint.memberId, constraint.memberName);
+    const item = resolveName(roadmapItems, constraint.itemId, constraint.itemName);
+
+    if (constraint.type === 'pin') {
+      resolved.pinned.push({ member, item, fraction: constraint.fraction });
+    } else if (constraint.type === 'forbid') {
+      resolved.forbidden.push({ member, item });
+    }
+  }
+
+  return resolved;
+}
@@ -0,0 +1,105 @@
+// Planning cycles (workspaces) of the web server. Each cycle has its own
+// roster, roadmap, constraints, optimization runs and scenarios; skills,
+// disciplines, weight profiles and the career ladder are shared by every
+// cycle. The default cycle keeps its data in the top-level collections (the
+// files the CLI reads), so data saved before cycles existed stays in place.
+import { parseDate } from '../dates.js';
+
+export const DEFAULT_CYCLE_ID = 'default';
+
+// Collections that belong to a cycle, and the ones copied when a cycle is
+// cloned (runs and scenarios refer to the data of the cycle they were made in)
+export const CYCLE_COLLECTIONS = ['team-members', 'roadmap-items', 'constraints', 'runs', 'scenarios'];
+export const CLONED_COLLECTIONS = ['team-members', 'roadmap-items', 'constraints'];
+
+const DEFAULT_CYCLE = { id: DEFAULT_CYCLE_ID, name: 'Current plan', startDate: null, endDate: null, clonedFrom: null };
+
+export function listCycles(storedCycles) {
+  return storedCycles.some(cycle => cycle.id === DEFAULT_CYCLE_ID)
+    ? storedCycles
+    : [{ ...DEFAULT_CYCLE }, ...storedCycles];
+}
+
+// Store collection holding a cycle's records
+export function cycleCollection(collection, cycleId) {
+  if (!CYCLE_COLLECTIONS.includes(collection) || cycleId === DEFAULT_CYCLE_ID) return collection;
+  return `cycles/${cycleId}/${collection}`;
+}
+
+// Lowercase id from the cycle name ("Q3 2026" -> "q3-2026"), unique among the cycles
+function cycleId(name, cycles) {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'cycle';
+  let id = base;
+  for (let n = 2; id === DEFAULT_CYCLE_ID || cycles.some(cycle => cycle.id === id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+// Validate name / startDate / endDate of a request body, sending only the
+// fields given when `partial`. Returns { fields } or { error }.
+function parseCycleFields(data, cycles, { partial = false, id = null } = {}) {
+  const { name, startDate, endDate } = data || {};
+  const fields = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return { error: 'Cycle name is required' };
+    }
+    if (cycles.some(cycle => cycle.id !== id && cycle.name.toLowerCase() === name.trim().toLowerCase())) {
+      return { error: `A cycle named "${name.trim()}" already exists` };
+    }
+    fields.name = name.trim();
+  }
+
+  for (const [field, value] of Object.entries({ startDate, endDate })) {
+    if (value === undefined) {
+      if (!partial) fields[field] = null;
+    } else if (value === null || value === '') {
+      fields[field] = null;
+    } else if (!parseDate(value)) {
+      return { error: `${field} must be a date in YYYY-MM-DD format` };
+    } else {
+      fields[field] = value;
+    }
+  }
+
+  return { fields };
+}
+
+// A new cycle from a request body ({ name, startDate?, endDate?, cloneFrom? }).
+// Returns { cycle } or { error }; the caller copies the data of cloneFrom.
+export function createCycle(data, cycles) {
+  const { fields, error } = parseCycleFields(data, cycles);
+  if (error) return { error };
+
+  const { cloneFrom = null } = data;
+  if (cloneFrom !== null && !cycles.some(cycle => cycle.id === cloneFrom)) {
+    return { error: `Cannot clone unknown cycle "${cloneFrom}"` };
+  }
+
+  if (fields.startDate && fields.endDate && fields.endDate < fields.startDate) {
+    return { error: 'endDate cannot be before startDate' };
+  }
+
+  return {
+    cycle: {
+      id: cycleId(fields.name, cycles),
+      ...fields,
+      clonedFrom: cloneFrom,
+      dateCreated: new Date().toISOString()
+    }
+  };
+}
+
+// The cycle with a rename or new dates applied. Returns { cycle } or { error }.
+export function updateCycle(cycle, data, cycles) {
+  const { fields, error } = parseCycleFields(data, cycles, { partial: true, id: cycle.id });
+  if (error) return { error };
+
+  const updated = { ...cycle, ...fields };
+  if (updated.startDate && updated.endDate && updated.endDate < updated.startDate) {
+    return { error: 'endDate cannot be before startDate' };
+  }
+  return { cycle: updated };
+}
@@ -0,0 +1,109 @@
+// Disciplines configured through the web server. Until the list is first
+// edited the built-in disciplines are used; after that disciplines.json
+// holds the whole list.
+import { DEFAULT_DISCIPLINES } from '../disciplines.js';
+
+const DISCIPLINE_ID = /^[a-z][a-z0-9-]*$/;
+
+export function listDisciplines(storedDisciplines) {
+  return storedDisciplines.length > 0
+    ? storedDisciplines
+    : DEFAULT_DISCIPLINES.map(discipline => ({ ...discipline, columns: [...discipline.columns] }));
+}
+
+// Create or update (by id) a discipline from a request body.
+// Returns { discipline, created } on success or { error } on failure.
+export function saveDiscipline(data, disciplines) {
+  const { id, name, icon = '', role, category = null, columns } = data || {};
+
+  if (typeof id !== 'string' || !DISCIPLINE_ID.test(id) || id === 'total') {
+    return { error: 'id must be a lowercase name such as "qa" or "data-ml"' };
+  }
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'Discipline name is required' };
+  }
+
+  if (columns !== undefined && (!Array.isArray(columns) || columns.some(column => typeof column !== 'string' || !column.trim()))) {
+    return { error: 'columns must be a list of sheet column names' };
+  }
+
+  if (category !== null && typeof category !== 'string') {
+    return { error: 'category must be a skill name' };
+  }
+
+  const label = name.trim();
+  const discipline = {
+    id,
+    name: label,
+    icon: typeof icon === 'string' ? icon.trim() : '',
+    role: typeof role === 'string' && role.trim() ? role.trim() : `${label} Engineer`,
+    category: category && category.trim() ? category.trim() : null,
+    // Sheet headers are matched lowercased
+    columns: columns && columns.length > 0
+      ? [...new Set(columns.map(column => column.trim().toLowerCase()))]
+      : [`loe ${label.toLowerCase()} (weeks)`, `loe ${label.toLowerCase()}`]
+  };
+
+  const existing = disciplines.find(d => d.id === id);
+  if (existing) {
+    Object.assign(existing, discipline);
+    return { discipline: existing, created: false };
+  }
+
+  disciplines.push(discipline);
+  return { discipline, created: true };
+}
+
+// Validate the effortBreakdown of a create request: weeks per configured
+// discipline, with the total worked out here.
+// Returns { effortBreakdown } (null when no effort is given) or { error }.
+export function parseEffortBreakdown(data, disciplines) {
+  const { effortBreakdown } = data || {};
+  if (effortBreakdown === undefined || effortBreakdown === null) return { effortBreakdown: null };
+
+  if (typeof effortBreakdown !== 'object' || Array.isArray(effortBreakdown)) {
+    return { error: 'effortBreakdown must be an object of weeks per discipline' };
+  }
+
+  const effort = {};
+  let total = 0;
+  for (const [key, weeks] of Object.entries(effortBreakdown)) {
+    if (key === 'total') continue;
+    if (!disciplines.some(discipline => discipline.id === key)) {
+      return { error: `Unknown discipline "${key}". Expected one of: ${disciplines.map(d => d.id).join(', ')}` };
+    }
+    if (typeof weeks !== 'number' || !Number.isFinite(weeks) || weeks < 0) {
+      return { error: `effortBreakdown.${key} must be a non-negative number of weeks` };
+    }
+    effort[key] = weeks;
+    total += weeks;
+  }
+
+  return { effortBreakdown: total > 0 ? { ...effort, total } : null };
+}
+
+// Validate the optional effortEstimate of an item: low / likely / high weeks
+// of total effort, sampled by the effort simulation.
+// Returns { effortEstimate } (null when none is given) or { error }.
+export function parseEffortEstimate(data) {
+  const { effortEstimate } = data || {};
+  if (effortEstimate === undefined || effortEstimate === null) return { effortEstimate: null };
+
+  if (typeof effortEstimate !== 'object' || Array.isArray(effortEstimate)) {
+    return { error: 'effortEstimate must be an object with low, likely and high weeks' };
+  }
+
+  const { low, likely, high } = effortEstimate;
+  for (const [key, weeks] of Object.entries({ low, likely, high })) {
+    if (typeof weeks !== 'number' || !Number.isFinite(weeks) || weeks <= 0) {
+      return { error: `effortEstimate.${key} must be a positive number of weeks` };
+    }
+  }
+
+  if (!(low <= likely && likely <= high)) {
+    return { error: 'effortEstimate must have low <= likely <= high' };
+  }
+
+  return { effortEstimate: { low, likely, high } };
+}
@@ -1,10 +1,15 @@
 import { google } from 'googleapis';
+import { parseSkills } from '../models.js';
+import { DEFAULT_DISCIPLINES } from '../disciplines.js';
+import { DEFAULT_CAREER_LADDER } from '../career-ladder.js';
 
 export class GoogleSheetsService {
   constructor() {
     this.auth = null;
     this.sheets = null;
     this.drive = null;
+    this.disciplines = DEFAULT_DISCIPLINES; // Disciplines whose LoE columns roadmap imports read
+    this.careerLadder = DEFAULT_CAREER_LADDER; // Levels the level/title column is matched against
   }
 
   // Initialize with API key (for read-only access to public sheets)
@@ -137,13 +142,18 @@ export class GoogleSheetsService {
       
       // Combine first and last name
       const name = [firstName, lastName].filter(Boolean).join(' ');
+
+      // "Senior Software Engineer" or "l5" become the ladder's "Senior" or "L5"
+      const level = this.careerLadder.parse(getValue(['level', 'experience level', 'seniority', 'title'])) ||
+        this.careerLadder.defaultLevel();
       
       return {
         id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
         name: name,
-        level: getValue(['level', 'experience level', 'seniority', 'title']) || 'Mid',
-        skills: [], // Not in the new structure, but keeping for compatibility
-        capacity: 1.0, // Not in the new structure, defaulting to full capacity
+        level: level,
+        skills: parseSkills(getArrayValue(['skills', 'skill set', 'skillset'])), // Optional, e.g. "Swift:4, UIKit"
+        // Optional; managers default to the share of time their level leaves for project work
+        capacity: getNumberValue(['capacity'], this.careerLadder.defaultCapacity(level)),
         interests: teamName ? [teamName] : [], // Using team name as interest
         careerGoals: getArrayValue(['career goals', 'goals', 'career aspirations', 'development goals']),
         // Additional fields from new structure
@@ -323,7 +333,7 @@ export class GoogleSheetsService {
   }
 
   // Get roadmap items from Google Sheets
-  async getRoadmapItemsFromSheet(sheetUrl, range = 'A1:H100') {
+  async getRoadmapItemsFromSheet(sheetUrl, range = 'A1:Z100') { // Wide enough for an LoE column per discipline
     try {
       if (!this.sheets) {
         throw new Error('Google Sheets service not initialized. Please provide API key or service account credentials.');
@@ -392,28 +402,35 @@ export class GoogleSheetsService {
         return isNaN(parsed) ? defaultValue : Math.max(0, parsed);
       };
 
-      // New structure: Theme, Item, Team, LoE iOS engineer (weeks), LoE Android (weeks), LoE Web (weeks), LoE Backend (weeks)
+      // New structure: Theme, Item, Team and an LoE column per discipline, e.g. LoE iOS engineer (weeks), LoE QA (weeks)
       const theme = getValue(['theme', 'category', 'epic']);
       const item = getValue(['item', 'name', 'project name', 'title']);
       const team = getValue(['team', 'assigned team', 'owner team']);
+      const dependsOn = getArrayValue(['depends on', 'dependencies', 'blocked by']);
       if (!item) return null; // Skip rows without item names
       
-      // Get Level of Effort for different disciplines
-      const loeIOS = getWeeksValue(['loe ios engineer (weeks)', 'loe ios', 'ios weeks', 'ios effort']);
-      const loeAndroid = getWeeksValue(['loe android (weeks)', 'loe android', 'android weeks', 'android effort']);
-      const loeWeb = getWeeksValue(['loe web (weeks)', 'loe web', 'web weeks', 'web effort', 'frontend weeks']);
-      const loeBackend = getWeeksValue(['loe backend (weeks)', 'loe backend', 'backend weeks', 'backend effort']);
-      
-      // Calculate total effort and determine primary skills needed
-      const totalWeeks = loeIOS + loeAndroid + loeWeb + loeBackend;
-      const requiredSkills = [];
-      if (loeIOS > 0) requiredSkills.push('iOS', 'Swift', 'Mobile Development');
-      if (loeAndroid > 0) requiredSkills.push('Android', 'Kotlin', 'Mobile Development');
-      if (loeWeb > 0) requiredSkills.push('Frontend', 'JavaScript', 'React', 'Web Development');
-      if (loeBackend > 0) requiredSkills.push('Backend', 'API Development', 'Database');
+      // Get Level of Effort for each configured discipline
+      const effortBreakdown = {};
+      for (const discipline of this.disciplines) {
+        effortBreakdown[discipline.id] = getWeeksValue(discipline.columns);
+      }
+      const staffedDisciplines = this.disciplines.filter(discipline => effortBreakdown[discipline.id] > 0);
+
+      // Calculate total effort; each discipline with effort requires its
+      // skills taxonomy category
+      const totalWeeks = staffedDisciplines.reduce((sum, discipline) => sum + effortBreakdown[discipline.id], 0);
+      effortBreakdown.total = totalWeeks;
+      const requiredSkills = [...new Set(staffedDisciplines.map(discipline => discipline.category).filter(Boolean))];
+
+      // Optional range around the point estimate for effort simulations
+      const lowWeeks = getWeeksValue(['loe low (weeks)', 'loe low', 'low weeks', 'optimistic weeks'], null);
+      const highWeeks = getWeeksValue(['loe high (weeks)', 'loe high', 'high weeks', 'pessimistic weeks'], null);
+      const effortEstimate = lowWeeks > 0 && highWeeks !== null && lowWeeks <= totalWeeks && totalWeeks <= highWeeks
+        ? { low: lowWeeks, likely: totalWeeks, high: highWeeks }
+        : null;
       
       // Determine complexity based on total effort and number of platforms
-      const platformCount = [loeIOS, loeAndroid, loeWeb, loeBackend].filter(weeks => weeks > 0).length;
+      const platformCount = staffedDisciplines.length;
       let complexity = 1;
       if (totalWeeks > 12) complexity = 5; // Very complex (3+ months)
       else if (totalWeeks > 8) complexity = 4; // Complex (2+ months)
@@ -438,18 +455,16 @@ export class GoogleSheetsService {
         complexity: complexity,
         requiredSkills: requiredSkills,
         domain: theme || 'Product Development',
-        minLevel: totalWeeks > 8 ? 'Mid' : 'Junior', // Larger projects need more experienced people
+        // Larger projects need more experienced people
+        minLevel: totalWeeks > 8 ? this.careerLadder.defaultLevel() : this.careerLadder.lowestLevel(),
         careerOpportunities: platformCount > 1 ? ['Cross-platform development', 'Full-stack experience'] : [],
         // Team assignment
         assignedTeam: team || null,
+        // Names of prerequisite items (linked to ids on import)
+        dependsOn: dependsOn,
         // LoE breakdown for allocation
-        effortBreakdown: {
-          ios: loeIOS,
-          android: loeAndroid,
-          web: loeWeb,
-          backend: loeBackend,
-          total: totalWeeks
-        },
+        effortBreakdown: effortBreakdown,
+        ...(effortEstimate ? { effortEstimate } : {}),
         platformCount: platformCount,
         dateAdded: new Date().toISOString(),
         importedFrom: 'google-sheets'
@@ -477,12 +492,13 @@ export class GoogleSheetsService {
       const requiredFields = {
         theme: ['theme', 'category', 'epic'],
         item: ['item', 'name', 'project name', 'title'],
-        team: ['team', 'assigned team', 'owner team'],
-        loeIOS: ['loe ios engineer (weeks)', 'loe ios', 'ios weeks', 'ios effort'],
-        loeAndroid: ['loe android (weeks)', 'loe android', 'android weeks', 'android effort'],
-        loeWeb: ['loe web (weeks)', 'loe web', 'web weeks', 'web effort', 'frontend weeks'],
-        loeBackend: ['loe backend (weeks)', 'loe backend', 'backend weeks', 'backend effort']
+        team: ['team', 'assigned team', 'owner team']
       };
+      const loeFields = {};
+      for (const discipline of this.disciplines) {
+        loeFields[discipline.id] = `loe ${discipline.name}`;
+        requiredFields[loeFields[discipline.id]] = discipline.columns;
+      }
 
       const foundFields = {};
 
@@ -492,16 +508,15 @@ export class GoogleSheetsService {
         
         if (!found && field === 'item') {
           recommendations.push('⚠️ Required "Item" column not found. Please add a column with project/item names.');
-        } else if (!found && field.startsWith('loe')) {
-          const platform = field.replace('loe', '').toUpperCase();
-          recommendations.push(`💡 Consider adding "${possibleNames[0]}" column for ${platform} effort estimation.`);
+        } else if (!found && field.startsWith('loe ')) {
+          recommendations.push(`💡 Consider adding "${possibleNames[0]}" column for ${field.slice(4)} effort estimation.`);
         } else if (!found) {
           recommendations.push(`💡 Consider adding a "${possibleNames[0]}" column for better data import.`);
         }
       }
 
       // Check if at least one LoE column exists
-      const hasAnyLoE = foundFields.loeIOS || foundFields.loeAndroid || foundFields.loeWeb || foundFields.loeBackend;
+      const hasAnyLoE = Object.values(loeFields).some(field => foundFields[field]);
       if (!hasAnyLoE) {
         recommendations.push('⚠️ No Level of Effort (LoE) columns found. Please add at least one LoE column for effort estimation.');
       }
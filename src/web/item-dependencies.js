@@ -0,0 +1,39 @@
+// dependsOn handling for persisted roadmap items. The server stores
+// prerequisites by item id so renaming an item keeps its dependents linked.
+import { findDependency } from '../dependencies.js';
+
+// Validate the dependsOn list of a create request.
+// Returns { dependsOn } on success or { error } on failure.
+export function parseDependsOn(data) {
+  const { dependsOn } = data || {};
+  if (dependsOn === undefined || dependsOn === null) return { dependsOn: [] };
+
+  if (!Array.isArray(dependsOn) || dependsOn.some(ref => typeof ref !== 'string' || !ref.trim())) {
+    return { error: 'dependsOn must be a list of roadmap item ids' };
+  }
+
+  return { dependsOn: [...new Set(dependsOn)] };
+}
+
+// Sheet imports reference prerequisites by name; swap those for ids.
+// Names match case-insensitively; unknown references are kept as they are so
+// validation can report them.
+export function linkDependencies(items) {
+  return items.map(item => {
+    if (!Array.isArray(item.dependsOn) || item.dependsOn.length === 0) return item;
+
+    const dependsOn = item.dependsOn.map(ref => {
+      const prerequisite = findDependency(items, ref) ||
+        items.find(other => other.name.toLowerCase() === ref.toLowerCase());
+      return prerequisite ? prerequisite.id : ref;
+    });
+    return { ...item, dependsOn };
+  });
+}
+
+// Drop a deleted item from every other item's prerequisites
+export function removeDependency(items, id) {
+  return items.map(item => Array.isArray(item.dependsOn) && item.dependsOn.includes(id)
+    ? { ...item, dependsOn: item.dependsOn.filter(ref => ref !== id) }
+    : item);
+}
@@ -0,0 +1,128 @@
+// Runs the optimizer the way POST /api/optimize does, on records passed in
+// rather than read from the store, so saved runs can be compared with the
+// current data (and the hiring planner can run from the CLI). `data` holds
+// the teamMembers, roadmapItems and constraints records to plan; `config`
+// the stored weightProfiles, skills, disciplines and careerLevels (empty
+// lists for the built-in ones).
+import { TeamMember, RoadmapItem } from '../models.js';
+import { AllocationOptimizer } from '../optimizer.js';
+import { RollingPlanner } from '../rolling-planner.js';
+import { HiringPlanner } from '../hiring-planner.js';
+import { EffortSimulator } from '../effort-simulator.js';
+import { SensitivityAnalyzer } from '../sensitivity-analyzer.js';
+import { SkillTaxonomy } from '../skills.js';
+import { CareerLadder } from '../career-ladder.js';
+import { resolveConstraints } from './constraints.js';
+import { resolveWeights } from './weight-profiles.js';
+import { listSkills } from './skill-taxonomy.js';
+import { listDisciplines } from './discipline-config.js';
+import { listLevels } from './career-ladder.js';
+import { applyScenario } from './scenarios.js';
+import { diffReports } from '../run-diff.js';
+
+// Model instances and optimizer options for the data, or { error } for a
+// request that cannot be planned (no members or items, unknown weights profile)
+function prepareOptimization(data, config, options) {
+  const { teamMembers = [], roadmapItems = [], constraints = [] } = data;
+
+  if (teamMembers.length === 0) {
+    return { error: 'No team members found. Please add team members first.' };
+  }
+
+  if (roadmapItems.length === 0) {
+    return { error: 'No roadmap items found. Please add roadmap items first.' };
+  }
+
+  const weights = resolveWeights(config.weightProfiles || [], options.weightsProfile, options.weights);
+  if (weights.error) {
+    return { error: weights.error };
+  }
+
+  const optimizerOptions = {
+    ...options,
+    constraints: resolveConstraints(constraints, teamMembers, roadmapItems),
+    weights: weights.weights,
+    weightsProfile: weights.name,
+    skillTaxonomy: new SkillTaxonomy(listSkills(config.skills || [])),
+    disciplines: listDisciplines(config.disciplines || []),
+    careerLadder: new CareerLadder(listLevels(config.careerLevels || []))
+  };
+
+  // Convert data to model instances
+  const members = teamMembers.map(member => TeamMember.fromJSON(member));
+  const items = roadmapItems.map(item => RoadmapItem.fromJSON(item));
+
+  return { members, items, optimizerOptions, weights };
+}
+
+// Returns { report, weights, weightsProfile } or { error } (see
+// prepareOptimization). The report is plain JSON, as it is sent and saved.
+export function optimizeData(data, config, options) {
+  const { members, items, optimizerOptions, weights, error } = prepareOptimization(data, config, options);
+  if (error) return { error };
+
+  // Multi-quarter plans return the first quarter's report at the top level
+  // (same shape as a single-quarter run) plus the quarter-by-quarter plan
+  let report;
+  if (options.quarters > 1) {
+    const rollingPlan = new RollingPlanner(members, items, optimizerOptions).plan();
+    report = { ...rollingPlan.quarters[0].report, rollingPlan };
+  } else {
+    report = new AllocationOptimizer(members, items, optimizerOptions).optimize();
+  }
+
+  return { report: JSON.parse(JSON.stringify(report)), weights: weights.weights, weightsProfile: weights.name };
+}
+
+// Returns { plan } with the hires the HiringPlanner recommends (options
+// takes maxHires on top of the optimize options), or { error }
+export function planHiringData(data, config, options) {
+  const { members, items, optimizerOptions, error } = prepareOptimization(data, config, options);
+  if (error) return { error };
+
+  const plan = new HiringPlanner(members, items, optimizerOptions).plan();
+  return { plan: JSON.parse(JSON.stringify(plan)) };
+}
+
+// Returns { simulation } with the EffortSimulator's staffing odds (options
+// takes iterations and seed on top of the optimize options), or { error }
+export function simulateData(data, config, options) {
+  const { members, items, optimizerOptions, error } = prepareOptimization(data, config, options);
+  if (error) return { error };
+
+  return { simulation: new EffortSimulator(members, items, optimizerOptions).simulate() };
+}
+
+// Returns { sensitivity } with the SensitivityAnalyzer's report (options
+// takes perturbation on top of the optimize options), or { error }
+export function analyzeSensitivityData(data, config, options) {
+  const { members, items, optimizerOptions, error } = prepareOptimization(data, config, options);
+  if (error) return { error };
+
+  return { sensitivity: new SensitivityAnalyzer(members, items, optimizerOptions).analyze() };
+}
+
+// Returns { comparison } with the report of the data and of each scenario
+// applied to it, side by side (options takes the scenarios on top of the
+// optimize options), or { error } when the data cannot be planned. A
+// scenario that cannot be planned gets its own error.
+export function runScenariosData(data, config, options) {
+  const { scenarios, ...optimizeOptions } = options;
+  const baseline = optimizeData(data, config, optimizeOptions);
+  if (baseline.error) return { error: baseline.error };
+
+  return {
+    comparison: {
+      baseline: { report: baseline.report },
+      scenarios: scenarios.map(scenario => {
+        const { data: scenarioData, warnings } = applyScenario(data, scenario);
+        const result = optimizeData(scenarioData, config, optimizeOptions);
+
+        if (result.error) {
+          return { id: scenario.id, name: scenario.name, warnings, error: result.error };
+        }
+        return { id: scenario.id, name: scenario.name, warnings, report: result.report, diff: diffReports(baseline.report, result.report) };
+      })
+    }
+  };
+}
@@ -0,0 +1,134 @@
+import { SOLVERS, TEAM_POLICIES } from '../optimizer.js';
+import { MAX_QUARTERS } from '../rolling-planner.js';
+import { DEFAULT_MAX_HIRES, MAX_PLANNED_HIRES } from '../hiring-planner.js';
+import { DEFAULT_ITERATIONS, MAX_ITERATIONS } from '../effort-simulator.js';
+import { DEFAULT_PERTURBATION, MAX_PERTURBATION } from '../sensitivity-analyzer.js';
+import { parseDate } from '../dates.js';
+
+// Parse and validate the optimizer options accepted by POST /api/optimize.
+// The plan starts on the startDate of the planning cycle it is for unless the
+// body gives one. Returns { options } on success or { error } with a
+// user-facing message.
+export function parseOptimizeOptions(body = {}, cycle = {}) {
+  const { solver = 'greedy', teamPolicy = 'ignore', crossTeamPenalty, weightsProfile, weights, quarters = 1, startDate = cycle.startDate || undefined, baselineRunId, churnPenalty } = body || {};
+
+  if (!SOLVERS.includes(solver)) {
+    return { error: `Unknown solver "${solver}". Expected one of: ${SOLVERS.join(', ')}` };
+  }
+
+  if (!TEAM_POLICIES.includes(teamPolicy)) {
+    return { error: `Unknown team policy "${teamPolicy}". Expected one of: ${TEAM_POLICIES.join(', ')}` };
+  }
+
+  if (!Number.isInteger(quarters) || quarters < 1 || quarters > MAX_QUARTERS) {
+    return { error: `quarters must be a whole number between 1 and ${MAX_QUARTERS}` };
+  }
+
+  if (startDate !== undefined && !parseDate(startDate)) {
+    return { error: 'startDate must be a date in YYYY-MM-DD format' };
+  }
+
+  const options = { solver, teamPolicy, quarters, startDate };
+
+  if (crossTeamPenalty !== undefined) {
+    if (typeof crossTeamPenalty !== 'number' || crossTeamPenalty < 0) {
+      return { error: 'crossTeamPenalty must be a non-negative number' };
+    }
+    options.crossTeamPenalty = crossTeamPenalty;
+  }
+
+  // The profile itself is looked up by the caller, which owns the storage
+  if (weightsProfile !== undefined && typeof weightsProfile !== 'string') {
+    return { error: 'weightsProfile must be a profile id' };
+  }
+
+  if (weights !== undefined && (typeof weights !== 'object' || weights === null || Array.isArray(weights))) {
+    return { error: 'weights must be an object of scoring weights' };
+  }
+
+  options.weightsProfile = weightsProfile;
+  options.weights = weights;
+
+  // Stability mode: the run (or 'latest') whose allocations the replan keeps
+  // people on, also looked up by the caller
+  if (baselineRunId !== undefined && baselineRunId !== null) {
+    if (typeof baselineRunId !== 'string' || !baselineRunId) {
+      return { error: 'baselineRunId must be a run id or "latest"' };
+    }
+    options.baselineRunId = baselineRunId;
+  }
+
+  if (churnPenalty !== undefined) {
+    if (typeof churnPenalty !== 'number' || churnPenalty < 0) {
+      return { error: 'churnPenalty must be a non-negative number' };
+    }
+    options.churnPenalty = churnPenalty;
+  }
+
+  return { options };
+}
+
+// The optimize options for analyses that plan a single quarter without a
+// baseline run, which reject `quarters` above 1 and a baselineRunId rather
+// than ignoring them
+function parseSingleQuarterOptions(body, cycle, analysis) {
+  const { options, error } = parseOptimizeOptions(body, cycle);
+  if (error) return { error };
+
+  const { quarters, ...singleQuarter } = options;
+  if (quarters > 1) {
+    return { error: `The ${analysis} covers a single quarter; quarters must be 1` };
+  }
+  if (options.baselineRunId) {
+    return { error: `The ${analysis} does not keep a baseline run stable; leave out baselineRunId` };
+  }
+  return { options: singleQuarter };
+}
+
+// Options of POST /api/hiring-plan: the optimize options plus maxHires, the
+// most hires to recommend. Returns { options } or { error }.
+export function parseHiringOptions(body = {}, cycle = {}) {
+  const { options, error } = parseSingleQuarterOptions(body, cycle, 'hiring plan');
+  if (error) return { error };
+
+  const { maxHires = DEFAULT_MAX_HIRES } = body || {};
+  if (!Number.isInteger(maxHires) || maxHires < 1 || maxHires > MAX_PLANNED_HIRES) {
+    return { error: `maxHires must be a whole number between 1 and ${MAX_PLANNED_HIRES}` };
+  }
+
+  return { options: { ...options, maxHires } };
+}
+
+// Options of POST /api/optimize/simulate: the optimize options plus the
+// number of iterations and an optional seed to repeat a simulation.
+// Returns { options } or { error }.
+export function parseSimulationOptions(body = {}, cycle = {}) {
+  const { options, error } = parseSingleQuarterOptions(body, cycle, 'effort simulation');
+  if (error) return { error };
+
+  const { iterations = DEFAULT_ITERATIONS, seed } = body || {};
+  if (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_ITERATIONS) {
+    return { error: `iterations must be a whole number between 1 and ${MAX_ITERATIONS}` };
+  }
+
+  if (seed !== undefined && (!Number.isInteger(seed) || seed < 0)) {
+    return { error: 'seed must be a non-negative whole number' };
+  }
+
+  return { options: { ...options, iterations, seed } };
+}
+
+// Options of POST /api/optimize/sensitivity: the optimize options plus the
+// perturbation, the fraction each weight is lowered and raised by.
+// Returns { options } or { error }.
+export function parseSensitivityOptions(body = {}, cycle = {}) {
+  const { options, error } = parseSingleQuarterOptions(body, cycle, 'sensitivity analysis');
+  if (error) return { error };
+
+  const { perturbation = DEFAULT_PERTURBATION } = body || {};
+  if (typeof perturbation !== 'number' || !(perturbation > 0) || perturbation > MAX_PERTURBATION) {
+    return { error: `perturbation must be a number above 0 and up to ${MAX_PERTURBATION}` };
+  }
+
+  return { options: { ...options, perturbation } };
+}
@@ -0,0 +1,162 @@
+// Field validation for editing team members and roadmap items. PUT replaces
+// every editable field, so fields left out get the same defaults as on
+// create; PATCH only changes the fields that are sent. Ids, dateAdded and
+// availability windows are never changed through these.
+import { parseSkills, parseRequiredSkills } from '../models.js';
+import { DEFAULT_CAREER_LADDER } from '../career-ladder.js';
+import { DEFAULT_DISCIPLINES } from '../disciplines.js';
+import { parseScheduleFields } from './schedule-fields.js';
+import { parseDependsOn } from './item-dependencies.js';
+import { parseEffortBreakdown, parseEffortEstimate } from './discipline-config.js';
+
+// Field parsers: value => { value } or { error }
+
+const name = value => typeof value === 'string' && value.trim()
+  ? { value: value.trim() }
+  : { error: 'Name is required' };
+
+const text = field => value => value === null || typeof value === 'string'
+  ? { value: value ? value.trim() : '' }
+  : { error: `${field} must be text` };
+
+const nameList = field => value => Array.isArray(value) && value.every(entry => typeof entry === 'string')
+  ? { value: value.map(entry => entry.trim()).filter(Boolean) }
+  : { error: `${field} must be a list of names` };
+
+const skillList = (field, parse) => value => Array.isArray(value)
+  ? { value: parse(value) }
+  : { error: `${field} must be a list of skills` };
+
+const scale = field => value => Number.isInteger(value) && value >= 1 && value <= 5
+  ? { value }
+  : { error: `${field} must be a whole number from 1 to 5` };
+
+// A level of the career ladder, in the ladder's spelling. Creating members
+// and items validates levels the same way.
+export function parseLevel(value, field, ladder) {
+  const found = typeof value === 'string' ? ladder.find(value.trim()) : null;
+  return found
+    ? { value: found.name }
+    : { error: `${field} must be a level of the career ladder (${ladder.names().join(', ')})` };
+}
+
+const level = (field, ladder) => value => parseLevel(value, field, ladder);
+
+// Apply a table of { field: [parse, defaultValue] } to a request body
+function parseFields(data, parsers, partial) {
+  const fields = {};
+
+  for (const [field, [parse, defaultValue]] of Object.entries(parsers)) {
+    if (data[field] === undefined) {
+      if (!partial) fields[field] = typeof defaultValue === 'function' ? defaultValue(fields) : defaultValue;
+      continue;
+    }
+
+    const { value, error } = parse(data[field]);
+    if (error) return { error };
+    fields[field] = value;
+  }
+
+  return { fields };
+}
+
+// Returns { fields } with the member fields to write, or { error }
+export function parseMemberUpdate(data, { partial = false, ladder = DEFAULT_CAREER_LADDER } = {}) {
+  const body = data || {};
+
+  const { fields, error } = parseFields(body, {
+    name: [name, undefined],
+    level: [level('level', ladder), () => ladder.defaultLevel()],
+    skills: [skillList('skills', parseSkills), []],
+    capacity: [
+      value => typeof value === 'number' && value >= 0 && value <= 1
+        ? { value }
+        : { error: 'capacity must be a number from 0 to 1' },
+      parsed => ladder.defaultCapacity(parsed.level)
+    ],
+    interests: [nameList('interests'), []],
+    careerGoals: [nameList('careerGoals'), []],
+    teamName: [text('teamName'), ''],
+    location: [text('location'), ''],
+    notes: [text('notes'), '']
+  }, partial);
+
+  if (error) return { error };
+  if (!partial && fields.name === undefined) return { error: 'Name is required' };
+  return { fields };
+}
+
+// Returns { fields } with the item fields to write, or { error }. Scheduling
+// fields, dependsOn, effortBreakdown and effortEstimate reuse the create
+// validation; an effortBreakdown of null (or with no effort) or an
+// effortEstimate of null removes it.
+export function parseItemUpdate(data, {
+  partial = false,
+  ladder = DEFAULT_CAREER_LADDER,
+  disciplines = DEFAULT_DISCIPLINES
+} = {}) {
+  const body = data || {};
+
+  const { fields, error } = parseFields(body, {
+    name: [name, undefined],
+    description: [text('description'), ''],
+    size: [scale('size'), 1],
+    complexity: [scale('complexity'), 1],
+    requiredSkills: [skillList('requiredSkills', parseRequiredSkills), []],
+    domain: [text('domain'), ''],
+    minLevel: [level('minLevel', ladder), () => ladder.lowestLevel()],
+    careerOpportunities: [nameList('careerOpportunities'), []],
+    assignedTeam: [value => value === null || typeof value === 'string'
+      ? { value: value && value.trim() ? value.trim() : null }
+      : { error: 'assignedTeam must be a team name' }, null]
+  }, partial);
+
+  if (error) return { error };
+  if (!partial && fields.name === undefined) return { error: 'Name is required' };
+
+  const schedule = parseScheduleFields(partial ? body : {
+    earliestStart: null,
+    targetDate: null,
+    sequence: null,
+    ...body
+  });
+  if (schedule.error) return { error: schedule.error };
+  Object.assign(fields, schedule.fields);
+
+  if (!partial || body.dependsOn !== undefined) {
+    const dependencies = parseDependsOn(body);
+    if (dependencies.error) return { error: dependencies.error };
+    fields.dependsOn = dependencies.dependsOn;
+  }
+
+  if (!partial || body.effortBreakdown !== undefined) {
+    const effort = parseEffortBreakdown(body, disciplines);
+    if (effort.error) return { error: effort.error };
+    fields.effortBreakdown = effort.effortBreakdown;
+  }
+
+  if (!partial || body.effortEstimate !== undefined) {
+    const estimate = parseEffortEstimate(body);
+    if (estimate.error) return { error: estimate.error };
+    fields.effortEstimate = estimate.effortEstimate;
+  }
+
+  return { fields };
+}
+
+export function applyMemberUpdate(member, fields) {
+  return { ...member, ...fields, dateUpdated: new Date().toISOString() };
+}
+
+// The item with an update applied, re-checking the dates against the ones
+// it already had. Returns { item } or { error }.
+export function applyItemUpdate(item, fields) {
+  const updated = { ...item, ...fields, dateUpdated: new Date().toISOString() };
+  if (updated.effortBreakdown === null) delete updated.effortBreakdown;
+  if (updated.effortEstimate === null) delete updated.effortEstimate;
+
+  if (updated.earliestStart && updated.targetDate && updated.targetDate < updated.earliestStart) {
+    return { error: 'targetDate cannot be before earliestStart' };
+  }
+  return { item: updated };
+}
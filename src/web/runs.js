@@ -0,0 +1,82 @@
+// Saved optimization runs of a planning cycle. Each run keeps the roster,
+// roadmap and constraints it was computed from, the options and resolved
+// weights it used and its report, so it can be shown again (or compared)
+// without recomputing.
+
+// Runs kept per cycle. The run collection is written whole on every run, so
+// saving a run drops the oldest ones beyond this.
+export const MAX_SAVED_RUNS = 50;
+
+// A run record for a finished optimization
+export function buildRun({ options, weights, weightsProfile, inputs, report }) {
+  return {
+    id: Date.now().toString(),
+    createdAt: new Date().toISOString(),
+    options,
+    weights,
+    weightsProfile,
+    inputs,
+    report
+  };
+}
+
+// A run from the latest result a planning cycle kept before run history
+// existed (the optimization-results collection, { optimizedAt, options,
+// report }). Those results did not keep the constraints they used.
+export function runFromOptimizationResult({ optimizedAt, options, report }) {
+  return {
+    id: String(Date.parse(optimizedAt) || Date.now()),
+    createdAt: optimizedAt,
+    options,
+    weights: report.weights ? report.weights.values : null,
+    weightsProfile: report.weights ? report.weights.profile : null,
+    inputs: { teamMembers: report.teamMembers || [], roadmapItems: report.roadmapItems || [], constraints: [] },
+    report
+  };
+}
+
+// The run history with a new run added, keeping the newest `limit` runs
+export function addRun(runs, run, limit = MAX_SAVED_RUNS) {
+  return [...runs, run].slice(-limit);
+}
+
+// History entry of a run: what it was run with and its headline numbers
+export function summarizeRun(run) {
+  return {
+    id: run.id,
+    createdAt: run.createdAt,
+    solver: run.options.solver,
+    teamPolicy: run.options.teamPolicy,
+    quarters: run.options.quarters,
+    weightsProfile: run.weightsProfile,
+    baselineRunId: run.options.baselineRunId || null,
+    teamMembersCount: run.inputs.teamMembers.length,
+    roadmapItemsCount: run.inputs.roadmapItems.length,
+    summary: run.report.summary
+  };
+}
+
+// Run history, newest first
+export function listRuns(runs) {
+  return runs.map(summarizeRun).reverse();
+}
+
+// The run a stability-mode replan keeps people on: the run with this id, or
+// the newest run for 'latest' (null when there is none)
+export function findBaselineRun(runs, baselineRunId) {
+  if (baselineRunId === 'latest') return runs[runs.length - 1] || null;
+  return runs.find(run => run.id === baselineRunId) || null;
+}
+
+// A run's allocations ({ member, item, allocation }) under the current names
+// of its members and items, matched by id (by name for runs without ids).
+// Pairs whose member or item has since been deleted are left out.
+export function baselineAllocations(run, teamMembers, roadmapItems) {
+  const current = (records, id, name) => records.find(record => id ? record.id === id : record.name === name);
+
+  return (run.report.allocations || []).flatMap(allocation => {
+    const member = current(teamMembers, allocation.memberId, allocation.member);
+    const item = current(roadmapItems, allocation.itemId, allocation.item);
+    return member && item ? [{ member: member.name, item: item.name, allocation: allocation.allocation }] : [];
+  });
+}
@@ -0,0 +1,227 @@
+// What-if scenarios of a planning cycle: hypothetical changes that are
+// overlaid on the cycle's roster and roadmap when a scenario is optimized,
+// without changing the stored data. Changes reference members and items by
+// id (names are kept for display), like constraints do.
+import { parseMemberUpdate, parseItemUpdate } from './record-updates.js';
+import { removeDependency } from './item-dependencies.js';
+import { effortTotal } from '../disciplines.js';
+import { round } from '../numbers.js';
+
+export const SCENARIO_CHANGE_TYPES = ['add-member', 'remove-member', 'set-capacity', 'add-item', 'remove-item', 'resize-item'];
+
+// Most hires a single add-member change can model
+export const MAX_HIRES = 20;
+
+function findMember(change, teamMembers) {
+  const member = teamMembers.find(m => m.id === change.memberId);
+  return member ? { member } : { error: 'Team member not found' };
+}
+
+function findItem(change, roadmapItems) {
+  const item = roadmapItems.find(i => i.id === change.itemId);
+  return item ? { item } : { error: 'Roadmap item not found' };
+}
+
+// Validate one change against the current data.
+// Returns { change } on success or { error } on failure.
+function parseChange(data, { ladder, disciplines, teamMembers, roadmapItems }) {
+  const { type } = data || {};
+
+  switch (type) {
+    case 'add-member': {
+      const { count = 1 } = data;
+      if (!Number.isInteger(count) || count < 1 || count > MAX_HIRES) {
+        return { error: `count must be a whole number from 1 to ${MAX_HIRES}` };
+      }
+      const { fields, error } = parseMemberUpdate(data.member, { ladder });
+      return error ? { error } : { change: { type, count, member: fields } };
+    }
+
+    case 'remove-member': {
+      const { member, error } = findMember(data, teamMembers);
+      return error ? { error } : { change: { type, memberId: member.id, memberName: member.name } };
+    }
+
+    case 'set-capacity': {
+      const { member, error } = findMember(data, teamMembers);
+      if (error) return { error };
+      if (typeof data.capacity !== 'number' || data.capacity < 0 || data.capacity > 1) {
+        return { error: 'capacity must be a number from 0 to 1' };
+      }
+      return { change: { type, memberId: member.id, memberName: member.name, capacity: data.capacity } };
+    }
+
+    case 'add-item': {
+      const { fields, error } = parseItemUpdate(data.item, { ladder, disciplines });
+      return error ? { error } : { change: { type, item: fields } };
+    }
+
+    case 'remove-item': {
+      const { item, error } = findItem(data, roadmapItems);
+      return error ? { error } : { change: { type, itemId: item.id, itemName: item.name } };
+    }
+
+    case 'resize-item': {
+      const { item, error } = findItem(data, roadmapItems);
+      if (error) return { error };
+
+      const change = { type, itemId: item.id, itemName: item.name };
+      for (const field of ['size', 'complexity']) {
+        if (data[field] === undefined) continue;
+        if (!Number.isInteger(data[field]) || data[field] < 1 || data[field] > 5) {
+          return { error: `${field} must be a whole number from 1 to 5` };
+        }
+        change[field] = data[field];
+      }
+      if (data.effortWeeks !== undefined) {
+        if (typeof data.effortWeeks !== 'number' || !(data.effortWeeks > 0)) {
+          return { error: 'effortWeeks must be a positive number of weeks' };
+        }
+        change.effortWeeks = data.effortWeeks;
+      }
+      if (change.size === undefined && change.complexity === undefined && change.effortWeeks === undefined) {
+        return { error: 'A resize needs a new size, complexity or effortWeeks' };
+      }
+      return { change };
+    }
+
+    default:
+      return { error: `Change type must be one of: ${SCENARIO_CHANGE_TYPES.join(', ')}` };
+  }
+}
+
+// Validate a scenario request ({ name, description, changes }) against the
+// current data. Returns { fields } on success or { error } on failure.
+export function parseScenario(data, options) {
+  const { name, description = '', changes = [] } = data || {};
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'Scenario name is required' };
+  }
+
+  if (typeof description !== 'string') {
+    return { error: 'description must be text' };
+  }
+
+  if (!Array.isArray(changes)) {
+    return { error: 'changes must be a list of changes' };
+  }
+
+  const parsed = [];
+  for (const [index, change] of changes.entries()) {
+    const result = parseChange(change, options);
+    if (result.error) return { error: `Change ${index + 1}: ${result.error}` };
+    parsed.push(result.change);
+  }
+
+  return { fields: { name: name.trim(), description: description.trim(), changes: parsed } };
+}
+
+// Multiply an item's LoE and effort estimate by a factor. The LoE total is
+// the sum of the rounded disciplines, so it matches what the optimizer adds
+// up; a breakdown with only a total is scaled as is.
+function scaleEffort(item, factor) {
+  if (item.effortBreakdown) {
+    const { total, ...disciplines } = item.effortBreakdown;
+    const scaled = Object.fromEntries(Object.entries(disciplines)
+      .map(([discipline, weeks]) => [discipline, round(weeks * factor)]));
+    item.effortBreakdown = {
+      ...scaled,
+      total: Object.keys(scaled).length > 0 ? round(effortTotal(scaled)) : round(total * factor)
+    };
+  }
+  if (item.effortEstimate) {
+    item.effortEstimate = Object.fromEntries(Object.entries(item.effortEstimate)
+      .map(([key, weeks]) => [key, round(weeks * factor)]));
+  }
+}
+
+// Apply a resize. The optimizer sizes items with LoE by their weeks of
+// effort rather than their size, so a new size scales the LoE (and effort
+// estimate) by the new / old size; effortWeeks sets the total directly.
+function resizeItem(item, change) {
+  const totalWeeks = item.effortBreakdown && item.effortBreakdown.total > 0 ? item.effortBreakdown.total : null;
+
+  if (change.effortWeeks !== undefined) {
+    if (totalWeeks) {
+      scaleEffort(item, change.effortWeeks / totalWeeks);
+    } else {
+      if (item.effortEstimate) scaleEffort(item, change.effortWeeks / item.effortEstimate.likely);
+      item.effortBreakdown = { total: change.effortWeeks };
+    }
+  } else if (change.size !== undefined && item.size > 0) {
+    scaleEffort(item, change.size / item.size);
+  }
+
+  if (change.size !== undefined) item.size = change.size;
+  if (change.complexity !== undefined) item.complexity = change.complexity;
+}
+
+// The cycle data with a scenario's changes applied. Changes to members or
+// items that have since been deleted are skipped and reported in warnings.
+// Returns { data, warnings }; the records passed in are left untouched.
+export function applyScenario(data, scenario) {
+  let teamMembers = structuredClone(data.teamMembers);
+  let roadmapItems = structuredClone(data.roadmapItems);
+  let constraints = structuredClone(data.constraints || []);
+  const warnings = [];
+
+  const memberFor = change => {
+    const member = teamMembers.find(m => m.id === change.memberId);
+    if (!member) warnings.push(`${change.memberName} is no longer in the roster; skipped ${change.type}`);
+    return member;
+  };
+  const itemFor = change => {
+    const item = roadmapItems.find(i => i.id === change.itemId);
+    if (!item) warnings.push(`${change.itemName} is no longer on the roadmap; skipped ${change.type}`);
+    return item;
+  };
+
+  scenario.changes.forEach((change, index) => {
+    switch (change.type) {
+      case 'add-member':
+        for (let n = 1; n <= change.count; n++) {
+          teamMembers.push({
+            ...change.member,
+            id: `scenario-${index + 1}-${n}`,
+            name: change.count > 1 ? `${change.member.name} ${n}` : change.member.name,
+            availability: [],
+            hypothetical: true
+          });
+        }
+        break;
+
+      case 'remove-member':
+        if (memberFor(change)) {
+          teamMembers = teamMembers.filter(m => m.id !== change.memberId);
+          constraints = constraints.filter(c => c.memberId !== change.memberId);
+        }
+        break;
+
+      case 'set-capacity': {
+        const member = memberFor(change);
+        if (member) member.capacity = change.capacity;
+        break;
+      }
+
+      case 'add-item':
+        roadmapItems.push({ ...change.item, id: `scenario-${index + 1}`, hypothetical: true });
+        break;
+
+      case 'remove-item':
+        if (itemFor(change)) {
+          roadmapItems = removeDependency(roadmapItems.filter(i => i.id !== change.itemId), change.itemId);
+          constraints = constraints.filter(c => c.itemId !== change.itemId);
+        }
+        break;
+
+      case 'resize-item': {
+        const item = itemFor(change);
+        if (item) resizeItem(item, change);
+        break;
+      }
+    }
+  });
+
+  return { data: { teamMembers, roadmapItems, constraints }, warnings };
+}
@@ -0,0 +1,35 @@
+import { parseDate } from '../dates.js';
+
+// Validate the optional scheduling fields of a roadmap item request.
+// Returns { fields } with only the fields that were sent, or { error }.
+export function parseScheduleFields(data = {}) {
+  const { earliestStart, targetDate, sequence } = data || {};
+  const fields = {};
+
+  for (const [name, value] of Object.entries({ earliestStart, targetDate })) {
+    if (value === undefined) continue;
+    if (value === null || value === '') {
+      fields[name] = null;
+    } else if (!parseDate(value)) {
+      return { error: `${name} must be a date in YYYY-MM-DD format` };
+    } else {
+      fields[name] = value;
+    }
+  }
+
+  if (fields.earliestStart && fields.targetDate && fields.targetDate < fields.earliestStart) {
+    return { error: 'targetDate cannot be before earliestStart' };
+  }
+
+  if (sequence !== undefined) {
+    if (sequence === null || sequence === '') {
+      fields.sequence = null;
+    } else if (!Number.isInteger(sequence) || sequence < 0) {
+      return { error: 'sequence must be a non-negative whole number' };
+    } else {
+      fields.sequence = sequence;
+    }
+  }
+
+  return { fields };
+}
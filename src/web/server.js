@@ -6,9 +6,28 @@ import cors from 'cors';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
-import { TeamMember, RoadmapItem } from '../models.js';
-import { AllocationOptimizer } from '../optimizer.js';
+import { Worker } from 'worker_threads';
+import { parseSkills, parseRequiredSkills } from '../models.js';
 import { GoogleSheetsService } from './google-sheets-service.js';
+import { buildConstraint } from './constraints.js';
+import { parseOptimizeOptions, parseHiringOptions, parseSimulationOptions, parseSensitivityOptions } from './optimize-options.js';
+import { parseScheduleFields } from './schedule-fields.js';
+import { parseDependsOn, linkDependencies, removeDependency } from './item-dependencies.js';
+import { validateDependencies } from '../dependencies.js';
+import { buildAvailabilityWindow } from './availability.js';
+import { listWeightProfiles, saveWeightProfile, DEFAULT_PROFILE_ID } from './weight-profiles.js';
+import { listSkills, saveSkill, removeSkill, listDuplicateSkills, mergeSkills } from './skill-taxonomy.js';
+import { listDisciplines, saveDiscipline, parseEffortBreakdown, parseEffortEstimate } from './discipline-config.js';
+import { listLevels, parseCareerLadder } from './career-ladder.js';
+import { CareerLadder } from '../career-ladder.js';
+import { parseMemberUpdate, parseItemUpdate, applyMemberUpdate, applyItemUpdate, parseLevel } from './record-updates.js';
+import { createStore, parseStorageConfig, StorageError } from './storage.js';
+import { SAMPLE_TEAM_MEMBERS, SAMPLE_ROADMAP_ITEMS } from './sample-data.js';
+import { buildRun, addRun, listRuns, findBaselineRun, baselineAllocations } from './runs.js';
+import { optimizeData } from './optimization.js';
+import { parseScenario } from './scenarios.js';
+import { diffReports } from '../run-diff.js';
+import { DEFAULT_CYCLE_ID, CYCLE_COLLECTIONS, CLONED_COLLECTIONS, listCycles, cycleCollection, createCycle, updateCycle } from './cycles.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,301 +40,261 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../../public')));
 
-// Data file paths (use absolute paths for better Vercel compatibility)
 const projectRoot = path.join(__dirname, '../..');
-const TEAM_MEMBERS_FILE = path.join(projectRoot, 'team-members.json');
-const ROADMAP_ITEMS_FILE = path.join(projectRoot, 'roadmap-items.json');
-
-// Default sample data for when files are not available (especially in serverless environments like Vercel)
-let defaultTeamMembers = [
-  {
-    "id": "sample-1",
-    "name": "Alice Johnson",
-    "level": "Senior",
-    "skills": ["JavaScript", "React", "Node.js", "TypeScript"],
-    "capacity": 1.0,
-    "interests": ["Frontend Engineering", "User Experience"],
-    "careerGoals": ["Technical Leadership", "Mentoring", "Architecture"],
-    "teamName": "Frontend Engineering",
-    "location": "San Francisco",
-    "notes": "Full-stack engineer with strong frontend focus",
-    "dateAdded": "2025-01-01T00:00:00.000Z",
-    "importedFrom": "sample-data"
-  },
-  {
-    "id": "sample-2", 
-    "name": "Bob Smith",
-    "level": "Staff",
-    "skills": ["Python", "PostgreSQL", "AWS", "Docker"],
-    "capacity": 1.0,
-    "interests": ["Backend Engineering", "System Design"],
-    "careerGoals": ["System Architecture", "Platform Engineering", "Team Leadership"],
-    "teamName": "Backend Engineering",
-    "location": "New York",
-    "notes": "Backend specialist with DevOps experience",
-    "dateAdded": "2025-01-01T00:00:00.000Z",
-    "importedFrom": "sample-data"
-  },
-  {
-    "id": "sample-3",
-    "name": "Carol Davis",
-    "level": "Mid",
-    "skills": ["Swift", "iOS", "Objective-C", "UIKit"],
-    "capacity": 0.8,
-    "interests": ["Mobile Development", "iOS Engineering"],
-    "careerGoals": ["iOS Expertise", "Cross-platform Development"],
-    "teamName": "Mobile Engineering", 
-    "location": "Austin",
-    "notes": "iOS developer transitioning to cross-platform",
-    "dateAdded": "2025-01-01T00:00:00.000Z",
-    "importedFrom": "sample-data"
-  },
-  {
-    "id": "sample-4",
-    "name": "David Wilson", 
-    "level": "Junior",
-    "skills": ["Kotlin", "Android", "Java"],
-    "capacity": 1.0,
-    "interests": ["Mobile Development", "Android Engineering"],
-    "careerGoals": ["Technical Growth", "Mobile Expertise", "Code Quality"],
-    "teamName": "Mobile Engineering",
-    "location": "Seattle",
-    "notes": "Junior Android developer eager to learn",
-    "dateAdded": "2025-01-01T00:00:00.000Z",
-    "importedFrom": "sample-data"
-  },
-  {
-    "id": "sample-5",
-    "name": "Emily Chen",
-    "level": "Principal",
-    "skills": ["System Design", "Kubernetes", "Go", "Microservices"],
-    "capacity": 1.0,
-    "interests": ["Platform Engineering", "Infrastructure"],
-    "careerGoals": ["Engineering Leadership", "Technical Strategy", "Team Scaling"],
-    "teamName": "Platform Engineering",
-    "location": "San Francisco", 
-    "notes": "Principal engineer leading platform initiatives",
-    "dateAdded": "2025-01-01T00:00:00.000Z",
-    "importedFrom": "sample-data"
-  }
-];
-
-let defaultRoadmapItems = [
-  {
-    "id": "roadmap-sample-1",
-    "name": "User Authentication Revamp",
-    "description": "Modernize authentication system with SSO and multi-factor authentication",
-    "size": 4,
-    "complexity": 4,
-    "requiredSkills": ["Backend", "Security", "Database", "Frontend"],
-    "domain": "Security & Infrastructure",
-    "minLevel": "Mid",
-    "careerOpportunities": ["Security Engineering", "Full-stack Development", "System Design"],
-    "assignedTeam": "Backend Engineering",
-    "effortBreakdown": {
-      "ios": 2,
-      "android": 2,
-      "web": 6,
-      "backend": 12,
-      "total": 22
-    },
-    "platformCount": 4,
-    "dateAdded": "2025-01-01T00:00:00.000Z",
-    "importedFrom": "sample-data"
-  },
-  {
-    "id": "roadmap-sample-2", 
-    "name": "Mobile App Performance Optimization",
-    "description": "Improve app startup time and reduce memory usage across iOS and Android",
-    "size": 3,
-    "complexity": 3,
-    "requiredSkills": ["iOS", "Android", "Performance Optimization", "Mobile Development"],
-    "domain": "Mobile Experience", 
-    "minLevel": "Mid",
-    "careerOpportunities": ["Mobile Expertise", "Performance Engineering", "Cross-platform Development"],
-    "assignedTeam": "Mobile Engineering",
-    "effortBreakdown": {
-      "ios": 8,
-      "android": 8,
-      "web": 0,
-      "backend": 2,
-      "total": 18
-    },
-    "platformCount": 3,
-    "dateAdded": "2025-01-01T00:00:00.000Z",
-    "importedFrom": "sample-data"
-  },
-  {
-    "id": "roadmap-sample-3",
-    "name": "Real-time Collaboration Features",
-    "description": "Add real-time editing and collaboration capabilities to the web platform",
-    "size": 5,
-    "complexity": 5,
-    "requiredSkills": ["Frontend", "WebSockets", "Real-time Systems", "Backend", "Database"],
-    "domain": "Product Features",
-    "minLevel": "Senior", 
-    "careerOpportunities": ["Real-time Systems", "Frontend Leadership", "Full-stack Architecture"],
-    "assignedTeam": "Frontend Engineering",
-    "effortBreakdown": {
-      "ios": 0,
-      "android": 0,
-      "web": 16,
-      "backend": 10,
-      "total": 26
-    },
-    "platformCount": 2,
-    "dateAdded": "2025-01-01T00:00:00.000Z", 
-    "importedFrom": "sample-data"
-  },
-  {
-    "id": "roadmap-sample-4",
-    "name": "Infrastructure Migration to Cloud",
-    "description": "Migrate legacy infrastructure to cloud-native architecture",
-    "size": 5,
-    "complexity": 5,
-    "requiredSkills": ["DevOps", "Cloud Architecture", "Kubernetes", "Backend", "Database"],
-    "domain": "Infrastructure",
-    "minLevel": "Senior",
-    "careerOpportunities": ["Cloud Architecture", "DevOps Leadership", "Platform Engineering"],
-    "assignedTeam": "Platform Engineering", 
-    "effortBreakdown": {
-      "ios": 1,
-      "android": 1,
-      "web": 4,
-      "backend": 20,
-      "total": 26
-    },
-    "platformCount": 4,
-    "dateAdded": "2025-01-01T00:00:00.000Z",
-    "importedFrom": "sample-data"
-  }
-];
-
-// Initialize default data from files if available (for local development)
-function initializeDefaultData() {
-  try {
-    if (fs.existsSync(ROADMAP_ITEMS_FILE)) {
-      const data = fs.readFileSync(ROADMAP_ITEMS_FILE, 'utf8');
-      defaultRoadmapItems = JSON.parse(data);
-      console.log(`Initialized ${defaultRoadmapItems.length} default roadmap items`);
-    }
-  } catch (error) {
-    console.log('Could not load default roadmap items:', error.message);
-  }
-  
-  try {
-    if (fs.existsSync(TEAM_MEMBERS_FILE)) {
-      const data = fs.readFileSync(TEAM_MEMBERS_FILE, 'utf8');
-      defaultTeamMembers = JSON.parse(data);
-      console.log(`Initialized ${defaultTeamMembers.length} default team members`);
-    }
-  } catch (error) {
-    console.log('Could not load default team members:', error.message);
-  }
-}
 
-// Initialize default data on startup
-initializeDefaultData();
+// Collections in the data store (see storage.js)
+const TEAM_MEMBERS = 'team-members';
+const ROADMAP_ITEMS = 'roadmap-items';
+const CONSTRAINTS = 'constraints';
+const WEIGHT_PROFILES = 'weight-profiles';
+const SKILLS = 'skills';
+const DISCIPLINES = 'disciplines';
+const CAREER_LADDER = 'career-ladder';
+const CYCLES = 'cycles';
+const RUNS = 'runs';
+const SCENARIOS = 'scenarios';
+
+// Open the configured store before serving any request; a store that
+// cannot be opened stops the server rather than serving other data
+const storageConfig = parseStorageConfig(process.env, projectRoot);
+if (storageConfig.error) {
+  throw new StorageError(storageConfig.error);
+}
+const store = await createStore(storageConfig.config);
+console.log(`Storage: ${store.backend} at ${storageConfig.config.path} (schema version ${store.schemaVersion()})`);
+
+// Sample data is opt-in (SAMPLE_DATA=true), or for Vercel deployments without
+// a configured store. It only stands in for collections that were never
+// written, never for ones that failed to read.
+const sampleDataEnabled = process.env.SAMPLE_DATA === 'true' || (Boolean(process.env.VERCEL) && !process.env.STORAGE_BACKEND);
+const sampleData = {
+  [TEAM_MEMBERS]: SAMPLE_TEAM_MEMBERS,
+  [ROADMAP_ITEMS]: SAMPLE_ROADMAP_ITEMS
+};
 
 // Helper functions
-function readDataFile(filename) {
-  try {
-    console.log(`Attempting to read file: ${filename}`);
-    if (fs.existsSync(filename)) {
-      const data = fs.readFileSync(filename, 'utf8');
-      const parsed = JSON.parse(data);
-      console.log(`Successfully read ${parsed.length} items from ${filename}`);
-      return parsed;
-    } else {
-      console.log(`File not found: ${filename}, checking for defaults`);
-      // Return appropriate default data based on filename
-      if (filename.includes('roadmap')) {
-        console.log(`Returning default roadmap items (${defaultRoadmapItems.length} items)`);
-        return defaultRoadmapItems;
-      } else if (filename.includes('team')) {
-        console.log(`Returning default team members (${defaultTeamMembers.length} members)`);
-        return defaultTeamMembers;
-      }
-      return [];
-    }
-  } catch (error) {
-    console.error(`Error reading ${filename}:`, error);
-    // Return appropriate default data on error
-    if (filename.includes('roadmap')) {
-      return defaultRoadmapItems;
-    } else if (filename.includes('team')) {
-      return defaultTeamMembers;
-    }
-    return [];
+
+// Records of a collection ([] when it was never written), in the given
+// planning cycle for collections that belong to one. Throws a StorageError
+// when the store cannot be read.
+function readCollection(collection, cycleId = DEFAULT_CYCLE_ID) {
+  const records = store.read(cycleCollection(collection, cycleId));
+  if (records !== null) return records;
+
+  if (sampleDataEnabled && cycleId === DEFAULT_CYCLE_ID && sampleData[collection]) {
+    console.warn(`${collection} has no data yet; serving sample data`);
+    return structuredClone(sampleData[collection]);
   }
+  return [];
 }
 
-function writeDataFile(filename, data) {
+// Replace a collection; returns false (after logging why) when it could not be saved
+function writeCollection(collection, records, cycleId = DEFAULT_CYCLE_ID) {
   try {
-    // Ensure directory exists
-    const dir = path.dirname(filename);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-    
-    fs.writeFileSync(filename, JSON.stringify(data, null, 2));
-    console.log(`Successfully wrote ${data.length} items to ${filename}`);
+    store.write(cycleCollection(collection, cycleId), records);
     return true;
   } catch (error) {
-    console.error(`Error writing ${filename}:`, error);
+    console.error(`Error writing ${collection}:`, error.message);
     return false;
   }
 }
 
-// API Routes
+// The records a cycle is planned from
+function readCycleData(cycleId) {
+  return {
+    teamMembers: readCollection(TEAM_MEMBERS, cycleId),
+    roadmapItems: readCollection(ROADMAP_ITEMS, cycleId),
+    constraints: readCollection(CONSTRAINTS, cycleId)
+  };
+}
+
+// Settings shared by every cycle that the optimizer uses
+function readOptimizerConfig() {
+  return {
+    weightProfiles: readCollection(WEIGHT_PROFILES),
+    skills: readCollection(SKILLS),
+    disciplines: readCollection(DISCIPLINES),
+    careerLevels: readCollection(CAREER_LADDER)
+  };
+}
+
+// Drop constraints that point at a deleted member or item
+function removeConstraintsFor(cycleId, predicate) {
+  const constraints = readCollection(CONSTRAINTS, cycleId);
+  const remaining = constraints.filter(c => !predicate(c));
+  if (remaining.length !== constraints.length) {
+    writeCollection(CONSTRAINTS, remaining, cycleId);
+  }
+}
+
+// Planning cycles
+
+// List planning cycles (the default cycle first)
+app.get('/api/cycles', (req, res) => {
+  res.json(listCycles(readCollection(CYCLES)));
+});
+
+// Create a planning cycle ({ name, startDate?, endDate?, cloneFrom? }),
+// copying the roster, roadmap and constraints of cloneFrom
+app.post('/api/cycles', (req, res) => {
+  const cycles = listCycles(readCollection(CYCLES));
+  const { cycle, error } = createCycle(req.body, cycles);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const copied = CLONED_COLLECTIONS.every(collection =>
+    writeCollection(collection, cycle.clonedFrom ? readCollection(collection, cycle.clonedFrom) : [], cycle.id)
+  );
+
+  cycles.push(cycle);
+  if (copied && writeCollection(CYCLES, cycles)) {
+    res.status(201).json(cycle);
+  } else {
+    res.status(500).json({ error: 'Failed to create planning cycle' });
+  }
+});
+
+// Rename a planning cycle or change its dates
+app.patch('/api/cycles/:cycleId', (req, res) => {
+  const cycles = listCycles(readCollection(CYCLES));
+  const index = cycles.findIndex(cycle => cycle.id === req.params.cycleId);
+
+  if (index === -1) {
+    return res.status(404).json({ error: 'Planning cycle not found' });
+  }
+
+  const { cycle, error } = updateCycle(cycles[index], req.body, cycles);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  cycles[index] = cycle;
+  if (writeCollection(CYCLES, cycles)) {
+    res.json(cycle);
+  } else {
+    res.status(500).json({ error: 'Failed to update planning cycle' });
+  }
+});
+
+// Delete a planning cycle and its data (the default cycle is kept)
+app.delete('/api/cycles/:cycleId', (req, res) => {
+  const { cycleId } = req.params;
+  const cycles = listCycles(readCollection(CYCLES));
+
+  if (cycleId === DEFAULT_CYCLE_ID) {
+    return res.status(400).json({ error: 'The default planning cycle cannot be deleted' });
+  }
+
+  if (!cycles.some(cycle => cycle.id === cycleId)) {
+    return res.status(404).json({ error: 'Planning cycle not found' });
+  }
+
+  if (!writeCollection(CYCLES, cycles.filter(cycle => cycle.id !== cycleId))) {
+    return res.status(500).json({ error: 'Failed to delete planning cycle' });
+  }
+
+  CYCLE_COLLECTIONS.forEach(collection => store.remove(cycleCollection(collection, cycleId)));
+  res.json({ message: 'Planning cycle deleted successfully' });
+});
+
+// API Routes. Every route is served for a planning cycle at
+// /api/cycles/:cycleId/... and for the default cycle at /api/...
+const api = express.Router({ mergeParams: true });
+
+api.use((req, res, next) => {
+  const cycleId = req.params.cycleId || DEFAULT_CYCLE_ID;
+  const cycle = listCycles(readCollection(CYCLES)).find(c => c.id === cycleId);
+
+  if (!cycle) {
+    return res.status(404).json({ error: `Planning cycle "${cycleId}" not found` });
+  }
+
+  req.cycle = cycle;
+  next();
+});
 
 // Get all team members
-app.get('/api/team-members', (req, res) => {
+api.get('/team-members', (req, res) => {
   try {
-    const teamMembers = readDataFile(TEAM_MEMBERS_FILE);
+    const teamMembers = readCollection(TEAM_MEMBERS, req.cycle.id);
     console.log(`API: Returning ${teamMembers.length} team members`);
     res.json(teamMembers);
   } catch (error) {
     console.error('Error in /api/team-members:', error);
-    // Return empty array on error to prevent frontend crashes
-    res.json([]);
+    res.status(500).json({ error: `Failed to load team members: ${error.message}` });
   }
 });
 
 // Add a new team member
-app.post('/api/team-members', (req, res) => {
+api.post('/team-members', (req, res) => {
   const { name, level, skills, capacity, interests, careerGoals } = req.body;
   
   if (!name || !name.trim()) {
     return res.status(400).json({ error: 'Name is required' });
   }
 
-  const teamMembers = readDataFile(TEAM_MEMBERS_FILE);
+  const teamMembers = readCollection(TEAM_MEMBERS, req.cycle.id);
+  const ladder = new CareerLadder(listLevels(readCollection(CAREER_LADDER)));
+  const parsedLevel = level === undefined ? { value: ladder.defaultLevel() } : parseLevel(level, 'level', ladder);
+  if (parsedLevel.error) {
+    return res.status(400).json({ error: parsedLevel.error });
+  }
+  const memberLevel = parsedLevel.value;
   
   const newMember = {
     id: Date.now().toString(),
     name: name.trim(),
-    level: level || 'Mid',
-    skills: Array.isArray(skills) ? skills : [],
-    capacity: typeof capacity === 'number' ? capacity : 1.0,
+    level: memberLevel,
+    skills: parseSkills(skills),
+    // Managers default to the capacity their level leaves for project work
+    capacity: typeof capacity === 'number' ? capacity : ladder.defaultCapacity(memberLevel),
     interests: Array.isArray(interests) ? interests : [],
     careerGoals: Array.isArray(careerGoals) ? careerGoals : [],
+    availability: [],
     dateAdded: new Date().toISOString()
   };
 
   teamMembers.push(newMember);
   
-  if (writeDataFile(TEAM_MEMBERS_FILE, teamMembers)) {
+  if (writeCollection(TEAM_MEMBERS, teamMembers, req.cycle.id)) {
     res.status(201).json(newMember);
   } else {
     res.status(500).json({ error: 'Failed to save team member' });
   }
 });
 
+// Update a team member: PUT replaces every editable field, PATCH only the ones sent
+function updateTeamMember(req, res, partial) {
+  const teamMembers = readCollection(TEAM_MEMBERS, req.cycle.id);
+  const index = teamMembers.findIndex(member => member.id === req.params.id);
+  if (index === -1) {
+    return res.status(404).json({ error: 'Team member not found' });
+  }
+
+  const ladder = new CareerLadder(listLevels(readCollection(CAREER_LADDER)));
+  const { fields, error } = parseMemberUpdate(req.body, { partial, ladder });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  teamMembers[index] = applyMemberUpdate(teamMembers[index], fields);
+
+  if (writeCollection(TEAM_MEMBERS, teamMembers, req.cycle.id)) {
+    res.json(teamMembers[index]);
+  } else {
+    res.status(500).json({ error: 'Failed to update team member' });
+  }
+}
+
+api.put('/team-members/:id', (req, res) => updateTeamMember(req, res, false));
+api.patch('/team-members/:id', (req, res) => updateTeamMember(req, res, true));
+
 // Delete a team member
-app.delete('/api/team-members/:id', (req, res) => {
+api.delete('/team-members/:id', (req, res) => {
   const { id } = req.params;
-  const teamMembers = readDataFile(TEAM_MEMBERS_FILE);
+  const teamMembers = readCollection(TEAM_MEMBERS, req.cycle.id);
   
   const index = teamMembers.findIndex(member => member.id === id);
   if (index === -1) {
@@ -324,35 +303,101 @@ app.delete('/api/team-members/:id', (req, res) => {
 
   teamMembers.splice(index, 1);
   
-  if (writeDataFile(TEAM_MEMBERS_FILE, teamMembers)) {
+  if (writeCollection(TEAM_MEMBERS, teamMembers, req.cycle.id)) {
+    removeConstraintsFor(req.cycle.id, c => c.memberId === id);
     res.json({ message: 'Team member deleted successfully' });
   } else {
     res.status(500).json({ error: 'Failed to delete team member' });
   }
 });
 
+// Add an availability window (PTO, leave, onboarding, on-call) to a member
+api.post('/team-members/:id/availability', (req, res) => {
+  const teamMembers = readCollection(TEAM_MEMBERS, req.cycle.id);
+  const member = teamMembers.find(m => m.id === req.params.id);
+  if (!member) {
+    return res.status(404).json({ error: 'Team member not found' });
+  }
+
+  const { window, error } = buildAvailabilityWindow(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  member.availability = [...(member.availability || []), window];
+
+  if (writeCollection(TEAM_MEMBERS, teamMembers, req.cycle.id)) {
+    res.status(201).json(window);
+  } else {
+    res.status(500).json({ error: 'Failed to save availability' });
+  }
+});
+
+// Remove an availability window from a member
+api.delete('/team-members/:id/availability/:windowId', (req, res) => {
+  const teamMembers = readCollection(TEAM_MEMBERS, req.cycle.id);
+  const member = teamMembers.find(m => m.id === req.params.id);
+  const windows = member ? member.availability || [] : [];
+
+  if (!windows.some(w => w.id === req.params.windowId)) {
+    return res.status(404).json({ error: 'Availability window not found' });
+  }
+
+  member.availability = windows.filter(w => w.id !== req.params.windowId);
+
+  if (writeCollection(TEAM_MEMBERS, teamMembers, req.cycle.id)) {
+    res.json({ message: 'Availability window deleted successfully' });
+  } else {
+    res.status(500).json({ error: 'Failed to delete availability' });
+  }
+});
+
 // Get all roadmap items
-app.get('/api/roadmap-items', (req, res) => {
+api.get('/roadmap-items', (req, res) => {
   try {
-    const roadmapItems = readDataFile(ROADMAP_ITEMS_FILE);
+    const roadmapItems = readCollection(ROADMAP_ITEMS, req.cycle.id);
     console.log(`API: Returning ${roadmapItems.length} roadmap items`);
     res.json(roadmapItems);
   } catch (error) {
     console.error('Error in /api/roadmap-items:', error);
-    // Return empty array on error to prevent frontend crashes
-    res.json([]);
+    res.status(500).json({ error: `Failed to load roadmap items: ${error.message}` });
   }
 });
 
 // Add a new roadmap item
-app.post('/api/roadmap-items', (req, res) => {
+api.post('/roadmap-items', (req, res) => {
   const { name, description, size, complexity, requiredSkills, domain, minLevel, careerOpportunities } = req.body;
   
   if (!name || !name.trim()) {
     return res.status(400).json({ error: 'Name is required' });
   }
 
-  const roadmapItems = readDataFile(ROADMAP_ITEMS_FILE);
+  const schedule = parseScheduleFields(req.body);
+  if (schedule.error) {
+    return res.status(400).json({ error: schedule.error });
+  }
+
+  const dependencies = parseDependsOn(req.body);
+  if (dependencies.error) {
+    return res.status(400).json({ error: dependencies.error });
+  }
+
+  const effort = parseEffortBreakdown(req.body, listDisciplines(readCollection(DISCIPLINES)));
+  if (effort.error) {
+    return res.status(400).json({ error: effort.error });
+  }
+
+  const estimate = parseEffortEstimate(req.body);
+  if (estimate.error) {
+    return res.status(400).json({ error: estimate.error });
+  }
+
+  const roadmapItems = readCollection(ROADMAP_ITEMS, req.cycle.id);
+  const ladder = new CareerLadder(listLevels(readCollection(CAREER_LADDER)));
+  const itemLevel = minLevel === undefined ? { value: ladder.lowestLevel() } : parseLevel(minLevel, 'minLevel', ladder);
+  if (itemLevel.error) {
+    return res.status(400).json({ error: itemLevel.error });
+  }
   
   const newItem = {
     id: Date.now().toString(),
@@ -360,26 +405,74 @@ app.post('/api/roadmap-items', (req, res) => {
     description: description || '',
     size: typeof size === 'number' ? size : 1,
     complexity: typeof complexity === 'number' ? complexity : 1,
-    requiredSkills: Array.isArray(requiredSkills) ? requiredSkills : [],
+    requiredSkills: parseRequiredSkills(requiredSkills),
     domain: domain || '',
-    minLevel: minLevel || 'Junior',
+    minLevel: itemLevel.value,
     careerOpportunities: Array.isArray(careerOpportunities) ? careerOpportunities : [],
+    ...schedule.fields,
+    ...(effort.effortBreakdown ? { effortBreakdown: effort.effortBreakdown } : {}),
+    ...(estimate.effortEstimate ? { effortEstimate: estimate.effortEstimate } : {}),
+    dependsOn: dependencies.dependsOn,
     dateAdded: new Date().toISOString()
   };
 
+  const dependencyError = validateDependencies([...roadmapItems, newItem]);
+  if (dependencyError) {
+    return res.status(400).json({ error: dependencyError });
+  }
+
   roadmapItems.push(newItem);
   
-  if (writeDataFile(ROADMAP_ITEMS_FILE, roadmapItems)) {
+  if (writeCollection(ROADMAP_ITEMS, roadmapItems, req.cycle.id)) {
     res.status(201).json(newItem);
   } else {
     res.status(500).json({ error: 'Failed to save roadmap item' });
   }
 });
 
+// Update a roadmap item: PUT replaces every editable field, PATCH only the ones sent
+function updateRoadmapItem(req, res, partial) {
+  const roadmapItems = readCollection(ROADMAP_ITEMS, req.cycle.id);
+  const index = roadmapItems.findIndex(item => item.id === req.params.id);
+  if (index === -1) {
+    return res.status(404).json({ error: 'Roadmap item not found' });
+  }
+
+  const { fields, error } = parseItemUpdate(req.body, {
+    partial,
+    ladder: new CareerLadder(listLevels(readCollection(CAREER_LADDER))),
+    disciplines: listDisciplines(readCollection(DISCIPLINES))
+  });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const updated = applyItemUpdate(roadmapItems[index], fields);
+  if (updated.error) {
+    return res.status(400).json({ error: updated.error });
+  }
+
+  roadmapItems[index] = updated.item;
+
+  const dependencyError = validateDependencies(roadmapItems);
+  if (dependencyError) {
+    return res.status(400).json({ error: dependencyError });
+  }
+
+  if (writeCollection(ROADMAP_ITEMS, roadmapItems, req.cycle.id)) {
+    res.json(updated.item);
+  } else {
+    res.status(500).json({ error: 'Failed to update roadmap item' });
+  }
+}
+
+api.put('/roadmap-items/:id', (req, res) => updateRoadmapItem(req, res, false));
+api.patch('/roadmap-items/:id', (req, res) => updateRoadmapItem(req, res, true));
+
 // Delete a roadmap item
-app.delete('/api/roadmap-items/:id', (req, res) => {
+api.delete('/roadmap-items/:id', (req, res) => {
   const { id } = req.params;
-  const roadmapItems = readDataFile(ROADMAP_ITEMS_FILE);
+  const roadmapItems = readCollection(ROADMAP_ITEMS, req.cycle.id);
   
   const index = roadmapItems.findIndex(item => item.id === id);
   if (index === -1) {
@@ -388,7 +481,8 @@ app.delete('/api/roadmap-items/:id', (req, res) => {
 
   roadmapItems.splice(index, 1);
   
-  if (writeDataFile(ROADMAP_ITEMS_FILE, roadmapItems)) {
+  if (writeCollection(ROADMAP_ITEMS, removeDependency(roadmapItems, id), req.cycle.id)) {
+    removeConstraintsFor(req.cycle.id, c => c.itemId === id);
     res.json({ message: 'Roadmap item deleted successfully' });
   } else {
     res.status(500).json({ error: 'Failed to delete roadmap item' });
@@ -396,44 +490,550 @@ app.delete('/api/roadmap-items/:id', (req, res) => {
 });
 
 // Run allocation optimization
-app.post('/api/optimize', (req, res) => {
+api.post('/optimize', (req, res) => {
   try {
-    const teamMembersData = readDataFile(TEAM_MEMBERS_FILE);
-    const roadmapItemsData = readDataFile(ROADMAP_ITEMS_FILE);
+    const { options, error } = parseOptimizeOptions(req.body, req.cycle);
 
-    if (teamMembersData.length === 0) {
-      return res.status(400).json({ error: 'No team members found. Please add team members first.' });
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    if (roadmapItemsData.length === 0) {
-      return res.status(400).json({ error: 'No roadmap items found. Please add roadmap items first.' });
+    const data = readCycleData(req.cycle.id);
+
+    // Stability mode keeps people on the items they have in the baseline run
+    let baseline;
+    if (options.baselineRunId) {
+      const run = findBaselineRun(readCollection(RUNS, req.cycle.id), options.baselineRunId);
+      if (!run) {
+        return res.status(400).json({ error: options.baselineRunId === 'latest'
+          ? 'There is no optimization run to keep stable yet'
+          : 'Baseline optimization run not found' });
+      }
+      options.baselineRunId = run.id;
+      baseline = baselineAllocations(run, data.teamMembers, data.roadmapItems);
     }
 
-    // Convert data to model instances
-    const teamMembers = teamMembersData.map(data => 
-      new TeamMember(data.name, data.level, data.skills, data.capacity, data.interests, data.careerGoals)
-    );
+    const result = optimizeData(data, readOptimizerConfig(), { ...options, baseline });
 
-    const roadmapItems = roadmapItemsData.map(data =>
-      new RoadmapItem(data.name, data.description, data.size, data.complexity, data.requiredSkills, data.domain, data.minLevel, data.careerOpportunities)
-    );
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
 
-    // Run optimization
-    const optimizer = new AllocationOptimizer(teamMembers, roadmapItems);
-    const report = optimizer.optimize();
+    // Every run is saved with the data it was computed from
+    const run = buildRun({ options, weights: result.weights, weightsProfile: result.weightsProfile, inputs: data, report: result.report });
+    const runs = addRun(readCollection(RUNS, req.cycle.id), run);
 
-    res.json(report);
+    if (!writeCollection(RUNS, runs, req.cycle.id)) {
+      return res.status(500).json({ error: 'Failed to save optimization run' });
+    }
+
+    res.json({ ...result.report, runId: run.id, createdAt: run.createdAt });
   } catch (error) {
     console.error('Optimization error:', error);
     res.status(500).json({ error: 'Failed to run optimization: ' + error.message });
   }
 });
 
+// Runs an analysis ('simulate', 'sensitivity', 'hiring-plan' or
+// 'scenarios') in a worker thread (see analysis-worker.js)
+function runInWorker(analysis, data, config, options) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./analysis-worker.js', import.meta.url), { workerData: { analysis, data, config, options } });
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', code => {
+      if (code !== 0) reject(new Error(`Analysis worker stopped with exit code ${code}`));
+    });
+  });
+}
+
+// Monte Carlo simulation of effort uncertainty ({ iterations, seed, ...optimize
+// options }): per-item odds of being staffed and utilization intervals. The
+// simulation runs off the request thread and is not saved.
+api.post('/optimize/simulate', async (req, res) => {
+  try {
+    const { options, error } = parseSimulationOptions(req.body, req.cycle);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await runInWorker('simulate', readCycleData(req.cycle.id), readOptimizerConfig(), options);
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result.simulation);
+  } catch (error) {
+    console.error('Simulation error:', error);
+    res.status(500).json({ error: 'Failed to run simulation: ' + error.message });
+  }
+});
+
+// Sensitivity of the plan to its scoring weights ({ perturbation, ...optimize
+// options }): the assignments that flip when each weight is lowered or raised.
+// The analysis runs off the request thread and is not saved.
+api.post('/optimize/sensitivity', async (req, res) => {
+  try {
+    const { options, error } = parseSensitivityOptions(req.body, req.cycle);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await runInWorker('sensitivity', readCycleData(req.cycle.id), readOptimizerConfig(), options);
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result.sensitivity);
+  } catch (error) {
+    console.error('Sensitivity analysis error:', error);
+    res.status(500).json({ error: 'Failed to run sensitivity analysis: ' + error.message });
+  }
+});
+
+// Recommend the fewest hires that bring every item to at least adequately
+// staffed ({ maxHires, ...optimize options }). The planner runs off the
+// request thread and the plan is not saved.
+api.post('/hiring-plan', async (req, res) => {
+  try {
+    const { options, error } = parseHiringOptions(req.body, req.cycle);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await runInWorker('hiring-plan', readCycleData(req.cycle.id), readOptimizerConfig(), options);
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result.plan);
+  } catch (error) {
+    console.error('Hiring plan error:', error);
+    res.status(500).json({ error: 'Failed to plan hiring: ' + error.message });
+  }
+});
+
+// Saved optimization runs of the cycle, newest first
+api.get('/runs', (req, res) => {
+  res.json(listRuns(readCollection(RUNS, req.cycle.id)));
+});
+
+// Compare two saved runs (?from=<runId>&to=<runId>), or a run with the
+// current data (to=current), which is optimized with the run's options and
+// weights without being saved
+api.get('/runs/compare', (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const runs = readCollection(RUNS, req.cycle.id);
+    const before = runs.find(run => run.id === from);
+
+    if (!before) {
+      return res.status(404).json({ error: 'Optimization run to compare from not found' });
+    }
+
+    let after;
+    if (to === 'current') {
+      // A replan is redone against its baseline run while that run is kept
+      const data = readCycleData(req.cycle.id);
+      const baselineRun = before.options.baselineRunId ? findBaselineRun(runs, before.options.baselineRunId) : null;
+      const result = optimizeData(data, readOptimizerConfig(), {
+        ...before.options,
+        weightsProfile: undefined,
+        weights: before.weights,
+        baseline: baselineRun ? baselineAllocations(baselineRun, data.teamMembers, data.roadmapItems) : undefined
+      });
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      after = { id: 'current', createdAt: new Date().toISOString(), report: result.report };
+    } else {
+      after = runs.find(run => run.id === to);
+      if (!after) {
+        return res.status(404).json({ error: 'Optimization run to compare to not found' });
+      }
+    }
+
+    res.json({
+      from: { id: before.id, createdAt: before.createdAt },
+      to: { id: after.id, createdAt: after.createdAt },
+      ...diffReports(before.report, after.report)
+    });
+  } catch (error) {
+    console.error('Comparison error:', error);
+    res.status(500).json({ error: 'Failed to compare runs: ' + error.message });
+  }
+});
+
+// A saved run with its inputs, weights and report
+api.get('/runs/:id', (req, res) => {
+  const run = readCollection(RUNS, req.cycle.id).find(r => r.id === req.params.id);
+
+  if (!run) {
+    return res.status(404).json({ error: 'Optimization run not found' });
+  }
+
+  res.json(run);
+});
+
+// Delete a saved run
+api.delete('/runs/:id', (req, res) => {
+  const runs = readCollection(RUNS, req.cycle.id);
+  const remaining = runs.filter(run => run.id !== req.params.id);
+
+  if (remaining.length === runs.length) {
+    return res.status(404).json({ error: 'Optimization run not found' });
+  }
+
+  if (writeCollection(RUNS, remaining, req.cycle.id)) {
+    res.json({ message: 'Optimization run deleted successfully' });
+  } else {
+    res.status(500).json({ error: 'Failed to delete optimization run' });
+  }
+});
+
+// What-if scenarios of the cycle
+api.get('/scenarios', (req, res) => {
+  res.json(readCollection(SCENARIOS, req.cycle.id));
+});
+
+// Options for validating scenario changes against the cycle's data
+function scenarioOptions(cycleId) {
+  return {
+    ladder: new CareerLadder(listLevels(readCollection(CAREER_LADDER))),
+    disciplines: listDisciplines(readCollection(DISCIPLINES)),
+    teamMembers: readCollection(TEAM_MEMBERS, cycleId),
+    roadmapItems: readCollection(ROADMAP_ITEMS, cycleId)
+  };
+}
+
+// Create a scenario ({ name, description, changes: [{ type, ... }] })
+api.post('/scenarios', (req, res) => {
+  const { fields, error } = parseScenario(req.body, scenarioOptions(req.cycle.id));
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const scenarios = readCollection(SCENARIOS, req.cycle.id);
+  const scenario = { id: Date.now().toString(), ...fields, dateCreated: new Date().toISOString() };
+  scenarios.push(scenario);
+
+  if (writeCollection(SCENARIOS, scenarios, req.cycle.id)) {
+    res.status(201).json(scenario);
+  } else {
+    res.status(500).json({ error: 'Failed to save scenario' });
+  }
+});
+
+// Optimize the current data and each scenario on top of it, side by side
+// ({ scenarioIds, ...optimize options }; every scenario when scenarioIds is
+// left out). The runs happen off the request thread and nothing is saved.
+api.post('/scenarios/run', async (req, res) => {
+  try {
+    const { scenarioIds, ...body } = req.body || {};
+    const { options, error } = parseOptimizeOptions(body, req.cycle);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (scenarioIds !== undefined && !Array.isArray(scenarioIds)) {
+      return res.status(400).json({ error: 'scenarioIds must be a list of scenario ids' });
+    }
+
+    if (options.baselineRunId) {
+      return res.status(400).json({ error: 'Scenarios do not keep a baseline run stable; leave out baselineRunId' });
+    }
+
+    const scenarios = readCollection(SCENARIOS, req.cycle.id);
+    const selected = scenarioIds ? scenarioIds.map(id => scenarios.find(scenario => scenario.id === id)) : scenarios;
+
+    if (selected.some(scenario => !scenario)) {
+      return res.status(404).json({ error: 'Scenario not found' });
+    }
+
+    const result = await runInWorker('scenarios', readCycleData(req.cycle.id), readOptimizerConfig(), { ...options, scenarios: selected });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result.comparison);
+  } catch (error) {
+    console.error('Scenario error:', error);
+    res.status(500).json({ error: 'Failed to run scenarios: ' + error.message });
+  }
+});
+
+// Replace a scenario's name, description and changes
+api.put('/scenarios/:id', (req, res) => {
+  const scenarios = readCollection(SCENARIOS, req.cycle.id);
+  const index = scenarios.findIndex(scenario => scenario.id === req.params.id);
+
+  if (index === -1) {
+    return res.status(404).json({ error: 'Scenario not found' });
+  }
+
+  const { fields, error } = parseScenario(req.body, scenarioOptions(req.cycle.id));
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  scenarios[index] = { ...scenarios[index], ...fields, dateUpdated: new Date().toISOString() };
+
+  if (writeCollection(SCENARIOS, scenarios, req.cycle.id)) {
+    res.json(scenarios[index]);
+  } else {
+    res.status(500).json({ error: 'Failed to update scenario' });
+  }
+});
+
+// Delete a scenario
+api.delete('/scenarios/:id', (req, res) => {
+  const scenarios = readCollection(SCENARIOS, req.cycle.id);
+  const remaining = scenarios.filter(scenario => scenario.id !== req.params.id);
+
+  if (remaining.length === scenarios.length) {
+    return res.status(404).json({ error: 'Scenario not found' });
+  }
+
+  if (writeCollection(SCENARIOS, remaining, req.cycle.id)) {
+    res.json({ message: 'Scenario deleted successfully' });
+  } else {
+    res.status(500).json({ error: 'Failed to delete scenario' });
+  }
+});
+
+// Get all pinned / forbidden assignment constraints
+api.get('/constraints', (req, res) => {
+  res.json(readCollection(CONSTRAINTS, req.cycle.id));
+});
+
+// Add a pinned ({ type: 'pin', memberId, itemId, fraction }) or
+// forbidden ({ type: 'forbid', memberId, itemId }) constraint
+api.post('/constraints', (req, res) => {
+  const constraints = readCollection(CONSTRAINTS, req.cycle.id);
+  const { constraint, error, status } = buildConstraint(
+    req.body,
+    readCollection(TEAM_MEMBERS, req.cycle.id),
+    readCollection(ROADMAP_ITEMS, req.cycle.id),
+    constraints
+  );
+
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  constraints.push(constraint);
+
+  if (writeCollection(CONSTRAINTS, constraints, req.cycle.id)) {
+    res.status(201).json(constraint);
+  } else {
+    res.status(500).json({ error: 'Failed to save constraint' });
+  }
+});
+
+// Delete a constraint
+api.delete('/constraints/:id', (req, res) => {
+  const { id } = req.params;
+  const constraints = readCollection(CONSTRAINTS, req.cycle.id);
+
+  const index = constraints.findIndex(constraint => constraint.id === id);
+  if (index === -1) {
+    return res.status(404).json({ error: 'Constraint not found' });
+  }
+
+  constraints.splice(index, 1);
+
+  if (writeCollection(CONSTRAINTS, constraints, req.cycle.id)) {
+    res.json({ message: 'Constraint deleted successfully' });
+  } else {
+    res.status(500).json({ error: 'Failed to delete constraint' });
+  }
+});
+
+// Get all scoring weight profiles (including the built-in default)
+api.get('/weight-profiles', (req, res) => {
+  res.json(listWeightProfiles(readCollection(WEIGHT_PROFILES)));
+});
+
+// Save a scoring weight profile ({ name, weights }); saving an existing name updates it
+api.post('/weight-profiles', (req, res) => {
+  const profiles = readCollection(WEIGHT_PROFILES);
+  const { profile, created, error } = saveWeightProfile(req.body, profiles);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (writeCollection(WEIGHT_PROFILES, profiles)) {
+    res.status(created ? 201 : 200).json(profile);
+  } else {
+    res.status(500).json({ error: 'Failed to save weights profile' });
+  }
+});
+
+// Delete a scoring weight profile
+api.delete('/weight-profiles/:id', (req, res) => {
+  const { id } = req.params;
+
+  if (id === DEFAULT_PROFILE_ID) {
+    return res.status(400).json({ error: 'The default profile cannot be deleted' });
+  }
+
+  const profiles = readCollection(WEIGHT_PROFILES);
+  const index = profiles.findIndex(profile => profile.id === id);
+  if (index === -1) {
+    return res.status(404).json({ error: 'Weights profile not found' });
+  }
+
+  profiles.splice(index, 1);
+
+  if (writeCollection(WEIGHT_PROFILES, profiles)) {
+    res.json({ message: 'Weights profile deleted successfully' });
+  } else {
+    res.status(500).json({ error: 'Failed to delete weights profile' });
+  }
+});
+
+// Get the skills taxonomy: canonical names, aliases, platforms and parent categories
+api.get('/skills', (req, res) => {
+  res.json(listSkills(readCollection(SKILLS)));
+});
+
+// Save a skill ({ name, aliases, platforms, parent }); saving an existing name updates it
+api.post('/skills', (req, res) => {
+  const skills = listSkills(readCollection(SKILLS));
+  const disciplineIds = listDisciplines(readCollection(DISCIPLINES)).map(discipline => discipline.id);
+  const { skill, created, error } = saveSkill(req.body, skills, disciplineIds);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (writeCollection(SKILLS, skills)) {
+    res.status(created ? 201 : 200).json(skill);
+  } else {
+    res.status(500).json({ error: 'Failed to save skill' });
+  }
+});
+
+// Groups of skill names in team members and roadmap items that are the same skill
+api.get('/skills/duplicates', (req, res) => {
+  res.json(listDuplicateSkills(
+    listSkills(readCollection(SKILLS)),
+    readCollection(TEAM_MEMBERS, req.cycle.id),
+    readCollection(ROADMAP_ITEMS, req.cycle.id)
+  ));
+});
+
+// Merge duplicate skills ({ from: [names], into }) across the taxonomy and
+// the team members and roadmap items of the cycle
+api.post('/skills/merge', (req, res) => {
+  const skills = listSkills(readCollection(SKILLS));
+  const { skill, members, items, error } = mergeSkills(
+    req.body,
+    skills,
+    readCollection(TEAM_MEMBERS, req.cycle.id),
+    readCollection(ROADMAP_ITEMS, req.cycle.id)
+  );
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (writeCollection(SKILLS, skills) && writeCollection(TEAM_MEMBERS, members, req.cycle.id) && writeCollection(ROADMAP_ITEMS, items, req.cycle.id)) {
+    res.json(skill);
+  } else {
+    res.status(500).json({ error: 'Failed to merge skills' });
+  }
+});
+
+// Delete a skill from the taxonomy (members keep it as a free-text skill)
+api.delete('/skills/:name', (req, res) => {
+  const skills = listSkills(readCollection(SKILLS));
+
+  if (!removeSkill(skills, req.params.name)) {
+    return res.status(404).json({ error: 'Skill not found' });
+  }
+
+  if (writeCollection(SKILLS, skills)) {
+    res.json({ message: 'Skill deleted successfully' });
+  } else {
+    res.status(500).json({ error: 'Failed to delete skill' });
+  }
+});
+
+// Get the disciplines roadmap effort is broken down by
+api.get('/disciplines', (req, res) => {
+  res.json(listDisciplines(readCollection(DISCIPLINES)));
+});
+
+// Save a discipline ({ id, name, icon, role, category, columns }); saving an existing id updates it
+api.post('/disciplines', (req, res) => {
+  const disciplines = listDisciplines(readCollection(DISCIPLINES));
+  const { discipline, created, error } = saveDiscipline(req.body, disciplines);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (writeCollection(DISCIPLINES, disciplines)) {
+    res.status(created ? 201 : 200).json(discipline);
+  } else {
+    res.status(500).json({ error: 'Failed to save discipline' });
+  }
+});
+
+// Delete a discipline (items keep their effort for it, but new imports skip it)
+api.delete('/disciplines/:id', (req, res) => {
+  const disciplines = listDisciplines(readCollection(DISCIPLINES));
+  const index = disciplines.findIndex(discipline => discipline.id === req.params.id);
+
+  if (index === -1) {
+    return res.status(404).json({ error: 'Discipline not found' });
+  }
+
+  disciplines.splice(index, 1);
+
+  if (writeCollection(DISCIPLINES, disciplines)) {
+    res.json({ message: 'Discipline deleted successfully' });
+  } else {
+    res.status(500).json({ error: 'Failed to delete discipline' });
+  }
+});
+
+// Get the career ladder, lowest level first
+api.get('/career-ladder', (req, res) => {
+  res.json(listLevels(readCollection(CAREER_LADDER)));
+});
+
+// Replace the career ladder ({ levels: [{ name, weight, track, capacityOverhead }] })
+api.put('/career-ladder', (req, res) => {
+  const { levels, error } = parseCareerLadder(req.body);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (writeCollection(CAREER_LADDER, levels)) {
+    res.json(levels);
+  } else {
+    res.status(500).json({ error: 'Failed to save career ladder' });
+  }
+});
+
 // Google Sheets integration endpoints
 const googleSheetsService = new GoogleSheetsService();
 
 // Validate Google Sheets URL and structure
-app.post('/api/sheets/validate', async (req, res) => {
+api.post('/sheets/validate', async (req, res) => {
   try {
     const { sheetUrl, apiKey } = req.body;
     
@@ -470,7 +1070,7 @@ app.post('/api/sheets/validate', async (req, res) => {
 });
 
 // Import team members from Google Sheets
-app.post('/api/sheets/import', async (req, res) => {
+api.post('/sheets/import', async (req, res) => {
   try {
     const { sheetUrl, apiKey, range = 'A1:G100', replaceExisting = false } = req.body;
     
@@ -488,6 +1088,7 @@ app.post('/api/sheets/import', async (req, res) => {
     }
 
     // Import team members from sheet
+    googleSheetsService.careerLadder = new CareerLadder(listLevels(readCollection(CAREER_LADDER)));
     const importedMembers = await googleSheetsService.getTeamMembersFromSheet(sheetUrl, range);
 
     if (importedMembers.length === 0) {
@@ -495,7 +1096,7 @@ app.post('/api/sheets/import', async (req, res) => {
     }
 
     // Get existing team members
-    let existingMembers = readDataFile(TEAM_MEMBERS_FILE);
+    let existingMembers = readCollection(TEAM_MEMBERS, req.cycle.id);
 
     if (replaceExisting) {
       // Replace all existing members
@@ -508,7 +1109,7 @@ app.post('/api/sheets/import', async (req, res) => {
     }
 
     // Save to file
-    if (!writeDataFile(TEAM_MEMBERS_FILE, existingMembers)) {
+    if (!writeCollection(TEAM_MEMBERS, existingMembers, req.cycle.id)) {
       return res.status(500).json({ error: 'Failed to save imported team members' });
     }
 
@@ -527,7 +1128,7 @@ app.post('/api/sheets/import', async (req, res) => {
 });
 
 // Get sample sheet template
-app.get('/api/sheets/template', (req, res) => {
+api.get('/sheets/template', (req, res) => {
   const template = {
     headers: [
       'First name',
@@ -571,7 +1172,7 @@ app.get('/api/sheets/template', (req, res) => {
       '1. Copy the headers to row 1 of your Google Sheet',
       '2. Add your team members\' data starting from row 2',
       '3. Career goals should be comma-separated',
-      '4. Level can be: Intern, Junior, Mid, Senior, Staff, Principal, Architect',
+      `4. Level can be: ${new CareerLadder(listLevels(readCollection(CAREER_LADDER))).names().join(', ')}`,
       '5. Location can be city, office, or region',
       '6. Make sure your sheet is publicly readable or share it with the service account'
     ]
@@ -581,7 +1182,7 @@ app.get('/api/sheets/template', (req, res) => {
 });
 
 // List Google Sheets from Drive
-app.get('/api/sheets/list', async (req, res) => {
+api.get('/sheets/list', async (req, res) => {
   try {
     // Initialize with service account
     if (process.env.SERVICE_ACCOUNT_PATH && fs.existsSync(process.env.SERVICE_ACCOUNT_PATH)) {
@@ -604,7 +1205,7 @@ app.get('/api/sheets/list', async (req, res) => {
 });
 
 // List Google Sheets from specific folder
-app.get('/api/sheets/folder/:folderId', async (req, res) => {
+api.get('/sheets/folder/:folderId', async (req, res) => {
   try {
     const { folderId } = req.params;
     
@@ -630,7 +1231,7 @@ app.get('/api/sheets/folder/:folderId', async (req, res) => {
 });
 
 // Search Google Sheets
-app.post('/api/sheets/search', async (req, res) => {
+api.post('/sheets/search', async (req, res) => {
   try {
     const { searchTerm } = req.body;
     
@@ -660,7 +1261,7 @@ app.post('/api/sheets/search', async (req, res) => {
 });
 
 // Validate Google Sheets URL and structure for roadmap items
-app.post('/api/sheets/validate-roadmap', async (req, res) => {
+api.post('/sheets/validate-roadmap', async (req, res) => {
   try {
     const { sheetUrl, apiKey } = req.body;
     
@@ -678,6 +1279,7 @@ app.post('/api/sheets/validate-roadmap', async (req, res) => {
     }
 
     // Validate sheet structure for roadmap items
+    googleSheetsService.disciplines = listDisciplines(readCollection(DISCIPLINES));
     const validation = await googleSheetsService.validateRoadmapSheetStructure(sheetUrl);
     
     // Get metadata
@@ -697,9 +1299,9 @@ app.post('/api/sheets/validate-roadmap', async (req, res) => {
 });
 
 // Import roadmap items from Google Sheets
-app.post('/api/sheets/import-roadmap', async (req, res) => {
+api.post('/sheets/import-roadmap', async (req, res) => {
   try {
-    const { sheetUrl, apiKey, range = 'A1:H100', replaceExisting = false } = req.body;
+    const { sheetUrl, apiKey, range = 'A1:Z100', replaceExisting = false } = req.body;
     
     if (!sheetUrl) {
       return res.status(400).json({ error: 'Sheet URL is required' });
@@ -715,6 +1317,8 @@ app.post('/api/sheets/import-roadmap', async (req, res) => {
     }
 
     // Import roadmap items from sheet
+    googleSheetsService.disciplines = listDisciplines(readCollection(DISCIPLINES));
+    googleSheetsService.careerLadder = new CareerLadder(listLevels(readCollection(CAREER_LADDER)));
     const importedItems = await googleSheetsService.getRoadmapItemsFromSheet(sheetUrl, range);
 
     if (importedItems.length === 0) {
@@ -722,7 +1326,7 @@ app.post('/api/sheets/import-roadmap', async (req, res) => {
     }
 
     // Get existing roadmap items
-    let existingItems = readDataFile(ROADMAP_ITEMS_FILE);
+    let existingItems = readCollection(ROADMAP_ITEMS, req.cycle.id);
 
     if (replaceExisting) {
       // Replace all existing items
@@ -734,8 +1338,15 @@ app.post('/api/sheets/import-roadmap', async (req, res) => {
       existingItems = [...existingItems, ...newItems];
     }
 
+    // Sheets list prerequisites by name; reject the import if they do not add up
+    existingItems = linkDependencies(existingItems);
+    const dependencyError = validateDependencies(existingItems);
+    if (dependencyError) {
+      return res.status(400).json({ error: dependencyError });
+    }
+
     // Save to file
-    if (!writeDataFile(ROADMAP_ITEMS_FILE, existingItems)) {
+    if (!writeCollection(ROADMAP_ITEMS, existingItems, req.cycle.id)) {
       return res.status(500).json({ error: 'Failed to save imported roadmap items' });
     }
 
@@ -754,7 +1365,7 @@ app.post('/api/sheets/import-roadmap', async (req, res) => {
 });
 
 // Check authentication methods available
-app.get('/api/sheets/auth-status', (req, res) => {
+api.get('/sheets/auth-status', (req, res) => {
   const serviceAccountAvailable = process.env.SERVICE_ACCOUNT_PATH && fs.existsSync(process.env.SERVICE_ACCOUNT_PATH);
   
   res.json({
@@ -773,31 +1384,37 @@ app.get('/api/env', (req, res) => {
   });
 });
 
-// Debug endpoint for file paths and existence (for Vercel troubleshooting)
+// Debug endpoint for the data store in use (for Vercel troubleshooting)
 app.get('/api/debug', (req, res) => {
   const debug = {
     cwd: process.cwd(),
     dirname: __dirname,
     projectRoot: projectRoot,
-    teamMembersFile: TEAM_MEMBERS_FILE,
-    roadmapItemsFile: ROADMAP_ITEMS_FILE,
-    files: {
-      teamMembersExists: fs.existsSync(TEAM_MEMBERS_FILE),
-      roadmapItemsExists: fs.existsSync(ROADMAP_ITEMS_FILE)
-    },
-    teamMembersCount: readDataFile(TEAM_MEMBERS_FILE).length,
-    roadmapItemsCount: readDataFile(ROADMAP_ITEMS_FILE).length
+    storage: store.describe(),
+    sampleData: sampleDataEnabled,
+    teamMembersCount: readCollection(TEAM_MEMBERS).length,
+    roadmapItemsCount: readCollection(ROADMAP_ITEMS).length
   };
   
   console.log('Debug info:', debug);
   res.json(debug);
 });
 
+app.use('/api/cycles/:cycleId', api);
+app.use('/api', api);
+
 // Serve the main HTML file
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../../public/index.html'));
 });
 
+// Requests that hit a store that cannot be read fail instead of seeing other data
+app.use((error, req, res, next) => {
+  if (!(error instanceof StorageError)) return next(error);
+  console.error(`Storage error on ${req.method} ${req.path}:`, error.message);
+  res.status(500).json({ error: error.message });
+});
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Team Allocation Optimizer Web UI running at http://localhost:${PORT}`);
@@ -0,0 +1,167 @@
+// Skills taxonomy persisted by the web server. Until it is first edited the
+// built-in taxonomy is used; after that skills.json holds the whole list.
+import { DEFAULT_SKILLS, SkillTaxonomy, findDuplicateSkills, skillLookupKey } from '../skills.js';
+import { DEFAULT_DISCIPLINE_IDS } from '../disciplines.js';
+import { parseSkills, parseRequiredSkills } from '../models.js';
+
+export function listSkills(storedSkills) {
+  return storedSkills.length > 0 ? storedSkills : DEFAULT_SKILLS.map(skill => ({ ...skill }));
+}
+
+function isNameList(value) {
+  return Array.isArray(value) && value.every(name => typeof name === 'string' && name.trim());
+}
+
+// Create or update (by name) a taxonomy entry from a request body. Platforms
+// must be ids of configured disciplines.
+// Returns { skill, created } on success or { error } on failure.
+export function saveSkill(data, skills, disciplineIds = DEFAULT_DISCIPLINE_IDS) {
+  const { name, aliases = [], platforms = [], parent = null } = data || {};
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'Skill name is required' };
+  }
+
+  if (!isNameList(aliases)) {
+    return { error: 'aliases must be a list of skill names' };
+  }
+
+  if (!Array.isArray(platforms) || platforms.some(platform => !disciplineIds.includes(platform))) {
+    return { error: `platforms must be a list of: ${disciplineIds.join(', ')}` };
+  }
+
+  const key = skillLookupKey(name);
+  const existing = skills.find(skill => skillLookupKey(skill.name) === key);
+  const others = skills.filter(skill => skill !== existing);
+  const taken = new SkillTaxonomy(others);
+
+  if (parent !== null) {
+    if (typeof parent !== 'string' || !taken.find(parent)) {
+      return { error: `Unknown parent skill "${parent}"` };
+    }
+    if (taken.lineage(parent).some(skill => skill.parent && skillLookupKey(skill.parent) === key)) {
+      return { error: `${name} cannot be its own parent category` };
+    }
+  }
+
+  // Every name and alias may only point at one skill
+  const clash = [name, ...aliases].find(alias => taken.find(alias));
+  if (clash) {
+    return { error: `"${clash}" is already a name or alias of ${taken.canonicalName(clash)}` };
+  }
+
+  const fields = {
+    aliases: [...new Set(aliases.map(alias => alias.trim()))].filter(alias => skillLookupKey(alias) !== key),
+    platforms: [...new Set(platforms)],
+    parent: parent ? taken.canonicalName(parent) : null
+  };
+
+  if (existing) {
+    Object.assign(existing, { name: name.trim(), ...fields });
+    return { skill: existing, created: false };
+  }
+
+  const skill = { name: name.trim(), ...fields };
+  skills.push(skill);
+  return { skill, created: true };
+}
+
+// Remove a skill; its children move up to its own parent category.
+// Returns false when there is no such skill.
+export function removeSkill(skills, name) {
+  const key = skillLookupKey(name);
+  const index = skills.findIndex(skill => skillLookupKey(skill.name) === key);
+  if (index === -1) return false;
+
+  const [removed] = skills.splice(index, 1);
+  for (const skill of skills) {
+    if (skill.parent && skillLookupKey(skill.parent) === key) skill.parent = removed.parent;
+  }
+  return true;
+}
+
+// Every skill name used by members and roadmap items
+export function collectSkillNames(members, items) {
+  return [
+    ...members.flatMap(member => parseSkills(member.skills).map(skill => skill.name)),
+    ...items.flatMap(item => parseRequiredSkills(item.requiredSkills).map(skill => skill.name))
+  ];
+}
+
+export function listDuplicateSkills(skills, members, items) {
+  return findDuplicateSkills(collectSkillNames(members, items), new SkillTaxonomy(skills));
+}
+
+// Skills with the same name after renaming keep the highest level
+function renameSkills(list, names, into, levelKey) {
+  const renamed = [];
+  for (const skill of list) {
+    const name = names.has(skillLookupKey(skill.name)) ? into : skill.name;
+    const duplicate = renamed.find(other => skillLookupKey(other.name) === skillLookupKey(name));
+    if (duplicate) {
+      duplicate[levelKey] = Math.max(duplicate[levelKey], skill[levelKey]);
+    } else {
+      renamed.push({ ...skill, name });
+    }
+  }
+  return renamed;
+}
+
+// Merge the skills named in `from` into `into` ({ from: [names], into }):
+// members and items are rewritten to the one name, and the old spellings
+// become aliases of it in the taxonomy.
+// Returns { skill, members, items } or { error }.
+export function mergeSkills(data, skills, members, items) {
+  const { from, into } = data || {};
+
+  if (typeof into !== 'string' || !into.trim()) {
+    return { error: 'into must be the skill name to merge into' };
+  }
+
+  if (!isNameList(from) || from.length === 0) {
+    return { error: 'from must be a list of skill names to merge' };
+  }
+
+  const target = into.trim();
+  const names = new Set(from.map(skillLookupKey));
+
+  // Merging a taxonomy entry into another folds its aliases in as well
+  let skill = skills.find(s => skillLookupKey(s.name) === skillLookupKey(target));
+  const absorbed = skills.filter(s => s !== skill && names.has(skillLookupKey(s.name)));
+
+  if (!skill) {
+    skill = { name: target, aliases: [], platforms: [], parent: null };
+    skills.push(skill);
+  }
+
+  const aliases = [...skill.aliases, ...from, ...absorbed.flatMap(s => [s.name, ...s.aliases])]
+    .map(alias => alias.trim())
+    .filter(alias => skillLookupKey(alias) !== skillLookupKey(skill.name));
+  skill.aliases = aliases.filter((alias, index) =>
+    aliases.findIndex(other => skillLookupKey(other) === skillLookupKey(alias)) === index);
+  if (skill.platforms.length === 0) {
+    skill.platforms = [...new Set(absorbed.flatMap(s => s.platforms))];
+  }
+
+  skills.splice(0, skills.length, ...skills.filter(s => !absorbed.includes(s)));
+  for (const other of skills) {
+    if (other.parent && names.has(skillLookupKey(other.parent))) {
+      other.parent = other === skill ? null : skill.name;
+    }
+    if (other !== skill) {
+      other.aliases = other.aliases.filter(alias => !names.has(skillLookupKey(alias)));
+    }
+  }
+
+  return {
+    skill,
+    members: members.map(member => ({
+      ...member,
+      skills: renameSkills(parseSkills(member.skills), names, skill.name, 'proficiency')
+    })),
+    items: items.map(item => ({
+      ...item,
+      requiredSkills: renameSkills(parseRequiredSkills(item.requiredSkills), names, skill.name, 'minProficiency')
+    }))
+  };
+}
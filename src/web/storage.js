@@ -0,0 +1,311 @@
+// Storage backends for the web server. Data is kept as named collections
+// (arrays of records) that are read and written whole. Names are lowercase
+// and may be nested with slashes ("cycles/q3-2026/team-members"):
+// - json: one <collection>.json file per collection in a directory (default)
+// - sqlite: one embedded SQLite database file (needs the better-sqlite3 package)
+// Reads never fall back to other data: a collection that was never written
+// reads as null, and one that cannot be read throws a StorageError.
+import fs from 'fs';
+import path from 'path';
+import { parseSkills, parseRequiredSkills } from '../models.js';
+import { DEFAULT_CYCLE_ID } from './cycles.js';
+import { runFromOptimizationResult } from './runs.js';
+
+export const STORAGE_BACKENDS = ['json', 'sqlite'];
+
+export class StorageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StorageError';
+  }
+}
+
+// Schema and data migrations, applied in order to stores written by older
+// versions. `sql` only applies to SQLite; `up` rewrites collections through
+// the store and runs for every backend.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create the collections table',
+    sql: `CREATE TABLE IF NOT EXISTS collections (
+      name TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )`
+  },
+  {
+    version: 2,
+    description: 'Store skills as { name, proficiency } objects',
+    up: store => {
+      const members = store.read('team-members');
+      if (members) {
+        store.write('team-members', members.map(member => ({ ...member, skills: parseSkills(member.skills) })));
+      }
+      const items = store.read('roadmap-items');
+      if (items) {
+        store.write('roadmap-items', items.map(item => ({ ...item, requiredSkills: parseRequiredSkills(item.requiredSkills) })));
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Move the latest optimization result of each cycle into its run history',
+    up: store => {
+      const cycleIds = (store.read('cycles') || []).map(cycle => cycle.id).filter(id => id !== DEFAULT_CYCLE_ID);
+
+      for (const prefix of ['', ...cycleIds.map(id => `cycles/${id}/`)]) {
+        const results = store.read(`${prefix}optimization-results`);
+        if (!results) continue;
+
+        const runs = store.read(`${prefix}runs`) || [];
+        const moved = results.map(runFromOptimizationResult).filter(run => !runs.some(other => other.createdAt === run.createdAt));
+        if (moved.length > 0) {
+          store.write(`${prefix}runs`, [...moved, ...runs].sort((a, b) => a.createdAt.localeCompare(b.createdAt)));
+        }
+        store.remove(`${prefix}optimization-results`);
+      }
+    }
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function checkCollectionName(name) {
+  if (!/^[a-z0-9][a-z0-9-]*(\/[a-z0-9][a-z0-9-]*)*$/.test(name)) {
+    throw new StorageError(`Invalid collection name "${name}"`);
+  }
+}
+
+function parseRecords(text, source) {
+  let records;
+  try {
+    records = JSON.parse(text);
+  } catch (error) {
+    throw new StorageError(`${source} is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(records)) {
+    throw new StorageError(`${source} does not hold a list of records`);
+  }
+  return records;
+}
+
+// One JSON file per collection. Writes go to a temporary file that replaces
+// the collection file once it is fully on disk, so a crash mid-write leaves
+// the previous version in place.
+export class JsonFileStore {
+  constructor(directory) {
+    this.backend = 'json';
+    this.directory = path.resolve(directory);
+    this.metaFile = path.join(directory, 'storage-meta.json');
+    this.pendingVersion = null; // Migrated version not yet recorded on disk
+    this.migrating = null; // { changed } while a migration runs
+  }
+
+  fileFor(collection) {
+    checkCollectionName(collection);
+    return path.join(this.directory, `${collection}.json`);
+  }
+
+  read(collection) {
+    const file = this.fileFor(collection);
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new StorageError(`Could not read ${file}: ${error.message}`);
+    }
+    return parseRecords(text, file);
+  }
+
+  write(collection, records) {
+    writeFileAtomic(this.fileFor(collection), JSON.stringify(records, null, 2));
+    this.recordVersion();
+  }
+
+  // Removes the file and any directories of nested names it leaves empty
+  remove(collection) {
+    const file = this.fileFor(collection);
+    try {
+      fs.rmSync(file, { force: true });
+      for (let dir = path.dirname(file); dir !== this.directory && fs.existsSync(dir) && fs.readdirSync(dir).length === 0; dir = path.dirname(dir)) {
+        fs.rmdirSync(dir);
+      }
+    } catch (error) {
+      throw new StorageError(`Could not remove ${file}: ${error.message}`);
+    }
+    this.recordVersion();
+  }
+
+  // Records a pending schema version along with the first change of data
+  // (once the migration making the change has finished)
+  recordVersion() {
+    if (this.pendingVersion === null) return;
+    if (this.migrating) {
+      this.migrating.changed = true;
+      return;
+    }
+    writeFileAtomic(this.metaFile, JSON.stringify({ schemaVersion: this.pendingVersion }, null, 2));
+    this.pendingVersion = null;
+  }
+
+  schemaVersion() {
+    if (this.pendingVersion !== null) return this.pendingVersion;
+    if (!fs.existsSync(this.metaFile)) return 0;
+    try {
+      return JSON.parse(fs.readFileSync(this.metaFile, 'utf8')).schemaVersion || 0;
+    } catch (error) {
+      throw new StorageError(`Could not read ${this.metaFile}: ${error.message}`);
+    }
+  }
+
+  // The schema version is only written when a migration changes data (or
+  // with the next write), so opening a store that has nothing to migrate
+  // writes nothing and read-only deployments can start
+  migrate(migrations = MIGRATIONS) {
+    let version = this.schemaVersion();
+
+    for (const migration of migrations) {
+      if (migration.version <= version) continue;
+
+      const previous = this.pendingVersion;
+      const migrating = { changed: false };
+      this.pendingVersion = migration.version;
+      this.migrating = migrating;
+      try {
+        if (migration.up) migration.up(this);
+      } catch (error) {
+        this.pendingVersion = previous;
+        throw error;
+      } finally {
+        this.migrating = null;
+      }
+      if (migrating.changed) this.recordVersion();
+      version = migration.version;
+    }
+    return version;
+  }
+
+  describe() {
+    return { backend: this.backend, location: this.directory, schemaVersion: this.schemaVersion() };
+  }
+}
+
+function writeFileAtomic(file, text) {
+  const temporary = `${file}.${process.pid}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const fd = fs.openSync(temporary, 'w');
+    try {
+      fs.writeSync(fd, text);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(temporary, file);
+  } catch (error) {
+    fs.rmSync(temporary, { force: true });
+    throw new StorageError(`Could not write ${file}: ${error.message}`);
+  }
+}
+
+// Collections as rows of an embedded SQLite database. Each write replaces a
+// collection in a single statement, and migrations run in a transaction.
+export class SqliteStore {
+  constructor(database, location = ':memory:') {
+    this.backend = 'sqlite';
+    this.db = database;
+    this.location = location;
+    this.db.pragma('journal_mode = WAL');
+  }
+
+  read(collection) {
+    checkCollectionName(collection);
+    let row;
+    try {
+      row = this.db.prepare('SELECT data FROM collections WHERE name = ?').get(collection);
+    } catch (error) {
+      throw new StorageError(`Could not read ${collection} from ${this.location}: ${error.message}`);
+    }
+    return row ? parseRecords(row.data, `${collection} in ${this.location}`) : null;
+  }
+
+  write(collection, records) {
+    checkCollectionName(collection);
+    try {
+      this.db.prepare(`
+        INSERT INTO collections (name, data, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT (name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+      `).run(collection, JSON.stringify(records), new Date().toISOString());
+    } catch (error) {
+      throw new StorageError(`Could not write ${collection} to ${this.location}: ${error.message}`);
+    }
+  }
+
+  remove(collection) {
+    checkCollectionName(collection);
+    try {
+      this.db.prepare('DELETE FROM collections WHERE name = ?').run(collection);
+    } catch (error) {
+      throw new StorageError(`Could not remove ${collection} from ${this.location}: ${error.message}`);
+    }
+  }
+
+  schemaVersion() {
+    return this.db.pragma('user_version', { simple: true });
+  }
+
+  migrate(migrations = MIGRATIONS) {
+    let version = this.schemaVersion();
+
+    for (const migration of migrations) {
+      if (migration.version <= version) continue;
+      this.db.transaction(() => {
+        if (migration.sql) this.db.exec(migration.sql);
+        if (migration.up) migration.up(this);
+        this.db.pragma(`user_version = ${migration.version}`);
+      })();
+      version = migration.version;
+    }
+    return version;
+  }
+
+  describe() {
+    return { backend: this.backend, location: this.location, schemaVersion: this.schemaVersion() };
+  }
+}
+
+// Storage settings from the environment: STORAGE_BACKEND (json or sqlite)
+// and STORAGE_PATH (the JSON directory or the SQLite file). Returns
+// { config } or { error }.
+export function parseStorageConfig(env, rootDir) {
+  const backend = env.STORAGE_BACKEND || 'json';
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    return { error: `STORAGE_BACKEND must be one of: ${STORAGE_BACKENDS.join(', ')}` };
+  }
+
+  const defaultPath = backend === 'sqlite' ? path.join(rootDir, 'data.sqlite') : rootDir;
+  return { config: { backend, path: env.STORAGE_PATH ? path.resolve(rootDir, env.STORAGE_PATH) : defaultPath } };
+}
+
+// Open (and migrate) the configured store. Throws a StorageError when it
+// cannot be opened; there is no fallback to another backend.
+export async function createStore({ backend, path: location }) {
+  let store;
+
+  if (backend === 'sqlite') {
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new StorageError('The sqlite storage backend needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+    fs.mkdirSync(path.dirname(location), { recursive: true });
+    store = new SqliteStore(new Database(location), location);
+  } else {
+    store = new JsonFileStore(location);
+  }
+
+  store.migrate();
+  return store;
+}
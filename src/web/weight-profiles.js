@@ -0,0 +1,67 @@
+import { DEFAULT_WEIGHTS, normalizeWeights } from '../models.js';
+
+// Named scoring weight profiles persisted by the web server. The built-in
+// default profile is always available and cannot be edited or deleted.
+export const DEFAULT_PROFILE_ID = 'default';
+
+export function listWeightProfiles(storedProfiles) {
+  return [
+    { id: DEFAULT_PROFILE_ID, name: 'Default', weights: { ...DEFAULT_WEIGHTS }, builtIn: true },
+    ...storedProfiles
+  ];
+}
+
+// Create or update (by name) a profile from a request body.
+// Returns { profile, created } on success or { error } on failure.
+export function saveWeightProfile(data, storedProfiles) {
+  const { name, weights } = data || {};
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'Profile name is required' };
+  }
+
+  if (name.trim().toLowerCase() === 'default') {
+    return { error: 'The default profile cannot be modified' };
+  }
+
+  let normalized;
+  try {
+    normalized = normalizeWeights(weights);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const existing = storedProfiles.find(p => p.name.toLowerCase() === name.trim().toLowerCase());
+  if (existing) {
+    existing.weights = normalized;
+    existing.dateUpdated = new Date().toISOString();
+    return { profile: existing, created: false };
+  }
+
+  const profile = {
+    id: Date.now().toString(),
+    name: name.trim(),
+    weights: normalized,
+    dateAdded: new Date().toISOString()
+  };
+  storedProfiles.push(profile);
+  return { profile, created: true };
+}
+
+// Resolve the weights for an optimization run: the selected profile (or the
+// default one) with any inline overrides applied on top.
+// Returns { name, weights } or { error }.
+export function resolveWeights(storedProfiles, profileId = DEFAULT_PROFILE_ID, overrides = {}) {
+  const profile = listWeightProfiles(storedProfiles).find(p => p.id === profileId);
+  if (!profile) {
+    return { error: `Weights profile "${profileId}" not found` };
+  }
+
+  try {
+    const weights = normalizeWeights({ ...profile.weights, ...overrides });
+    const customized = Object.keys(overrides || {}).some(key => overrides[key] !== profile.weights[key]);
+    return { name: customized ? `${profile.name} (customized)` : profile.name, weights };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
@@ -2,12 +2,25 @@ import request from 'supertest';
 import express from 'express';
 import cors from 'cors';
 import fs from 'fs';
-import { TeamMember, RoadmapItem } from '../src/models.js';
+import { TeamMember, RoadmapItem, parseSkills, parseRequiredSkills } from '../src/models.js';
 import { AllocationOptimizer } from '../src/optimizer.js';
+import { RollingPlanner } from '../src/rolling-planner.js';
+import { parseOptimizeOptions } from '../src/web/optimize-options.js';
+import { resolveWeights } from '../src/web/weight-profiles.js';
+import { parseScheduleFields } from '../src/web/schedule-fields.js';
+import { parseDependsOn, removeDependency } from '../src/web/item-dependencies.js';
+import { validateDependencies } from '../src/dependencies.js';
+import { listDisciplines, parseEffortBreakdown } from '../src/web/discipline-config.js';
+import { buildAvailabilityWindow } from '../src/web/availability.js';
+import { listLevels, parseCareerLadder } from '../src/web/career-ladder.js';
+import { CareerLadder } from '../src/career-ladder.js';
+import { parseMemberUpdate, parseItemUpdate, applyMemberUpdate, applyItemUpdate, parseLevel } from '../src/web/record-updates.js';
 
 // Mock file system operations for testing
 let mockTeamMembers = [];
 let mockRoadmapItems = [];
+let mockCareerLadder = [];
+let mockCycle = {};
 
 const initialTeamMember = {
   id: '1',
@@ -72,12 +85,19 @@ function createTestApp() {
       return res.status(400).json({ error: 'Name is required' });
     }
 
+    const ladder = new CareerLadder(listLevels(mockCareerLadder));
+    const parsedLevel = level === undefined ? { value: ladder.defaultLevel() } : parseLevel(level, 'level', ladder);
+    if (parsedLevel.error) {
+      return res.status(400).json({ error: parsedLevel.error });
+    }
+    const memberLevel = parsedLevel.value;
+
     const newMember = {
       id: Date.now().toString(),
       name: name.trim(),
-      level: level || 'Mid',
-      skills: Array.isArray(skills) ? skills : [],
-      capacity: typeof capacity === 'number' ? capacity : 1.0,
+      level: memberLevel,
+      skills: parseSkills(skills),
+      capacity: typeof capacity === 'number' ? capacity : ladder.defaultCapacity(memberLevel),
       interests: Array.isArray(interests) ? interests : [],
       careerGoals: Array.isArray(careerGoals) ? careerGoals : [],
       dateAdded: new Date().toISOString()
@@ -87,6 +107,25 @@ function createTestApp() {
     res.status(201).json(newMember);
   });
 
+  function updateTeamMember(req, res, partial) {
+    const index = mockTeamMembers.findIndex(member => member.id === req.params.id);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Team member not found' });
+    }
+
+    const ladder = new CareerLadder(listLevels(mockCareerLadder));
+    const { fields, error } = parseMemberUpdate(req.body, { partial, ladder });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    mockTeamMembers[index] = applyMemberUpdate(mockTeamMembers[index], fields);
+    res.json(mockTeamMembers[index]);
+  }
+
+  app.put('/api/team-members/:id', (req, res) => updateTeamMember(req, res, false));
+  app.patch('/api/team-members/:id', (req, res) => updateTeamMember(req, res, true));
+
   app.delete('/api/team-members/:id', (req, res) => {
     const { id } = req.params;
     const index = mockTeamMembers.findIndex(member => member.id === id);
@@ -99,6 +138,33 @@ function createTestApp() {
     res.json({ message: 'Team member deleted successfully' });
   });
 
+  app.post('/api/team-members/:id/availability', (req, res) => {
+    const member = mockTeamMembers.find(m => m.id === req.params.id);
+    if (!member) {
+      return res.status(404).json({ error: 'Team member not found' });
+    }
+
+    const { window, error } = buildAvailabilityWindow(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    member.availability = [...(member.availability || []), window];
+    res.status(201).json(window);
+  });
+
+  app.delete('/api/team-members/:id/availability/:windowId', (req, res) => {
+    const member = mockTeamMembers.find(m => m.id === req.params.id);
+    const windows = member ? member.availability || [] : [];
+
+    if (!windows.some(w => w.id === req.params.windowId)) {
+      return res.status(404).json({ error: 'Availability window not found' });
+    }
+
+    member.availability = windows.filter(w => w.id !== req.params.windowId);
+    res.json({ message: 'Availability window deleted successfully' });
+  });
+
   app.get('/api/roadmap-items', (req, res) => {
     const roadmapItems = readDataFile(ROADMAP_ITEMS_FILE);
     res.json(roadmapItems);
@@ -111,23 +177,85 @@ function createTestApp() {
       return res.status(400).json({ error: 'Name is required' });
     }
 
+    const schedule = parseScheduleFields(req.body);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+
+    const dependencies = parseDependsOn(req.body);
+    if (dependencies.error) {
+      return res.status(400).json({ error: dependencies.error });
+    }
+
+    const effort = parseEffortBreakdown(req.body, listDisciplines([]));
+    if (effort.error) {
+      return res.status(400).json({ error: effort.error });
+    }
+
+    const ladder = new CareerLadder(listLevels(mockCareerLadder));
+    const itemLevel = minLevel === undefined ? { value: ladder.lowestLevel() } : parseLevel(minLevel, 'minLevel', ladder);
+    if (itemLevel.error) {
+      return res.status(400).json({ error: itemLevel.error });
+    }
+
     const newItem = {
       id: Date.now().toString(),
       name: name.trim(),
       description: description || '',
       size: typeof size === 'number' ? size : 1,
       complexity: typeof complexity === 'number' ? complexity : 1,
-      requiredSkills: Array.isArray(requiredSkills) ? requiredSkills : [],
+      requiredSkills: parseRequiredSkills(requiredSkills),
       domain: domain || '',
-      minLevel: minLevel || 'Junior',
+      minLevel: itemLevel.value,
       careerOpportunities: Array.isArray(careerOpportunities) ? careerOpportunities : [],
+      ...schedule.fields,
+      ...(effort.effortBreakdown ? { effortBreakdown: effort.effortBreakdown } : {}),
+      dependsOn: dependencies.dependsOn,
       dateAdded: new Date().toISOString()
     };
 
+    const dependencyError = validateDependencies([...mockRoadmapItems, newItem]);
+    if (dependencyError) {
+      return res.status(400).json({ error: dependencyError });
+    }
+
     mockRoadmapItems.push(newItem);
     res.status(201).json(newItem);
   });
 
+  function updateRoadmapItem(req, res, partial) {
+    const index = mockRoadmapItems.findIndex(item => item.id === req.params.id);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Roadmap item not found' });
+    }
+
+    const { fields, error } = parseItemUpdate(req.body, {
+      partial,
+      ladder: new CareerLadder(listLevels(mockCareerLadder)),
+      disciplines: listDisciplines([])
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const updated = applyItemUpdate(mockRoadmapItems[index], fields);
+    if (updated.error) {
+      return res.status(400).json({ error: updated.error });
+    }
+
+    const roadmapItems = mockRoadmapItems.map((item, i) => i === index ? updated.item : item);
+    const dependencyError = validateDependencies(roadmapItems);
+    if (dependencyError) {
+      return res.status(400).json({ error: dependencyError });
+    }
+
+    mockRoadmapItems = roadmapItems;
+    res.json(updated.item);
+  }
+
+  app.put('/api/roadmap-items/:id', (req, res) => updateRoadmapItem(req, res, false));
+  app.patch('/api/roadmap-items/:id', (req, res) => updateRoadmapItem(req, res, true));
+
   app.delete('/api/roadmap-items/:id', (req, res) => {
     const { id } = req.params;
     const index = mockRoadmapItems.findIndex(item => item.id === id);
@@ -137,11 +265,18 @@ function createTestApp() {
     }
 
     mockRoadmapItems.splice(index, 1);
+    mockRoadmapItems = removeDependency(mockRoadmapItems, id);
     res.json({ message: 'Roadmap item deleted successfully' });
   });
 
   app.post('/api/optimize', (req, res) => {
     try {
+      const { options, error } = parseOptimizeOptions(req.body, mockCycle);
+
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
       const teamMembersData = readDataFile(TEAM_MEMBERS_FILE);
       const roadmapItemsData = readDataFile(ROADMAP_ITEMS_FILE);
 
@@ -154,16 +289,28 @@ function createTestApp() {
       }
 
       // Convert data to model instances
-      const teamMembers = teamMembersData.map(data => 
-        new TeamMember(data.name, data.level, data.skills, data.capacity, data.interests, data.careerGoals)
-      );
-
-      const roadmapItems = roadmapItemsData.map(data =>
-        new RoadmapItem(data.name, data.description, data.size, data.complexity, data.requiredSkills, data.domain, data.minLevel, data.careerOpportunities)
-      );
+      const teamMembers = teamMembersData.map(data => TeamMember.fromJSON(data));
+      const roadmapItems = roadmapItemsData.map(data => RoadmapItem.fromJSON(data));
 
       // Run optimization
-      const optimizer = new AllocationOptimizer(teamMembers, roadmapItems);
+      const weights = resolveWeights([], options.weightsProfile, options.weights);
+      if (weights.error) {
+        return res.status(400).json({ error: weights.error });
+      }
+
+      const optimizerOptions = {
+        ...options,
+        weights: weights.weights,
+        weightsProfile: weights.name,
+        careerLadder: new CareerLadder(listLevels(mockCareerLadder))
+      };
+
+      if (options.quarters > 1) {
+        const rollingPlan = new RollingPlanner(teamMembers, roadmapItems, optimizerOptions).plan();
+        return res.json({ ...rollingPlan.quarters[0].report, rollingPlan });
+      }
+
+      const optimizer = new AllocationOptimizer(teamMembers, roadmapItems, optimizerOptions);
       const report = optimizer.optimize();
 
       res.json(report);
@@ -172,9 +319,31 @@ function createTestApp() {
     }
   });
 
+  app.get('/api/career-ladder', (req, res) => {
+    res.json(listLevels(mockCareerLadder));
+  });
+
+  app.put('/api/career-ladder', (req, res) => {
+    const { levels, error } = parseCareerLadder(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    mockCareerLadder = levels;
+    res.json(levels);
+  });
+
   return app;
 }
 
+const ENGINEERING_LADDER = [
+  { name: 'L3', weight: 0.7, track: 'ic' },
+  { name: 'L4', weight: 1.0, track: 'ic' },
+  { name: 'L5', weight: 1.3, track: 'ic' },
+  { name: 'M1', weight: 1.3, track: 'manager', capacityOverhead: 0.6 }
+];
+
 describe('API Endpoints', () => {
   let app;
 
@@ -182,6 +351,8 @@ describe('API Endpoints', () => {
     // Reset mock data to initial state
     mockTeamMembers = [{ ...initialTeamMember }];
     mockRoadmapItems = [{ ...initialRoadmapItem }];
+    mockCareerLadder = [];
+    mockCycle = { id: 'default', name: 'Current plan', startDate: null, endDate: null };
     app = createTestApp();
   });
 
@@ -218,6 +389,19 @@ describe('API Endpoints', () => {
       expect(response.body).toHaveProperty('dateAdded');
     });
 
+    it('should store skills with proficiency levels', async () => {
+      const response = await request(app)
+        .post('/api/team-members')
+        .send({ name: 'Bob Johnson', skills: ['Python:5', { name: 'Django', proficiency: 2 }, 'SQL'] })
+        .expect(201);
+
+      expect(response.body.skills).toEqual([
+        { name: 'Python', proficiency: 5 },
+        { name: 'Django', proficiency: 2 },
+        { name: 'SQL', proficiency: 3 }
+      ]);
+    });
+
     it('should require name field', async () => {
       const invalidMember = {
         level: 'Mid',
@@ -232,6 +416,18 @@ describe('API Endpoints', () => {
       expect(response.body).toHaveProperty('error', 'Name is required');
     });
 
+    it('should reject levels that are not on the career ladder', async () => {
+      const member = await request(app).post('/api/team-members').send({ name: 'Ann', level: 'Wizard' }).expect(400);
+      const item = await request(app).post('/api/roadmap-items').send({ name: 'Search', minLevel: 'banana' }).expect(400);
+      const senior = await request(app).post('/api/team-members').send({ name: 'Bo', level: 'senior' }).expect(201);
+
+      expect(member.body.error).toMatch(/^level must be a level of the career ladder \(.*Senior/);
+      expect(item.body.error).toMatch(/^minLevel must be a level of the career ladder/);
+      expect(senior.body.level).toBe('Senior');
+      expect(mockTeamMembers).toHaveLength(2);
+      expect(mockRoadmapItems).toHaveLength(1);
+    });
+
     it('should handle missing optional fields', async () => {
       const minimalMember = {
         name: 'Minimal Member'
@@ -266,6 +462,60 @@ describe('API Endpoints', () => {
     });
   });
 
+  describe('availability windows', () => {
+    it('should add a window to a member', async () => {
+      const response = await request(app)
+        .post('/api/team-members/1/availability')
+        .send({ type: 'leave', startDate: '2025-01-06', endDate: '2025-02-14' })
+        .expect(201);
+
+      expect(response.body).toMatchObject({ type: 'leave', startDate: '2025-01-06', endDate: '2025-02-14', capacity: 0 });
+      expect(mockTeamMembers[0].availability).toHaveLength(1);
+    });
+
+    it('should reject invalid windows', async () => {
+      const response = await request(app)
+        .post('/api/team-members/1/availability')
+        .send({ type: 'pto', startDate: '2025-02-14', endDate: '2025-01-06' })
+        .expect(400);
+
+      expect(response.body.error).toBe('endDate cannot be before startDate');
+    });
+
+    it('should return 404 for unknown members', async () => {
+      await request(app)
+        .post('/api/team-members/999/availability')
+        .send({ type: 'pto', startDate: '2025-01-06', endDate: '2025-01-10' })
+        .expect(404);
+    });
+
+    it('should delete a window', async () => {
+      const { body: window } = await request(app)
+        .post('/api/team-members/1/availability')
+        .send({ type: 'pto', startDate: '2025-01-06', endDate: '2025-01-10' });
+
+      await request(app)
+        .delete(`/api/team-members/1/availability/${window.id}`)
+        .expect(200);
+
+      expect(mockTeamMembers[0].availability).toEqual([]);
+    });
+
+    it('should leave members on leave for the whole quarter unallocated', async () => {
+      await request(app)
+        .post('/api/team-members/1/availability')
+        .send({ type: 'leave', startDate: '2025-01-06', endDate: '2025-04-30' });
+
+      const response = await request(app)
+        .post('/api/optimize')
+        .send({ startDate: '2025-01-06' })
+        .expect(200);
+
+      expect(response.body.allocations).toEqual([]);
+      expect(response.body.schedule.members[0].weeks[0].capacity).toBe(0);
+    });
+  });
+
   describe('GET /api/roadmap-items', () => {
     it('should return roadmap items', async () => {
       const response = await request(app)
@@ -314,6 +564,235 @@ describe('API Endpoints', () => {
 
       expect(response.body).toHaveProperty('error', 'Name is required');
     });
+
+    it('should store scheduling fields', async () => {
+      const response = await request(app)
+        .post('/api/roadmap-items')
+        .send({ name: 'Launch', earliestStart: '2025-01-06', targetDate: '2025-02-28', sequence: 2 })
+        .expect(201);
+
+      expect(response.body).toMatchObject({ earliestStart: '2025-01-06', targetDate: '2025-02-28', sequence: 2 });
+    });
+
+    it('should reject invalid scheduling fields', async () => {
+      const response = await request(app)
+        .post('/api/roadmap-items')
+        .send({ name: 'Launch', targetDate: '28/02/2025' })
+        .expect(400);
+
+      expect(response.body.error).toBe('targetDate must be a date in YYYY-MM-DD format');
+    });
+
+    it('should store prerequisites by id', async () => {
+      const response = await request(app)
+        .post('/api/roadmap-items')
+        .send({ name: 'Redesign Rollout', dependsOn: ['1'] })
+        .expect(201);
+
+      expect(response.body.dependsOn).toEqual(['1']);
+    });
+
+    it('should reject unknown prerequisites', async () => {
+      const response = await request(app)
+        .post('/api/roadmap-items')
+        .send({ name: 'Redesign Rollout', dependsOn: ['missing'] })
+        .expect(400);
+
+      expect(response.body.error).toBe('Redesign Rollout depends on an unknown item "missing"');
+    });
+
+    it('should reject a malformed dependsOn', async () => {
+      const response = await request(app)
+        .post('/api/roadmap-items')
+        .send({ name: 'Redesign Rollout', dependsOn: 'Frontend Redesign' })
+        .expect(400);
+
+      expect(response.body.error).toBe('dependsOn must be a list of roadmap item ids');
+    });
+
+    it('should store effort per discipline', async () => {
+      const response = await request(app)
+        .post('/api/roadmap-items')
+        .send({ name: 'Checkout QA', effortBreakdown: { web: 4, qa: 2 } })
+        .expect(201);
+
+      expect(response.body.effortBreakdown).toEqual({ web: 4, qa: 2, total: 6 });
+    });
+
+    it('should reject effort for unknown disciplines', async () => {
+      const response = await request(app)
+        .post('/api/roadmap-items')
+        .send({ name: 'Checkout QA', effortBreakdown: { desktop: 4 } })
+        .expect(400);
+
+      expect(response.body.error).toMatch('Unknown discipline "desktop"');
+    });
+  });
+
+  describe('PUT/PATCH /api/team-members/:id', () => {
+    it('should patch only the fields sent and keep the id', async () => {
+      const response = await request(app)
+        .patch('/api/team-members/1')
+        .send({ skills: ['JavaScript:4', 'React'] })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        id: '1',
+        name: 'Alice Smith',
+        level: 'Senior',
+        capacity: 1.0,
+        skills: [{ name: 'JavaScript', proficiency: 4 }, { name: 'React', proficiency: 3 }],
+        dateAdded: initialTeamMember.dateAdded
+      });
+      expect(response.body.dateUpdated).toEqual(expect.any(String));
+      expect(mockTeamMembers).toHaveLength(1);
+    });
+
+    it('should reset fields left out of a PUT to their defaults', async () => {
+      const response = await request(app)
+        .put('/api/team-members/1')
+        .send({ name: 'Alice Jones', level: 'Staff' })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ id: '1', name: 'Alice Jones', level: 'Staff', skills: [], interests: [], careerGoals: [] });
+    });
+
+    it('should validate fields', async () => {
+      const capacity = await request(app).patch('/api/team-members/1').send({ capacity: 1.5 }).expect(400);
+      const name = await request(app).put('/api/team-members/1').send({ level: 'Mid' }).expect(400);
+      const interests = await request(app).patch('/api/team-members/1').send({ interests: 'Frontend' }).expect(400);
+
+      expect(capacity.body.error).toBe('capacity must be a number from 0 to 1');
+      expect(name.body.error).toBe('Name is required');
+      expect(interests.body.error).toBe('interests must be a list of names');
+      expect(mockTeamMembers[0]).toEqual(initialTeamMember);
+    });
+
+    it('should reject skills that are not a list and keep the old ones', async () => {
+      const response = await request(app).patch('/api/team-members/1').send({ skills: 'Swift:5, Kotlin' }).expect(400);
+      const item = await request(app).patch('/api/roadmap-items/1').send({ requiredSkills: 'iOS' }).expect(400);
+
+      expect(response.body.error).toBe('skills must be a list of skills');
+      expect(item.body.error).toBe('requiredSkills must be a list of skills');
+      expect(mockTeamMembers[0].skills).toEqual(initialTeamMember.skills);
+      expect(mockRoadmapItems[0].requiredSkills).toEqual(initialRoadmapItem.requiredSkills);
+    });
+
+    it('should reject levels that are not on the career ladder', async () => {
+      const patch = await request(app).patch('/api/team-members/1').send({ level: 'Wizard' }).expect(400);
+      const put = await request(app).put('/api/team-members/1').send({ name: 'Ann', level: 'Wizard' }).expect(400);
+
+      expect(patch.body.error).toMatch(/^level must be a level of the career ladder \(.*Senior/);
+      expect(put.body.error).toBe(patch.body.error);
+      expect(mockTeamMembers[0]).toEqual(initialTeamMember);
+    });
+
+    it('should return 404 for unknown members', async () => {
+      await request(app).patch('/api/team-members/missing').send({ name: 'Nobody' }).expect(404);
+    });
+  });
+
+  describe('PUT/PATCH /api/roadmap-items/:id', () => {
+    it('should patch only the fields sent', async () => {
+      const response = await request(app)
+        .patch('/api/roadmap-items/1')
+        .send({ complexity: 5, targetDate: '2025-03-28', effortBreakdown: { web: 6 } })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        id: '1',
+        name: 'Frontend Redesign',
+        size: 3,
+        complexity: 5,
+        targetDate: '2025-03-28',
+        effortBreakdown: { web: 6, total: 6 }
+      });
+    });
+
+    it('should clear fields left out of a PUT', async () => {
+      mockRoadmapItems[0] = { ...initialRoadmapItem, targetDate: '2025-03-28', effortBreakdown: { web: 6, total: 6 } };
+
+      const response = await request(app)
+        .put('/api/roadmap-items/1')
+        .send({ name: 'Frontend Redesign v2', size: 2 })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ name: 'Frontend Redesign v2', size: 2, complexity: 1, targetDate: null, dependsOn: [] });
+      expect(response.body).not.toHaveProperty('effortBreakdown');
+    });
+
+    it('should check dates against the ones the item already has', async () => {
+      mockRoadmapItems[0] = { ...initialRoadmapItem, earliestStart: '2025-02-03' };
+
+      const response = await request(app)
+        .patch('/api/roadmap-items/1')
+        .send({ targetDate: '2025-01-31' })
+        .expect(400);
+
+      expect(response.body.error).toBe('targetDate cannot be before earliestStart');
+    });
+
+    it('should reject dependency cycles', async () => {
+      mockRoadmapItems.push({ ...initialRoadmapItem, id: '2', name: 'Redesign Rollout', dependsOn: ['1'] });
+
+      const response = await request(app)
+        .patch('/api/roadmap-items/1')
+        .send({ dependsOn: ['2'] })
+        .expect(400);
+
+      expect(response.body.error).toMatch('cycle');
+      expect(mockRoadmapItems[0].dependsOn).toBeUndefined();
+    });
+
+    it('should validate the size and complexity scale', async () => {
+      const response = await request(app).patch('/api/roadmap-items/1').send({ size: 7 }).expect(400);
+
+      expect(response.body.error).toBe('size must be a whole number from 1 to 5');
+    });
+
+    it('should reject minimum levels that are not on the career ladder', async () => {
+      const patch = await request(app).patch('/api/roadmap-items/1').send({ minLevel: 'banana' }).expect(400);
+      const put = await request(app).put('/api/roadmap-items/1').send({ name: 'Search', minLevel: 'banana' }).expect(400);
+
+      expect(patch.body.error).toMatch(/^minLevel must be a level of the career ladder/);
+      expect(put.body.error).toBe(patch.body.error);
+    });
+
+    it('should store the ladder spelling of a level', async () => {
+      const response = await request(app).patch('/api/roadmap-items/1').send({ minLevel: 'senior' }).expect(200);
+
+      expect(response.body.minLevel).toBe('Senior');
+    });
+  });
+
+  describe('career ladder', () => {
+    it('should return the built-in ladder until one is saved', async () => {
+      const response = await request(app).get('/api/career-ladder').expect(200);
+
+      expect(response.body.map(level => level.name)).toEqual(['Intern', 'Junior', 'Mid', 'Senior', 'Staff', 'Principal', 'Architect']);
+    });
+
+    it('should default new members to the ladder level and manager capacity', async () => {
+      await request(app).put('/api/career-ladder').send({ levels: ENGINEERING_LADDER }).expect(200);
+
+      const ic = await request(app).post('/api/team-members').send({ name: 'Ivy' }).expect(201);
+      const manager = await request(app).post('/api/team-members').send({ name: 'Max', level: 'm1' }).expect(201);
+      const item = await request(app).post('/api/roadmap-items').send({ name: 'Search' }).expect(201);
+
+      expect(ic.body).toMatchObject({ level: 'L4', capacity: 1 });
+      expect(manager.body.level).toBe('M1');
+      expect(manager.body.capacity).toBeCloseTo(0.4);
+      expect(item.body.minLevel).toBe('L3');
+    });
+
+    it('should reject invalid ladders', async () => {
+      const response = await request(app)
+        .put('/api/career-ladder')
+        .send({ levels: [{ name: 'L3', weight: 0.7 }, { name: 'l3', weight: 1 }] })
+        .expect(400);
+
+      expect(response.body.error).toBe('Level "l3" is listed more than once');
+    });
   });
 
   describe('POST /api/optimize', () => {
@@ -333,6 +812,151 @@ describe('API Endpoints', () => {
       expect(Array.isArray(response.body.recommendations)).toBe(true);
     });
 
+    it('should run the optimal solver when requested', async () => {
+      const response = await request(app)
+        .post('/api/optimize')
+        .send({ solver: 'optimal' })
+        .expect(200);
+
+      expect(response.body.summary.solver).toBe('optimal');
+      expect(typeof response.body.summary.objective).toBe('number');
+    });
+
+    it('should respect team boundaries from the stored data', async () => {
+      mockTeamMembers[0].teamName = 'Backend Engineering';
+      mockRoadmapItems[0].assignedTeam = 'Frontend Engineering';
+
+      const response = await request(app)
+        .post('/api/optimize')
+        .send({ teamPolicy: 'strict' })
+        .expect(200);
+
+      expect(response.body.summary.teamPolicy).toBe('strict');
+      expect(response.body.allocations).toEqual([]);
+    });
+
+    it('should carry persisted fields and effort through to the report', async () => {
+      mockTeamMembers[0].location = 'Berlin';
+      mockRoadmapItems[0].effortBreakdown = { ios: 0, android: 0, web: 13, backend: 0, total: 13 };
+
+      const response = await request(app)
+        .post('/api/optimize')
+        .expect(200);
+
+      const member = response.body.teamMembers[0];
+      const item = response.body.roadmapItems[0];
+      expect(member.id).toBe('1');
+      expect(member.location).toBe('Berlin');
+      expect(item.id).toBe('1');
+      expect(item.effortBreakdown.total).toBe(13);
+      expect(response.body.allocations[0]).toMatchObject({ memberId: '1', itemId: '1' });
+      expect(response.body.allocations[0].breakdown.platforms.perPlatform).toHaveLength(1);
+    });
+
+    it('should return a quarter-by-quarter plan when quarters is set', async () => {
+      mockRoadmapItems[0].effortBreakdown = { ios: 0, android: 0, web: 26, backend: 0, total: 26 };
+
+      const response = await request(app)
+        .post('/api/optimize')
+        .send({ quarters: 2 })
+        .expect(200);
+
+      expect(response.body.summary).toBeDefined();
+      expect(response.body.rollingPlan.quarters).toHaveLength(2);
+      expect(response.body.rollingPlan.quarters[0].carryOver[0].item).toBe('Frontend Redesign');
+    });
+
+    it('should include a week-by-week schedule', async () => {
+      const response = await request(app)
+        .post('/api/optimize')
+        .send({ startDate: '2025-01-06' })
+        .expect(200);
+
+      expect(response.body.schedule.startDate).toBe('2025-01-06');
+      expect(response.body.schedule.weeks).toHaveLength(13);
+      expect(response.body.schedule.members[0].member).toBe('Alice Smith');
+    });
+
+    it('should schedule from the start of the planning cycle', async () => {
+      mockCycle = { id: 'q3-2030', name: 'Q3 2030', startDate: '2030-07-03', endDate: '2030-09-30' };
+      mockRoadmapItems[0].earliestStart = '2030-07-15';
+
+      const response = await request(app).post('/api/optimize').expect(200);
+      const explicit = await request(app).post('/api/optimize').send({ startDate: '2030-08-05' }).expect(200);
+
+      expect(response.body.schedule.startDate).toBe('2030-07-01');
+      expect(response.body.schedule.weeks[1].startDate).toBe('2030-07-08');
+      expect(response.body.schedule.items[0]).toMatchObject({ startWeek: 3, startDate: '2030-07-15' });
+      expect(explicit.body.schedule.startDate).toBe('2030-08-05');
+    });
+
+    it('should reject an invalid start date', async () => {
+      const response = await request(app)
+        .post('/api/optimize')
+        .send({ startDate: 'next monday' })
+        .expect(400);
+      const impossible = await request(app).post('/api/optimize').send({ startDate: '2026-02-30' }).expect(400);
+
+      expect(response.body.error).toBe('startDate must be a date in YYYY-MM-DD format');
+      expect(impossible.body.error).toBe(response.body.error);
+    });
+
+    it('should reject an invalid number of quarters', async () => {
+      const response = await request(app)
+        .post('/api/optimize')
+        .send({ quarters: 9 })
+        .expect(400);
+
+      expect(response.body.error).toBe('quarters must be a whole number between 1 and 4');
+    });
+
+    it('should reject unknown team policies', async () => {
+      const response = await request(app)
+        .post('/api/optimize')
+        .send({ teamPolicy: 'loose' })
+        .expect(400);
+
+      expect(response.body.error).toContain('Unknown team policy "loose"');
+    });
+
+    it('should echo the weights used back in the report', async () => {
+      const response = await request(app)
+        .post('/api/optimize')
+        .send({ weights: { interest: 0 } })
+        .expect(200);
+
+      expect(response.body.weights.profile).toBe('Default (customized)');
+      expect(response.body.weights.values.interest).toBe(0);
+      expect(response.body.weights.values.skillMatch).toBe(35);
+    });
+
+    it('should reject invalid weights', async () => {
+      const response = await request(app)
+        .post('/api/optimize')
+        .send({ weights: { luck: 10 } })
+        .expect(400);
+
+      expect(response.body.error).toContain('Unknown scoring weight "luck"');
+    });
+
+    it('should reject unknown weights profiles', async () => {
+      const response = await request(app)
+        .post('/api/optimize')
+        .send({ weightsProfile: 'missing' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Weights profile "missing" not found');
+    });
+
+    it('should reject unknown solvers', async () => {
+      const response = await request(app)
+        .post('/api/optimize')
+        .send({ solver: 'magic' })
+        .expect(400);
+
+      expect(response.body.error).toContain('Unknown solver "magic"');
+    });
+
     it('should handle empty team members', async () => {
       mockTeamMembers.length = 0; // Clear all members
 
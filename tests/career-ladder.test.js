@@ -0,0 +1,63 @@
+import { CareerLadder, DEFAULT_CAREER_LADDER } from '../src/career-ladder.js';
+import { listLevels, parseCareerLadder } from '../src/web/career-ladder.js';
+
+const engineeringLadder = new CareerLadder([
+  { name: 'L3', weight: 0.7, track: 'ic' },
+  { name: 'L4', weight: 1.0, track: 'ic' },
+  { name: 'L5', weight: 1.3, track: 'ic' },
+  { name: 'L6', weight: 1.5, track: 'ic' },
+  { name: 'M1', weight: 1.3, track: 'manager', capacityOverhead: 0.5 },
+  { name: 'M2', weight: 1.5, track: 'manager', capacityOverhead: 0.8 }
+]);
+
+describe('CareerLadder', () => {
+  it('should weigh levels case-insensitively, with 1.0 for unknown levels', () => {
+    expect(DEFAULT_CAREER_LADDER.weight('senior')).toBe(1.3);
+    expect(engineeringLadder.weight('l6')).toBe(1.5);
+    expect(engineeringLadder.weight('Senior')).toBe(1.0);
+  });
+
+  it('should default new members to the ic level closest to Mid', () => {
+    expect(DEFAULT_CAREER_LADDER.defaultLevel()).toBe('Mid');
+    expect(engineeringLadder.defaultLevel()).toBe('L4');
+    expect(engineeringLadder.lowestLevel()).toBe('L3');
+  });
+
+  it('should leave managers the capacity their overhead does not take', () => {
+    expect(engineeringLadder.defaultCapacity('M1')).toBe(0.5);
+    expect(engineeringLadder.defaultCapacity('M2')).toBeCloseTo(0.2);
+    expect(engineeringLadder.defaultCapacity('L5')).toBe(1.0);
+    expect(engineeringLadder.defaultCapacity('Unknown')).toBe(1.0);
+  });
+
+  it('should find levels named in titles', () => {
+    expect(DEFAULT_CAREER_LADDER.parse('Senior Software Engineer')).toBe('Senior');
+    expect(DEFAULT_CAREER_LADDER.parse('MID')).toBe('Mid');
+    expect(engineeringLadder.parse('Engineering Manager M1')).toBe('M1');
+    expect(engineeringLadder.parse('Software Engineer')).toBe('Software Engineer');
+    expect(engineeringLadder.parse('  ')).toBeNull();
+  });
+});
+
+describe('career ladder config', () => {
+  it('should list the built-in ladder until one is stored', () => {
+    expect(listLevels([]).map(level => level.name)).toEqual(DEFAULT_CAREER_LADDER.names());
+    expect(listLevels([{ name: 'L3', weight: 0.7, track: 'ic', capacityOverhead: 0 }])).toHaveLength(1);
+  });
+
+  it('should fill in the track and overhead of levels', () => {
+    const { levels } = parseCareerLadder({ levels: [{ name: ' L3 ', weight: 0.7 }, { name: 'M1', weight: 1.3, track: 'manager', capacityOverhead: 0.4 }] });
+
+    expect(levels).toEqual([
+      { name: 'L3', weight: 0.7, track: 'ic', capacityOverhead: 0 },
+      { name: 'M1', weight: 1.3, track: 'manager', capacityOverhead: 0.4 }
+    ]);
+  });
+
+  it('should reject invalid levels', () => {
+    expect(parseCareerLadder({ levels: [] }).error).toMatch('non-empty list');
+    expect(parseCareerLadder({ levels: [{ name: 'L3' }] }).error).toBe('Weight of L3 must be a positive number (Mid is 1.0)');
+    expect(parseCareerLadder({ levels: [{ name: 'L3', weight: 1, track: 'exec' }] }).error).toBe('Track of L3 must be one of: ic, manager');
+    expect(parseCareerLadder({ levels: [{ name: 'M1', weight: 1, capacityOverhead: 1 }] }).error).toMatch('capacityOverhead of M1');
+  });
+});
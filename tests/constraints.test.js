@@ -0,0 +1,81 @@
+import { buildConstraint, resolveConstraints } from '../src/web/constraints.js';
+
+describe('constraints', () => {
+  const teamMembers = [
+    { id: 'm1', name: 'Carol Davis' },
+    { id: 'm2', name: 'David Wilson' }
+  ];
+  const roadmapItems = [
+    { id: 'r1', name: 'Mobile App Performance Optimization' },
+    { id: 'r2', name: 'User Authentication Revamp' }
+  ];
+
+  describe('buildConstraint', () => {
+    it('should build a pin constraint with display names', () => {
+      const { constraint, error } = buildConstraint(
+        { type: 'pin', memberId: 'm1', itemId: 'r1', fraction: 0.5 }, teamMembers, roadmapItems, []);
+
+      expect(error).toBeUndefined();
+      expect(constraint).toEqual({
+        id: expect.any(String),
+        type: 'pin',
+        memberId: 'm1',
+        memberName: 'Carol Davis',
+        itemId: 'r1',
+        itemName: 'Mobile App Performance Optimization',
+        fraction: 0.5,
+        dateAdded: expect.any(String)
+      });
+    });
+
+    it('should build a forbid constraint without a fraction', () => {
+      const { constraint } = buildConstraint(
+        { type: 'forbid', memberId: 'm2', itemId: 'r2' }, teamMembers, roadmapItems, []);
+
+      expect(constraint.type).toBe('forbid');
+      expect(constraint).not.toHaveProperty('fraction');
+    });
+
+    it('should reject unknown types, members and items', () => {
+      expect(buildConstraint({ type: 'maybe', memberId: 'm1', itemId: 'r1' }, teamMembers, roadmapItems, []).status).toBe(400);
+      expect(buildConstraint({ type: 'forbid', memberId: 'x', itemId: 'r1' }, teamMembers, roadmapItems, []).error).toBe('Team member not found');
+      expect(buildConstraint({ type: 'forbid', memberId: 'm1', itemId: 'x' }, teamMembers, roadmapItems, []).error).toBe('Roadmap item not found');
+    });
+
+    it('should require a fraction between 0 and 1 for pins', () => {
+      for (const fraction of [undefined, 0, 1.5, '0.5']) {
+        const result = buildConstraint({ type: 'pin', memberId: 'm1', itemId: 'r1', fraction }, teamMembers, roadmapItems, []);
+        expect(result.status).toBe(400);
+      }
+    });
+
+    it('should reject a second constraint on the same member and item', () => {
+      const existing = [{ id: 'c1', type: 'pin', memberId: 'm1', itemId: 'r1', fraction: 0.5 }];
+      const result = buildConstraint({ type: 'forbid', memberId: 'm1', itemId: 'r1' }, teamMembers, roadmapItems, existing);
+
+      expect(result.status).toBe(409);
+    });
+  });
+
+  describe('resolveConstraints', () => {
+    it('should resolve ids to current names', () => {
+      const stored = [
+        { type: 'pin', memberId: 'm1', memberName: 'Carol', itemId: 'r1', itemName: 'Old name', fraction: 0.4 },
+        { type: 'forbid', memberId: 'm2', memberName: 'David Wilson', itemId: 'r2', itemName: 'User Authentication Revamp' }
+      ];
+
+      expect(resolveConstraints(stored, teamMembers, roadmapItems)).toEqual({
+        pinned: [{ member: 'Carol Davis', item: 'Mobile App Performance Optimization', fraction: 0.4 }],
+        forbidden: [{ member: 'David Wilson', item: 'User Authentication Revamp' }]
+      });
+    });
+
+    it('should fall back to stored names for deleted records', () => {
+      const stored = [{ type: 'forbid', memberId: 'gone', memberName: 'Eve', itemId: 'r1', itemName: 'X' }];
+
+      expect(resolveConstraints(stored, teamMembers, roadmapItems).forbidden).toEqual([
+        { member: 'Eve', item: 'Mobile App Performance Optimization' }
+      ]);
+    });
+  });
+});
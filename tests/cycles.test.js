@@ -0,0 +1,50 @@
+import { DEFAULT_CYCLE_ID, listCycles, cycleCollection, createCycle, updateCycle } from '../src/web/cycles.js';
+
+const q3 = { id: 'q3-2026', name: 'Q3 2026', startDate: '2026-07-01', endDate: '2026-09-30', clonedFrom: null };
+
+describe('planning cycles', () => {
+  it('should always list the default cycle first', () => {
+    expect(listCycles([]).map(cycle => cycle.id)).toEqual([DEFAULT_CYCLE_ID]);
+    expect(listCycles([q3]).map(cycle => cycle.id)).toEqual([DEFAULT_CYCLE_ID, 'q3-2026']);
+    expect(listCycles([{ ...listCycles([])[0], name: 'Q2 2026' }, q3])[0].name).toBe('Q2 2026');
+  });
+
+  it('should keep the default cycle in the top-level collections', () => {
+    expect(cycleCollection('team-members', DEFAULT_CYCLE_ID)).toBe('team-members');
+    expect(cycleCollection('team-members', 'q3-2026')).toBe('cycles/q3-2026/team-members');
+    expect(cycleCollection('skills', 'q3-2026')).toBe('skills');
+  });
+
+  it('should derive unique ids from cycle names', () => {
+    const cycles = listCycles([q3]);
+
+    expect(createCycle({ name: ' Q4 2026 ', cloneFrom: 'q3-2026' }, cycles).cycle).toMatchObject({
+      id: 'q4-2026',
+      name: 'Q4 2026',
+      startDate: null,
+      endDate: null,
+      clonedFrom: 'q3-2026'
+    });
+    expect(createCycle({ name: 'Q3/2026' }, cycles).cycle.id).toBe('q3-2026-2');
+    expect(createCycle({ name: 'Default' }, cycles).cycle.id).toBe('default-2');
+  });
+
+  it('should reject invalid cycles', () => {
+    const cycles = listCycles([q3]);
+
+    expect(createCycle({}, cycles).error).toBe('Cycle name is required');
+    expect(createCycle({ name: 'q3 2026' }, cycles).error).toBe('A cycle named "q3 2026" already exists');
+    expect(createCycle({ name: 'Q4', cloneFrom: 'q1' }, cycles).error).toBe('Cannot clone unknown cycle "q1"');
+    expect(createCycle({ name: 'Q4', startDate: '1 Oct' }, cycles).error).toBe('startDate must be a date in YYYY-MM-DD format');
+    expect(createCycle({ name: 'Q4', startDate: '2026-10-01', endDate: '2026-09-30' }, cycles).error).toBe('endDate cannot be before startDate');
+  });
+
+  it('should rename cycles and change their dates', () => {
+    const cycles = listCycles([q3]);
+
+    expect(updateCycle(q3, { name: 'Q3 2026' }, cycles).cycle.name).toBe('Q3 2026');
+    expect(updateCycle(q3, { endDate: null }, cycles).cycle).toEqual({ ...q3, endDate: null });
+    expect(updateCycle(q3, { name: 'Current plan' }, cycles).error).toBe('A cycle named "Current plan" already exists');
+    expect(updateCycle(q3, { endDate: '2026-06-30' }, cycles).error).toBe('endDate cannot be before startDate');
+  });
+});
@@ -0,0 +1,64 @@
+import { findDependencyCycle, validateDependencies, orderByDependencies, getPrerequisites } from '../src/dependencies.js';
+import { parseDependsOn, linkDependencies, removeDependency } from '../src/web/item-dependencies.js';
+
+describe('dependencies', () => {
+  const items = [
+    { id: '1', name: 'Launch', dependsOn: ['2'] },
+    { id: '2', name: 'Platform', dependsOn: ['Cloud Migration'] },
+    { id: '3', name: 'Cloud Migration' }
+  ];
+
+  it('should resolve references by id or name', () => {
+    expect(getPrerequisites(items[0], items).map(item => item.name)).toEqual(['Platform']);
+    expect(getPrerequisites(items[1], items).map(item => item.name)).toEqual(['Cloud Migration']);
+  });
+
+  it('should ignore references to items outside the list', () => {
+    expect(getPrerequisites(items[0], [items[0]])).toEqual([]);
+  });
+
+  it('should move prerequisites ahead of their dependents', () => {
+    expect(orderByDependencies(items).map(item => item.name)).toEqual(['Cloud Migration', 'Platform', 'Launch']);
+  });
+
+  it('should accept an acyclic graph', () => {
+    expect(findDependencyCycle(items)).toBeNull();
+    expect(validateDependencies(items)).toBeNull();
+  });
+
+  it('should find cycles', () => {
+    const cyclic = [...items.slice(0, 2), { id: '3', name: 'Cloud Migration', dependsOn: ['1'] }];
+
+    expect(validateDependencies(cyclic)).toBe('Dependency cycle: Launch → Platform → Cloud Migration → Launch');
+    expect(orderByDependencies(cyclic)).toHaveLength(3);
+  });
+
+  it('should reject unknown and self references', () => {
+    expect(validateDependencies([{ id: '1', name: 'Launch', dependsOn: ['9'] }])).toBe('Launch depends on an unknown item "9"');
+    expect(validateDependencies([{ id: '1', name: 'Launch', dependsOn: ['1'] }])).toBe('Launch cannot depend on itself');
+  });
+});
+
+describe('item dependencies', () => {
+  it('should validate dependsOn lists', () => {
+    expect(parseDependsOn({})).toEqual({ dependsOn: [] });
+    expect(parseDependsOn({ dependsOn: ['1', '1', '2'] })).toEqual({ dependsOn: ['1', '2'] });
+    expect(parseDependsOn({ dependsOn: [''] }).error).toBe('dependsOn must be a list of roadmap item ids');
+  });
+
+  it('should link imported names to ids', () => {
+    const linked = linkDependencies([
+      { id: 'a', name: 'Launch', dependsOn: ['cloud migration', 'Unknown'] },
+      { id: 'b', name: 'Cloud Migration', dependsOn: [] }
+    ]);
+
+    expect(linked[0].dependsOn).toEqual(['b', 'Unknown']);
+  });
+
+  it('should drop deleted prerequisites', () => {
+    const items = removeDependency([{ id: 'a', name: 'Launch', dependsOn: ['b', 'c'] }, { id: 'c', name: 'Other' }], 'b');
+
+    expect(items[0].dependsOn).toEqual(['c']);
+    expect(items[1]).toEqual({ id: 'c', name: 'Other' });
+  });
+});
@@ -0,0 +1,69 @@
+import { listDisciplines, saveDiscipline, parseEffortBreakdown, parseEffortEstimate } from '../src/web/discipline-config.js';
+import { DEFAULT_DISCIPLINES } from '../src/disciplines.js';
+
+describe('discipline config', () => {
+  let disciplines;
+
+  beforeEach(() => {
+    disciplines = listDisciplines([]);
+  });
+
+  it('should start from the built-in disciplines', () => {
+    expect(disciplines).toEqual(DEFAULT_DISCIPLINES);
+    expect(disciplines.map(d => d.id)).toEqual(['ios', 'android', 'web', 'backend', 'qa', 'design', 'data', 'sre']);
+    disciplines[0].columns.push('changed');
+    expect(DEFAULT_DISCIPLINES[0].columns).not.toContain('changed');
+  });
+
+  it('should add a discipline with default role and sheet columns', () => {
+    const { discipline, created } = saveDiscipline({ id: 'security', name: 'Security', category: 'Security' }, disciplines);
+
+    expect(created).toBe(true);
+    expect(discipline).toEqual({
+      id: 'security',
+      name: 'Security',
+      icon: '',
+      role: 'Security Engineer',
+      category: 'Security',
+      columns: ['loe security (weeks)', 'loe security']
+    });
+  });
+
+  it('should update a discipline with the same id', () => {
+    const { discipline, created } = saveDiscipline({ id: 'qa', name: 'Quality', columns: ['LoE Quality (weeks)'] }, disciplines);
+
+    expect(created).toBe(false);
+    expect(discipline.columns).toEqual(['loe quality (weeks)']);
+    expect(disciplines.filter(d => d.id === 'qa')).toHaveLength(1);
+  });
+
+  it('should reject invalid disciplines', () => {
+    expect(saveDiscipline({ id: 'Data ML', name: 'Data' }, disciplines).error).toMatch('id must be a lowercase name');
+    expect(saveDiscipline({ id: 'total', name: 'Total' }, disciplines).error).toMatch('id must be a lowercase name');
+    expect(saveDiscipline({ id: 'qa' }, disciplines).error).toBe('Discipline name is required');
+    expect(saveDiscipline({ id: 'qa', name: 'QA', columns: 'loe qa' }, disciplines).error).toBe('columns must be a list of sheet column names');
+  });
+
+  it('should parse an effort breakdown and work out its total', () => {
+    expect(parseEffortBreakdown({ effortBreakdown: { web: 3, qa: 1.5, total: 99 } }, disciplines))
+      .toEqual({ effortBreakdown: { web: 3, qa: 1.5, total: 4.5 } });
+    expect(parseEffortBreakdown({}, disciplines)).toEqual({ effortBreakdown: null });
+    expect(parseEffortBreakdown({ effortBreakdown: { web: 0 } }, disciplines)).toEqual({ effortBreakdown: null });
+  });
+
+  it('should reject effort for unknown disciplines or invalid weeks', () => {
+    expect(parseEffortBreakdown({ effortBreakdown: { desktop: 2 } }, disciplines).error).toMatch('Unknown discipline "desktop"');
+    expect(parseEffortBreakdown({ effortBreakdown: { web: -1 } }, disciplines).error).toBe('effortBreakdown.web must be a non-negative number of weeks');
+    expect(parseEffortBreakdown({ effortBreakdown: [3] }, disciplines).error).toBe('effortBreakdown must be an object of weeks per discipline');
+  });
+
+  it('should parse low / likely / high effort estimates', () => {
+    expect(parseEffortEstimate({ effortEstimate: { low: 2, likely: 4, high: 9 } }))
+      .toEqual({ effortEstimate: { low: 2, likely: 4, high: 9 } });
+    expect(parseEffortEstimate({})).toEqual({ effortEstimate: null });
+    expect(parseEffortEstimate({ effortEstimate: { low: 2, likely: null, high: 9 } }).error)
+      .toBe('effortEstimate.likely must be a positive number of weeks');
+    expect(parseEffortEstimate({ effortEstimate: { low: 5, likely: 4, high: 9 } }).error)
+      .toBe('effortEstimate must have low <= likely <= high');
+  });
+});
@@ -0,0 +1,77 @@
+import { EffortSimulator, sampleTriangular, MAX_ITERATIONS } from '../src/effort-simulator.js';
+import { TeamMember, RoadmapItem } from '../src/models.js';
+
+describe('EffortSimulator', () => {
+  let teamMembers;
+  let search;
+  let payments;
+
+  beforeEach(() => {
+    teamMembers = [new TeamMember('Ann', 'Senior', ['React'], 1.0)];
+
+    // Search has a point estimate, Payments a range of 2 to 12 weeks
+    search = new RoadmapItem('Search', 'Search work', 3, 1);
+    search.effortBreakdown = { ios: 0, android: 0, web: 6.5, backend: 0, total: 6.5 };
+    payments = new RoadmapItem('Payments', 'Payments work', 3, 1);
+    payments.effortBreakdown = { ios: 0, android: 0, web: 4, backend: 0, total: 4 };
+    payments.effortEstimate = { low: 2, likely: 4, high: 12 };
+  });
+
+  describe('constructor', () => {
+    it('should reject iteration counts outside 1 to 500', () => {
+      expect(() => new EffortSimulator([], [], { iterations: 0 })).toThrow('between 1 and 500');
+      expect(() => new EffortSimulator([], [], { iterations: MAX_ITERATIONS + 1 })).toThrow('between 1 and 500');
+    });
+  });
+
+  describe('sampleTriangular', () => {
+    it('should sample estimates within their range', () => {
+      let value = 0;
+      const random = () => (value = (value + 0.37) % 1);
+      const estimate = { low: 2, likely: 3, high: 10 };
+
+      for (let i = 0; i < 50; i++) {
+        const weeks = sampleTriangular(estimate, random);
+        expect(weeks).toBeGreaterThanOrEqual(2);
+        expect(weeks).toBeLessThanOrEqual(10);
+      }
+      expect(sampleTriangular({ low: 4, likely: 4, high: 4 }, random)).toBe(4);
+    });
+  });
+
+  describe('simulate', () => {
+    it('should give items without an estimate the same outcome every iteration', () => {
+      const simulation = new EffortSimulator(teamMembers, [search], { iterations: 20, seed: 1 }).simulate();
+
+      expect(simulation.estimatedItemsCount).toBe(0);
+      expect(simulation.items).toEqual([{
+        item: 'Search',
+        itemId: null,
+        estimate: null,
+        probabilityFullyStaffed: 1,
+        probabilityStaffed: 1,
+        effortWeeks: null
+      }]);
+      expect(simulation.utilizationRate.p5).toBe(simulation.utilizationRate.p95);
+    });
+
+    it('should report staffing odds and effort intervals for estimated items', () => {
+      const simulation = new EffortSimulator(teamMembers, [search, payments], { iterations: 100, seed: 42 }).simulate();
+      const result = simulation.items.find(item => item.item === 'Payments');
+
+      expect(simulation.items[0].item).toBe('Payments'); // Least likely to be staffed first
+      expect(result.probabilityFullyStaffed).toBeGreaterThan(0);
+      expect(result.probabilityFullyStaffed).toBeLessThan(1);
+      expect(result.effortWeeks.p5).toBeGreaterThanOrEqual(2);
+      expect(result.effortWeeks.p95).toBeLessThanOrEqual(12);
+      expect(simulation.utilizationRate.p5).toBeLessThanOrEqual(simulation.utilizationRate.p95);
+    });
+
+    it('should repeat a simulation with the same seed', () => {
+      const run = seed => new EffortSimulator(teamMembers, [payments], { iterations: 30, seed }).simulate();
+
+      expect(run(7)).toEqual(run(7));
+      expect(run(7).seed).toBe(7);
+    });
+  });
+});
@@ -1,4 +1,5 @@
 import { GoogleSheetsService } from '../src/web/google-sheets-service.js';
+import { CareerLadder } from '../src/career-ladder.js';
 
 describe('GoogleSheetsService', () => {
   let service;
@@ -125,6 +126,59 @@ describe('GoogleSheetsService', () => {
     });
   });
 
+  describe('career ladder levels', () => {
+    beforeEach(() => {
+      service.careerLadder = new CareerLadder([
+        { name: 'L4', weight: 1.0 },
+        { name: 'L5', weight: 1.3 },
+        { name: 'M1', weight: 1.3, track: 'manager', capacityOverhead: 0.5 }
+      ]);
+    });
+
+    it('should match titles to ladder levels', () => {
+      const member = service.parseTeamMemberRow(['first name', 'title'], ['Ivy', 'Senior Engineer L5']);
+
+      expect(member.level).toBe('L5');
+      expect(member.capacity).toBe(1.0);
+    });
+
+    it('should default managers to the capacity their level leaves', () => {
+      const manager = service.parseTeamMemberRow(['first name', 'level'], ['Max', 'm1']);
+      const withCapacity = service.parseTeamMemberRow(['first name', 'level', 'capacity'], ['Sam', 'M1', '0.8']);
+      const unlevelled = service.parseTeamMemberRow(['first name'], ['Lee']);
+
+      expect(manager).toMatchObject({ level: 'M1', capacity: 0.5 });
+      expect(withCapacity.capacity).toBe(0.8);
+      expect(unlevelled.level).toBe('L4');
+    });
+  });
+
+  describe('parseRoadmapItemRow', () => {
+    it('should read an LoE column per discipline', () => {
+      const headers = ['item', 'team', 'loe ios', 'loe backend (weeks)', 'loe qa (weeks)', 'loe design'];
+      const row = ['Checkout', 'Payments', '4', '6', '2', ''];
+
+      const item = service.parseRoadmapItemRow(headers, row);
+
+      expect(item.effortBreakdown).toEqual({
+        ios: 4, android: 0, web: 0, backend: 6, qa: 2, design: 0, data: 0, sre: 0, total: 12
+      });
+      expect(item.requiredSkills).toEqual(['iOS', 'Backend', 'QA']);
+      expect(item.platformCount).toBe(3);
+    });
+
+    it('should only read the configured disciplines', () => {
+      service.disciplines = [
+        { id: 'ml', name: 'ML', category: 'Data/ML', columns: ['loe ml (weeks)'] }
+      ];
+
+      const item = service.parseRoadmapItemRow(['item', 'loe ml (weeks)', 'loe ios'], ['Ranking', '5', '3']);
+
+      expect(item.effortBreakdown).toEqual({ ml: 5, total: 5 });
+      expect(item.requiredSkills).toEqual(['Data/ML']);
+    });
+  });
+
   describe('initialization', () => {
     it('should initialize with API key', () => {
       const apiKey = 'test-api-key';
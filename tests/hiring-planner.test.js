@@ -0,0 +1,65 @@
+import { HiringPlanner, MAX_PLANNED_HIRES } from '../src/hiring-planner.js';
+import { TeamMember, RoadmapItem } from '../src/models.js';
+
+describe('HiringPlanner', () => {
+  let teamMembers;
+  let search;
+  let payments;
+  let widgets;
+
+  beforeEach(() => {
+    teamMembers = [new TeamMember('Ann', 'Senior', ['React'], 1.0)];
+
+    search = new RoadmapItem('Search', 'Search work', 3, 1, [], '', 'Junior');
+    search.effortBreakdown = { ios: 0, android: 0, web: 6.5, backend: 0, total: 6.5 };
+    payments = new RoadmapItem('Payments', 'Payments work', 3, 1, [], '', 'Senior');
+    payments.effortBreakdown = { ios: 0, android: 0, web: 0, backend: 6.5, total: 6.5 };
+    widgets = new RoadmapItem('Widgets', 'Widgets work', 3, 1, [], '', 'Junior');
+    widgets.effortBreakdown = { ios: 6.5, android: 0, web: 0, backend: 0, total: 6.5 };
+  });
+
+  describe('constructor', () => {
+    it('should reject hiring limits outside 1 to 20', () => {
+      expect(() => new HiringPlanner([], [], { maxHires: 0 })).toThrow('between 1 and 20');
+      expect(() => new HiringPlanner([], [], { maxHires: MAX_PLANNED_HIRES + 1 })).toThrow('between 1 and 20');
+    });
+  });
+
+  describe('plan', () => {
+    it('should recommend no hires when every item is staffed', () => {
+      const plan = new HiringPlanner(teamMembers, [search]).plan();
+
+      expect(plan.hires).toEqual([]);
+      expect(plan.complete).toBe(true);
+      expect(plan.baseline.staffedCount).toBe(1);
+    });
+
+    it('should hire for the platform an item is short of', () => {
+      const plan = new HiringPlanner(teamMembers, [search, payments]).plan();
+
+      expect(plan.baseline.shortItems).toEqual([{ item: 'Payments', status: 'not-staffed' }]);
+      expect(plan.hires).toHaveLength(1);
+      expect(plan.hires[0]).toMatchObject({
+        name: 'New Backend Developer 1',
+        role: 'Backend Developer',
+        platform: 'backend',
+        level: 'Senior',
+        skills: [{ name: 'Backend', proficiency: 3 }]
+      });
+      expect(plan.hires[0].marginalValue.itemsStaffed).toEqual(['Payments']);
+      expect(plan.byRole).toEqual([{ role: 'Backend Developer', level: 'Senior', count: 1 }]);
+      expect(plan.complete).toBe(true);
+      expect(plan.report.allocations.some(a => a.member === 'New Backend Developer 1' && a.item === 'Payments')).toBe(true);
+    });
+
+    it('should stop at the hiring limit and list the items still short', () => {
+      payments.minLevel = 'Junior';
+      const plan = new HiringPlanner(teamMembers, [payments, widgets], { maxHires: 1 }).plan();
+
+      expect(plan.hires).toHaveLength(1);
+      expect(plan.complete).toBe(false);
+      expect(plan.result.staffedCount).toBe(1);
+      expect(plan.result.shortItems).toHaveLength(1);
+    });
+  });
+});
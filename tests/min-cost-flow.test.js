@@ -0,0 +1,48 @@
+import { MinCostFlow } from '../src/min-cost-flow.js';
+
+describe('MinCostFlow', () => {
+  it('should route flow along the cheapest paths', () => {
+    // 0 = source, 1 = sink, 2/3 = workers, 4/5 = jobs
+    const network = new MinCostFlow(6);
+    network.addEdge(0, 2, 1, 0);
+    network.addEdge(0, 3, 1, 0);
+    const a4 = network.addEdge(2, 4, 1, -10);
+    const a5 = network.addEdge(2, 5, 1, -8);
+    const b4 = network.addEdge(3, 4, 1, -9);
+    const b5 = network.addEdge(3, 5, 1, -1);
+    network.addEdge(4, 1, 1, 0);
+    network.addEdge(5, 1, 1, 0);
+
+    const result = network.solve(0, 1);
+
+    // Greedy would take a->4 (-10) and be left with b->5 (-1); optimum is -17
+    expect(result.flow).toBe(2);
+    expect(result.cost).toBe(-17);
+    expect(network.getFlow(a4)).toBe(0);
+    expect(network.getFlow(a5)).toBe(1);
+    expect(network.getFlow(b4)).toBe(1);
+    expect(network.getFlow(b5)).toBe(0);
+  });
+
+  it('should not push flow that would increase the total cost', () => {
+    const network = new MinCostFlow(3);
+    network.addEdge(0, 2, 5, 0);
+    const edge = network.addEdge(2, 1, 5, 3);
+
+    const result = network.solve(0, 1);
+
+    expect(result.flow).toBe(0);
+    expect(network.getFlow(edge)).toBe(0);
+  });
+
+  it('should push maximum flow when asked to', () => {
+    const network = new MinCostFlow(3);
+    network.addEdge(0, 2, 5, 0);
+    network.addEdge(2, 1, 3, 2);
+
+    const result = network.solve(0, 1, { stopAtNonNegative: false });
+
+    expect(result.flow).toBe(3);
+    expect(result.cost).toBe(6);
+  });
+});
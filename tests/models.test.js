@@ -1,4 +1,5 @@
-import { TeamMember, RoadmapItem, Allocation } from '../src/models.js';
+import { TeamMember, RoadmapItem, Allocation, DEFAULT_WEIGHTS, normalizeWeights } from '../src/models.js';
+import { CareerLadder } from '../src/career-ladder.js';
 
 describe('TeamMember', () => {
   let member;
@@ -10,7 +11,10 @@ describe('TeamMember', () => {
   it('should create a team member with correct properties', () => {
     expect(member.name).toBe('John Doe');
     expect(member.level).toBe('Senior');
-    expect(member.skills).toEqual(['JavaScript', 'React']);
+    expect(member.skills).toEqual([
+      { name: 'JavaScript', proficiency: 3 },
+      { name: 'React', proficiency: 3 }
+    ]);
     expect(member.capacity).toBe(0.8);
     expect(member.interests).toEqual(['Frontend']);
     expect(member.careerGoals).toEqual(['Leadership']);
@@ -34,7 +38,40 @@ describe('TeamMember', () => {
     expect(member.hasSkill('JavaScript')).toBe(true);
     expect(member.hasSkill('React')).toBe(true);
     expect(member.hasSkill('Python')).toBe(false);
-    expect(member.hasSkill('java')).toBe(true); // Case insensitive partial match
+    expect(member.hasSkill('javascript')).toBe(true); // Case insensitive
+    expect(member.hasSkill('java')).toBe(false); // Whole skill names only
+  });
+
+  it('should parse proficiency levels from skill strings and objects', () => {
+    const expert = new TeamMember('Eve', 'Senior', ['Swift:5', { name: 'Kotlin', proficiency: 2 }, 'Go'], 1.0);
+
+    expect(expert.skills).toEqual([
+      { name: 'Swift', proficiency: 5 },
+      { name: 'Kotlin', proficiency: 2 },
+      { name: 'Go', proficiency: 3 }
+    ]);
+    expect(expert.getProficiency('swift')).toBe(5);
+    expect(expert.getProficiency('Rust')).toBe(0);
+    expect(expert.hasSkill('Kotlin', 3)).toBe(false);
+    expect(expert.hasSkill({ name: 'Swift', minProficiency: 4 })).toBe(true);
+  });
+
+  it('should clamp proficiency levels to 1-5', () => {
+    const eve = new TeamMember('Eve', 'Senior', ['Swift:9', { name: 'Kotlin', proficiency: 0 }], 1.0);
+
+    expect(eve.skills).toEqual([
+      { name: 'Swift', proficiency: 5 },
+      { name: 'Kotlin', proficiency: 1 }
+    ]);
+  });
+
+  it('should match skill aliases and categories', () => {
+    const eve = new TeamMember('Eve', 'Mid', ['ReactJS:4', 'iOS Development'], 1.0);
+
+    expect(eve.getProficiency('react.js')).toBe(4);
+    expect(eve.getProficiency('Frontend')).toBe(4); // React is a frontend skill
+    expect(eve.hasPlatformSkill('ios')).toBe(true);
+    expect(new TeamMember('Eve', 'Mid', ['Biostatistics'], 1.0).hasPlatformSkill('ios')).toBe(false);
   });
 
   it('should check interests correctly', () => {
@@ -58,6 +95,59 @@ describe('TeamMember', () => {
     const unknownMember = new TeamMember('Unknown Dev', 'Unknown Level');
     expect(unknownMember.getLevelWeight()).toBe(1.0); // Default
   });
+
+  it('should weigh levels on a configured career ladder', () => {
+    const ladder = new CareerLadder([{ name: 'L5', weight: 1.3 }, { name: 'L6', weight: 1.6 }]);
+
+    expect(new TeamMember('Lee', 'L6').getLevelWeight(ladder)).toBe(1.6);
+    expect(member.getLevelWeight(ladder)).toBe(1.0); // Senior is not on this ladder
+  });
+});
+
+describe('availability', () => {
+  const monday = new Date('2025-01-06T00:00:00Z');
+  let member;
+
+  beforeEach(() => {
+    member = new TeamMember('John Doe', 'Senior', ['JavaScript'], 0.8);
+  });
+
+  it('should use the flat capacity without windows', () => {
+    expect(member.getWeeklyCapacity(monday)).toBe(0.8);
+    expect(member.calculateEffectiveCapacity(monday)).toBeCloseTo(0.8);
+  });
+
+  it('should scale each workday by the window covering it', () => {
+    member.availability = [
+      { type: 'pto', startDate: '2025-01-09', endDate: '2025-01-12', capacity: 0 },
+      { type: 'on-call', startDate: '2025-01-06', endDate: '2025-01-10', capacity: 0.5 }
+    ];
+
+    // Mon-Wed on call (0.5), Thu-Fri on PTO (0)
+    expect(member.getWeeklyCapacity(monday)).toBeCloseTo(0.8 * 1.5 / 5);
+  });
+
+  it('should ramp onboarding up to full capacity', () => {
+    member.availability = [{ type: 'onboarding', startDate: '2025-01-06', endDate: '2025-01-19', capacity: 0 }];
+
+    // Days 0-4 of a 14-day ramp
+    expect(member.getWeeklyCapacity(monday)).toBeCloseTo(0.8 * (0 + 1 + 2 + 3 + 4) / 14 / 5);
+    expect(member.getWeeklyCapacity(new Date('2025-01-20T00:00:00Z'))).toBe(0.8);
+  });
+
+  it('should average weekly capacity over the quarter', () => {
+    member.availability = [{ type: 'leave', startDate: '2025-01-06', endDate: '2025-02-14' }];
+
+    expect(member.calculateEffectiveCapacity(monday)).toBeCloseTo(0.8 * 7 / 13);
+  });
+
+  it('should copy availability in fromJSON', () => {
+    const data = { name: 'Jane', availability: [{ type: 'pto', startDate: '2025-01-06', endDate: '2025-01-10' }] };
+    const copy = TeamMember.fromJSON(data);
+
+    expect(copy.availability).toEqual(data.availability);
+    expect(copy.availability[0]).not.toBe(data.availability[0]);
+  });
 });
 
 describe('RoadmapItem', () => {
@@ -81,7 +171,10 @@ describe('RoadmapItem', () => {
     expect(item.description).toBe('Redesign the main UI');
     expect(item.size).toBe(4);
     expect(item.complexity).toBe(3);
-    expect(item.requiredSkills).toEqual(['React', 'CSS']);
+    expect(item.requiredSkills).toEqual([
+      { name: 'React', minProficiency: 1 },
+      { name: 'CSS', minProficiency: 1 }
+    ]);
     expect(item.domain).toBe('Frontend');
     expect(item.minLevel).toBe('Mid');
     expect(item.careerOpportunities).toEqual(['UI/UX', 'Leadership']);
@@ -117,6 +210,98 @@ describe('RoadmapItem', () => {
   });
 });
 
+describe('platform buckets', () => {
+  it('should match members to platforms through the skills taxonomy', () => {
+    const member = new TeamMember('Ivy', 'Mid', ['SwiftUI', 'GraphQL']);
+
+    expect(member.hasPlatformSkill('ios')).toBe(true);
+    expect(member.hasPlatformSkill('backend')).toBe(true);
+    expect(member.hasPlatformSkill('android')).toBe(false);
+    expect(member.hasPlatformSkill('unknown')).toBe(false);
+  });
+
+  it('should not bucket items without platform effort', () => {
+    const item = new RoadmapItem('Pool', 'No LoE', 3, 3);
+    expect(item.getCapacityBuckets()).toBeNull();
+
+    item.effortBreakdown = { ios: 0, android: 0, web: 0, backend: 0, total: 0 };
+    expect(item.getCapacityBuckets()).toBeNull();
+  });
+
+  it('should split buckets by effort share and track platform allocation', () => {
+    const item = new RoadmapItem('Split', 'LoE', 3, 1);
+    item.effortBreakdown = { ios: 0, android: 3.9, web: 0, backend: 9.1, total: 13 };
+    item.assignedMembers = [{ member: 'A', allocation: 0.3, platforms: { backend: 0.3 } }];
+
+    const buckets = item.getCapacityBuckets();
+    expect(buckets.android).toBeCloseTo(0.3);
+    expect(buckets.backend).toBeCloseTo(0.7);
+    expect(item.getPlatformAllocation('backend')).toBe(0.3);
+    expect(item.getPlatformAllocation('android')).toBe(0);
+  });
+});
+
+describe('fromJSON', () => {
+  it('should hydrate a team member with its persisted fields', () => {
+    const member = TeamMember.fromJSON({
+      id: 'm1',
+      name: 'Alice',
+      level: 'Senior',
+      skills: ['Swift'],
+      capacity: 0.5,
+      interests: ['Mobile'],
+      careerGoals: ['Leadership'],
+      teamName: 'Mobile',
+      location: 'Berlin',
+      importedFrom: 'google-sheets'
+    });
+
+    expect(member).toBeInstanceOf(TeamMember);
+    expect(member).toMatchObject({
+      id: 'm1', name: 'Alice', level: 'Senior', capacity: 0.5,
+      teamName: 'Mobile', location: 'Berlin', importedFrom: 'google-sheets', allocatedCapacity: 0
+    });
+  });
+
+  it('should default missing team member fields', () => {
+    const member = TeamMember.fromJSON({ name: 'Bob' });
+
+    expect(member).toMatchObject({ level: 'Mid', skills: [], capacity: 1.0, interests: [], careerGoals: [], teamName: '' });
+    expect(member.id).toBeUndefined();
+  });
+
+  it('should hydrate a roadmap item including its effort breakdown', () => {
+    const data = {
+      id: 'r1',
+      name: 'Mobile App',
+      description: 'Ship it',
+      size: 4,
+      complexity: 3,
+      requiredSkills: ['Swift'],
+      domain: 'Mobile',
+      minLevel: 'Mid',
+      careerOpportunities: [],
+      assignedTeam: 'Mobile',
+      effortBreakdown: { ios: 13, android: 13, web: 0, backend: 0, total: 26 },
+      platformCount: 2
+    };
+    const item = RoadmapItem.fromJSON(data);
+
+    expect(item).toBeInstanceOf(RoadmapItem);
+    expect(item).toMatchObject({ id: 'r1', assignedTeam: 'Mobile', platformCount: 2, assignedMembers: [] });
+    expect(item.effortBreakdown).toEqual(data.effortBreakdown);
+    expect(item.effortBreakdown).not.toBe(data.effortBreakdown);
+    expect(item.getRequiredCapacity()).toBeCloseTo(2 * 1.2);
+  });
+
+  it('should default missing roadmap item fields', () => {
+    const item = RoadmapItem.fromJSON({ name: 'Tiny' });
+
+    expect(item).toMatchObject({ description: '', size: 1, complexity: 1, minLevel: 'Junior', assignedTeam: null });
+    expect(item.effortBreakdown).toBeUndefined();
+  });
+});
+
 describe('Allocation', () => {
   let member;
   let item;
@@ -189,4 +374,103 @@ describe('Allocation', () => {
 
     expect(highAllocation.score).toBeGreaterThan(lowAllocation.score);
   });
-});
\ No newline at end of file
+
+  it('should itemize the score in a breakdown that sums to the total', () => {
+    const breakdown = allocation.calculateBreakdown();
+
+    expect(breakdown.skills).toEqual({
+      matched: ['React'],
+      belowMinimum: [],
+      missing: [],
+      details: [{ skill: 'React', minProficiency: 1, proficiency: 3, credit: 0.6 }],
+      points: 21
+    });
+    expect(breakdown.interest).toEqual({ domain: 'Frontend', matched: true, points: 25 });
+    expect(breakdown.careerGoal).toEqual({ matched: ['Leadership'], points: 20 });
+    expect(breakdown.level).toMatchObject({ memberLevel: 'Senior', minLevel: 'Mid', meetsMinimum: true, points: 10 });
+    expect(breakdown.total).toBe(allocation.score);
+  });
+
+  it('should show the under-level penalty and missing skills in the breakdown', () => {
+    const juniorMember = new TeamMember('Junior Dev', 'Junior', ['CSS'], 1.0);
+    const breakdown = new Allocation(juniorMember, item, 0.4).calculateBreakdown();
+
+    expect(breakdown.skills.missing).toEqual(['React']);
+    expect(breakdown.level.meetsMinimum).toBe(false);
+    expect(breakdown.level.points).toBe(-20);
+  });
+
+  it('should check minimum levels on the configured career ladder', () => {
+    const ladder = new CareerLadder([
+      { name: 'L4', weight: 1.0 },
+      { name: 'L5', weight: 1.3 },
+      { name: 'M1', weight: 1.3, track: 'manager', capacityOverhead: 0.5 }
+    ]);
+    const complexItem = new RoadmapItem('Payments', 'Rebuild', 3, 5, ['React'], 'Frontend', 'L5');
+
+    const manager = new Allocation(new TeamMember('Max', 'M1', ['React']), complexItem, 0.4, DEFAULT_WEIGHTS, undefined, ladder);
+    const midLevel = new Allocation(new TeamMember('Ivy', 'L4', ['React']), complexItem, 0.4, DEFAULT_WEIGHTS, undefined, ladder);
+
+    expect(manager.calculateBreakdown().level).toMatchObject({ meetsMinimum: true, seniorOnComplexPoints: DEFAULT_WEIGHTS.seniorOnComplex });
+    expect(midLevel.calculateBreakdown().level).toMatchObject({ meetsMinimum: false, points: -DEFAULT_WEIGHTS.underLevelPenalty });
+  });
+
+  it('should break the platform bonus down per platform', () => {
+    item.effortBreakdown = { ios: 6, android: 0, web: 4, backend: 0, total: 10 };
+    const breakdown = new Allocation(member, item, 0.4).calculateBreakdown();
+
+    expect(breakdown.platforms.perPlatform).toEqual([
+      { platform: 'ios', effortShare: 0.6, matched: false, points: 0 },
+      { platform: 'web', effortShare: 0.4, matched: true, points: 12 }
+    ]);
+    expect(breakdown.platforms.points).toBe(12);
+    expect(breakdown.total).toBe(new Allocation(member, item, 0.4).score);
+  });
+});
+
+describe('scoring weights', () => {
+  let member;
+  let item;
+
+  beforeEach(() => {
+    member = new TeamMember('Alice', 'Senior', ['React', 'JavaScript'], 1.0, ['Frontend'], ['Leadership']);
+    item = new RoadmapItem('React Project', 'Build React app', 3, 3, ['React'], 'Frontend', 'Mid', ['Leadership']);
+  });
+
+  it('should merge partial weights over the defaults', () => {
+    const weights = normalizeWeights({ interest: 40 });
+
+    expect(weights.interest).toBe(40);
+    expect(weights.skillMatch).toBe(DEFAULT_WEIGHTS.skillMatch);
+  });
+
+  it('should reject unknown or invalid weights', () => {
+    expect(() => normalizeWeights({ luck: 1 })).toThrow('Unknown scoring weight "luck"');
+    expect(() => normalizeWeights({ interest: -1 })).toThrow('must be a non-negative number');
+    expect(() => normalizeWeights({ interest: '10' })).toThrow('must be a non-negative number');
+  });
+
+  it('should score with the default weights when none are given', () => {
+    const defaultScore = new Allocation(member, item, 0.4).score;
+    const explicitScore = new Allocation(member, item, 0.4, normalizeWeights()).score;
+
+    expect(explicitScore).toBe(defaultScore);
+  });
+
+  it('should apply custom weights to each factor', () => {
+    const baseline = new Allocation(member, item, 0.4).score;
+    const noInterest = new Allocation(member, item, 0.4, normalizeWeights({ interest: 0 })).score;
+    const doubleSkills = new Allocation(member, item, 0.4, normalizeWeights({ skillMatch: 70 })).score;
+
+    expect(baseline - noInterest).toBe(DEFAULT_WEIGHTS.interest);
+    expect(doubleSkills - baseline).toBe(21); // React matched at proficiency 3 of 5
+  });
+
+  it('should apply custom weights to the platform bonus', () => {
+    item.effortBreakdown = { ios: 0, android: 0, web: 10, backend: 0, total: 10 };
+    const baseline = new Allocation(member, item, 0.4).score;
+    const noPlatform = new Allocation(member, item, 0.4, normalizeWeights({ platformFit: 0 })).score;
+
+    expect(baseline - noPlatform).toBe(DEFAULT_WEIGHTS.platformFit);
+  });
+});
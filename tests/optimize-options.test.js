@@ -0,0 +1,58 @@
+import { parseOptimizeOptions, parseHiringOptions, parseSimulationOptions, parseSensitivityOptions } from '../src/web/optimize-options.js';
+
+describe('optimize options', () => {
+  describe('parseOptimizeOptions', () => {
+    it('should default to a greedy single-quarter plan', () => {
+      expect(parseOptimizeOptions({}).options).toMatchObject({ solver: 'greedy', teamPolicy: 'ignore', quarters: 1, startDate: undefined });
+    });
+
+    it('should start the plan on the cycle start unless the body gives a date', () => {
+      const cycle = { id: 'q3-2030', startDate: '2030-07-01' };
+
+      expect(parseOptimizeOptions({}, cycle).options.startDate).toBe('2030-07-01');
+      expect(parseOptimizeOptions({ startDate: '2030-08-05' }, cycle).options.startDate).toBe('2030-08-05');
+      expect(parseOptimizeOptions({}, { id: 'default', startDate: null }).options.startDate).toBeUndefined();
+    });
+  });
+
+  describe('parseHiringOptions', () => {
+    it('should take maxHires on top of the optimize options', () => {
+      expect(parseHiringOptions({ solver: 'optimal' }).options).toMatchObject({ solver: 'optimal', maxHires: 10 });
+      expect(parseHiringOptions({ maxHires: 3 }).options.maxHires).toBe(3);
+      expect(parseHiringOptions({ quarters: 1 }).options).not.toHaveProperty('quarters');
+    });
+
+    it('should reject invalid hiring options', () => {
+      expect(parseHiringOptions({ maxHires: 21 }).error).toMatch('maxHires must be');
+      expect(parseHiringOptions({ solver: 'magic' }).error).toMatch('Unknown solver');
+      expect(parseHiringOptions({ quarters: 2 }).error).toBe('The hiring plan covers a single quarter; quarters must be 1');
+      expect(parseHiringOptions({ baselineRunId: 'latest' }).error).toBe('The hiring plan does not keep a baseline run stable; leave out baselineRunId');
+    });
+  });
+
+  describe('parseSimulationOptions', () => {
+    it('should take iterations and seed on top of the optimize options', () => {
+      expect(parseSimulationOptions({ solver: 'optimal' }).options).toMatchObject({ solver: 'optimal', iterations: 200 });
+      expect(parseSimulationOptions({ iterations: 50, seed: 3 }).options).toMatchObject({ iterations: 50, seed: 3 });
+    });
+
+    it('should reject invalid simulation options', () => {
+      expect(parseSimulationOptions({ iterations: 501 }).error).toMatch('iterations must be');
+      expect(parseSimulationOptions({ seed: -1 }).error).toMatch('seed must be');
+      expect(parseSimulationOptions({ quarters: 2 }).error).toBe('The effort simulation covers a single quarter; quarters must be 1');
+    });
+  });
+
+  describe('parseSensitivityOptions', () => {
+    it('should take perturbation on top of the optimize options', () => {
+      expect(parseSensitivityOptions({ solver: 'optimal' }).options).toMatchObject({ solver: 'optimal', perturbation: 0.25 });
+      expect(parseSensitivityOptions({ perturbation: 0.5 }).options.perturbation).toBe(0.5);
+    });
+
+    it('should reject invalid sensitivity options', () => {
+      expect(parseSensitivityOptions({ perturbation: 0 }).error).toMatch('perturbation must be');
+      expect(parseSensitivityOptions({ perturbation: '10%' }).error).toMatch('perturbation must be');
+      expect(parseSensitivityOptions({ quarters: 3 }).error).toBe('The sensitivity analysis covers a single quarter; quarters must be 1');
+    });
+  });
+});
@@ -1,5 +1,5 @@
-import { AllocationOptimizer } from '../src/optimizer.js';
-import { TeamMember, RoadmapItem } from '../src/models.js';
+import { AllocationOptimizer, SOLVERS, TEAM_POLICIES } from '../src/optimizer.js';
+import { TeamMember, RoadmapItem, DEFAULT_WEIGHTS } from '../src/models.js';
 
 describe('AllocationOptimizer', () => {
   let teamMembers;
@@ -30,6 +30,15 @@ describe('AllocationOptimizer', () => {
       expect(optimizer.roadmapItems).toEqual(roadmapItems);
       expect(optimizer.allocations).toEqual([]);
     });
+
+    it('should default to the greedy solver', () => {
+      expect(optimizer.solver).toBe('greedy');
+    });
+
+    it('should reject unknown solvers', () => {
+      expect(() => new AllocationOptimizer(teamMembers, roadmapItems, { solver: 'magic' }))
+        .toThrow('Unknown solver "magic"');
+    });
   });
 
   describe('optimize', () => {
@@ -165,4 +174,471 @@ describe('AllocationOptimizer', () => {
       expect(typeof report.summary.totalAllocatedCapacity).toBe('number');
     });
   });
-});
\ No newline at end of file
+
+  describe('solver modes', () => {
+    const buildScenario = () => ({
+      members: [
+        new TeamMember('Carol', 'Mid', ['Swift:5', 'iOS:5'], 0.5, ['Mobile']),
+        new TeamMember('Bob', 'Mid', ['Python'], 1.0, ['Backend'])
+      ],
+      items: [
+        new RoadmapItem('Platform Rewrite', 'Big backend rewrite', 5, 5, ['Python', 'Swift'], 'Backend', 'Mid'),
+        new RoadmapItem('iOS Widget', 'Small iOS feature', 2, 2, ['Swift', 'iOS'], 'Mobile', 'Mid')
+      ]
+    });
+
+    it('should expose the available solvers', () => {
+      expect(SOLVERS).toEqual(['greedy', 'optimal']);
+    });
+
+    it('should report the solver and objective value in the summary', () => {
+      const report = optimizer.optimize();
+
+      expect(report.summary.solver).toBe('greedy');
+      expect(typeof report.summary.objective).toBe('number');
+    });
+
+    it('should keep the same report shape in optimal mode', () => {
+      const optimalOptimizer = new AllocationOptimizer(teamMembers, roadmapItems, { solver: 'optimal' });
+      const report = optimalOptimizer.optimize();
+
+      expect(report.summary.solver).toBe('optimal');
+      expect(report).toHaveProperty('allocations');
+      expect(report).toHaveProperty('itemsByStatus');
+      expect(report).toHaveProperty('recommendations');
+      report.teamMembers.forEach(member => {
+        expect(member.allocatedCapacity).toBeLessThanOrEqual(member.capacity + 1e-9);
+      });
+      report.allocations.forEach(allocation => {
+        expect(allocation.allocation).toBeGreaterThan(0.1);
+        expect(allocation.allocation).toBeLessThanOrEqual(0.5);
+      });
+    });
+
+    it('should not let a high-priority item soak up the only iOS engineer', () => {
+      const greedyScenario = buildScenario();
+      const greedyReport = new AllocationOptimizer(greedyScenario.members, greedyScenario.items).optimize();
+
+      const optimalScenario = buildScenario();
+      const optimalReport = new AllocationOptimizer(optimalScenario.members, optimalScenario.items, { solver: 'optimal' }).optimize();
+
+      const carolOnWidget = report => report.allocations.some(a => a.member === 'Carol' && a.item === 'iOS Widget');
+      expect(carolOnWidget(greedyReport)).toBe(false);
+      expect(carolOnWidget(optimalReport)).toBe(true);
+      expect(optimalReport.summary.objective).toBeGreaterThan(greedyReport.summary.objective);
+    });
+
+    it('should reassign the capacity of shares too small to keep', () => {
+      // Checkout needs 0.6 FTE: after Ann's 0.5 the flow gives Bob 0.1 of it,
+      // which is too small to assign and has to go to Search instead
+      const members = [
+        new TeamMember('Ann', 'Senior', ['React:5'], 0.5, ['checkout']),
+        new TeamMember('Bob', 'Mid', ['React:3'], 0.5, ['checkout'])
+      ];
+      const checkout = new RoadmapItem('Checkout', 'New checkout', 3, 1, ['React'], 'checkout', 'Junior');
+      checkout.effortBreakdown = { ios: 0, android: 0, web: 7.8, backend: 0, total: 7.8 };
+      const search = new RoadmapItem('Search', 'New search', 3, 1, ['React'], 'search', 'Junior');
+      search.effortBreakdown = { ios: 0, android: 0, web: 6.5, backend: 0, total: 6.5 };
+
+      const report = new AllocationOptimizer(members, [checkout, search], { solver: 'optimal' }).optimize();
+
+      expect(report.allocations.map(a => [a.member, a.item, a.allocation])).toEqual([
+        ['Ann', 'Checkout', 0.5],
+        ['Bob', 'Search', 0.5]
+      ]);
+      expect(report.summary.fullyStaffedCount).toBe(1);
+    });
+  });
+
+  describe('constraints', () => {
+    it('should honor pinned assignments with the exact fraction', () => {
+      const constrained = new AllocationOptimizer(teamMembers, roadmapItems, {
+        constraints: { pinned: [{ member: 'Carol', item: 'API Development', fraction: 0.7 }] }
+      });
+      const report = constrained.optimize();
+
+      const pinned = report.allocations.filter(a => a.member === 'Carol' && a.item === 'API Development');
+      expect(pinned).toHaveLength(1);
+      expect(pinned[0].allocation).toBe(0.7);
+      expect(pinned[0].pinned).toBe(true);
+      expect(report.constraints.pinned).toEqual([{ member: 'Carol', item: 'API Development', fraction: 0.7 }]);
+    });
+
+    it('should never assign forbidden pairs', () => {
+      for (const solver of SOLVERS) {
+        const constrained = new AllocationOptimizer(teamMembers, roadmapItems, {
+          solver,
+          constraints: { forbidden: [{ member: 'Alice', item: 'Frontend Redesign' }] }
+        });
+        const report = constrained.optimize();
+
+        expect(report.allocations.some(a => a.member === 'Alice' && a.item === 'Frontend Redesign')).toBe(false);
+      }
+    });
+
+    it('should count pins towards the item requirement', () => {
+      const item = new RoadmapItem('Small Item', 'Tiny', 2, 2, ['JavaScript'], 'Frontend');
+      const constrained = new AllocationOptimizer(teamMembers, [item], {
+        constraints: { pinned: [{ member: 'Bob', item: 'Small Item', fraction: 0.4 }] }
+      });
+      const report = constrained.optimize();
+
+      // 0.32 FTE required and fully covered by the pin
+      expect(report.allocations).toHaveLength(1);
+      expect(item.allocationStatus).toBe('fully-staffed');
+    });
+
+    it('should clamp pins that exceed capacity and report the issue', () => {
+      const constrained = new AllocationOptimizer(teamMembers, roadmapItems, {
+        constraints: {
+          pinned: [
+            { member: 'Bob', item: 'API Development', fraction: 0.6 },
+            { member: 'Bob', item: 'Frontend Redesign', fraction: 0.6 }
+          ]
+        }
+      });
+      const report = constrained.optimize();
+
+      const bob = report.teamMembers.find(m => m.name === 'Bob');
+      expect(bob.allocatedCapacity).toBeCloseTo(0.8);
+      expect(report.constraints.issues).toEqual([
+        expect.objectContaining({ type: 'over-capacity', member: 'Bob', item: 'Frontend Redesign' })
+      ]);
+    });
+
+    it('should report conflicting and unknown constraints', () => {
+      const constrained = new AllocationOptimizer(teamMembers, roadmapItems, {
+        constraints: {
+          pinned: [
+            { member: 'Alice', item: 'Frontend Redesign', fraction: 0.5 },
+            { member: 'Nobody', item: 'Frontend Redesign', fraction: 0.5 }
+          ],
+          forbidden: [{ member: 'Alice', item: 'Frontend Redesign' }]
+        }
+      });
+      const report = constrained.optimize();
+
+      expect(report.constraints.issues.map(issue => issue.type)).toEqual(['conflict', 'unknown-reference']);
+      expect(report.recommendations.some(rec => rec.includes('both pinned to and forbidden'))).toBe(true);
+    });
+
+    it('should surface items left short because capacity is held by pins', () => {
+      const ios = new TeamMember('Carol', 'Mid', ['Swift', 'iOS'], 0.5, ['Mobile']);
+      const rewrite = new RoadmapItem('Platform Rewrite', 'Big rewrite', 5, 5, ['Swift'], 'Backend');
+      const widget = new RoadmapItem('iOS Widget', 'Small iOS feature', 2, 2, ['Swift', 'iOS'], 'Mobile');
+
+      const constrained = new AllocationOptimizer([ios], [rewrite, widget], {
+        constraints: { pinned: [{ member: 'Carol', item: 'Platform Rewrite', fraction: 0.5 }] }
+      });
+      const report = constrained.optimize();
+
+      expect(report.constraints.infeasibleItems).toEqual([
+        {
+          item: 'iOS Widget',
+          status: 'not-staffed',
+          blockingPins: [{ member: 'Carol', item: 'Platform Rewrite', fraction: 0.5 }]
+        }
+      ]);
+      expect(report.recommendations[0]).toContain('iOS Widget');
+    });
+  });
+
+  describe('team boundaries', () => {
+    const buildTeams = () => {
+      const frontend = new TeamMember('Fran', 'Senior', ['React', 'CSS'], 1.0, ['Frontend']);
+      frontend.teamName = 'Web';
+      const backend = new TeamMember('Ben', 'Senior', ['React', 'Node.js'], 1.0, ['Frontend']);
+      backend.teamName = 'Platform';
+      const floater = new TeamMember('Flo', 'Mid', ['React'], 1.0, ['Frontend']);
+
+      const webItem = new RoadmapItem('Checkout Redesign', 'New checkout UI', 5, 4, ['React'], 'Frontend', 'Mid');
+      webItem.assignedTeam = 'Web';
+
+      return { members: [frontend, backend, floater], items: [webItem] };
+    };
+
+    it('should expose the available team policies', () => {
+      expect(TEAM_POLICIES).toEqual(['ignore', 'prefer', 'strict']);
+    });
+
+    it('should reject unknown team policies', () => {
+      expect(() => new AllocationOptimizer(teamMembers, roadmapItems, { teamPolicy: 'loose' }))
+        .toThrow('Unknown team policy "loose"');
+    });
+
+    it('should assign across teams and list loans when ignoring boundaries', () => {
+      const { members, items } = buildTeams();
+      const report = new AllocationOptimizer(members, items).optimize();
+
+      expect(report.summary.teamPolicy).toBe('ignore');
+      expect(report.crossTeamLoans).toEqual([
+        { member: 'Ben', fromTeam: 'Platform', toTeam: 'Web', item: 'Checkout Redesign', allocation: 0.5 }
+      ]);
+      expect(report.summary.crossTeamLoanCount).toBe(1);
+    });
+
+    it('should never loan members across teams in strict mode', () => {
+      for (const solver of SOLVERS) {
+        const { members, items } = buildTeams();
+        const report = new AllocationOptimizer(members, items, { solver, teamPolicy: 'strict' }).optimize();
+
+        expect(report.allocations.some(a => a.member === 'Ben')).toBe(false);
+        // Members without a team are not loans and can still help
+        expect(report.allocations.some(a => a.member === 'Flo')).toBe(true);
+        expect(report.crossTeamLoans).toEqual([]);
+      }
+    });
+
+    it('should rank own-team members ahead of equally skilled loans in prefer mode', () => {
+      const { members, items } = buildTeams();
+      const optimizerWithPenalty = new AllocationOptimizer(members, items, { teamPolicy: 'prefer', crossTeamPenalty: 100 });
+      const potentials = optimizerWithPenalty.findPotentialAllocations(items[0]);
+
+      const scoreOf = name => potentials.find(p => p.member.name === name).score;
+      expect(scoreOf('Ben')).toBeLessThan(scoreOf('Flo'));
+      expect(scoreOf('Ben')).toBeLessThan(scoreOf('Fran'));
+    });
+
+    it('should compare team names case-insensitively', () => {
+      const { members, items } = buildTeams();
+      members[0].teamName = ' web ';
+      const report = new AllocationOptimizer(members, items, { teamPolicy: 'strict' }).optimize();
+
+      expect(report.allocations.some(a => a.member === 'Fran')).toBe(true);
+    });
+  });
+
+  describe('stability mode', () => {
+    const buildTeam = () => [
+      new TeamMember('Ann', 'Senior', ['React:5', 'Node.js:2'], 1.0, ['Frontend']),
+      new TeamMember('Bo', 'Mid', ['React:3', 'Node.js:4'], 1.0, ['Backend'])
+    ];
+    const buildItems = () => [
+      new RoadmapItem('Search', 'Search UI', 2, 3, ['React'], 'Frontend', 'Junior'),
+      new RoadmapItem('Payments', 'Payments API', 2, 3, ['Node.js'], 'Backend', 'Junior')
+    ];
+    // The opposite of what a fresh plan picks
+    const baseline = [
+      { member: 'Ann', item: 'Payments', allocation: 0.5 },
+      { member: 'Bo', item: 'Search', allocation: 0.5 }
+    ];
+    const pairs = report => report.allocations.map(a => `${a.member} → ${a.item}`).sort();
+
+    it('should keep members on their baseline items when the churn penalty outweighs the better fit', () => {
+      for (const solver of SOLVERS) {
+        const fresh = new AllocationOptimizer(buildTeam(), buildItems(), { solver }).optimize();
+        const replan = new AllocationOptimizer(buildTeam(), buildItems(), { solver, baseline, churnPenalty: 100 }).optimize();
+
+        expect(pairs(fresh)).toEqual(['Ann → Search', 'Bo → Payments']);
+        expect(fresh.stability).toBeNull();
+        expect(pairs(replan)).toEqual(['Ann → Payments', 'Bo → Search']);
+        expect(replan.stability).toMatchObject({ churnPenalty: 100, baselineCount: 2, keptCount: 2, moved: [], added: [] });
+      }
+    });
+
+    it('should move members and report the churn when the penalty is low', () => {
+      const replan = new AllocationOptimizer(buildTeam(), buildItems(), { baseline, churnPenalty: 0 }).optimize();
+
+      expect(pairs(replan)).toEqual(['Ann → Search', 'Bo → Payments']);
+      expect(replan.stability.keptCount).toBe(0);
+      expect(replan.stability.moved).toEqual([
+        { member: 'Ann', item: 'Payments', before: 0.5, after: 0 },
+        { member: 'Bo', item: 'Search', before: 0.5, after: 0 }
+      ]);
+      expect(replan.stability.added.map(add => add.member)).toEqual(['Ann', 'Bo']);
+      expect(replan.recommendations.some(rec => rec.includes('Replan kept 0 of 2 baseline assignment(s); 2 team member(s) moved'))).toBe(true);
+    });
+
+    it('should leave out baseline pairs whose member is gone', () => {
+      const stale = [...baseline, { member: 'Cy', item: 'Search', allocation: 0.5 }];
+      const replan = new AllocationOptimizer(buildTeam(), buildItems(), { baseline: stale }).optimize();
+
+      expect(replan.stability.baselineCount).toBe(2);
+    });
+  });
+
+  describe('platform staffing', () => {
+    const buildMobileItem = () => {
+      const item = new RoadmapItem('Mobile Checkout', 'Native checkout', 4, 1, ['Swift', 'Node.js'], 'Mobile', 'Junior');
+      item.effortBreakdown = { ios: 6.5, android: 0, web: 0, backend: 6.5, total: 13 };
+      return item;
+    };
+
+    const backendTeam = () => [
+      new TeamMember('Bea', 'Senior', ['Node.js', 'API'], 1.0, ['Mobile']),
+      new TeamMember('Ben', 'Senior', ['Python', 'Backend'], 1.0, ['Mobile']),
+      new TeamMember('Bo', 'Mid', ['Node.js', 'Database'], 1.0, ['Mobile'])
+    ];
+
+    it('should split required capacity into platform buckets', () => {
+      const buckets = buildMobileItem().getCapacityBuckets();
+
+      expect(Object.keys(buckets)).toEqual(['ios', 'backend']);
+      expect(buckets.ios).toBeCloseTo(0.5);
+      expect(buckets.backend).toBeCloseTo(0.5);
+    });
+
+    it.each(SOLVERS)('should not fill an iOS bucket with backend engineers (%s)', (solver) => {
+      const item = buildMobileItem();
+      const report = new AllocationOptimizer(backendTeam(), [item], { solver }).optimize();
+
+      expect(item.getPlatformAllocation('ios')).toBe(0);
+      expect(item.getPlatformAllocation('backend')).toBeCloseTo(0.5);
+      expect(item.allocationStatus).toBe('not-staffed');
+
+      const staffing = report.itemsByStatus['not-staffed'][0].platformStaffing;
+      expect(staffing).toEqual([
+        { platform: 'ios', required: 0.5, allocated: 0, fillRatio: 0 },
+        { platform: 'backend', required: 0.5, allocated: 0.5, fillRatio: 1 }
+      ]);
+    });
+
+    it.each(SOLVERS)('should staff every platform when the skills exist (%s)', (solver) => {
+      const item = buildMobileItem();
+      const members = [...backendTeam(), new TeamMember('Ivy', 'Mid', ['Swift', 'iOS'], 1.0, ['Mobile'])];
+      const report = new AllocationOptimizer(members, [item], { solver }).optimize();
+
+      expect(item.allocationStatus).toBe('fully-staffed');
+      const ivy = report.allocations.find(a => a.member === 'Ivy');
+      expect(ivy.platforms).toEqual({ ios: 0.5 });
+    });
+
+    it('should keep one allocation per member when they cover several platforms', () => {
+      const item = new RoadmapItem('Full Stack', 'Web and backend', 2, 1, ['React'], 'Web', 'Junior');
+      item.effortBreakdown = { ios: 0, android: 0, web: 1.3, backend: 1.3, total: 2.6 };
+      const member = new TeamMember('Fay', 'Senior', ['React', 'Node.js'], 1.0, ['Web']);
+
+      const report = new AllocationOptimizer([member], [item]).optimize();
+
+      expect(report.allocations).toHaveLength(1);
+      expect(report.allocations[0].allocation).toBeCloseTo(0.2);
+      expect(Object.keys(report.allocations[0].platforms).sort()).toEqual(['backend', 'web']);
+      expect(member.assignments).toHaveLength(1);
+      expect(item.assignedMembers).toHaveLength(1);
+    });
+
+    it('should flag items held back by a single platform', () => {
+      const item = buildMobileItem();
+      item.effortBreakdown = { ios: 2, android: 0, web: 0, backend: 11, total: 13 };
+      const report = new AllocationOptimizer(backendTeam(), [item]).optimize();
+
+      expect(item.allocationStatus).toBe('not-staffed');
+      expect(report.recommendations.some(r => r.includes('held back by a single platform: Mobile Checkout (ios 0%)'))).toBe(true);
+    });
+
+    it('should count pins towards a platform the member can work on', () => {
+      const item = buildMobileItem();
+      const members = [...backendTeam(), new TeamMember('Ivy', 'Mid', ['Swift'], 1.0, ['Mobile'])];
+      const constraints = { pinned: [{ member: 'Ivy', item: 'Mobile Checkout', fraction: 0.3 }] };
+
+      new AllocationOptimizer(members, [item], { constraints }).optimize();
+
+      expect(item.getPlatformAllocation('ios')).toBeCloseTo(0.3);
+      expect(item.assignedMembers.find(a => a.member === 'Ivy').platforms).toEqual({ ios: 0.3 });
+      expect(item.getPlatformAllocation('backend')).toBeCloseTo(0.5);
+    });
+
+    it('should staff disciplines beyond the four engineering platforms', () => {
+      const item = new RoadmapItem('Checkout QA', 'Regression suite', 2, 1, ['QA'], 'Quality', 'Junior');
+      item.effortBreakdown = { web: 6.5, qa: 6.5, total: 13 };
+      const members = [
+        new TeamMember('Quinn', 'Mid', ['Cypress'], 1.0, ['Quality']),
+        new TeamMember('Wes', 'Mid', ['React'], 1.0, ['Quality'])
+      ];
+
+      const report = new AllocationOptimizer(members, [item]).optimize();
+
+      expect(report.allocations.find(a => a.member === 'Quinn').platforms).toEqual({ qa: expect.any(Number) });
+      expect(item.getPlatformAllocation('qa')).toBeCloseTo(0.5);
+      expect(item.allocationStatus).toBe('fully-staffed');
+    });
+
+    it('should name the configured role an unstaffed discipline is missing', () => {
+      const item = new RoadmapItem('Model Refresh', 'Retrain ranking', 3, 1, [], 'ML', 'Junior');
+      item.effortBreakdown = { ml: 13, total: 13 };
+      const disciplines = [{ id: 'ml', name: 'ML', role: 'ML Engineer' }];
+
+      const report = new AllocationOptimizer([new TeamMember('Wes', 'Mid', ['React'], 1.0)], [item], { disciplines }).optimize();
+
+      expect(report.recommendations).toContain('🚨 Missing FTE types needed: ML Engineer: 1.0 FTE');
+    });
+  });
+
+  describe('score breakdown', () => {
+    it('should include an itemized breakdown for every allocation', () => {
+      const report = optimizer.optimize();
+
+      expect(report.allocations.length).toBeGreaterThan(0);
+      for (const allocation of report.allocations) {
+        expect(allocation.breakdown.total).toBeCloseTo(allocation.score);
+        expect(allocation.breakdown.skills).toHaveProperty('matched');
+      }
+    });
+  });
+
+  describe('dependencies', () => {
+    const buildItem = (name, size, complexity, platform, dependsOn = []) => {
+      const item = new RoadmapItem(name, '', size, complexity, ['React'], 'Frontend', 'Junior');
+      item.effortBreakdown = { ios: 0, android: 0, web: 0, backend: 0, [platform]: 6.5, total: 6.5 };
+      item.dependsOn = dependsOn;
+      return item;
+    };
+
+    it('should staff prerequisites before the items that depend on them', () => {
+      const ann = new TeamMember('Ann', 'Senior', ['React'], 0.5);
+      const launch = buildItem('Launch', 5, 5, 'web', ['Platform']);
+      const platform = buildItem('Platform', 1, 1, 'web');
+
+      new AllocationOptimizer([ann], [launch, platform]).optimize();
+
+      expect(platform.allocationStatus).toBe('fully-staffed');
+      expect(launch.allocationStatus).toBe('not-staffed');
+    });
+
+    it('should flag dependents that are staffed while a prerequisite is not', () => {
+      const launch = buildItem('Launch', 3, 3, 'web', ['Platform']);
+      const platform = buildItem('Platform', 3, 3, 'ios');
+
+      const report = new AllocationOptimizer([new TeamMember('Ann', 'Senior', ['React'])], [launch, platform]).optimize();
+
+      expect(report.dependencyWarnings).toEqual([{
+        type: 'prerequisite-unstaffed',
+        item: 'Launch',
+        prerequisite: 'Platform',
+        message: 'Launch is staffed but its prerequisite Platform is not-staffed'
+      }]);
+      expect(report.recommendations).toContain('🔗 Launch is staffed but its prerequisite Platform is not-staffed');
+    });
+
+    it('should report dependency cycles instead of looping', () => {
+      const first = buildItem('First', 3, 3, 'web', ['Second']);
+      const second = buildItem('Second', 3, 3, 'web', ['First']);
+
+      const report = new AllocationOptimizer([new TeamMember('Ann', 'Senior', ['React'])], [first, second], { solver: 'optimal' }).optimize();
+
+      expect(report.dependencyWarnings[0]).toMatchObject({ type: 'cycle', items: ['First', 'Second', 'First'] });
+    });
+  });
+
+  describe('scoring weights', () => {
+    it('should echo the default weights in the report', () => {
+      const report = optimizer.optimize();
+
+      expect(report.weights).toEqual({ profile: 'Default', values: DEFAULT_WEIGHTS });
+    });
+
+    it('should reject invalid weights', () => {
+      expect(() => new AllocationOptimizer(teamMembers, roadmapItems, { weights: { luck: 5 } }))
+        .toThrow('Unknown scoring weight "luck"');
+    });
+
+    it('should score allocations with the given profile', () => {
+      const weights = { ...DEFAULT_WEIGHTS, interest: 0, careerGoal: 0 };
+      const report = new AllocationOptimizer(teamMembers, roadmapItems, { weights, weightsProfile: 'Delivery' }).optimize();
+      const defaultReport = new AllocationOptimizer(teamMembers, roadmapItems).optimize();
+
+      expect(report.weights).toEqual({ profile: 'Delivery', values: weights });
+      expect(report.summary.objective).toBeLessThan(defaultReport.summary.objective);
+    });
+  });
+});
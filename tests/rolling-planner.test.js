@@ -0,0 +1,103 @@
+import { RollingPlanner, MAX_QUARTERS } from '../src/rolling-planner.js';
+import { TeamMember, RoadmapItem } from '../src/models.js';
+
+describe('RollingPlanner', () => {
+  let teamMembers;
+  let small;
+  let big;
+
+  beforeEach(() => {
+    teamMembers = [
+      new TeamMember('Ann', 'Senior', ['React'], 1.0, ['Web']),
+      new TeamMember('Raj', 'Mid', ['React'], 1.0, ['Web'])
+    ];
+
+    small = new RoadmapItem('Small', 'Small work', 3, 1, ['React'], 'Web', 'Junior');
+    small.effortBreakdown = { ios: 0, android: 0, web: 6.5, backend: 0, total: 6.5 };
+    big = new RoadmapItem('Big', 'Big work', 3, 1, ['React'], 'Web', 'Junior');
+    big.effortBreakdown = { ios: 0, android: 0, web: 26, backend: 0, total: 26 };
+  });
+
+  describe('constructor', () => {
+    it('should reject quarter counts outside 1 to 4', () => {
+      expect(() => new RollingPlanner([], [], { quarters: 0 })).toThrow('between 1 and 4');
+      expect(() => new RollingPlanner([], [], { quarters: MAX_QUARTERS + 1 })).toThrow('between 1 and 4');
+      expect(() => new RollingPlanner([], [], { quarters: 1.5 })).toThrow('whole number');
+    });
+  });
+
+  describe('plan', () => {
+    it('should finish items that fit in one quarter', () => {
+      const plan = new RollingPlanner(teamMembers, [small], { quarters: 2 }).plan();
+
+      expect(plan.quarters).toHaveLength(1);
+      expect(plan.items[0].completedIn).toBe(1);
+      expect(plan.unfinished).toEqual([]);
+    });
+
+    it('should carry unstaffed effort over into the next quarter', () => {
+      // 2 people at 50% per item = 1 FTE, but the item needs 2 FTE for a quarter
+      const plan = new RollingPlanner(teamMembers, [big], { quarters: 2 }).plan();
+
+      const [q1, q2] = plan.quarters;
+      expect(q1.carryOver).toEqual([{ item: 'Big', remainingShare: 0.5, remainingEffortWeeks: 13 }]);
+      expect(q2.report.roadmapItems[0].effortBreakdown.total).toBeCloseTo(13);
+      expect(plan.items[0].completedIn).toBe(2);
+      expect(plan.items[0].quarters.map(q => q.remainingShareAfter)).toEqual([0.5, 0]);
+    });
+
+    it('should carry over the effort a fully staffed item is still short of', () => {
+      // Needs 1.1 FTE and gets 1.0: fully staffed (over 90%), with 1.3 weeks left
+      const almost = new RoadmapItem('Almost', 'Almost done', 3, 1, ['React'], 'Web', 'Junior');
+      almost.effortBreakdown = { ios: 0, android: 0, web: 14.3, backend: 0, total: 14.3 };
+      const plan = new RollingPlanner(teamMembers, [almost], { quarters: 2 }).plan();
+
+      const [q1] = plan.quarters;
+      expect(plan.items[0].quarters[0].status).toBe('fully-staffed');
+      expect(q1.carryOver).toEqual([{ item: 'Almost', remainingShare: 0.09, remainingEffortWeeks: 1.3 }]);
+      expect(plan.items[0].completedIn).toBe(2);
+    });
+
+    it('should give members their full capacity every quarter', () => {
+      const plan = new RollingPlanner(teamMembers, [big], { quarters: 2 }).plan();
+
+      for (const { report } of plan.quarters) {
+        expect(report.summary.totalAllocatedCapacity).toBeCloseTo(1.0);
+      }
+    });
+
+    it('should report items still open at the end of the plan', () => {
+      big.effortBreakdown = { ios: 0, android: 0, web: 52, backend: 0, total: 52 };
+      const plan = new RollingPlanner(teamMembers, [big], { quarters: 2 }).plan();
+
+      expect(plan.unfinished).toEqual(['Big']);
+      expect(plan.items[0].quarters[1].remainingShareAfter).toBe(0.5);
+    });
+
+    it('should carry over non-LoE items by their remaining share', () => {
+      const item = new RoadmapItem('Pooled', 'No LoE', 5, 5, ['React'], 'Web', 'Junior');
+      const plan = new RollingPlanner(teamMembers, [item], { quarters: 2 }).plan();
+
+      // Requires 2.0 FTE, gets 1.0 in the first quarter
+      expect(plan.quarters[0].carryOver[0].remainingShare).toBe(0.5);
+      expect(plan.quarters[1].report.roadmapItems[0].remainingShare).toBeCloseTo(0.5);
+      expect(plan.items[0].completedIn).toBe(2);
+    });
+
+    it('should not mutate the input members and items', () => {
+      new RollingPlanner(teamMembers, [big], { quarters: 2 }).plan();
+
+      expect(teamMembers[0].allocatedCapacity).toBe(0);
+      expect(big.effortBreakdown.total).toBe(26);
+      expect(big.assignedMembers).toEqual([]);
+    });
+
+    it('should drop constraints for items that are already done', () => {
+      big.effortBreakdown = { ios: 0, android: 0, web: 39, backend: 0, total: 39 };
+      const constraints = { pinned: [{ member: 'Ann', item: 'Small', fraction: 0.5 }] };
+      const plan = new RollingPlanner(teamMembers, [small, big], { quarters: 2, constraints }).plan();
+
+      expect(plan.quarters[1].report.constraints.issues).toEqual([]);
+    });
+  });
+});
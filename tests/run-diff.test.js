@@ -0,0 +1,66 @@
+import { diffReports } from '../src/run-diff.js';
+import { optimizeData } from '../src/web/optimization.js';
+
+const report = (allocations, statuses, summary = {}) => ({
+  summary: { utilizationRate: 80, fullyStaffedCount: 1, itemsCount: 2, ...summary },
+  allocations,
+  roadmapItems: Object.entries(statuses).map(([id, allocationStatus]) => ({ id, name: `Item ${id}`, allocationStatus }))
+});
+
+const allocation = (memberId, itemId, fraction) => ({ memberId, member: `Member ${memberId}`, itemId, item: `Item ${itemId}`, allocation: fraction });
+
+describe('diffReports', () => {
+  it('should report members who changed items and allocation deltas', () => {
+    const before = report([allocation('1', 'a', 0.5), allocation('2', 'a', 0.5)], { a: 'fully-staffed', b: 'not-staffed' });
+    const after = report([allocation('1', 'a', 0.3), allocation('2', 'b', 0.5)], { a: 'under-staffed', b: 'adequately-staffed' });
+
+    const diff = diffReports(before, after);
+
+    expect(diff.members).toEqual([{ memberId: '2', member: 'Member 2', joined: ['Item b'], left: ['Item a'] }]);
+    expect(diff.allocations.map(change => [change.member, change.item, change.delta])).toEqual([
+      ['Member 2', 'Item a', -0.5],
+      ['Member 2', 'Item b', 0.5],
+      ['Member 1', 'Item a', -0.2]
+    ]);
+    expect(diff.items).toEqual([
+      { itemId: 'a', item: 'Item a', before: 'fully-staffed', after: 'under-staffed', allocatedBefore: 1, allocatedAfter: 0.3 },
+      { itemId: 'b', item: 'Item b', before: 'not-staffed', after: 'adequately-staffed', allocatedBefore: 0, allocatedAfter: 0.5 }
+    ]);
+    expect(diff.unchanged).toBe(false);
+  });
+
+  it('should give summary metric deltas', () => {
+    const diff = diffReports(report([], {}), report([], {}, { utilizationRate: 72.5, fullyStaffedCount: 2 }));
+
+    expect(diff.summary.utilizationRate).toEqual({ before: 80, after: 72.5, delta: -7.5 });
+    expect(diff.summary.fullyStaffedCount.delta).toBe(1);
+    expect(diff.summary.objective).toBeUndefined();
+  });
+
+  it('should list items that are only in one run', () => {
+    const diff = diffReports(report([], { a: 'not-staffed' }), report([], { b: 'not-staffed' }));
+
+    expect(diff.items.map(change => [change.item, change.before, change.after])).toEqual([
+      ['Item a', 'not-staffed', null],
+      ['Item b', null, 'not-staffed']
+    ]);
+  });
+
+  it('should match reports without ids by name', () => {
+    const named = { member: 'Ann', item: 'Search', allocation: 0.5 };
+
+    expect(diffReports({ summary: {}, allocations: [named] }, { summary: {}, allocations: [named] }).unchanged).toBe(true);
+  });
+
+  it('should find no differences when the same data is re-optimized', () => {
+    const data = {
+      teamMembers: [{ id: '1', name: 'Ann', level: 'Senior', skills: ['React'], capacity: 1 }],
+      roadmapItems: [{ id: 'a', name: 'Search', size: 2, complexity: 2, requiredSkills: ['React'] }]
+    };
+    const first = optimizeData(data, {}, { solver: 'greedy', teamPolicy: 'ignore', quarters: 1 });
+    const second = optimizeData(data, {}, { solver: 'greedy', teamPolicy: 'ignore', quarters: 1, weights: first.weights });
+
+    expect(diffReports(first.report, second.report).unchanged).toBe(true);
+    expect(optimizeData({ ...data, teamMembers: [] }, {}, {}).error).toMatch('No team members found');
+  });
+});
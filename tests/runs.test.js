@@ -0,0 +1,71 @@
+import { MAX_SAVED_RUNS, buildRun, addRun, summarizeRun, listRuns, findBaselineRun, baselineAllocations } from '../src/web/runs.js';
+
+const inputs = {
+  teamMembers: [{ id: '1', name: 'Ann' }, { id: '2', name: 'Bo' }],
+  roadmapItems: [{ id: '10', name: 'Search' }],
+  constraints: []
+};
+const report = { summary: { utilizationRate: 80, fullyStaffedCount: 1, itemsCount: 1 }, allocations: [] };
+
+describe('optimization runs', () => {
+  it('should keep the inputs, weights and report of a run', () => {
+    const run = buildRun({ options: { solver: 'greedy', teamPolicy: 'ignore', quarters: 1 }, weights: { interest: 30 }, weightsProfile: 'default', inputs, report });
+
+    expect(run).toMatchObject({ weights: { interest: 30 }, weightsProfile: 'default', inputs, report });
+    expect(Number.isNaN(Date.parse(run.createdAt))).toBe(false);
+  });
+
+  it('should keep only the newest runs', () => {
+    const runs = Array.from({ length: MAX_SAVED_RUNS }, (_, index) => ({ id: String(index) }));
+
+    expect(addRun([{ id: 'a' }], { id: 'b' })).toEqual([{ id: 'a' }, { id: 'b' }]);
+    expect(addRun(runs, { id: 'new' }).map(run => run.id)).toEqual([...runs.slice(1).map(run => run.id), 'new']);
+    expect(addRun([{ id: 'a' }, { id: 'b' }], { id: 'c' }, 2)).toEqual([{ id: 'b' }, { id: 'c' }]);
+    expect(runs).toHaveLength(MAX_SAVED_RUNS);
+  });
+
+  it('should summarize runs newest first', () => {
+    const first = { ...buildRun({ options: { solver: 'greedy', teamPolicy: 'ignore', quarters: 1 }, weightsProfile: 'default', inputs, report }), id: 'a' };
+    const second = { ...first, id: 'b', options: { solver: 'optimal', teamPolicy: 'prefer', quarters: 2 } };
+
+    expect(summarizeRun(first)).toEqual({
+      id: 'a',
+      createdAt: first.createdAt,
+      solver: 'greedy',
+      teamPolicy: 'ignore',
+      quarters: 1,
+      weightsProfile: 'default',
+      baselineRunId: null,
+      teamMembersCount: 2,
+      roadmapItemsCount: 1,
+      summary: report.summary
+    });
+    expect(listRuns([first, second]).map(run => [run.id, run.solver])).toEqual([['b', 'optimal'], ['a', 'greedy']]);
+  });
+
+  it('should find the baseline run of a replan', () => {
+    const runs = [{ id: 'a' }, { id: 'b' }];
+
+    expect(findBaselineRun(runs, 'a')).toEqual({ id: 'a' });
+    expect(findBaselineRun(runs, 'latest')).toEqual({ id: 'b' });
+    expect(findBaselineRun(runs, 'zzz')).toBeNull();
+    expect(findBaselineRun([], 'latest')).toBeNull();
+  });
+
+  it('should give a run\'s allocations under the current names', () => {
+    const run = {
+      report: {
+        allocations: [
+          { member: 'Ann', memberId: '1', item: 'Old search', itemId: '10', allocation: 0.5 },
+          { member: 'Cy', memberId: '3', item: 'Old search', itemId: '10', allocation: 0.3 },
+          { member: 'Bo', item: 'Search', allocation: 0.2 }
+        ]
+      }
+    };
+
+    expect(baselineAllocations(run, inputs.teamMembers, inputs.roadmapItems)).toEqual([
+      { member: 'Ann', item: 'Search', allocation: 0.5 },
+      { member: 'Bo', item: 'Search', allocation: 0.2 }
+    ]);
+  });
+});
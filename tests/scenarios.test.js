@@ -0,0 +1,147 @@
+import { parseScenario, applyScenario } from '../src/web/scenarios.js';
+import { RoadmapItem } from '../src/models.js';
+import { effortTotal } from '../src/disciplines.js';
+
+const data = {
+  teamMembers: [
+    { id: '1', name: 'Ann', level: 'Senior', skills: ['React'], capacity: 1 },
+    { id: '2', name: 'Bob', level: 'Mid', skills: ['Kotlin'], capacity: 1 }
+  ],
+  roadmapItems: [
+    { id: 'a', name: 'Search', size: 2, complexity: 2, requiredSkills: ['React'] },
+    { id: 'b', name: 'Offline', size: 3, complexity: 3, requiredSkills: ['Kotlin'], dependsOn: ['a'] }
+  ],
+  constraints: [
+    { id: 'c1', type: 'pin', memberId: '2', itemId: 'b' },
+    { id: 'c2', type: 'exclude', memberId: '1', itemId: 'a' }
+  ]
+};
+
+const options = { teamMembers: data.teamMembers, roadmapItems: data.roadmapItems };
+
+describe('parseScenario', () => {
+  it('should validate changes and keep names for display', () => {
+    const { fields } = parseScenario({
+      name: ' Hire Android ',
+      changes: [
+        { type: 'add-member', count: 2, member: { name: 'Android dev', skills: ['Kotlin:4'] } },
+        { type: 'remove-member', memberId: '1' },
+        { type: 'resize-item', itemId: 'b', size: 5 }
+      ]
+    }, options);
+
+    expect(fields.name).toBe('Hire Android');
+    expect(fields.changes[0]).toMatchObject({ type: 'add-member', count: 2, member: { name: 'Android dev', skills: [{ name: 'Kotlin', proficiency: 4 }] } });
+    expect(fields.changes[1]).toEqual({ type: 'remove-member', memberId: '1', memberName: 'Ann' });
+    expect(fields.changes[2]).toEqual({ type: 'resize-item', itemId: 'b', itemName: 'Offline', size: 5 });
+  });
+
+  it('should report the change that is invalid', () => {
+    expect(parseScenario({ changes: [] }, options).error).toBe('Scenario name is required');
+    expect(parseScenario({ name: 'X', changes: [{ type: 'remove-item', itemId: 'a' }, { type: 'remove-item', itemId: 'zzz' }] }, options).error)
+      .toBe('Change 2: Roadmap item not found');
+    expect(parseScenario({ name: 'X', changes: [{ type: 'set-capacity', memberId: '1', capacity: 2 }] }, options).error)
+      .toMatch('capacity must be');
+    expect(parseScenario({ name: 'X', changes: [{ type: 'add-member', count: 0, member: { name: 'A' } }] }, options).error)
+      .toMatch('count must be');
+    expect(parseScenario({ name: 'X', changes: [{ type: 'resize-item', itemId: 'a' }] }, options).error)
+      .toMatch('needs a new size, complexity or effortWeeks');
+    expect(parseScenario({ name: 'X', changes: [{ type: 'resize-item', itemId: 'a', effortWeeks: 0 }] }, options).error)
+      .toMatch('effortWeeks must be a positive number');
+    expect(parseScenario({ name: 'X', changes: [{ type: 'promote' }] }, options).error).toMatch('Change type must be one of');
+  });
+});
+
+describe('applyScenario', () => {
+  it('should overlay hires and capacity changes without touching the data', () => {
+    const original = structuredClone(data);
+    const { data: applied, warnings } = applyScenario(data, {
+      changes: [
+        { type: 'add-member', count: 2, member: { name: 'Android dev', level: 'Mid', skills: [], capacity: 1 } },
+        { type: 'set-capacity', memberId: '1', memberName: 'Ann', capacity: 0.5 },
+        { type: 'add-item', item: { name: 'Widgets', size: 1, complexity: 1, requiredSkills: [] } }
+      ]
+    });
+
+    expect(warnings).toEqual([]);
+    expect(applied.teamMembers.map(m => [m.id, m.name, m.capacity])).toEqual([
+      ['1', 'Ann', 0.5],
+      ['2', 'Bob', 1],
+      ['scenario-1-1', 'Android dev 1', 1],
+      ['scenario-1-2', 'Android dev 2', 1]
+    ]);
+    expect(applied.roadmapItems[2]).toMatchObject({ id: 'scenario-3', name: 'Widgets', hypothetical: true });
+    expect(data).toEqual(original);
+  });
+
+  it('should drop constraints and dependencies of removed records', () => {
+    const { data: applied } = applyScenario(data, {
+      changes: [
+        { type: 'remove-member', memberId: '2', memberName: 'Bob' },
+        { type: 'remove-item', itemId: 'a', itemName: 'Search' }
+      ]
+    });
+
+    expect(applied.teamMembers.map(m => m.id)).toEqual(['1']);
+    expect(applied.roadmapItems.map(i => [i.id, i.dependsOn])).toEqual([['b', []]]);
+    expect(applied.constraints).toEqual([]);
+  });
+
+  it('should scale the LoE and effort estimate of resized items', () => {
+    const withEffort = {
+      ...data,
+      roadmapItems: [
+        { ...data.roadmapItems[0], effortBreakdown: { web: 4, qa: 2, total: 6 }, effortEstimate: { low: 4, likely: 6, high: 10 } },
+        data.roadmapItems[1]
+      ]
+    };
+
+    const { data: doubled } = applyScenario(withEffort, {
+      changes: [{ type: 'resize-item', itemId: 'a', itemName: 'Search', size: 4 }]
+    });
+    expect(doubled.roadmapItems[0]).toMatchObject({
+      size: 4,
+      effortBreakdown: { web: 8, qa: 4, total: 12 },
+      effortEstimate: { low: 8, likely: 12, high: 20 }
+    });
+
+    const { data: reestimated } = applyScenario(withEffort, {
+      changes: [
+        { type: 'resize-item', itemId: 'a', itemName: 'Search', effortWeeks: 3 },
+        { type: 'resize-item', itemId: 'b', itemName: 'Offline', effortWeeks: 5, complexity: 4 }
+      ]
+    });
+    expect(reestimated.roadmapItems[0]).toMatchObject({ size: 2, effortBreakdown: { web: 2, qa: 1, total: 3 }, effortEstimate: { low: 2, likely: 3, high: 5 } });
+    expect(reestimated.roadmapItems[1]).toMatchObject({ size: 3, complexity: 4, effortBreakdown: { total: 5 } });
+  });
+
+  it('should keep the LoE total equal to the sum of the scaled disciplines', () => {
+    const item = { id: 'a', name: 'Search', size: 3, complexity: 1, requiredSkills: [], effortBreakdown: { ios: 1, android: 1, web: 1, total: 3 } };
+    const { data: applied } = applyScenario({ teamMembers: [], roadmapItems: [item] }, {
+      changes: [{ type: 'resize-item', itemId: 'a', itemName: 'Search', effortWeeks: 1 }]
+    });
+
+    const { effortBreakdown } = applied.roadmapItems[0];
+    expect(effortBreakdown).toEqual({ ios: 0.33, android: 0.33, web: 0.33, total: 0.99 });
+    expect(effortBreakdown.total).toBe(effortTotal(effortBreakdown));
+  });
+
+  it('should change the capacity an item with LoE needs when it is resized', () => {
+    const item = { id: 'a', name: 'Search', size: 2, complexity: 1, requiredSkills: [], effortBreakdown: { web: 6.5, total: 6.5 } };
+    const { data: applied } = applyScenario({ teamMembers: [], roadmapItems: [item] }, {
+      changes: [{ type: 'resize-item', itemId: 'a', itemName: 'Search', size: 4 }]
+    });
+
+    expect(RoadmapItem.fromJSON(item).getRequiredCapacity()).toBe(0.5);
+    expect(RoadmapItem.fromJSON(applied.roadmapItems[0]).getRequiredCapacity()).toBe(1);
+  });
+
+  it('should skip changes to records deleted since the scenario was saved', () => {
+    const { data: applied, warnings } = applyScenario(data, {
+      changes: [{ type: 'resize-item', itemId: 'gone', itemName: 'Old item', size: 5 }]
+    });
+
+    expect(applied.roadmapItems).toEqual(data.roadmapItems);
+    expect(warnings).toEqual(['Old item is no longer on the roadmap; skipped resize-item']);
+  });
+});
@@ -0,0 +1,152 @@
+import { Scheduler } from '../src/scheduler.js';
+import { parseDate, formatDate, startOfWeek } from '../src/dates.js';
+import { parseScheduleFields } from '../src/web/schedule-fields.js';
+import { AllocationOptimizer } from '../src/optimizer.js';
+import { TeamMember, RoadmapItem } from '../src/models.js';
+
+describe('date helpers', () => {
+  it('should parse only YYYY-MM-DD dates', () => {
+    expect(formatDate(parseDate('2025-03-14'))).toBe('2025-03-14');
+    expect(parseDate('2025-13-01')).toBeNull();
+    expect(parseDate('2026-13-01')).toBeNull();
+    expect(parseDate('2026-02-30')).toBeNull();
+    expect(parseDate('2025-04-31')).toBeNull();
+    expect(formatDate(parseDate('2028-02-29'))).toBe('2028-02-29');
+    expect(parseDate('14/03/2025')).toBeNull();
+    expect(parseDate(undefined)).toBeNull();
+  });
+
+  it('should find the Monday of a week', () => {
+    expect(formatDate(startOfWeek(parseDate('2025-03-14')))).toBe('2025-03-10');
+    expect(formatDate(startOfWeek(parseDate('2025-03-16')))).toBe('2025-03-10');
+    expect(formatDate(startOfWeek(parseDate('2025-03-10')))).toBe('2025-03-10');
+  });
+});
+
+describe('Scheduler', () => {
+  const START = '2025-01-06';
+
+  // 13 weeks of web effort = 1 FTE for the quarter
+  const buildItem = (name, fields = {}) => {
+    const item = new RoadmapItem(name, `${name} work`, 3, 1, ['React'], 'Web', 'Junior');
+    item.effortBreakdown = { ios: 0, android: 0, web: 6.5, backend: 0, total: 6.5 };
+    return Object.assign(item, fields);
+  };
+
+  const assign = (member, item, allocation) => {
+    member.assignments = [...(member.assignments || []), { item: item.name, allocation }];
+    item.assignedMembers.push({ member: member.name, allocation });
+  };
+
+  const run = (members, items) => new AllocationOptimizer(members, items, { startDate: START }).optimize().schedule;
+
+  it('should schedule a fully staffed item across the quarter', () => {
+    const schedule = run([new TeamMember('Ann', 'Senior', ['React'])], [buildItem('Checkout')]);
+
+    expect(schedule.startDate).toBe(START);
+    expect(schedule.weeks[1]).toEqual({ week: 2, startDate: '2025-01-13' });
+    expect(schedule.items[0]).toMatchObject({
+      item: 'Checkout', startWeek: 1, endWeek: 13, startDate: START, endDate: '2025-04-04', allocatedFTE: 0.5
+    });
+    expect(schedule.members[0].weeks[0]).toEqual({ week: 1, capacity: 1, fte: 0.5, items: [{ item: 'Checkout', fte: 0.5 }] });
+    expect(schedule.warnings).toEqual([]);
+  });
+
+  it('should not start items before their earliest start', () => {
+    const schedule = run([new TeamMember('Ann', 'Senior', ['React'])], [buildItem('Checkout', { earliestStart: '2025-02-03' })]);
+
+    expect(schedule.items[0].startWeek).toBe(5);
+    expect(schedule.members[0].weeks[3].fte).toBe(0);
+    expect(schedule.warnings[0].type).toBe('past-horizon');
+  });
+
+  it('should warn when the target date cannot be met at the allocated FTE', () => {
+    const report = new AllocationOptimizer([new TeamMember('Ann', 'Senior', ['React'])],
+      [buildItem('Checkout', { targetDate: '2025-02-28' })], { startDate: START }).optimize();
+
+    const [warning] = report.schedule.warnings;
+    expect(warning.type).toBe('target-missed');
+    expect(warning.message).toContain('needs 0.81 FTE');
+    expect(report.recommendations.some(r => r.startsWith('📅 Checkout finishes in week 13'))).toBe(true);
+  });
+
+  it('should run sequenced items one after the other for shared members', () => {
+    const ann = new TeamMember('Ann', 'Senior', ['React']);
+    const first = buildItem('First', { sequence: 1 });
+    const second = buildItem('Second', { sequence: 2 });
+    first.effortBreakdown = second.effortBreakdown = { ios: 0, android: 0, web: 2.6, backend: 0, total: 2.6 };
+    assign(ann, first, 0.5);
+    assign(ann, second, 0.5);
+
+    const schedule = new Scheduler([ann], [second, first], { startDate: START }).schedule();
+    const byName = Object.fromEntries(schedule.items.map(entry => [entry.item, entry]));
+
+    expect(byName.First).toMatchObject({ startWeek: 1, endWeek: 6 });
+    expect(byName.Second).toMatchObject({ startWeek: 7, endWeek: 12 });
+    expect(schedule.items.map(entry => entry.item)).toEqual(['Second', 'First']);
+  });
+
+  it('should start items after their prerequisites finish', () => {
+    const ann = new TeamMember('Ann', 'Senior', ['React']);
+    const bob = new TeamMember('Bob', 'Senior', ['React']);
+    const platform = buildItem('Platform', { id: 'p1' });
+    const launch = buildItem('Launch', { dependsOn: ['p1'] });
+    platform.effortBreakdown = launch.effortBreakdown = { ios: 0, android: 0, web: 2.6, backend: 0, total: 2.6 };
+    assign(ann, platform, 0.5);
+    assign(bob, launch, 0.5);
+
+    const schedule = new Scheduler([ann, bob], [launch, platform], { startDate: START }).schedule();
+
+    expect(schedule.items[0]).toMatchObject({ item: 'Launch', dependsOn: ['Platform'], startWeek: 7, endWeek: 12 });
+  });
+
+  it('should pause work while members are away', () => {
+    const ann = new TeamMember('Ann', 'Senior', ['React']);
+    ann.availability = [{ type: 'leave', startDate: '2025-01-06', endDate: '2025-02-14', capacity: 0 }];
+
+    const report = new AllocationOptimizer([ann], [buildItem('Checkout')], { startDate: START }).optimize();
+    const { items, members } = report.schedule;
+
+    // Six weeks of leave leave 7 of 13 weeks, so the quarter's 0.5 FTE is worked in weeks 7-13
+    expect(ann.getEffectiveCapacity()).toBeCloseTo(7 / 13);
+    expect(items[0]).toMatchObject({ startWeek: 7, endWeek: 13, durationWeeks: 7 });
+    expect(members[0].weeks[5]).toEqual({ week: 6, capacity: 0, fte: 0, items: [] });
+    expect(members[0].weeks[6]).toMatchObject({ week: 7, capacity: 1, fte: 0.93 });
+  });
+
+  it('should leave unstaffed items unscheduled and warn about their target', () => {
+    const item = buildItem('Android', { targetDate: '2025-03-01' });
+    item.effortBreakdown = { ios: 0, android: 6.5, web: 0, backend: 0, total: 6.5 };
+    const schedule = new Scheduler([], [item], { startDate: START }).schedule();
+
+    expect(schedule.items[0]).toMatchObject({ startWeek: null, endWeek: null, targetWeek: 8 });
+    expect(schedule.warnings[0].type).toBe('unstaffed');
+  });
+
+  it('should only use part of the last week', () => {
+    const member = new TeamMember('Ann', 'Senior', ['React']);
+    const item = buildItem('Short');
+    item.effortBreakdown = { ios: 0, android: 0, web: 1.3, backend: 0, total: 1.3 };
+    assign(member, item, 0.4);
+
+    const schedule = new Scheduler([member], [item], { startDate: START }).schedule();
+
+    // 1.3 FTE-weeks at 0.4 FTE = 3.25 weeks
+    expect(schedule.items[0]).toMatchObject({ startWeek: 1, endWeek: 4, durationWeeks: 3.3 });
+    expect(schedule.members[0].weeks.slice(0, 5).map(week => week.fte)).toEqual([0.4, 0.4, 0.4, 0.1, 0]);
+  });
+});
+
+describe('parseScheduleFields', () => {
+  it('should only return the fields that were sent', () => {
+    expect(parseScheduleFields({ name: 'x' })).toEqual({ fields: {} });
+    expect(parseScheduleFields({ targetDate: '', sequence: null })).toEqual({ fields: { targetDate: null, sequence: null } });
+  });
+
+  it('should validate dates and sequence', () => {
+    expect(parseScheduleFields({ earliestStart: 'soon' }).error).toContain('earliestStart must be a date');
+    expect(parseScheduleFields({ earliestStart: '2025-03-01', targetDate: '2025-02-01' }).error)
+      .toBe('targetDate cannot be before earliestStart');
+    expect(parseScheduleFields({ sequence: 1.5 }).error).toBe('sequence must be a non-negative whole number');
+  });
+});
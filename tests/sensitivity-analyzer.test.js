@@ -0,0 +1,59 @@
+import { SensitivityAnalyzer, MAX_PERTURBATION } from '../src/sensitivity-analyzer.js';
+import { TeamMember, RoadmapItem } from '../src/models.js';
+
+describe('SensitivityAnalyzer', () => {
+  let teamMembers;
+  let roadmapItems;
+
+  beforeEach(() => {
+    // Ann is the stronger React engineer, Bob the one interested in payments
+    teamMembers = [
+      new TeamMember('Ann', 'Senior', ['React:5'], 1.0),
+      new TeamMember('Bob', 'Mid', ['React:2'], 1.0, ['payments'])
+    ];
+
+    const checkout = new RoadmapItem('Checkout', 'Checkout work', 3, 1, ['React'], 'payments');
+    checkout.effortBreakdown = { ios: 0, android: 0, web: 6.5, backend: 0, total: 6.5 };
+    roadmapItems = [checkout];
+  });
+
+  describe('constructor', () => {
+    it('should reject perturbations outside 0 to 1', () => {
+      expect(() => new SensitivityAnalyzer([], [], { perturbation: 0 })).toThrow('above 0 and up to 1');
+      expect(() => new SensitivityAnalyzer([], [], { perturbation: MAX_PERTURBATION + 0.5 })).toThrow('above 0 and up to 1');
+    });
+  });
+
+  describe('analyze', () => {
+    it('should report a plan that small weight changes do not move as stable', () => {
+      const sensitivity = new SensitivityAnalyzer(teamMembers, roadmapItems, { perturbation: 0.1 }).analyze();
+
+      expect(sensitivity.assignments).toEqual([{ member: 'Bob', item: 'Checkout', allocation: 0.5, stable: true, flippedBy: [] }]);
+      expect(sensitivity.summary).toMatchObject({ assignmentsCount: 1, stableCount: 1, flippedCount: 0, mostSensitive: [] });
+      expect(sensitivity.weights).toHaveLength(10);
+      expect(sensitivity.weights.every(weight => weight.flips === 0)).toBe(true);
+    });
+
+    it('should list the assignments that flip and the weights that flip them', () => {
+      const sensitivity = new SensitivityAnalyzer(teamMembers, roadmapItems, { perturbation: 0.5 }).analyze();
+
+      expect(sensitivity.assignments[0]).toMatchObject({ member: 'Bob', stable: false, flippedBy: ['skillMatch +50%', 'interest -50%'] });
+      expect(sensitivity.newAssignments).toEqual([
+        { member: 'Ann', item: 'Checkout', allocation: 0.5, appearsWith: ['skillMatch +50%', 'interest -50%'] }
+      ]);
+      expect(sensitivity.summary.mostSensitive).toEqual(['interest', 'skillMatch']);
+
+      const interest = sensitivity.weights[0];
+      expect(interest).toMatchObject({ weight: 'interest', value: 25, flips: 2 });
+      expect(interest.runs.map(run => [run.direction, run.value, run.flipped, run.added])).toEqual([['down', 12.5, 1, 1], ['up', 37.5, 0, 0]]);
+    });
+
+    it('should only raise weights that are zero', () => {
+      const sensitivity = new SensitivityAnalyzer(teamMembers, roadmapItems, { weights: { priority: 0 } }).analyze();
+      const priority = sensitivity.weights.find(weight => weight.weight === 'priority');
+
+      expect(priority.runs).toHaveLength(1);
+      expect(priority.runs[0]).toMatchObject({ direction: 'up', value: 1.25 });
+    });
+  });
+});
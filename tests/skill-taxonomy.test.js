@@ -0,0 +1,90 @@
+import { listSkills, saveSkill, removeSkill, listDuplicateSkills, mergeSkills } from '../src/web/skill-taxonomy.js';
+import { DEFAULT_SKILLS } from '../src/skills.js';
+
+describe('skill taxonomy storage', () => {
+  let skills;
+
+  beforeEach(() => {
+    skills = listSkills([]);
+  });
+
+  it('should start from the built-in taxonomy', () => {
+    expect(skills).toEqual(DEFAULT_SKILLS);
+    expect(skills).not.toBe(DEFAULT_SKILLS);
+    expect(listSkills([{ name: 'Flutter' }])).toEqual([{ name: 'Flutter' }]);
+  });
+
+  it('should add a skill under a category', () => {
+    const { skill, created } = saveSkill({ name: ' Flutter ', aliases: ['Dart'], parent: 'mobile' }, skills);
+
+    expect(created).toBe(true);
+    expect(skill).toEqual({ name: 'Flutter', aliases: ['Dart'], platforms: [], parent: 'Mobile Development' });
+    expect(skills).toContain(skill);
+  });
+
+  it('should update a skill with the same name', () => {
+    const { skill, created } = saveSkill({ name: 'react', aliases: ['React Native Web'], parent: 'Frontend' }, skills);
+
+    expect(created).toBe(false);
+    expect(skill.aliases).toEqual(['React Native Web']);
+    expect(skills.filter(s => s.name.toLowerCase() === 'react')).toHaveLength(1);
+  });
+
+  it('should reject invalid skills', () => {
+    expect(saveSkill({}, skills).error).toBe('Skill name is required');
+    expect(saveSkill({ name: 'Flutter', platforms: ['desktop'] }, skills).error).toMatch('platforms must be a list of');
+    expect(saveSkill({ name: 'Flutter', parent: 'Cross-platform' }, skills).error).toBe('Unknown parent skill "Cross-platform"');
+    expect(saveSkill({ name: 'Flutter', aliases: ['JS'] }, skills).error).toBe('"JS" is already a name or alias of JavaScript');
+    expect(saveSkill({ name: 'Mobile Development', parent: 'Swift' }, skills).error).toBe('Mobile Development cannot be its own parent category');
+  });
+
+  it('should move the children of a removed skill up a level', () => {
+    expect(removeSkill(skills, 'database')).toBe(true);
+    expect(skills.find(s => s.name === 'SQL').parent).toBe('Backend');
+    expect(removeSkill(skills, 'Database')).toBe(false);
+  });
+
+  it('should list duplicate skills used by members and items', () => {
+    const members = [{ skills: ['ReactJS:4', 'Elixir'] }, { skills: [{ name: 'elixir', proficiency: 2 }] }];
+    const items = [{ requiredSkills: ['React'] }];
+
+    expect(listDuplicateSkills(skills, members, items)).toEqual([
+      { canonical: 'Elixir', variants: ['Elixir', 'elixir'] },
+      { canonical: 'React', variants: ['ReactJS', 'React'] }
+    ]);
+  });
+
+  it('should merge skills across members, items and the taxonomy', () => {
+    const members = [{ name: 'Ann', skills: ['ReactJS:4', 'React:2', 'Preact'] }];
+    const items = [{ name: 'Web', requiredSkills: ['reactjs:3'] }];
+
+    const result = mergeSkills({ from: ['ReactJS', 'reactjs', 'Preact'], into: 'React' }, skills, members, items);
+
+    expect(result.members[0].skills).toEqual([{ name: 'React', proficiency: 4 }]);
+    expect(result.items[0].requiredSkills).toEqual([{ name: 'React', minProficiency: 3 }]);
+    expect(result.skill.aliases).toEqual(['ReactJS', 'Preact']); // React.js is the same spelling as ReactJS
+    expect(members[0].skills).toEqual(['ReactJS:4', 'React:2', 'Preact']); // Input is left alone
+  });
+
+  it('should fold a merged taxonomy entry into the target', () => {
+    const { skill } = mergeSkills({ from: ['Golang'], into: 'Python' }, skills, [], []);
+    expect(skill.aliases).toContain('Golang');
+    expect(skills.find(s => s.name === 'Go').aliases).toEqual([]);
+
+    mergeSkills({ from: ['SQL'], into: 'PostgreSQL' }, skills, [], []);
+    expect(skills.find(s => s.name === 'SQL')).toBeUndefined();
+    expect(skills.find(s => s.name === 'PostgreSQL').aliases).toEqual(['Postgres', 'SQL']);
+  });
+
+  it('should create the target skill when it is not in the taxonomy', () => {
+    const { skill } = mergeSkills({ from: ['elixir-lang'], into: 'Elixir' }, skills, [], []);
+
+    expect(skill).toEqual({ name: 'Elixir', aliases: ['elixir-lang'], platforms: [], parent: null });
+    expect(skills).toContain(skill);
+  });
+
+  it('should reject incomplete merge requests', () => {
+    expect(mergeSkills({ from: ['A'] }, skills, [], []).error).toBe('into must be the skill name to merge into');
+    expect(mergeSkills({ from: [], into: 'A' }, skills, [], []).error).toBe('from must be a list of skill names to merge');
+  });
+});
@@ -0,0 +1,63 @@
+import { SkillTaxonomy, DEFAULT_SKILL_TAXONOMY, findDuplicateSkills, skillLookupKey } from '../src/skills.js';
+
+describe('SkillTaxonomy', () => {
+  it('should resolve aliases and spelling variants to the canonical name', () => {
+    expect(DEFAULT_SKILL_TAXONOMY.canonicalName('ReactJS')).toBe('React');
+    expect(DEFAULT_SKILL_TAXONOMY.canonicalName('react.js')).toBe('React');
+    expect(DEFAULT_SKILL_TAXONOMY.canonicalName(' node js ')).toBe('Node.js');
+    expect(DEFAULT_SKILL_TAXONOMY.canonicalName('Elixir')).toBe('Elixir');
+  });
+
+  it('should keep symbols that tell languages apart', () => {
+    expect(skillLookupKey('C++')).not.toBe(skillLookupKey('C#'));
+    expect(skillLookupKey('Objective-C')).toBe(skillLookupKey('objective c'));
+  });
+
+  it('should inherit platforms from the closest category', () => {
+    expect(DEFAULT_SKILL_TAXONOMY.platformsOf('SwiftUI')).toEqual(['ios']);
+    expect(DEFAULT_SKILL_TAXONOMY.platformsOf('Mobile')).toEqual(['ios', 'android']);
+    expect(DEFAULT_SKILL_TAXONOMY.platformsOf('PostgreSQL')).toEqual(['backend']);
+    expect(DEFAULT_SKILL_TAXONOMY.platformsOf('Elixir')).toEqual([]);
+  });
+
+  it('should let a skill satisfy its categories but not the other way round', () => {
+    expect(DEFAULT_SKILL_TAXONOMY.satisfies('PostgreSQL', 'Database')).toBe(true);
+    expect(DEFAULT_SKILL_TAXONOMY.satisfies('PostgreSQL', 'Backend')).toBe(true);
+    expect(DEFAULT_SKILL_TAXONOMY.satisfies('Database', 'PostgreSQL')).toBe(false);
+    expect(DEFAULT_SKILL_TAXONOMY.satisfies('Java', 'JavaScript')).toBe(false);
+  });
+
+  it('should use a custom taxonomy', () => {
+    const taxonomy = new SkillTaxonomy([
+      { name: 'Flutter', aliases: ['Dart'], platforms: ['ios', 'android'] }
+    ]);
+
+    expect(taxonomy.canonicalName('dart')).toBe('Flutter');
+    expect(taxonomy.platformSkills('android')).toEqual(['Flutter']);
+    expect(taxonomy.platformsOf('Swift')).toEqual([]);
+  });
+
+  it('should not loop on parent cycles', () => {
+    const taxonomy = new SkillTaxonomy([
+      { name: 'A', parent: 'B', platforms: ['web'] },
+      { name: 'B', parent: 'A' }
+    ]);
+
+    expect(taxonomy.lineage('A').map(skill => skill.name)).toEqual(['A', 'B']);
+  });
+});
+
+describe('findDuplicateSkills', () => {
+  it('should group aliases and spelling variants of the same skill', () => {
+    const duplicates = findDuplicateSkills(['React', 'ReactJS', 'react.js', 'Elixir', 'elixir', 'Go', 'Swift']);
+
+    expect(duplicates).toEqual([
+      { canonical: 'Elixir', variants: ['Elixir', 'elixir'] },
+      { canonical: 'React', variants: ['React', 'ReactJS', 'react.js'] }
+    ]);
+  });
+
+  it('should report a lone alias so it can be renamed to the canonical name', () => {
+    expect(findDuplicateSkills(['Golang'])).toEqual([{ canonical: 'Go', variants: ['Golang'] }]);
+  });
+});
@@ -0,0 +1,265 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { JsonFileStore, SqliteStore, StorageError, MIGRATIONS, SCHEMA_VERSION, parseStorageConfig, createStore } from '../src/web/storage.js';
+
+let directory;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('JsonFileStore', () => {
+  it('should read collections that were never written as null', () => {
+    const store = new JsonFileStore(directory);
+
+    expect(store.read('team-members')).toBeNull();
+  });
+
+  it('should write collections through a temporary file', () => {
+    const store = new JsonFileStore(directory);
+
+    store.write('team-members', [{ id: '1', name: 'Ann' }]);
+
+    expect(store.read('team-members')).toEqual([{ id: '1', name: 'Ann' }]);
+    expect(fs.readdirSync(directory)).toEqual(['team-members.json']);
+  });
+
+  it('should throw instead of returning other data when a file is corrupt', () => {
+    const store = new JsonFileStore(directory);
+    fs.writeFileSync(path.join(directory, 'team-members.json'), '[{"id": "1"');
+
+    expect(() => store.read('team-members')).toThrow(StorageError);
+  });
+
+  it('should reject files that do not hold a list', () => {
+    const store = new JsonFileStore(directory);
+    fs.writeFileSync(path.join(directory, 'constraints.json'), '{}');
+
+    expect(() => store.read('constraints')).toThrow('does not hold a list of records');
+  });
+
+  it('should reject collection names that are not plain file names', () => {
+    const store = new JsonFileStore(directory);
+
+    expect(() => store.read('../secrets')).toThrow('Invalid collection name');
+  });
+
+  it('should keep nested collections in subdirectories and remove them', () => {
+    const store = new JsonFileStore(directory);
+
+    store.write('cycles/q3-2026/team-members', [{ id: '1' }]);
+    expect(fs.existsSync(path.join(directory, 'cycles', 'q3-2026', 'team-members.json'))).toBe(true);
+
+    store.remove('cycles/q3-2026/team-members');
+    expect(store.read('cycles/q3-2026/team-members')).toBeNull();
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+
+  it('should run pending migrations once and record the schema version', () => {
+    fs.writeFileSync(path.join(directory, 'team-members.json'), JSON.stringify([{ id: '1', name: 'Ann', skills: ['Swift:4'] }]));
+    const store = new JsonFileStore(directory);
+
+    expect(store.migrate()).toBe(SCHEMA_VERSION);
+    expect(store.read('team-members')[0].skills).toEqual([{ name: 'Swift', proficiency: 4 }]);
+
+    let runs = 0;
+    const next = { version: SCHEMA_VERSION + 1, up: () => { runs++; } };
+    store.migrate([...MIGRATIONS, next]);
+    store.migrate([...MIGRATIONS, next]);
+
+    expect(runs).toBe(1);
+    expect(store.schemaVersion()).toBe(SCHEMA_VERSION + 1);
+  });
+
+  it('should move the optimization results of every cycle into their run history', () => {
+    const report = {
+      summary: { utilizationRate: 80 },
+      allocations: [],
+      teamMembers: [{ id: '1', name: 'Ann' }],
+      roadmapItems: [{ id: 'a', name: 'Search' }],
+      weights: { profile: 'Default', values: { skillMatch: 35 } }
+    };
+    const result = optimizedAt => ({ optimizedAt, options: { solver: 'greedy', teamPolicy: 'ignore', quarters: 1 }, report });
+    const write = (name, records) => {
+      fs.mkdirSync(path.dirname(path.join(directory, name)), { recursive: true });
+      fs.writeFileSync(path.join(directory, `${name}.json`), JSON.stringify(records));
+    };
+
+    fs.writeFileSync(path.join(directory, 'storage-meta.json'), JSON.stringify({ schemaVersion: 2 }));
+    write('cycles', [{ id: 'q3' }]);
+    write('optimization-results', [result('2026-05-01T10:00:00.000Z')]);
+    write('runs', [{ id: 'later', createdAt: '2026-06-01T10:00:00.000Z' }]);
+    write('cycles/q3/optimization-results', [result('2026-07-01T10:00:00.000Z')]);
+
+    const store = new JsonFileStore(directory);
+    expect(store.migrate()).toBe(SCHEMA_VERSION);
+
+    expect(store.read('optimization-results')).toBeNull();
+    expect(store.read('cycles/q3/optimization-results')).toBeNull();
+    expect(store.read('runs').map(run => run.id)).toEqual([String(Date.parse('2026-05-01T10:00:00.000Z')), 'later']);
+    expect(store.read('cycles/q3/runs')).toEqual([{
+      id: String(Date.parse('2026-07-01T10:00:00.000Z')),
+      createdAt: '2026-07-01T10:00:00.000Z',
+      options: { solver: 'greedy', teamPolicy: 'ignore', quarters: 1 },
+      weights: { skillMatch: 35 },
+      weightsProfile: 'Default',
+      inputs: { teamMembers: report.teamMembers, roadmapItems: report.roadmapItems, constraints: [] },
+      report
+    }]);
+    expect(new JsonFileStore(directory).schemaVersion()).toBe(SCHEMA_VERSION);
+  });
+
+  it('should not write anything when opening a store with nothing to migrate', () => {
+    const store = new JsonFileStore(directory);
+
+    expect(store.migrate()).toBe(SCHEMA_VERSION);
+    expect(fs.readdirSync(directory)).toEqual([]);
+
+    store.write('constraints', []);
+    expect(JSON.parse(fs.readFileSync(path.join(directory, 'storage-meta.json'), 'utf8'))).toEqual({ schemaVersion: SCHEMA_VERSION });
+  });
+
+  it('should open a store without touching the disk when there is nothing to migrate', async () => {
+    const location = path.join(directory, 'data');
+    fs.mkdirSync(location);
+    fs.writeFileSync(path.join(location, 'storage-meta.json'), JSON.stringify({ schemaVersion: SCHEMA_VERSION }));
+    const before = fs.statSync(path.join(location, 'storage-meta.json')).mtimeMs;
+
+    await createStore({ backend: 'json', path: location });
+    await createStore({ backend: 'json', path: path.join(directory, 'missing') });
+
+    expect(fs.statSync(path.join(location, 'storage-meta.json')).mtimeMs).toBe(before);
+    expect(fs.readdirSync(location)).toEqual(['storage-meta.json']);
+    expect(fs.existsSync(path.join(directory, 'missing'))).toBe(false);
+  });
+});
+
+describe('parseStorageConfig', () => {
+  it('should default to JSON files in the project root', () => {
+    expect(parseStorageConfig({}, '/app')).toEqual({ config: { backend: 'json', path: '/app' } });
+  });
+
+  it('should resolve the SQLite file against the project root', () => {
+    expect(parseStorageConfig({ STORAGE_BACKEND: 'sqlite' }, '/app').config.path).toBe('/app/data.sqlite');
+    expect(parseStorageConfig({ STORAGE_BACKEND: 'sqlite', STORAGE_PATH: 'var/plans.db' }, '/app').config.path).toBe('/app/var/plans.db');
+  });
+
+  it('should reject unknown backends', () => {
+    expect(parseStorageConfig({ STORAGE_BACKEND: 'postgres' }, '/app').error).toBe('STORAGE_BACKEND must be one of: json, sqlite');
+  });
+});
+
+describe('createStore', () => {
+  it('should open and migrate a JSON store', async () => {
+    const store = await createStore({ backend: 'json', path: path.join(directory, 'data') });
+
+    expect(store).toBeInstanceOf(JsonFileStore);
+    expect(store.describe()).toEqual({ backend: 'json', location: path.join(directory, 'data'), schemaVersion: SCHEMA_VERSION });
+  });
+});
+
+// Stand-in for a better-sqlite3 Database: the statements SqliteStore
+// prepares, pragmas and transactions that roll back when they throw
+class FakeDatabase {
+  constructor() {
+    this.rows = null; // Map of the collections table once created
+    this.userVersion = 0;
+  }
+
+  exec(sql) {
+    if (!/CREATE TABLE IF NOT EXISTS collections/.test(sql)) throw new Error(`Unexpected SQL: ${sql}`);
+    this.rows = this.rows || new Map();
+  }
+
+  pragma(statement, options = {}) {
+    const [, name, value] = statement.match(/^(\w+)(?:\s*=\s*(\w+))?$/);
+    if (name === 'user_version') {
+      if (value === undefined) return options.simple ? this.userVersion : [{ user_version: this.userVersion }];
+      this.userVersion = Number(value);
+    }
+    return value;
+  }
+
+  prepare(sql) {
+    const table = () => {
+      if (!this.rows) throw new Error('no such table: collections');
+      return this.rows;
+    };
+
+    if (sql.includes('SELECT data FROM collections')) {
+      return { get: name => table().has(name) ? { data: table().get(name).data } : undefined };
+    }
+    if (sql.includes('INSERT INTO collections')) {
+      return { run: (name, data, updatedAt) => table().set(name, { data, updatedAt }) };
+    }
+    if (sql.includes('DELETE FROM collections')) {
+      return { run: name => table().delete(name) };
+    }
+    throw new Error(`Unexpected SQL: ${sql}`);
+  }
+
+  transaction(fn) {
+    return (...args) => {
+      const rows = this.rows && new Map(this.rows);
+      const userVersion = this.userVersion;
+      try {
+        return fn(...args);
+      } catch (error) {
+        this.rows = rows;
+        this.userVersion = userVersion;
+        throw error;
+      }
+    };
+  }
+}
+
+describe('SqliteStore', () => {
+  it('should round-trip collections and migrate in a transaction', () => {
+    const store = new SqliteStore(new FakeDatabase());
+    expect(store.migrate()).toBe(SCHEMA_VERSION);
+    expect(store.read('team-members')).toBeNull();
+
+    store.write('team-members', [{ id: '1', name: 'Ann' }]);
+    store.write('team-members', [{ id: '2', name: 'Bo' }]);
+
+    expect(store.read('team-members')).toEqual([{ id: '2', name: 'Bo' }]);
+
+    store.remove('team-members');
+    expect(store.read('team-members')).toBeNull();
+  });
+
+  it('should roll a failed migration back', () => {
+    const store = new SqliteStore(new FakeDatabase());
+    store.migrate();
+    store.write('constraints', []);
+
+    const failing = { version: SCHEMA_VERSION + 1, up: s => { s.write('constraints', [{ id: 'x' }]); throw new Error('boom'); } };
+
+    expect(() => store.migrate([...MIGRATIONS, failing])).toThrow('boom');
+    expect(store.read('constraints')).toEqual([]);
+    expect(store.schemaVersion()).toBe(SCHEMA_VERSION);
+  });
+
+  it('should migrate data written by older versions', () => {
+    const db = new FakeDatabase();
+    db.exec(MIGRATIONS[0].sql);
+    db.pragma('user_version = 1');
+    db.prepare('INSERT INTO collections').run('team-members', JSON.stringify([{ id: '1', skills: ['Swift:4'] }]), '');
+
+    const store = new SqliteStore(db);
+    expect(store.migrate()).toBe(SCHEMA_VERSION);
+    expect(store.read('team-members')[0].skills).toEqual([{ name: 'Swift', proficiency: 4 }]);
+  });
+
+  it('should report database errors as storage errors', () => {
+    const store = new SqliteStore(new FakeDatabase());
+
+    expect(() => store.read('team-members')).toThrow(StorageError);
+    expect(() => store.write('team-members', [])).toThrow('Could not write team-members');
+  });
+});
@@ -0,0 +1,57 @@
+import { listWeightProfiles, saveWeightProfile, resolveWeights, DEFAULT_PROFILE_ID } from '../src/web/weight-profiles.js';
+import { DEFAULT_WEIGHTS } from '../src/models.js';
+
+describe('weight profiles', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = [];
+  });
+
+  it('should always list the built-in default profile first', () => {
+    const profiles = listWeightProfiles(stored);
+
+    expect(profiles).toHaveLength(1);
+    expect(profiles[0]).toEqual({ id: DEFAULT_PROFILE_ID, name: 'Default', weights: DEFAULT_WEIGHTS, builtIn: true });
+  });
+
+  it('should create a profile with normalized weights', () => {
+    const { profile, created } = saveWeightProfile({ name: ' Growth Q3 ', weights: { careerGoal: 40 } }, stored);
+
+    expect(created).toBe(true);
+    expect(profile.name).toBe('Growth Q3');
+    expect(profile.weights).toEqual({ ...DEFAULT_WEIGHTS, careerGoal: 40 });
+    expect(stored).toHaveLength(1);
+  });
+
+  it('should update an existing profile with the same name', () => {
+    saveWeightProfile({ name: 'Delivery', weights: { efficiency: 30 } }, stored);
+    const { profile, created } = saveWeightProfile({ name: 'delivery', weights: { efficiency: 40 } }, stored);
+
+    expect(created).toBe(false);
+    expect(profile.weights.efficiency).toBe(40);
+    expect(stored).toHaveLength(1);
+  });
+
+  it('should reject invalid profiles', () => {
+    expect(saveWeightProfile({ weights: {} }, stored).error).toBe('Profile name is required');
+    expect(saveWeightProfile({ name: 42, weights: {} }, stored).error).toBe('Profile name is required');
+    expect(saveWeightProfile({ name: 'Default', weights: {} }, stored).error).toBe('The default profile cannot be modified');
+    expect(saveWeightProfile({ name: 'Bad', weights: { luck: 1 } }, stored).error).toContain('Unknown scoring weight');
+  });
+
+  it('should resolve a stored profile with inline overrides', () => {
+    const { profile } = saveWeightProfile({ name: 'Growth', weights: { careerGoal: 40 } }, stored);
+
+    expect(resolveWeights(stored, profile.id)).toEqual({ name: 'Growth', weights: profile.weights });
+
+    const customized = resolveWeights(stored, profile.id, { interest: 0 });
+    expect(customized.name).toBe('Growth (customized)');
+    expect(customized.weights.careerGoal).toBe(40);
+    expect(customized.weights.interest).toBe(0);
+  });
+
+  it('should report unknown profiles', () => {
+    expect(resolveWeights(stored, 'nope')).toEqual({ error: 'Weights profile "nope" not found' });
+  });
+});